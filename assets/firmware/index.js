@@ -0,0 +1,10 @@
+// Wearable firmware bundled with the app for over-the-air updates.
+// Generated by scripts/bundle-firmware.js — do not edit by hand.
+// No firmware is bundled yet: run `npm run bundle-firmware -- <firmware.bin> <version>`.
+
+export default {
+  version: null,
+  sha256: null,
+  size: 0,
+  asset: null,
+};
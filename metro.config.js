@@ -0,0 +1,10 @@
+// Learn more https://docs.expo.dev/guides/customizing-metro
+const { getDefaultConfig } = require('expo/metro-config');
+
+const config = getDefaultConfig(__dirname);
+
+// Bundle binary assets (wearable firmware images in assets/firmware and the
+// prediction model's weights in assets/model)
+config.resolver.assetExts.push('bin');
+
+module.exports = config;
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Bundle a wearable firmware image with the app
+ *
+ * Usage:
+ *   npm run bundle-firmware -- path/to/firmware.bin 1.2.0
+ *
+ * Copies the image (the .bin produced by Arduino IDE "Export Compiled Binary"
+ * or PlatformIO) to assets/firmware/firmware.bin and regenerates
+ * assets/firmware/index.js with its version, size and SHA-256 so the app can
+ * verify the image before pushing it to a wearable.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIRMWARE_DIR = path.join(__dirname, '..', 'assets', 'firmware');
+const VERSION_REGEX = /^\d+(\.\d+){0,2}([-+][0-9A-Za-z.-]+)?$/;
+
+const [source, version] = process.argv.slice(2);
+
+if (!source || !version) {
+  console.error('Usage: npm run bundle-firmware -- <firmware.bin> <version>');
+  process.exit(1);
+}
+if (!VERSION_REGEX.test(version)) {
+  console.error(`Invalid version "${version}" (expected e.g. 1.2.0)`);
+  process.exit(1);
+}
+
+const image = fs.readFileSync(source);
+// ESP32 application images start with the 0xE9 magic byte
+if (image[0] !== 0xe9) {
+  console.error(`${source} does not look like an ESP32 application image`);
+  process.exit(1);
+}
+
+const sha256 = crypto.createHash('sha256').update(image).digest('hex');
+
+fs.mkdirSync(FIRMWARE_DIR, { recursive: true });
+fs.writeFileSync(path.join(FIRMWARE_DIR, 'firmware.bin'), image);
+fs.writeFileSync(
+  path.join(FIRMWARE_DIR, 'index.js'),
+  `// Wearable firmware bundled with the app for over-the-air updates.
+// Generated by scripts/bundle-firmware.js — do not edit by hand.
+
+export default {
+  version: ${JSON.stringify(version)},
+  sha256: ${JSON.stringify(sha256)},
+  size: ${image.length},
+  asset: require('./firmware.bin'),
+};
+`
+);
+
+console.log(`Bundled firmware ${version} (${image.length} bytes, sha256 ${sha256})`);
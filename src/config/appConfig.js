@@ -6,6 +6,10 @@
 const AppConfig = {
   // ESP32 WiFi Connection Settings
   esp32: {
+    // Transport used to reach the wearable: "wifi" or "ble"
+    // Can be changed at runtime from Settings
+    transport: "wifi",
+
     // Default IP address of your ESP32
     // Check Arduino Serial Monitor after uploading firmware
     defaultIP: "192.168.1.100",
@@ -19,14 +23,221 @@ const AppConfig = {
     // Connection timeout in milliseconds
     connectionTimeout: 5000,
     
-    // Maximum consecutive failures before disconnecting
+    // How long to wait for the wearable to acknowledge a command (ms)
+    commandTimeout: 5000,
+
+    // Consecutive failed requests before the connection counts as lost
     maxConsecutiveFailures: 5,
+
+    // Automatic reconnect after the connection is lost
+    // Delay doubles each attempt (baseDelay, 2x, 4x, ...) up to maxDelay,
+    // randomised by ±jitter so devices do not retry in lockstep
+    reconnect: {
+      enabled: true,
+      baseDelay: 1000,
+      maxDelay: 30000,
+      maxAttempts: 10,
+      jitter: 0.3,
+    },
     
     // API endpoints (relative paths)
     endpoints: {
       sensors: "/api/sensors",
       deviceInfo: "/api/device-info",
       health: "/api/health",
+      history: "/api/history",
+      command: "/api/command",
+      ota: "/api/ota",
+      pairStart: "/api/pair/start",
+      pairConfirm: "/api/pair/confirm",
+      unpair: "/api/unpair",
+    },
+
+    // Authenticated, encrypted WiFi communication (see WearableAuth.js)
+    security: {
+      // Refuse wearables that cannot be paired (firmware without
+      // "auth" in /api/health). Turn off only for old development boards.
+      requirePairing: true,
+    },
+
+    // Over-the-air firmware updates (WiFi only)
+    ota: {
+      // Maximum time for the firmware upload (ms)
+      uploadTimeout: 120000,
+
+      // How long to wait for the wearable to come back after flashing (ms)
+      rebootTimeout: 90000,
+
+      // How often to check whether it is back (ms)
+      rebootPollInterval: 3000,
+    },
+
+    // Connection diagnostics (Device Info → Diagnostics)
+    diagnostics: {
+      // Rolling window the metrics cover (ms)
+      window: 300000,
+
+      // Silence counted as a gap: gapFactor × the usual frame interval,
+      // but at least minGap (ms)
+      gapFactor: 3,
+      minGap: 5000,
+
+      // How often to read BLE signal strength (ms)
+      rssiInterval: 5000,
+    },
+
+    // Heart rate variability from the inter-beat intervals (`ibi`) or raw
+    // PPG samples (`ppg`) newer firmware sends with each frame
+    hrv: {
+      // Sliding window for RMSSD, SDNN and pNN50 (ms of beats)
+      window: 60000,
+
+      // Sliding window for LF/HF; the spectrum is only reported once it
+      // holds minSpectralDuration ms of uninterrupted beats
+      spectralWindow: 300000,
+      minSpectralDuration: 120000,
+
+      // Clean beats needed before any metric is reported
+      minBeats: 20,
+
+      // Beats further than this fraction from the recent median are treated
+      // as ectopic beats or motion artifacts and dropped
+      maxDeviation: 0.2,
+
+      // Sample rate of `ppg` arrays when the frame has no ppgRate (Hz)
+      ppgRate: 50,
+    },
+
+    // Skin conductance (EDA) processing
+    eda: {
+      // GSR front end, used to convert ADC counts to microsiemens:
+      // fullScale of the ADC, the reading with the electrodes open, and the
+      // bridge reference resistor (Ω)
+      circuit: {
+        fullScale: 4096,
+        openCircuit: 2400,
+        referenceResistor: 10000,
+      },
+
+      // Moving median that tracks the tonic (baseline) level (ms)
+      tonicWindow: 8000,
+
+      // A skin conductance response rises at least minAmplitude µS and
+      // peaks within maxRiseTime ms of its onset
+      minAmplitude: 0.05,
+      maxRiseTime: 5000,
+
+      // Window for the responses-per-minute rate (ms)
+      rateWindow: 60000,
+    },
+
+    // Signal quality index (SignalQualityTracker); gates predictions when
+    // the child is moving or the sensor is loose
+    signalQuality: {
+      // Frames scored together (ms)
+      window: 10000,
+
+      // IR level of a well-perfused finger; full marks at or above this
+      irGood: 100000,
+
+      // Mean frame-to-frame EDA change, as a fraction of the level, that
+      // scores zero (loose electrodes)
+      maxEdaVariation: 0.1,
+
+      // Weight of each component in the score
+      weights: { ir: 0.3, motion: 0.3, spikes: 0.2, eda: 0.2 },
+
+      // Below poor predictions are suppressed; between poor and good their
+      // confidence and state machine weight are scaled by the score
+      poor: 0.5,
+      good: 0.8,
+    },
+
+    // Windowed features for the prediction models (FeatureExtractor)
+    features: {
+      // Window name → length (ms); names appear in model feature paths
+      windows: { "30s": 30000, "60s": 60000 },
+
+      // Share of a window readings must span before it is reported
+      minCoverage: 0.8,
+    },
+
+    // Wearable hardware profiles, one per firmware fork / hardware revision
+    // Editable from Device Info. BLE scans match wearables to a profile by
+    // advertised service UUID and name; the match is remembered per device
+    // ID in deviceProfiles so it survives renames.
+    profiles: {
+      neuronest: {
+        name: "NeuroNest",
+        ble: {
+          serviceUUID: "4fafc201-1fb5-459e-8fcc-c5c9c331914b",
+          sensorCharacteristicUUID: "beb5483e-36e1-4688-b7f5-ea07361b26a8",
+          deviceInfoCharacteristicUUID: "beb5483e-36e1-4688-b7f5-ea07361b26a9",
+          commandCharacteristicUUID: "beb5483e-36e1-4688-b7f5-ea07361b26aa",
+          // Advertised name must contain one of these (empty = any name)
+          nameFilters: ["NeuroNest", "ESP32", "Wearable"],
+        },
+        // Heart rate processing for this sensor (SensorDataParser)
+        heartRate: {
+          // Readings in the weighted moving average
+          smoothingWindow: 6,
+          // Readings this far (BPM) from the running average are spikes
+          maxJump: 25,
+          // Range the displayed value is kept within; predictions always
+          // use the unclamped smoothed value
+          displayMin: 40,
+          displayMax: 220,
+        },
+      },
+    },
+
+    // Profile used for wearables that match no other profile
+    defaultProfile: "neuronest",
+
+    // Device ID -> profile ID
+    deviceProfiles: {},
+
+    // Device ID -> sensor calibration from the Device Info wizard
+    calibrations: {},
+
+    // Download of readings buffered on the wearable while out of range
+    sync: {
+      enabled: true,
+
+      // Readings requested per /api/history page
+      pageSize: 100,
+
+      // Safety cap on pages fetched in one sync
+      maxPages: 50,
+    },
+
+    // Push streaming over WebSocket (used when the firmware advertises
+    // a "stream" capability in /api/device-info, otherwise polling is used)
+    streaming: {
+      enabled: true,
+
+      // WebSocket path and port (null = same port as HTTP)
+      // Firmware can override both via device-info { stream: { port, path } }
+      path: "/ws/sensors",
+      port: null,
+
+      // Fall back to polling if no frame arrives for this long (ms)
+      idleTimeout: 10000,
+    },
+
+    // Automatic discovery on the local network
+    discovery: {
+      // DNS-SD service advertised by the firmware (_neuronest._tcp.local.)
+      serviceType: "neuronest",
+      protocol: "tcp",
+      domain: "local.",
+
+      // How long to browse mDNS before falling back to a subnet sweep (ms)
+      mdnsTimeout: 4000,
+
+      // Subnet sweep: parallel /api/health probes and per-host timeout (ms)
+      sweepConcurrency: 32,
+      probeTimeout: 1200,
     },
   },
 
@@ -40,6 +251,11 @@ const AppConfig = {
     
     // Number of readings to smooth predictions
     smoothingWindow: 3,
+
+    // Bundled pure-JS model to predict with instead of TensorFlow.js, by
+    // name in BUNDLED_JS_MODELS (MLModelService), e.g. "example"; null to
+    // use the TensorFlow.js model
+    jsModel: null,
     
     // Stress thresholds (based on WESAD dataset)
     thresholds: {
@@ -58,6 +274,51 @@ const AppConfig = {
         elevated: 37.5, // Elevated (stress indicator)
       },
     },
+
+    // Each child's personal resting baseline (BaselineService), learned from
+    // calm, still, good-quality readings and used for z-scores
+    baseline: {
+      // Time of qualifying readings to learn from before the baseline is
+      // fixed (ms, 20 minutes)
+      calibrationPeriod: 1200000,
+
+      // Longest gap between two qualifying readings counted towards the
+      // period (ms); longer gaps count as this
+      maxSampleGap: 10000,
+
+      // Motion levels a reading may have to count as resting
+      motion: ["NONE"],
+
+      // Smallest standard deviation used for z-scores, so a very steady
+      // calibration does not turn small changes into large scores
+      minStd: { heartRate: 3, eda: 0.2, temperature: 0.1 },
+
+      // Rule-based predictions once the baseline is ready: skin conductance
+      // this many standard deviations above rest is stress, and a meltdown
+      // when the heart rate is at least `stressed` above rest as well
+      zThresholds: { stressed: 2, meltdown: 4 },
+    },
+
+    // Hysteresis between Calm, Stressed and Meltdown (MindStateMachine).
+    // Shares are of the last `window` predictions, weighted by signal
+    // quality; dwell times are ms.
+    stateMachine: {
+      window: 5,
+
+      // Enter Stressed at this share of Stressed/Meltdown predictions, go
+      // back to Calm at or below `exit`, and stay at least `minDwell` first
+      stressed: { enter: 0.6, exit: 0.2, minDwell: 30000 },
+
+      // Escalate to Meltdown at this share of Meltdown predictions, ease
+      // back to Stressed at or below `exit`
+      meltdown: { enter: 0.6, exit: 0.2, minDwell: 60000 },
+
+      // Time calm before stress can be called again
+      calm: { minDwell: 15000 },
+
+      // Time stressed before escalating to Meltdown
+      escalationDwell: 10000,
+    },
   },
 
   // Local Storage Settings
@@ -3,26 +3,49 @@
  * Global state management for ESP32 wearable device data and predictions
  * 
  * This context provides:
- * - Real-time sensor data from ESP32
+ * - Real-time sensor data from ESP32 (over WiFi or BLE)
  * - ML model predictions
  * - Device connection status
+ * - Additional monitored wearables (one per child) via DeviceRegistry
+ * - Recording raw sessions and replaying them through the prediction pipeline
+ * - Per-wearable sensor calibration (SensorCalibration)
+ * - The main wearable's child (ChildProfileService) and their personal baseline
  * - Historical data access
  */
 
 import React, { createContext, useState, useEffect, useRef, useCallback } from 'react';
-import ESP32WiFiService from '../services/ESP32WiFiService';
+import WearableTransport, { TRANSPORT_TYPES, TRANSPORT_LABELS } from '../services/WearableTransport';
 import MLModelService, { MIND_STATES } from '../services/MLModelService';
 import StorageService from '../services/StorageService';
+import BaselineService from '../services/BaselineService';
+import ChildProfileService, { DEFAULT_PROFILE_ID } from '../services/ChildProfileService';
+import WearableSyncService from '../services/WearableSyncService';
+import { DEVICE_COMMANDS } from '../services/DeviceCommands';
+import FirmwareUpdateService from '../services/FirmwareUpdateService';
+import DeviceRegistry from '../services/DeviceRegistry';
+import SensorDataParser from '../services/SensorDataParser';
+import MockScenarioPlayer, { MOCK_SCENARIOS, DEFAULT_MOCK_SCENARIO } from '../services/MockScenarios';
+import SessionRecorder from '../services/SessionRecorder';
+import { formatDiagnosticsReport } from '../services/ConnectionMetrics';
+import WearableAuth from '../services/WearableAuth';
+import { getCalibrationId } from '../services/SensorCalibration';
+import ConfigManager from '../utils/ConfigManager';
 
 export const WearableContext = createContext();
 
 // Default sensor values
 const DEFAULT_SENSOR_DATA = {
-  heartRate: 0,
+  heartRate: 0, // smoothed; heartRateRaw and heartRateDisplay alongside
+  heartRateRaw: 0,
+  heartRateDisplay: 0,
   temperature: 0,
   eda: 0,
   motion: false,   // 👈 ADD THIS
   fingerDetected: false, // good to keep consistent
+  hrv: null, // HRVAnalyzer metrics, when the wearable sends beats
+  edaAnalysis: null, // EDAAnalyzer metrics (skin conductance, SCRs)
+  signalQuality: null, // SignalQualityTracker score, level and issues
+  features: null, // FeatureExtractor windowed features
   timestamp: null,
 };
 
@@ -35,8 +58,11 @@ const DEFAULT_PREDICTION = {
 
 export const WearableProvider = ({ children }) => {
   // Connection state
+  const [transportType, setTransportType] = useState(TRANSPORT_TYPES.WIFI);
   const [isConnected, setIsConnected] = useState(false);
   const [isConnecting, setIsConnecting] = useState(false);
+  const [isReconnecting, setIsReconnecting] = useState(false);
+  const [reconnectState, setReconnectState] = useState(null);
   const [isScanning, setIsScanning] = useState(false);
   const [availableDevices, setAvailableDevices] = useState([]);
   const [connectedDevice, setConnectedDevice] = useState(null);
@@ -50,15 +76,47 @@ export const WearableProvider = ({ children }) => {
   const [prediction, setPrediction] = useState(DEFAULT_PREDICTION);
   const [predictionHistory, setPredictionHistory] = useState([]);
 
+  // Offline buffer sync
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [lastSyncResult, setLastSyncResult] = useState(null);
+
   // Device info
   const [deviceInfo, setDeviceInfo] = useState({
     battery: null,
     lastSync: null,
   });
 
+  // Over-the-air firmware update: { status, progress, fromVersion, toVersion, error }
+  const [firmwareUpdate, setFirmwareUpdate] = useState(null);
+
+  // Wearables monitored alongside the primary one (DeviceRegistry snapshots)
+  const [monitoredDevices, setMonitoredDevices] = useState([]);
+
+  // WiFi wearables paired with this phone: [{ deviceId, name, address, pairedAt }]
+  const [pairedWearables, setPairedWearables] = useState([]);
+  // Refuse WiFi wearables whose firmware cannot pair (esp32.security.requirePairing)
+  const [requirePairing, setRequirePairingState] = useState(true);
+
+  // Session recording ({ id, startedAt, frameCount } while recording) and replay
+  const [recordingStatus, setRecordingStatus] = useState(null);
+  const [recordedSessions, setRecordedSessions] = useState([]);
+  const [replayState, setReplayState] = useState(null);
+
+  // Sensor calibration of the connected wearable (null = uncalibrated)
+  const [sensorCalibration, setSensorCalibration] = useState(null);
+
+  // Demo mode playback: { id, name, phase, time, progress, edaUnit }
+  const [mockScenario, setMockScenario] = useState(null);
+
+  // Main wearable's child ({ id, name }) and their personal baseline
+  // (BaselineService.getSummary())
+  const [activeProfile, setActiveProfile] = useState(null);
+  const [baseline, setBaseline] = useState(null);
+
   // Model state
   const [isModelReady, setIsModelReady] = useState(false);
   const [modelError, setModelError] = useState(null);
+  const [modelInfo, setModelInfo] = useState(null); // MLModelService.getModelInfo()
 
   // Settings
   const [settings, setSettings] = useState({
@@ -69,7 +127,10 @@ export const WearableProvider = ({ children }) => {
 
   // Refs
   const predictionIntervalRef = useRef(null);
+  const registryUnsubscribeRef = useRef(null);
   const isModelReadyRef = useRef(false);
+  const frameListenersRef = useRef(new Set()); // captureReadings() subscribers
+  const sessionDeviceIdRef = useRef(null); // device connected since the last drop
 
   // ==================== INITIALIZATION ====================
 
@@ -82,30 +143,41 @@ export const WearableProvider = ({ children }) => {
     };
   }, []);
 
+  const getTransportCallbacks = () => ({
+    onData: handleSensorData,
+    onConnectionChange: handleConnectionChange,
+    onError: handleTransportError,
+    onReconnect: handleReconnectStateChange,
+    onDataModeChange: handleDataModeChange,
+  });
+
   const initializeServices = async () => {
     try {
-      // Initialize WiFi service
-      const wifiResult = await ESP32WiFiService.initialize();
-      if (!wifiResult.success) {
-        setConnectionError(wifiResult.error);
+      // Initialize the transport selected in settings (WiFi by default)
+      await ConfigManager.loadConfig();
+      const type = ConfigManager.getTransportType();
+      setRequirePairingState(ConfigManager.getSecurityConfig().requirePairing);
+      const transportResult = await WearableTransport.select(type, getTransportCallbacks());
+      setTransportType(type);
+      if (!transportResult.success) {
+        setConnectionError(transportResult.error);
       }
 
-      // Initialize ML model
+      // Initialize ML model (falls back to rule-based predictions, with the
+      // reason in modelError, when the bundled model cannot be used)
       const mlResult = await MLModelService.initialize();
       if (mlResult.success) {
         const loadResult = await MLModelService.loadModel();
         const ready = loadResult.success || loadResult.usingFallback;
         setIsModelReady(ready);
         isModelReadyRef.current = ready;
-        if (!loadResult.success && !loadResult.usingFallback) {
-          setModelError(loadResult.error);
-        }
+        setModelError(loadResult.success ? null : loadResult.error);
+        setModelInfo(MLModelService.getModelInfo());
       }
 
-      // Set up WiFi callbacks
-      ESP32WiFiService.setDataCallback(handleSensorData);
-      ESP32WiFiService.setConnectionCallback(handleConnectionChange);
-      ESP32WiFiService.setErrorCallback(handleWiFiError);
+      // Reconnect the other children's wearables
+      registryUnsubscribeRef.current = DeviceRegistry.subscribe(setMonitoredDevices);
+      setMonitoredDevices(await DeviceRegistry.load());
     } catch (error) {
       console.error('Service initialization error:', error);
       setConnectionError(error.message);
@@ -130,6 +202,19 @@ export const WearableProvider = ({ children }) => {
       if (storedDeviceInfo) {
         setDeviceInfo(storedDeviceInfo);
       }
+
+      setRecordedSessions(await SessionRecorder.listSessions());
+
+      await ChildProfileService.load();
+      const profile =
+        ChildProfileService.get(storedSettings.activeProfileId) ||
+        ChildProfileService.get(DEFAULT_PROFILE_ID);
+      setActiveProfile(profile);
+      await BaselineService.setProfile(null, profile.id);
+      setBaseline(BaselineService.getSummary());
+
+      await WearableAuth.load();
+      setPairedWearables(WearableAuth.listPairings());
     } catch (error) {
       console.error('Error loading stored data:', error);
     }
@@ -139,13 +224,26 @@ export const WearableProvider = ({ children }) => {
     if (predictionIntervalRef.current) {
       clearInterval(predictionIntervalRef.current);
     }
-    ESP32WiFiService.destroy();
+    if (registryUnsubscribeRef.current) {
+      registryUnsubscribeRef.current();
+    }
+    if (SessionRecorder.isRecording()) {
+      SessionRecorder.stop();
+    }
+    DeviceRegistry.destroy();
+    WearableTransport.destroy();
     MLModelService.dispose();
   };
 
-  // ==================== BLE HANDLERS ====================
+  // ==================== TRANSPORT HANDLERS ====================
 
-  const handleSensorData = useCallback(async (data) => {
+  /**
+   * Store, classify and learn from a parsed reading of the main wearable
+   * @param {Object} data - Parsed reading
+   * @param {Object} options - { demo: true } for Demo Mode readings, which
+   *   must not teach the child's personal baseline
+   */
+  const handleSensorData = useCallback(async (data, options = {}) => {
     console.log('[WearableContext] Sensor data received:', {
       heartRate: data.heartRate,
       fingerDetected: data.fingerDetected,
@@ -156,12 +254,23 @@ export const WearableProvider = ({ children }) => {
 
     // Update current sensor data
     setSensorData(data);
+    frameListenersRef.current.forEach((listener) => listener(data));
 
     // Add to history (keep last 100 readings in memory)
     setSensorHistory((prev) => [...prev.slice(-99), data]);
 
-    // Save to storage
-    await StorageService.saveSensorReading(data);
+    // Replayed sessions run through the predictor without touching stored history
+    const isReplay = WearableTransport.getType() === TRANSPORT_TYPES.REPLAY;
+
+    if (!isReplay) {
+      if (SessionRecorder.isRecording()) {
+        SessionRecorder.record(data);
+        setRecordingStatus(SessionRecorder.getStatus());
+      }
+
+      // Save to storage
+      await StorageService.saveSensorReading(data);
+    }
 
     // Only run prediction if finger is on sensor (valid heart rate)
     if (!data.fingerDetected) {
@@ -176,6 +285,13 @@ export const WearableProvider = ({ children }) => {
     if (isModelReadyRef.current) {
       const result = await MLModelService.predict(data);
       console.log('[WearableContext] Prediction result:', result.state, 'confidence:', result.confidence);
+
+      // Suppressed for low signal quality: show why, but keep it out of history
+      if (result.lowSignalQuality) {
+        setPrediction({ ...result, sensorData: data });
+        return;
+      }
+
       const calmScore = MLModelService.calculateCalmScore(result);
 
       const fullPrediction = {
@@ -190,7 +306,12 @@ export const WearableProvider = ({ children }) => {
       setPredictionHistory((prev) => [...prev.slice(-49), fullPrediction]);
 
       // Save prediction
-      await StorageService.savePrediction(fullPrediction);
+      if (!isReplay) {
+        await StorageService.savePrediction(fullPrediction);
+        if (!options.demo) {
+          setBaseline(await BaselineService.addPrediction(fullPrediction));
+        }
+      }
     }
   }, []);
 
@@ -198,27 +319,66 @@ export const WearableProvider = ({ children }) => {
     setIsConnected(connected);
     setIsConnecting(false);
 
+    // Only a disconnected → connected transition starts a session; a repeated
+    // "connected" (e.g. after a firmware update reboot) just updates the device
+    const isNewSession = connected && device && sessionDeviceIdRef.current !== device.id;
+    sessionDeviceIdRef.current = connected && device ? device.id : null;
+
     if (connected && device) {
       setConnectedDevice({
         id: device.id,
         name: device.name,
+        transport: device.transport,
+        ip: device.ip,
+        port: device.port,
+        dataMode: device.dataMode,
+        hardwareId: device.hardwareId,
       });
       setConnectionError(null);
+      setSensorCalibration(ConfigManager.getDeviceCalibration(getCalibrationId(device)));
+
+      // A replay has no live device to query, sync or remember
+      if (!isNewSession || device.transport === TRANSPORT_TYPES.REPLAY) {
+        return;
+      }
 
       // Update stored device info
       StorageService.saveDeviceInfo({
         deviceId: device.id,
         name: device.name,
+        transport: device.transport,
         isConnected: true,
         lastSync: new Date().toISOString(),
       });
+
+      // Read firmware version and settings for the device screen
+      refreshDeviceInfo();
+
+      // Pull readings the wearable buffered while we were out of range
+      syncOfflineReadings(device.id, getCalibrationId(device));
     } else {
       setConnectedDevice(null);
+      setSensorCalibration(null);
     }
   }, []);
 
-  const handleWiFiError = useCallback((error) => {
-    console.error('WiFi Error:', error);
+  const handleReconnectStateChange = useCallback((state) => {
+    setIsReconnecting(state.isReconnecting);
+    setReconnectState(state.isReconnecting ? state : null);
+    if (state.isReconnecting) {
+      // Data has stopped; keep connectedDevice so the session can resume
+      sessionDeviceIdRef.current = null;
+      setIsConnected(false);
+      setConnectionError(null);
+    }
+  }, []);
+
+  const handleDataModeChange = useCallback((dataMode) => {
+    setConnectedDevice((prev) => (prev ? { ...prev, dataMode } : prev));
+  }, []);
+
+  const handleTransportError = useCallback((error) => {
+    console.error('Transport Error:', error);
     setConnectionError(error.message);
   }, []);
 
@@ -230,10 +390,14 @@ export const WearableProvider = ({ children }) => {
     setConnectionError(null);
 
     try {
-      const result = await ESP32WiFiService.scanForDevices();
+      const result = await WearableTransport.getCurrent().scanForDevices((device) => {
+        setAvailableDevices((prev) =>
+          prev.some((d) => d.id === device.id) ? prev : [...prev, device]
+        );
+      });
       if (result.requiresManualIP) {
-        // WiFi requires manual IP entry
-        setConnectionError('Enter ESP32 IP address to connect');
+        // Nothing discovered — fall back to manual IP entry
+        setConnectionError(result.message || 'Enter ESP32 IP address to connect');
       }
     } catch (error) {
       setConnectionError(error.message);
@@ -243,15 +407,27 @@ export const WearableProvider = ({ children }) => {
   };
 
   const stopScan = () => {
+    const service = WearableTransport.getCurrent();
+    if (service.stopScan) {
+      service.stopScan();
+    }
     setIsScanning(false);
   };
 
   const connectToDevice = async (deviceIdOrIP, port = 80) => {
+    if (DeviceRegistry.has(deviceIdOrIP)) {
+      return { success: false, error: 'This wearable is already on the dashboard as another child' };
+    }
+
+    if (WearableTransport.getType() === TRANSPORT_TYPES.REPLAY) {
+      await stopReplay();
+    }
+
     setIsConnecting(true);
     setConnectionError(null);
 
     try {
-      const result = await ESP32WiFiService.connect(deviceIdOrIP, port);
+      const result = await WearableTransport.getCurrent().connect(deviceIdOrIP, port);
       if (!result.success) {
         setConnectionError(result.error);
         setIsConnecting(false);
@@ -264,9 +440,51 @@ export const WearableProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Pair with a WiFi wearable using the key on its label, then connect to it
+   * @param {string} target - IP address
+   * @param {number} port
+   * @param {string} pairingKey - e.g. ABCD-EFGH-JKLM-NPQR
+   * @returns {Object} { success, device } or { success: false, error }
+   */
+  const pairDevice = async (target, port, pairingKey) => {
+    const result = await WearableTransport.getService(TRANSPORT_TYPES.WIFI).pair(target, port, pairingKey);
+    if (!result.success) {
+      return result;
+    }
+    setPairedWearables(WearableAuth.listPairings());
+    return connectToDevice(target, port);
+  };
+
+  /**
+   * Forget a paired wearable (and disconnect it if it is connected)
+   * @param {string} deviceId - deviceId reported by the wearable
+   */
+  const forgetPairedWearable = async (deviceId) => {
+    const result = await WearableTransport.getService(TRANSPORT_TYPES.WIFI).unpair(deviceId);
+    setPairedWearables(WearableAuth.listPairings());
+    return result;
+  };
+
+  /**
+   * Turn the refusal of WiFi wearables without pairing support on or off;
+   * applies from the next connection
+   */
+  const setRequirePairing = async (enabled) => {
+    const result = await ConfigManager.setRequirePairing(enabled);
+    if (result.success) {
+      setRequirePairingState(enabled);
+    }
+    return result;
+  };
+
   const disconnectDevice = async () => {
+    if (WearableTransport.getType() === TRANSPORT_TYPES.REPLAY) {
+      await stopReplay();
+      return;
+    }
     try {
-      await ESP32WiFiService.disconnect();
+      await WearableTransport.getCurrent().disconnect();
       setIsConnected(false);
       setConnectedDevice(null);
       setSensorData(DEFAULT_SENSOR_DATA);
@@ -276,11 +494,102 @@ export const WearableProvider = ({ children }) => {
     }
   };
 
+  // ==================== MULTI-DEVICE METHODS ====================
+
+  /**
+   * Monitor another child's wearable alongside the primary connection
+   * @param {Object} registration - { childName, target, port, transport }
+   *   target is the IP address (WiFi) or BLE device ID; transport defaults
+   *   to the currently selected one
+   */
+  const addMonitoredDevice = async ({ childName, target, port, transport = transportType }) => {
+    if (isConnected && connectedDevice?.id === target) {
+      return { success: false, error: 'This wearable is already connected as the main device' };
+    }
+    try {
+      return await DeviceRegistry.addDevice({ childName, transport, target, port });
+    } catch (error) {
+      console.error('Error adding monitored device:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Stop monitoring a child's wearable
+   * @param {string} id - Device ID
+   * @param {Object} options - { clearData: true } to delete its stored readings
+   */
+  const removeMonitoredDevice = async (id, options = {}) => {
+    try {
+      return await DeviceRegistry.removeDevice(id, options);
+    } catch (error) {
+      console.error('Error removing monitored device:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const reconnectMonitoredDevice = (id) => DeviceRegistry.reconnectDevice(id);
+
+  /**
+   * Switch between WiFi and BLE transports
+   * Drops the current connection; the choice is persisted for next launch.
+   * @param {string} type - One of TRANSPORT_TYPES
+   */
+  const selectTransport = async (type) => {
+    if (type === transportType) {
+      return { success: true, type };
+    }
+
+    setIsConnecting(false);
+    setIsScanning(false);
+    setAvailableDevices([]);
+    setConnectionError(null);
+    await disconnectDevice();
+
+    const result = await WearableTransport.setTransport(type, getTransportCallbacks());
+    setTransportType(type);
+    if (!result.success) {
+      setConnectionError(result.error);
+    }
+    return result;
+  };
+
   // ==================== DATA METHODS ====================
 
+  /**
+   * Download and back-fill readings buffered on the wearable
+   * @param {string} deviceId
+   * @param {string} calibrationId - Sensor calibration to apply (defaults to deviceId)
+   * @param {number} connectedAt - When the wearable (re)connected (ms)
+   */
+  const syncOfflineReadings = async (deviceId, calibrationId = deviceId, connectedAt = Date.now()) => {
+    setIsSyncing(true);
+    try {
+      const result = await WearableSyncService.syncDevice(
+        WearableTransport.getCurrent(),
+        deviceId,
+        { calibrationId, connectedAt }
+      );
+      if (result.supported) {
+        setLastSyncResult({ ...result, timestamp: new Date().toISOString() });
+      }
+      if (result.predictions > 0) {
+        // Refresh in-memory history so history screens pick up back-filled entries
+        const todayPredictions = await StorageService.getTodayPredictions();
+        setPredictionHistory(todayPredictions.slice(-50));
+      }
+      return result;
+    } catch (error) {
+      console.error('Error syncing offline readings:', error);
+      return { success: false, error: error.message };
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
   const refreshDeviceInfo = async () => {
     try {
-      const info = await ESP32WiFiService.readDeviceInfo();
+      const info = await WearableTransport.getCurrent().readDeviceInfo();
       if (info) {
         setDeviceInfo((prev) => ({
           ...prev,
@@ -294,6 +603,206 @@ export const WearableProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Send a configuration command to the connected wearable
+   * @param {string} command - One of DEVICE_COMMANDS
+   * @param {Object} params - Command parameters
+   * @returns {Object} { success, result } or { success: false, error }
+   */
+  const sendDeviceCommand = async (command, params = {}) => {
+    if (!isConnected || connectedDevice?.id === 'mock-device') {
+      return { success: false, error: 'Connect to a wearable first' };
+    }
+
+    const service = WearableTransport.getCurrent();
+    if (typeof service.sendCommand !== 'function') {
+      return { success: false, error: 'This connection does not support device commands' };
+    }
+
+    try {
+      const result = await service.sendCommand(command, params);
+      if (result.success && command !== DEVICE_COMMANDS.REBOOT) {
+        // Pick up the device's new settings (sampling rate, feedback, ...)
+        await refreshDeviceInfo();
+      }
+      return result;
+    } catch (error) {
+      console.error('Error sending device command:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Compare the connected device's firmware with the bundled firmware
+   */
+  const getFirmwareStatus = () => {
+    return FirmwareUpdateService.checkForUpdate(deviceInfo);
+  };
+
+  /**
+   * Connection quality of the primary wearable's link
+   * @returns {Object|null} ConnectionMetrics snapshot, or null when the
+   *   transport does not track metrics (demo mode, replay)
+   */
+  const getConnectionMetrics = () => {
+    if (connectedDevice?.id === 'mock-device') {
+      return null;
+    }
+    const service = WearableTransport.getCurrent();
+    return typeof service.getMetrics === 'function' ? service.getMetrics() : null;
+  };
+
+  /**
+   * Plain-text connection report to share with support
+   */
+  const getDiagnosticsReport = () => {
+    return formatDiagnosticsReport(getConnectionMetrics(), {
+      appVersion: ConfigManager.getAllConfig().app?.version,
+      transport: TRANSPORT_LABELS[transportType] || transportType,
+      device: connectedDevice,
+      isConnected,
+      isReconnecting,
+      reconnectState,
+      deviceInfo,
+      connectionError,
+      lastSyncResult,
+    });
+  };
+
+  // ==================== SENSOR CALIBRATION ====================
+
+  /**
+   * Collect the readings the primary wearable delivers over a period
+   * @param {number} durationMs
+   * @param {Function} onProgress - (fraction, frameCount) => void
+   * @returns {Promise<Array>} Parsed readings (each keeps its raw frame)
+   */
+  const captureReadings = (durationMs, onProgress) =>
+    new Promise((resolve) => {
+      const readings = [];
+      const listener = (data) => readings.push(data);
+      frameListenersRef.current.add(listener);
+
+      const startedAt = Date.now();
+      const timer = setInterval(() => {
+        const elapsed = Date.now() - startedAt;
+        if (onProgress) {
+          onProgress(Math.min(1, elapsed / durationMs), readings.length);
+        }
+        if (elapsed >= durationMs) {
+          clearInterval(timer);
+          frameListenersRef.current.delete(listener);
+          resolve(readings);
+        }
+      }, 250);
+    });
+
+  /**
+   * Store a calibration for the connected wearable; applies from the next frame
+   * @param {Object} calibration - computeCalibration() result
+   */
+  const saveSensorCalibration = async (calibration) => {
+    if (!isConnected || !connectedDevice || connectedDevice.id === 'mock-device') {
+      return { success: false, error: 'Connect to a wearable first' };
+    }
+    const result = await ConfigManager.saveDeviceCalibration(getCalibrationId(connectedDevice), calibration);
+    if (result.success) {
+      setSensorCalibration(calibration);
+    }
+    return result;
+  };
+
+  /**
+   * Drop the connected wearable's calibration
+   */
+  const clearSensorCalibration = async () => {
+    if (!connectedDevice) {
+      return { success: false, error: 'Connect to a wearable first' };
+    }
+    const result = await ConfigManager.clearDeviceCalibration(getCalibrationId(connectedDevice));
+    if (result.success) {
+      setSensorCalibration(null);
+    }
+    return result;
+  };
+
+  /**
+   * Forget a child's personal baseline and start learning it again
+   * @param {string|null} deviceId - Monitored wearable, or null for the main one
+   */
+  const resetBaseline = async (deviceId = null) => {
+    if (deviceId) {
+      return DeviceRegistry.resetBaseline(deviceId);
+    }
+    const result = await BaselineService.reset();
+    if (result.success) {
+      setBaseline(result.baseline);
+    }
+    return result;
+  };
+
+  /**
+   * Hand the main wearable to another child: their baseline is loaded and
+   * learned from now on. The current child is named instead if they have
+   * no name yet and no other child has this one.
+   * @param {string} name - Child's name
+   * @returns {Object} { success, profile, error }
+   */
+  const switchChild = async (name) => {
+    if (!name || !name.trim()) {
+      return { success: false, error: "Enter the child's name" };
+    }
+    try {
+      await ChildProfileService.load();
+      let profile = ChildProfileService.findByName(name);
+      if (!profile && activeProfile && !activeProfile.name) {
+        profile = await ChildProfileService.rename(activeProfile.id, name);
+      }
+      if (!profile) {
+        profile = await ChildProfileService.findOrCreate(name);
+      }
+
+      if (profile.id !== activeProfile?.id) {
+        // The state machine's recent history belongs to the previous child
+        MLModelService.clearHistory();
+        await BaselineService.setProfile(null, profile.id);
+        await updateSettings({ activeProfileId: profile.id });
+      }
+      setActiveProfile({ ...profile });
+      setBaseline(BaselineService.getSummary());
+      return { success: true, profile };
+    } catch (error) {
+      console.error('Error switching child:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Flash the bundled firmware onto the connected wearable
+   * @returns {Object} { success, status, fromVersion, toVersion, error }
+   */
+  const updateFirmware = async () => {
+    if (!isConnected || connectedDevice?.id === 'mock-device') {
+      return { success: false, error: 'Connect to a wearable first' };
+    }
+
+    const { deviceVersion, bundledVersion } = FirmwareUpdateService.checkForUpdate(deviceInfo);
+    setFirmwareUpdate({ status: null, progress: 0, fromVersion: deviceVersion, toVersion: bundledVersion });
+
+    const result = await FirmwareUpdateService.updateDevice(
+      WearableTransport.getCurrent(),
+      deviceInfo,
+      {
+        onProgress: ({ status, progress }) =>
+          setFirmwareUpdate((prev) => ({ ...prev, status, progress })),
+      }
+    );
+
+    setFirmwareUpdate((prev) => ({ ...prev, status: result.status, error: result.error || null }));
+    await refreshDeviceInfo();
+    return result;
+  };
+
   const getTodayHistory = async () => {
     try {
       return await StorageService.getTodayPredictions();
@@ -312,8 +821,8 @@ export const WearableProvider = ({ children }) => {
     }
   };
 
-  const getStateInfo = (state) => {
-    return MLModelService.getStateInfo(state);
+  const getStateInfo = (state, signalQuality = null) => {
+    return MLModelService.getStateInfo(state, signalQuality);
   };
 
   // ==================== SETTINGS METHODS ====================
@@ -328,33 +837,132 @@ export const WearableProvider = ({ children }) => {
     }
   };
 
+  // ==================== RECORDING & REPLAY ====================
+
+  /**
+   * Start recording the connected wearable's raw frames to a file
+   */
+  const startRecording = async () => {
+    if (!isConnected || !connectedDevice || connectedDevice.transport === TRANSPORT_TYPES.REPLAY) {
+      return { success: false, error: 'Connect to a wearable first' };
+    }
+    const result = await SessionRecorder.start(connectedDevice, deviceInfo);
+    if (result.success) {
+      setRecordingStatus(result.session);
+    }
+    return result;
+  };
+
+  const stopRecording = async () => {
+    try {
+      const result = await SessionRecorder.stop();
+      setRecordedSessions(await SessionRecorder.listSessions());
+      return result;
+    } catch (error) {
+      console.error('Error saving recording:', error);
+      return { success: false, error: error.message };
+    } finally {
+      setRecordingStatus(null);
+    }
+  };
+
+  const deleteRecordedSession = async (sessionId) => {
+    const result = await SessionRecorder.deleteSession(sessionId);
+    setRecordedSessions(await SessionRecorder.listSessions());
+    return result;
+  };
+
+  /**
+   * Replay a recorded session through the parser and predictor
+   * Replaces the live connection until the replay ends or is stopped.
+   * @param {string} sessionId - Recording ID
+   * @param {number} speed - Playback multiplier (1 = real time)
+   */
+  const startReplay = async (sessionId, speed = 1) => {
+    if (predictionIntervalRef.current) {
+      stopMockDataStream();
+    }
+    if (SessionRecorder.isRecording()) {
+      await stopRecording();
+    }
+    setConnectionError(null);
+
+    const selected = await WearableTransport.select(TRANSPORT_TYPES.REPLAY, getTransportCallbacks());
+    if (!selected.success) {
+      await stopReplay();
+      setConnectionError(selected.error);
+      return selected;
+    }
+
+    MLModelService.clearHistory();
+    const result = await WearableTransport.getCurrent().connect(sessionId, undefined, {
+      speed,
+      onProgress: (progress) => {
+        setReplayState(progress);
+        if (progress.finished) {
+          stopReplay();
+        }
+      },
+    });
+    if (!result.success) {
+      await stopReplay();
+      setConnectionError(result.error);
+    }
+    return result;
+  };
+
+  /**
+   * End a replay and switch back to the saved transport
+   */
+  const stopReplay = async () => {
+    const result = await WearableTransport.select(
+      ConfigManager.getTransportType(),
+      getTransportCallbacks()
+    );
+    setReplayState(null);
+    setIsConnected(false);
+    setConnectedDevice(null);
+    setSensorData(DEFAULT_SENSOR_DATA);
+    setPrediction(DEFAULT_PREDICTION);
+    MLModelService.clearHistory();
+    if (!result.success) {
+      setConnectionError(result.error);
+    }
+    return result;
+  };
+
   // ==================== MOCK DATA (for testing without device) ====================
 
-  const startMockDataStream = () => {
-    console.log('Starting mock data stream...');
-    
-    predictionIntervalRef.current = setInterval(async () => {
-      // Generate mock sensor data
-      const mockData = {
-  heartRate: 60 + Math.random() * 40,
-  fingerDetected: true,
-  temperature: 36 + Math.random() * 1.5,
-  eda: 0.5 + Math.random() * 5,
-  motion: Math.random() > 0.7,  // 👈 random motion detection
-  timestamp: new Date().toISOString(),
-};
+  /**
+   * Play a scripted demo scenario as if a wearable were connected
+   * Frames are generated in the EDA units of the active prediction backend
+   * and run through a SensorDataParser like real device data.
+   * @param {string} scenarioId - Key of MOCK_SCENARIOS
+   */
+  const startMockDataStream = (scenarioId = DEFAULT_MOCK_SCENARIO) => {
+    console.log(`Starting mock data stream (${scenarioId})...`);
+    if (predictionIntervalRef.current) {
+      clearInterval(predictionIntervalRef.current);
+    }
+
+    const player = new MockScenarioPlayer(scenarioId, MLModelService.getInputUnits());
+    const parser = new SensorDataParser();
+    MLModelService.clearHistory();
 
-      // Simulate occasional stress
-      if (Math.random() < 0.1) {
-        mockData.heartRate = 100 + Math.random() * 30;
-        mockData.eda = 5 + Math.random() * 5;
+    const tick = () => {
+      const { frame, status } = player.next();
+      setMockScenario(status);
+      const data = parser.parse(frame);
+      if (data) {
+        handleSensorData(data, { demo: true });
       }
+    };
 
-      handleSensorData(mockData);
-    }, settings.dataCollectionInterval);
+    tick();
+    predictionIntervalRef.current = setInterval(tick, settings.dataCollectionInterval);
 
     setIsConnected(true);
-    setConnectedDevice({ id: 'mock-device', name: 'Mock ESP32 Device' });
+    setConnectedDevice({ id: 'mock-device', name: `Demo: ${MOCK_SCENARIOS[scenarioId].name}` });
   };
 
   const stopMockDataStream = () => {
@@ -362,6 +970,7 @@ export const WearableProvider = ({ children }) => {
       clearInterval(predictionIntervalRef.current);
       predictionIntervalRef.current = null;
     }
+    setMockScenario(null);
     setIsConnected(false);
     setConnectedDevice(null);
   };
@@ -370,8 +979,11 @@ export const WearableProvider = ({ children }) => {
 
   const contextValue = {
     // Connection state
+    transportType,
     isConnected,
     isConnecting,
+    isReconnecting,
+    reconnectState,
     isScanning,
     availableDevices,
     connectedDevice,
@@ -388,9 +1000,31 @@ export const WearableProvider = ({ children }) => {
     // Device info
     deviceInfo,
 
+    // Offline buffer sync
+    isSyncing,
+    lastSyncResult,
+
+    // Firmware update
+    firmwareUpdate,
+
+    // Other children's wearables
+    monitoredDevices,
+
+    // Paired WiFi wearables
+    pairedWearables,
+    requirePairing,
+
+    // Sensor calibration
+    sensorCalibration,
+
+    // Main wearable's child and their personal baseline
+    activeProfile,
+    baseline,
+
     // Model state
     isModelReady,
     modelError,
+    modelInfo,
 
     // Settings
     settings,
@@ -400,13 +1034,42 @@ export const WearableProvider = ({ children }) => {
     stopScan,
     connectToDevice,
     disconnectDevice,
+    pairDevice,
+    forgetPairedWearable,
+    setRequirePairing,
+    selectTransport,
+    addMonitoredDevice,
+    removeMonitoredDevice,
+    reconnectMonitoredDevice,
     refreshDeviceInfo,
+    sendDeviceCommand,
+    getFirmwareStatus,
+    updateFirmware,
+    getConnectionMetrics,
+    getDiagnosticsReport,
+    captureReadings,
+    saveSensorCalibration,
+    clearSensorCalibration,
+    resetBaseline,
+    switchChild,
+    syncOfflineReadings,
     getTodayHistory,
     getWeeklyStressData,
     getStateInfo,
     updateSettings,
 
+    // Session recording and replay
+    recordingStatus,
+    recordedSessions,
+    replayState,
+    startRecording,
+    stopRecording,
+    deleteRecordedSession,
+    startReplay,
+    stopReplay,
+
     // Mock data methods (for testing)
+    mockScenario,
     startMockDataStream,
     stopMockDataStream,
   };
@@ -418,4 +1081,4 @@ export const WearableProvider = ({ children }) => {
   );
 };
 
-export { MIND_STATES };
+export { MIND_STATES, TRANSPORT_TYPES, DEVICE_COMMANDS, MOCK_SCENARIOS };
@@ -11,37 +11,235 @@ import {
   RefreshControl,
   TextInput,
   Modal,
+  Switch,
+  Share,
 } from "react-native";
 import { MaterialIcons, MaterialCommunityIcons } from "@expo/vector-icons";
-import { WearableContext } from "../context/WearableContext";
+import {
+  WearableContext,
+  TRANSPORT_TYPES,
+  DEVICE_COMMANDS,
+  MOCK_SCENARIOS,
+} from "../context/WearableContext";
 import ConfigManager from "../utils/ConfigManager";
+import { UPDATE_STATUS } from "../services/FirmwareUpdateService";
+import { REPLAY_SPEEDS } from "../services/SessionReplayService";
+import {
+  CALIBRATION_STEPS,
+  DEFAULT_KNOWN_RESISTANCE,
+  summarizeReadings,
+  computeCalibration,
+} from "../services/SensorCalibration";
+
+// Sampling rates offered in Device Controls (Hz)
+const SAMPLING_RATE_OPTIONS = [1, 5, 10, 25];
+
+const FIRMWARE_STATUS_TEXT = {
+  [UPDATE_STATUS.PREPARING]: "Verifying firmware image...",
+  [UPDATE_STATUS.UPLOADING]: "Uploading firmware...",
+  [UPDATE_STATUS.REBOOTING]: "Installing — the wearable is restarting...",
+  [UPDATE_STATUS.UPDATED]: "Firmware updated",
+  [UPDATE_STATUS.ROLLED_BACK]: "Update rolled back",
+  [UPDATE_STATUS.FAILED]: "Update failed",
+};
+
+// UUID fields shown in the hardware profile editor
+const PROFILE_UUID_FIELDS = [
+  { key: "serviceUUID", label: "Service UUID" },
+  { key: "sensorCharacteristicUUID", label: "Sensor Data Characteristic" },
+  { key: "deviceInfoCharacteristicUUID", label: "Device Info Characteristic" },
+  { key: "commandCharacteristicUUID", label: "Command Characteristic" },
+];
+
+// Heart rate processing fields shown in the hardware profile editor
+const PROFILE_HEART_RATE_FIELDS = [
+  { key: "smoothingWindow", label: "HR Smoothing Window (readings)", placeholder: "6" },
+  { key: "maxJump", label: "HR Spike Threshold (BPM)", placeholder: "25" },
+  { key: "displayMin", label: "HR Display Minimum (BPM)", placeholder: "40" },
+  { key: "displayMax", label: "HR Display Maximum (BPM)", placeholder: "220" },
+];
+
+// What the calibration wizard asks for at each measuring step
+const CALIBRATION_STEP_TEXT = {
+  [CALIBRATION_STEPS.OPEN_CIRCUIT.id]: {
+    title: "Step 1 of 3: Open Circuit",
+    instructions:
+      "Take the wearable off and make sure nothing touches the EDA electrodes.",
+  },
+  [CALIBRATION_STEPS.KNOWN_RESISTOR.id]: {
+    title: "Step 2 of 3: Known Resistor",
+    instructions:
+      "Hold a resistor across the two EDA electrodes and enter its value. Skip this step if you do not have one.",
+  },
+  [CALIBRATION_STEPS.RESTING.id]: {
+    title: "Step 3 of 3: Resting Baseline",
+    instructions:
+      "Put the wearable on the child and ask them to sit quietly for a minute. To correct the heart rate too, enter a pulse taken with another device during the measurement.",
+  },
+};
+const CALIBRATION_STEP_ORDER = [
+  CALIBRATION_STEPS.OPEN_CIRCUIT,
+  CALIBRATION_STEPS.KNOWN_RESISTOR,
+  CALIBRATION_STEPS.RESTING,
+];
+
+// "m:ss" (or "h:mm:ss") for recording durations
+const formatDuration = (ms = 0) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+// How often the diagnostics panel re-reads the connection metrics (ms)
+const DIAGNOSTICS_REFRESH_INTERVAL = 2000;
+
+const formatPercent = (fraction) =>
+  fraction === null ? "—" : `${Math.round(fraction * 100)}%`;
+
+// Label/value rows for the diagnostics panel
+const getDiagnosticsRows = (metrics) => {
+  const { requests, frames, gaps, rssi } = metrics;
+  const rows = [
+    {
+      label: "Sample Rate",
+      value: metrics.sampleRate === null ? "—" : `${metrics.sampleRate.toFixed(1)} Hz`,
+    },
+    {
+      label: "Frames",
+      value: `${frames.received} received · ${frames.dropped} dropped`,
+      warn: frames.dropRate > 0.05,
+    },
+    {
+      label: "Gaps",
+      value: gaps.count
+        ? `${gaps.count} (longest ${Math.round(gaps.longestMs / 1000)}s)`
+        : "None",
+      warn: gaps.count > 0,
+    },
+  ];
+  if (requests.count) {
+    rows.push(
+      {
+        label: "Request Success",
+        value: formatPercent(requests.successRate),
+        warn: requests.successRate < 0.9,
+      },
+      {
+        label: "Latency",
+        value:
+          requests.avgLatency === null
+            ? "—"
+            : `${requests.avgLatency} ms (p95 ${requests.p95Latency} ms)`,
+      }
+    );
+  }
+  if (rssi) {
+    rows.push({
+      label: "Signal (RSSI)",
+      value: `${rssi.last} dBm (avg ${rssi.avg})`,
+      warn: rssi.avg < -85,
+    });
+  }
+  rows.push({
+    label: "Disconnects",
+    value: String(metrics.disconnects),
+    warn: metrics.disconnects > 0,
+  });
+  return rows;
+};
 
 export default function DeviceInfo({ navigation }) {
   const scheme = useColorScheme();
   const isDark = scheme === "dark";
 
   const {
+    transportType,
     isConnected,
     isConnecting,
+    isReconnecting,
+    reconnectState,
     isScanning,
     availableDevices,
     connectedDevice,
     connectionError,
     deviceInfo,
     sensorData,
+    isSyncing,
+    lastSyncResult,
     scanForDevices,
     stopScan,
     connectToDevice,
     disconnectDevice,
+    pairDevice,
+    forgetPairedWearable,
+    pairedWearables,
     refreshDeviceInfo,
+    sendDeviceCommand,
+    firmwareUpdate,
+    getFirmwareStatus,
+    updateFirmware,
+    getConnectionMetrics,
+    getDiagnosticsReport,
+    recordingStatus,
+    recordedSessions,
+    replayState,
+    startRecording,
+    stopRecording,
+    deleteRecordedSession,
+    startReplay,
+    stopReplay,
+    mockScenario,
     startMockDataStream,
     stopMockDataStream,
+    sensorCalibration,
+    captureReadings,
+    saveSensorCalibration,
+    clearSensorCalibration,
   } = useContext(WearableContext);
 
   const [refreshing, setRefreshing] = useState(false);
   const [showIPModal, setShowIPModal] = useState(false);
   const [ipAddress, setIpAddress] = useState("");
   const [port, setPort] = useState("80");
+  const [pendingCommand, setPendingCommand] = useState(null);
+  const [profiles, setProfiles] = useState(() => ConfigManager.getDeviceProfiles());
+  // Form values while the hardware profile editor is open
+  const [editingProfile, setEditingProfile] = useState(null);
+  const [diagnostics, setDiagnostics] = useState(null);
+  // WiFi wearable waiting for its pairing key: { ip, port }
+  const [pairingTarget, setPairingTarget] = useState(null);
+  const [pairingKey, setPairingKey] = useState("");
+  const [isPairing, setIsPairing] = useState(false);
+  // Calibration wizard state while it is open: { step, measurements,
+  // resistanceKohm, referenceHeartRate, progress, capturing, result }
+  const [calibrationWizard, setCalibrationWizard] = useState(null);
+
+  const isBLE = transportType === TRANSPORT_TYPES.BLE;
+  const isMock = connectedDevice?.id === "mock-device";
+  const isReplay = connectedDevice?.transport === TRANSPORT_TYPES.REPLAY;
+  const connectedProfile =
+    isBLE && isConnected && connectedDevice
+      ? ConfigManager.getProfileForDevice(connectedDevice.id)
+      : null;
+  const firmwareStatus = getFirmwareStatus();
+  const isUpdatingFirmware =
+    !!firmwareUpdate &&
+    ![
+      UPDATE_STATUS.UPDATED,
+      UPDATE_STATUS.ROLLED_BACK,
+      UPDATE_STATUS.FAILED,
+    ].includes(firmwareUpdate.status);
+  // A reconnecting session still belongs to the device and can be cancelled
+  const hasSession = isConnected || isReconnecting;
+  const statusColor = isConnected
+    ? "#22c55e"
+    : isReconnecting
+    ? "#f59e0b"
+    : "#ef4444";
 
   // Load saved IP and port from config on mount
   useEffect(() => {
@@ -55,6 +253,18 @@ export default function DeviceInfo({ navigation }) {
     loadSavedConfig();
   }, []);
 
+  // Keep the diagnostics panel live while a real transport is in use
+  useEffect(() => {
+    if (isMock || isReplay) {
+      setDiagnostics(null);
+      return undefined;
+    }
+    const refresh = () => setDiagnostics(getConnectionMetrics());
+    refresh();
+    const timer = setInterval(refresh, DIAGNOSTICS_REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isMock, isReplay, transportType, isConnected]);
+
   // Calculate last sync time display
   const getLastSyncDisplay = () => {
     if (!deviceInfo.lastSync) return "Never";
@@ -76,10 +286,40 @@ export default function DeviceInfo({ navigation }) {
   };
 
   const handleScan = async () => {
-    // WiFi mode - show IP input modal
+    // Both transports discover nearby wearables; WiFi also offers manual IP entry
+    if (isScanning) {
+      stopScan();
+    } else {
+      scanForDevices();
+    }
+  };
+
+  const handleManualIP = () => {
+    stopScan();
     setShowIPModal(true);
   };
 
+  // An unpaired WiFi wearable asks for its pairing key instead of failing
+  const handleConnectResult = (result, ip, portNum) => {
+    if (result.requiresPairing) {
+      setPairingKey("");
+      setPairingTarget({ ip, port: portNum });
+      return;
+    }
+    Alert.alert("Connection Failed", result.error);
+  };
+
+  const handleConnectToListed = async (device) => {
+    try {
+      const result = await connectToDevice(device.ip || device.id, device.port);
+      if (!result.success) {
+        handleConnectResult(result, device.ip || device.id, device.port);
+      }
+    } catch (error) {
+      Alert.alert("Connection Error", error.message);
+    }
+  };
+
   const handleConnectWithIP = async () => {
     if (!ipAddress.trim()) {
       Alert.alert("Error", "Please enter ESP32 IP address");
@@ -100,7 +340,7 @@ export default function DeviceInfo({ navigation }) {
     try {
       const result = await connectToDevice(ipAddress.trim(), portNum);
       if (!result.success) {
-        Alert.alert("Connection Failed", result.error);
+        handleConnectResult(result, ipAddress.trim(), portNum);
       } else {
         Alert.alert("Success", `Connected to ${ipAddress}:${portNum}`);
       }
@@ -109,6 +349,38 @@ export default function DeviceInfo({ navigation }) {
     }
   };
 
+  const handlePair = async () => {
+    setIsPairing(true);
+    const result = await pairDevice(pairingTarget.ip, pairingTarget.port, pairingKey);
+    setIsPairing(false);
+    if (!result.success) {
+      Alert.alert("Pairing Failed", result.error);
+      return;
+    }
+    setPairingTarget(null);
+    Alert.alert("Paired", "This phone and the wearable now only talk over an encrypted, signed connection.");
+  };
+
+  const handleForgetWearable = (wearable) => {
+    Alert.alert(
+      "Forget Wearable",
+      `Forget "${wearable.name}"? It will need its pairing key to connect again.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Forget",
+          style: "destructive",
+          onPress: async () => {
+            const result = await forgetPairedWearable(wearable.deviceId);
+            if (!result.success) {
+              Alert.alert("Cannot Forget", result.error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleDisconnect = () => {
     Alert.alert(
       "Disconnect Device",
@@ -124,6 +396,224 @@ export default function DeviceInfo({ navigation }) {
     );
   };
 
+  const runCommand = async (command, params = {}, successMessage = null) => {
+    setPendingCommand(command);
+    try {
+      const result = await sendDeviceCommand(command, params);
+      if (!result.success) {
+        Alert.alert("Command Failed", result.error);
+      } else if (successMessage) {
+        Alert.alert("Done", successMessage);
+      }
+    } finally {
+      setPendingCommand(null);
+    }
+  };
+
+  const handleIdentify = () => {
+    runCommand(DEVICE_COMMANDS.IDENTIFY, {}, "The wearable's LED is blinking.");
+  };
+
+  const handleRecalibrate = () => {
+    Alert.alert(
+      "Recalibrate EDA",
+      "Ask the child to keep still with the sensor on for a few seconds.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Start",
+          onPress: () =>
+            runCommand(
+              DEVICE_COMMANDS.RECALIBRATE_EDA,
+              {},
+              "EDA sensor recalibrated."
+            ),
+        },
+      ]
+    );
+  };
+
+  const openCalibrationWizard = () => {
+    setCalibrationWizard({
+      step: CALIBRATION_STEPS.OPEN_CIRCUIT.id,
+      measurements: {},
+      resistanceKohm: String(DEFAULT_KNOWN_RESISTANCE / 1000),
+      referenceHeartRate: "",
+      progress: null,
+      capturing: false,
+      result: null,
+    });
+  };
+
+  // Move to the step after `stepId`; after the last one, work out the result.
+  // Does nothing if the wizard was closed while the step was measuring.
+  const advanceCalibrationWizard = (stepId, measurements) => {
+    const next = CALIBRATION_STEP_ORDER.findIndex((step) => step.id === stepId) + 1;
+    if (next < CALIBRATION_STEP_ORDER.length) {
+      setCalibrationWizard((prev) =>
+        prev
+          ? {
+              ...prev,
+              step: CALIBRATION_STEP_ORDER[next].id,
+              measurements,
+              progress: null,
+              capturing: false,
+            }
+          : prev
+      );
+      return;
+    }
+    setCalibrationWizard((prev) =>
+      prev
+        ? {
+            ...prev,
+            step: "review",
+            measurements,
+            progress: null,
+            capturing: false,
+            result: computeCalibration(measurements, ConfigManager.getEdaConfig().circuit),
+          }
+        : prev
+    );
+  };
+
+  const handleMeasureCalibrationStep = async () => {
+    const { step: stepId, measurements, resistanceKohm, referenceHeartRate } =
+      calibrationWizard;
+    const step = CALIBRATION_STEP_ORDER.find(({ id }) => id === stepId);
+
+    const resistance = parseFloat(resistanceKohm) * 1000;
+    if (stepId === CALIBRATION_STEPS.KNOWN_RESISTOR.id && !(resistance > 0)) {
+      Alert.alert("Calibration", "Enter the resistor value in kΩ");
+      return;
+    }
+
+    setCalibrationWizard((prev) => ({ ...prev, capturing: true, progress: 0 }));
+    const readings = await captureReadings(step.duration, (progress) =>
+      setCalibrationWizard((prev) => (prev ? { ...prev, progress } : prev))
+    );
+    const summary = summarizeReadings(readings);
+
+    if (summary.eda === null) {
+      setCalibrationWizard((prev) =>
+        prev ? { ...prev, capturing: false, progress: null } : prev
+      );
+      Alert.alert(
+        "No Readings",
+        "The wearable did not send any EDA readings. Check it is still connected and try again."
+      );
+      return;
+    }
+
+    if (stepId === CALIBRATION_STEPS.OPEN_CIRCUIT.id) {
+      advanceCalibrationWizard(stepId, { ...measurements, openCircuit: summary.eda });
+    } else if (stepId === CALIBRATION_STEPS.KNOWN_RESISTOR.id) {
+      advanceCalibrationWizard(stepId, {
+        ...measurements,
+        knownResistor: { resistance, adc: summary.eda },
+      });
+    } else {
+      const reference = parseFloat(referenceHeartRate);
+      advanceCalibrationWizard(stepId, {
+        ...measurements,
+        resting: {
+          eda: summary.eda,
+          heartRate: summary.heartRate,
+          referenceHeartRate: reference > 0 ? reference : null,
+        },
+      });
+    }
+  };
+
+  const handleSkipKnownResistor = () => {
+    advanceCalibrationWizard(CALIBRATION_STEPS.KNOWN_RESISTOR.id, {
+      ...calibrationWizard.measurements,
+      knownResistor: null,
+    });
+  };
+
+  const handleSaveCalibration = async () => {
+    const result = await saveSensorCalibration(calibrationWizard.result.calibration);
+    if (!result.success) {
+      Alert.alert("Calibration", result.error);
+      return;
+    }
+    setCalibrationWizard(null);
+    Alert.alert("Calibrated", "Readings from this wearable are now corrected.");
+  };
+
+  const handleResetCalibration = () => {
+    Alert.alert(
+      "Reset Calibration",
+      "Readings from this wearable will no longer be corrected.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Reset",
+          style: "destructive",
+          onPress: async () => {
+            const result = await clearSensorCalibration();
+            if (!result.success) {
+              Alert.alert("Calibration", result.error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleReboot = () => {
+    Alert.alert(
+      "Reboot Wearable",
+      "The wearable will restart and reconnect automatically.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Reboot",
+          style: "destructive",
+          onPress: () => runCommand(DEVICE_COMMANDS.REBOOT),
+        },
+      ]
+    );
+  };
+
+  const handleUpdateFirmware = () => {
+    Alert.alert(
+      "Update Firmware",
+      `Install firmware ${firmwareStatus.bundledVersion} on the wearable? Keep it charged and close to the phone; it will restart when done.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Update",
+          onPress: async () => {
+            const result = await updateFirmware();
+            if (result.success) {
+              Alert.alert("Firmware Updated", `The wearable is now running ${result.toVersion}.`);
+            } else {
+              Alert.alert(
+                result.status === UPDATE_STATUS.ROLLED_BACK
+                  ? "Update Rolled Back"
+                  : "Update Failed",
+                result.error
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleShareReport = async () => {
+    try {
+      await Share.share({
+        title: "NeuroNest connection report",
+        message: getDiagnosticsReport(),
+      });
+    } catch (error) {
+      Alert.alert("Share Failed", error.message);
+    }
+  };
+
   const handleDemoMode = () => {
     if (isConnected && connectedDevice?.id === "mock-device") {
       stopMockDataStream();
@@ -132,6 +622,121 @@ export default function DeviceInfo({ navigation }) {
     }
   };
 
+  const openProfileEditor = (profileId = null) => {
+    // New profiles start from the default profile's UUIDs and heart rate settings
+    const profile = ConfigManager.getDeviceProfile(profileId);
+    setEditingProfile({
+      id: profileId,
+      name: profileId ? profile.name : "",
+      ...profile.ble,
+      nameFilters: profile.ble.nameFilters.join(", "),
+      ...Object.fromEntries(
+        PROFILE_HEART_RATE_FIELDS.map(({ key }) => [key, String(profile.heartRate[key])])
+      ),
+    });
+  };
+
+  const handleSaveProfile = async () => {
+    const { id, name, nameFilters, ...fields } = editingProfile;
+    const ble = Object.fromEntries(
+      PROFILE_UUID_FIELDS.map(({ key }) => [key, (fields[key] || "").trim()])
+    );
+    const heartRate = Object.fromEntries(
+      PROFILE_HEART_RATE_FIELDS.map(({ key }) => [key, Number(fields[key])])
+    );
+    const result = await ConfigManager.saveDeviceProfile(id || `profile-${Date.now()}`, {
+      name,
+      ble: { ...ble, nameFilters: nameFilters.split(",") },
+      heartRate,
+    });
+    if (!result.success) {
+      Alert.alert("Invalid Profile", result.error);
+      return;
+    }
+    setProfiles(ConfigManager.getDeviceProfiles());
+    setEditingProfile(null);
+  };
+
+  const handleDeleteProfile = () => {
+    Alert.alert(
+      "Delete Profile",
+      `Delete "${editingProfile.name}"? Wearables using it switch to the default profile.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            const result = await ConfigManager.deleteDeviceProfile(editingProfile.id);
+            if (!result.success) {
+              Alert.alert("Cannot Delete", result.error);
+              return;
+            }
+            setProfiles(ConfigManager.getDeviceProfiles());
+            setEditingProfile(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const handleUseProfile = async (profileId) => {
+    const result = await ConfigManager.assignDeviceProfile(connectedDevice.id, profileId);
+    if (!result.success) {
+      Alert.alert("Profile", result.error);
+      return;
+    }
+    setProfiles(ConfigManager.getDeviceProfiles());
+    Alert.alert(
+      "Profile Assigned",
+      "Disconnect and reconnect the wearable to use this profile's UUIDs."
+    );
+  };
+
+  const handleToggleRecording = async () => {
+    const result = recordingStatus ? await stopRecording() : await startRecording();
+    if (!result.success) {
+      Alert.alert("Recording", result.error);
+    }
+  };
+
+  const handleReplay = async (sessionId, speed) => {
+    const result = await startReplay(sessionId, speed);
+    if (!result.success) {
+      Alert.alert("Replay Failed", result.error);
+    }
+  };
+
+  const handleDeleteSession = (session) => {
+    Alert.alert(
+      "Delete Recording",
+      `Delete the recording from ${new Date(session.startedAt).toLocaleString()}?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => deleteRecordedSession(session.id),
+        },
+      ]
+    );
+  };
+
+  const handlePlayScenario = (scenarioId) => {
+    if (isConnected && !isMock) {
+      Alert.alert(
+        "Disconnect First",
+        "Demo scenarios replace the live wearable. Disconnect it to play one."
+      );
+      return;
+    }
+    if (mockScenario?.id === scenarioId) {
+      stopMockDataStream();
+    } else {
+      startMockDataStream(scenarioId);
+    }
+  };
+
   return (
     <View
       style={[
@@ -185,14 +790,22 @@ export default function DeviceInfo({ navigation }) {
               style={[
                 styles.connectionIcon,
                 {
-                  backgroundColor: isConnected ? "#22c55e20" : "#ef444420",
+                  backgroundColor: `${statusColor}20`,
                 },
               ]}
             >
               <MaterialIcons
-                name={isConnected ? "wifi" : "wifi-off"}
+                name={
+                  isBLE
+                    ? isConnected
+                      ? "bluetooth-connected"
+                      : "bluetooth-disabled"
+                    : isConnected
+                    ? "wifi"
+                    : "wifi-off"
+                }
                 size={32}
-                color={isConnected ? "#22c55e" : "#ef4444"}
+                color={statusColor}
               />
             </View>
             <View style={styles.connectionInfo}>
@@ -202,9 +815,18 @@ export default function DeviceInfo({ navigation }) {
                   { color: isDark ? "#fff" : "#111" },
                 ]}
               >
-                {isConnected ? "Connected" : "Disconnected"}
+                {isConnected
+                  ? "Connected"
+                  : isReconnecting
+                  ? "Reconnecting..."
+                  : "Disconnected"}
               </Text>
-              {isConnected && connectedDevice && (
+              {isReconnecting && reconnectState && (
+                <Text style={[styles.deviceName, { color: "#f59e0b" }]}>
+                  Attempt {reconnectState.attempt} of {reconnectState.maxAttempts}
+                </Text>
+              )}
+              {hasSession && connectedDevice && (
                 <Text
                   style={[
                     styles.deviceName,
@@ -214,15 +836,46 @@ export default function DeviceInfo({ navigation }) {
                   {connectedDevice.name}
                 </Text>
               )}
+              {isConnected && connectedDevice?.transport === TRANSPORT_TYPES.WIFI && (
+                <Text
+                  style={[
+                    styles.deviceName,
+                    { color: connectedDevice.secure ? "#22c55e" : "#f59e0b" },
+                  ]}
+                >
+                  {connectedDevice.secure
+                    ? "Paired · encrypted"
+                    : "Not paired · unencrypted"}
+                </Text>
+              )}
             </View>
           </View>
 
-          {isConnected ? (
+          {isConnected && (isSyncing || lastSyncResult) && (
+            <View style={styles.syncRow}>
+              {isSyncing ? (
+                <ActivityIndicator size="small" color="#13a4ec" />
+              ) : (
+                <MaterialIcons name="cloud-done" size={16} color="#13a4ec" />
+              )}
+              <Text style={styles.syncText}>
+                {isSyncing
+                  ? "Downloading readings stored on the wearable..."
+                  : lastSyncResult.success
+                  ? `Synced ${lastSyncResult.added} buffered reading${lastSyncResult.added === 1 ? "" : "s"}`
+                  : `Sync failed: ${lastSyncResult.error}`}
+              </Text>
+            </View>
+          )}
+
+          {hasSession ? (
             <TouchableOpacity
               style={[styles.actionButton, styles.disconnectButton]}
               onPress={handleDisconnect}
             >
-              <Text style={styles.disconnectButtonText}>Disconnect</Text>
+              <Text style={styles.disconnectButtonText}>
+                {isReconnecting ? "Stop Reconnecting" : "Disconnect"}
+              </Text>
             </TouchableOpacity>
           ) : (
             <TouchableOpacity
@@ -233,12 +886,80 @@ export default function DeviceInfo({ navigation }) {
               {isConnecting ? (
                 <ActivityIndicator size="small" color="#fff" />
               ) : (
-                <Text style={styles.scanButtonText}>Enter IP Address</Text>
+                <Text style={styles.scanButtonText}>
+                  {isScanning
+                    ? "Stop Scanning"
+                    : isBLE
+                    ? "Scan for Devices"
+                    : "Find Wearable"}
+                </Text>
               )}
             </TouchableOpacity>
           )}
+
+          {!hasSession && !isBLE && (
+            <TouchableOpacity
+              style={styles.manualIPLink}
+              onPress={handleManualIP}
+              disabled={isConnecting}
+            >
+              <Text style={styles.manualIPText}>Enter IP Address</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
+        {/* Discovered Devices */}
+        {!isConnected && (isScanning || availableDevices.length > 0) && (
+          <View
+            style={[
+              styles.statusCard,
+              { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+            ]}
+          >
+            <View style={styles.deviceListHeader}>
+              <Text
+                style={[styles.infoTitle, { color: isDark ? "#fff" : "#111" }]}
+              >
+                Nearby Wearables
+              </Text>
+              {isScanning && <ActivityIndicator size="small" color="#13a4ec" />}
+            </View>
+            {availableDevices.map((device) => (
+              <TouchableOpacity
+                key={device.id}
+                style={[
+                  styles.deviceRow,
+                  { borderTopColor: isDark ? "#2c2c2c" : "#eee" },
+                ]}
+                onPress={() => handleConnectToListed(device)}
+                disabled={isConnecting}
+              >
+                <View>
+                  <Text
+                    style={[
+                      styles.deviceRowName,
+                      { color: isDark ? "#fff" : "#111" },
+                    ]}
+                  >
+                    {device.name}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.deviceRowDetail,
+                      { color: isDark ? "#a0b3bd" : "#617c89" },
+                    ]}
+                  >
+                    {device.ip ? `${device.ip}:${device.port || 80}` : device.id}
+                    {device.rssi != null ? `  •  ${device.rssi} dBm` : ""}
+                    {device.latency != null ? `  •  ${device.latency} ms` : ""}
+                  </Text>
+                </View>
+                <MaterialIcons name="keyboard-arrow-right" size={20} color="#888" />
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
         {/* IP Address Input Modal */}
         <Modal
           visible={showIPModal}
@@ -348,46 +1069,146 @@ export default function DeviceInfo({ navigation }) {
           </View>
         </Modal>
 
-        {/* Error Message */}
-        {connectionError && !showIPModal && (
-          <View style={styles.errorBanner}>
-            <MaterialIcons name="error-outline" size={20} color="#ef4444" />
-            <Text style={styles.errorText}>{connectionError}</Text>
-          </View>
-        )}
-
-        {/* ESP32 Info */}
-        <View
-          style={[
-            styles.infoCard,
-            { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
-          ]}
+        {/* Pairing Key Modal */}
+        <Modal
+          visible={pairingTarget !== null}
+          transparent={true}
+          animationType="slide"
+          onRequestClose={() => setPairingTarget(null)}
         >
-          <MaterialCommunityIcons name="wifi" size={24} color="#13a4ec" />
-          <View style={styles.infoContent}>
-            <Text
-              style={[styles.infoTitle, { color: isDark ? "#fff" : "#111" }]}
-            >
-              ESP32 WiFi Connection
-            </Text>
-            <Text
+          <View style={styles.modalOverlay}>
+            <View
               style={[
-                styles.infoDesc,
-                { color: isDark ? "#a0b3bd" : "#617c89" },
+                styles.modalContent,
+                { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
               ]}
             >
-              ESP32 runs HTTP server on local WiFi network. Ensure both devices
-              are on the same network. Check Serial Monitor for ESP32's IP
-              address.
-            </Text>
-            {connectedDevice?.ip && (
               <Text
                 style={[
-                  styles.infoDesc,
-                  { color: "#13a4ec", marginTop: 8, fontWeight: "600" },
-                ]}
+                  styles.modalTitle,
+                  { color: isDark ? "#fff" : "#111" },
+                ]}
+              >
+                Pair Wearable
+              </Text>
+
+              <Text
+                style={[
+                  styles.modalLabel,
+                  { color: isDark ? "#a0b3bd" : "#617c89" },
+                ]}
+              >
+                Pairing Key
+              </Text>
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: isDark ? "#2c2c2c" : "#f6f7f8",
+                    color: isDark ? "#fff" : "#111",
+                  },
+                ]}
+                placeholder="ABCD-EFGH-JKLM-NPQR"
+                placeholderTextColor={isDark ? "#666" : "#999"}
+                value={pairingKey}
+                onChangeText={setPairingKey}
+                autoCapitalize="characters"
+                autoCorrect={false}
+              />
+
+              <Text
+                style={[
+                  styles.modalHint,
+                  { color: isDark ? "#a0b3bd" : "#617c89" },
+                ]}
+              >
+                The key is printed on the wearable's label. Hold the wearable's
+                button until its LED blinks blue to put it in pairing mode.
+              </Text>
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    styles.cancelButton,
+                    { borderColor: isDark ? "#666" : "#ccc" },
+                  ]}
+                  onPress={() => setPairingTarget(null)}
+                >
+                  <Text
+                    style={[
+                      styles.cancelButtonText,
+                      { color: isDark ? "#a0b3bd" : "#617c89" },
+                    ]}
+                  >
+                    Cancel
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.connectButtonModal]}
+                  onPress={handlePair}
+                  disabled={isPairing}
+                >
+                  {isPairing ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                  ) : (
+                    <Text style={styles.connectButtonText}>Pair</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        </Modal>
+
+        {/* Error Message */}
+        {connectionError && !showIPModal && (
+          <View style={styles.errorBanner}>
+            <MaterialIcons name="error-outline" size={20} color="#ef4444" />
+            <Text style={styles.errorText}>{connectionError}</Text>
+          </View>
+        )}
+
+        {/* ESP32 Info */}
+        <View
+          style={[
+            styles.infoCard,
+            { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+          ]}
+        >
+          <MaterialCommunityIcons
+            name={isBLE ? "bluetooth" : "wifi"}
+            size={24}
+            color="#13a4ec"
+          />
+          <View style={styles.infoContent}>
+            <Text
+              style={[styles.infoTitle, { color: isDark ? "#fff" : "#111" }]}
+            >
+              {isBLE ? "ESP32 Bluetooth Connection" : "ESP32 WiFi Connection"}
+            </Text>
+            <Text
+              style={[
+                styles.infoDesc,
+                { color: isDark ? "#a0b3bd" : "#617c89" },
+              ]}
+            >
+              {isBLE
+                ? "ESP32 streams sensor data over Bluetooth Low Energy. Keep the wearable within a few metres of the phone. No shared WiFi network is needed."
+                : "ESP32 runs HTTP server on local WiFi network. Ensure both devices are on the same network, then tap Find Wearable. If it is not found, enter the IP address shown in the Serial Monitor."}
+            </Text>
+            {connectedDevice?.ip && (
+              <Text
+                style={[
+                  styles.infoDesc,
+                  { color: "#13a4ec", marginTop: 8, fontWeight: "600" },
+                ]}
               >
                 Connected: {connectedDevice.ip}:{connectedDevice.port || 80}
+                {connectedDevice.dataMode === "stream"
+                  ? "  •  Live stream"
+                  : connectedDevice.dataMode === "polling"
+                  ? "  •  Polling"
+                  : ""}
               </Text>
             )}
           </View>
@@ -432,6 +1253,16 @@ export default function DeviceInfo({ navigation }) {
                 ? `${sensorData.heartRate.toFixed(1)} BPM`
                 : "No Data"}
             </Text>
+            {sensorData.heartRateRaw > 0 && (
+              <Text
+                style={[
+                  styles.sensorRaw,
+                  { color: isDark ? "#a0b3bd" : "#617c89" },
+                ]}
+              >
+                Raw {sensorData.heartRateRaw.toFixed(1)}
+              </Text>
+            )}
           </View>
 
           <View style={styles.sensorCard}>
@@ -607,66 +1438,1103 @@ export default function DeviceInfo({ navigation }) {
           </View>
         </View>
 
-        {/* Demo Mode Info */}
-        <View
-          style={[
-            styles.infoCard,
-            { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
-          ]}
-        >
-          <MaterialIcons name="info-outline" size={24} color="#3b82f6" />
-          <View style={styles.infoContent}>
+        {/* Connection Diagnostics */}
+        {diagnostics?.deviceId && (
+          <>
             <Text
-              style={[styles.infoTitle, { color: isDark ? "#fff" : "#111" }]}
+              style={[styles.sectionTitle, { color: isDark ? "#fff" : "#111" }]}
             >
-              Demo Mode
+              Diagnostics
             </Text>
-            <Text
+            <View
               style={[
-                styles.infoDesc,
-                { color: isDark ? "#a0b3bd" : "#617c89" },
+                styles.statusCard,
+                { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
               ]}
             >
-              Test the app without hardware. Tap the play button above to start
-              simulated sensor data.
-            </Text>
-          </View>
-        </View>
-      </ScrollView>
-    </View>
-  );
-}
+              <Text
+                style={[styles.infoDesc, { color: isDark ? "#a0b3bd" : "#617c89" }]}
+              >
+                Last {Math.round(diagnostics.windowMs / 60000)} minutes
+              </Text>
+              {diagnostics.gaps.currentMs > 0 && (
+                <Text style={[styles.errorText, styles.diagnosticsAlert]}>
+                  No data for {Math.round(diagnostics.gaps.currentMs / 1000)}s
+                </Text>
+              )}
+              {getDiagnosticsRows(diagnostics).map(({ label, value, warn }) => (
+                <View key={label} style={styles.controlRow}>
+                  <Text
+                    style={[styles.controlText, { color: isDark ? "#fff" : "#111" }]}
+                  >
+                    {label}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.diagnosticsValue,
+                      {
+                        color: warn
+                          ? "#f59e0b"
+                          : isDark
+                          ? "#a0b3bd"
+                          : "#617c89",
+                      },
+                    ]}
+                  >
+                    {value}
+                  </Text>
+                </View>
+              ))}
+              <TouchableOpacity
+                style={[styles.actionButton, styles.scanButton, { marginTop: 12 }]}
+                onPress={handleShareReport}
+              >
+                <Text style={styles.scanButtonText}>Share Report</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
 
-const styles = StyleSheet.create({
-  container: {
-    flex: 1,
-  },
+        {/* Firmware */}
+        {isConnected && !isMock && !isReplay && (
+          <>
+            <Text
+              style={[styles.sectionTitle, { color: isDark ? "#fff" : "#111" }]}
+            >
+              Firmware
+            </Text>
+            <View
+              style={[
+                styles.statusCard,
+                { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+              ]}
+            >
+              <View style={styles.controlRow}>
+                <Text
+                  style={[styles.controlText, { color: isDark ? "#fff" : "#111" }]}
+                >
+                  Installed
+                </Text>
+                <Text
+                  style={[
+                    styles.controlText,
+                    { color: isDark ? "#a0b3bd" : "#617c89" },
+                  ]}
+                >
+                  {firmwareStatus.deviceVersion || "Unknown"}
+                </Text>
+              </View>
+              <View style={styles.controlRow}>
+                <Text
+                  style={[styles.controlText, { color: isDark ? "#fff" : "#111" }]}
+                >
+                  Bundled with app
+                </Text>
+                <Text
+                  style={[
+                    styles.controlText,
+                    { color: isDark ? "#a0b3bd" : "#617c89" },
+                  ]}
+                >
+                  {firmwareStatus.bundledVersion || "None"}
+                </Text>
+              </View>
 
-  header: {
-    flexDirection: "row",
-    alignItems: "center",
-    justifyContent: "space-between",
-    paddingHorizontal: 20,
-    paddingVertical: 16,
-    borderBottomWidth: 1,
-  },
+              {firmwareUpdate?.status && (
+                <View style={styles.firmwareProgress}>
+                  <Text
+                    style={[
+                      styles.syncText,
+                      { marginLeft: 0 },
+                      firmwareUpdate.status === UPDATE_STATUS.ROLLED_BACK ||
+                      firmwareUpdate.status === UPDATE_STATUS.FAILED
+                        ? { color: "#ef4444" }
+                        : null,
+                    ]}
+                  >
+                    {FIRMWARE_STATUS_TEXT[firmwareUpdate.status]}
+                    {firmwareUpdate.status === UPDATE_STATUS.UPLOADING
+                      ? ` ${Math.round((firmwareUpdate.progress || 0) * 100)}%`
+                      : ""}
+                  </Text>
+                  {firmwareUpdate.status === UPDATE_STATUS.UPLOADING && (
+                    <View
+                      style={[
+                        styles.progressTrack,
+                        { backgroundColor: isDark ? "#2c2c2c" : "#e2e2e2" },
+                      ]}
+                    >
+                      <View
+                        style={[
+                          styles.progressFill,
+                          { width: `${Math.round((firmwareUpdate.progress || 0) * 100)}%` },
+                        ]}
+                      />
+                    </View>
+                  )}
+                  {firmwareUpdate.error && (
+                    <Text style={[styles.errorText, { marginLeft: 0, marginTop: 4 }]}>
+                      {firmwareUpdate.error}
+                    </Text>
+                  )}
+                </View>
+              )}
 
-  headerTitle: {
-    fontSize: 20,
-    fontWeight: "bold",
-  },
+              {isBLE ? (
+                <Text
+                  style={[
+                    styles.infoDesc,
+                    { color: isDark ? "#a0b3bd" : "#617c89", marginTop: 8 },
+                  ]}
+                >
+                  Connect over WiFi to update the wearable's firmware.
+                </Text>
+              ) : firmwareStatus.updateAvailable || isUpdatingFirmware ? (
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.scanButton, { marginTop: 12 }]}
+                  onPress={handleUpdateFirmware}
+                  disabled={isUpdatingFirmware}
+                >
+                  {isUpdatingFirmware ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                  ) : (
+                    <Text style={styles.scanButtonText}>
+                      Update to {firmwareStatus.bundledVersion}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              ) : (
+                <Text
+                  style={[
+                    styles.infoDesc,
+                    { color: "#22c55e", marginTop: 8, fontWeight: "600" },
+                  ]}
+                >
+                  {firmwareStatus.bundledVersion
+                    ? "Firmware is up to date"
+                    : "No firmware update bundled with this app"}
+                </Text>
+              )}
+            </View>
+          </>
+        )}
 
-  scrollContainer: {
-    padding: 20,
-  },
+        {/* Sensor Calibration */}
+        {isConnected && !isMock && !isReplay && (
+          <>
+            <Text
+              style={[styles.sectionTitle, { color: isDark ? "#fff" : "#111" }]}
+            >
+              Sensor Calibration
+            </Text>
+            <View
+              style={[
+                styles.statusCard,
+                { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+              ]}
+            >
+              {sensorCalibration ? (
+                <>
+                  {[
+                    {
+                      label: "Open Circuit",
+                      value: `${sensorCalibration.eda.circuit.openCircuit} ADC`,
+                    },
+                    {
+                      label: "Reference Resistor",
+                      value: `${(sensorCalibration.eda.circuit.referenceResistor / 1000).toFixed(1)} kΩ`,
+                    },
+                    {
+                      label: "EDA Offset",
+                      value: `${sensorCalibration.eda.offset > 0 ? "+" : ""}${sensorCalibration.eda.offset} ADC`,
+                    },
+                    {
+                      label: "Heart Rate Offset",
+                      value: `${sensorCalibration.heartRate.offset > 0 ? "+" : ""}${sensorCalibration.heartRate.offset} BPM`,
+                    },
+                    {
+                      label: "Calibrated",
+                      value: new Date(sensorCalibration.calibratedAt).toLocaleDateString(),
+                    },
+                  ].map(({ label, value }) => (
+                    <View key={label} style={styles.controlRow}>
+                      <Text
+                        style={[styles.controlText, { color: isDark ? "#fff" : "#111" }]}
+                      >
+                        {label}
+                      </Text>
+                      <Text
+                        style={[
+                          styles.diagnosticsValue,
+                          { color: isDark ? "#a0b3bd" : "#617c89" },
+                        ]}
+                      >
+                        {value}
+                      </Text>
+                    </View>
+                  ))}
+                </>
+              ) : (
+                <Text
+                  style={[styles.infoDesc, { color: isDark ? "#a0b3bd" : "#617c89" }]}
+                >
+                  This wearable is not calibrated. Its readings are interpreted
+                  as if it were the reference board.
+                </Text>
+              )}
+              <TouchableOpacity
+                style={[styles.actionButton, styles.scanButton, { marginTop: 12 }]}
+                onPress={openCalibrationWizard}
+              >
+                <Text style={styles.scanButtonText}>
+                  {sensorCalibration ? "Recalibrate Sensors" : "Calibrate Sensors"}
+                </Text>
+              </TouchableOpacity>
+              {sensorCalibration && (
+                <TouchableOpacity
+                  style={{ marginTop: 16, alignItems: "center" }}
+                  onPress={handleResetCalibration}
+                >
+                  <Text style={[styles.errorText, { marginLeft: 0 }]}>
+                    Reset Calibration
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </>
+        )}
 
-  statusCard: {
-    borderRadius: 16,
-    padding: 20,
-    marginBottom: 20,
-  },
+        {/* Device Controls */}
+        {isConnected && !isMock && !isReplay && (
+          <>
+            <Text
+              style={[styles.sectionTitle, { color: isDark ? "#fff" : "#111" }]}
+            >
+              Device Controls
+            </Text>
+            <View
+              style={[
+                styles.statusCard,
+                { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+              ]}
+            >
+              <Text
+                style={[
+                  styles.controlLabel,
+                  { color: isDark ? "#a0b3bd" : "#617c89" },
+                ]}
+              >
+                Sampling Rate
+              </Text>
+              <View style={styles.rateRow}>
+                {SAMPLING_RATE_OPTIONS.map((hz) => {
+                  const selected = deviceInfo.samplingRate === hz;
+                  return (
+                    <TouchableOpacity
+                      key={hz}
+                      style={[
+                        styles.rateChip,
+                        {
+                          borderColor: selected
+                            ? "#13a4ec"
+                            : isDark
+                            ? "#2c2c2c"
+                            : "#e2e2e2",
+                          backgroundColor: selected ? "#13a4ec20" : "transparent",
+                        },
+                      ]}
+                      onPress={() =>
+                        runCommand(DEVICE_COMMANDS.SET_SAMPLING_RATE, { hz })
+                      }
+                      disabled={pendingCommand !== null}
+                    >
+                      <Text
+                        style={[
+                          styles.rateChipText,
+                          {
+                            color: selected
+                              ? "#13a4ec"
+                              : isDark
+                              ? "#fff"
+                              : "#111",
+                          },
+                        ]}
+                      >
+                        {hz} Hz
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
 
-  connectionHeader: {
+              <View style={styles.controlRow}>
+                <Text
+                  style={[styles.controlText, { color: isDark ? "#fff" : "#111" }]}
+                >
+                  LED Feedback
+                </Text>
+                <Switch
+                  value={!!deviceInfo.ledFeedback}
+                  onValueChange={(led) =>
+                    runCommand(DEVICE_COMMANDS.SET_FEEDBACK, { led })
+                  }
+                  disabled={pendingCommand !== null}
+                  trackColor={{ true: "#13a4ec" }}
+                />
+              </View>
+
+              <View style={styles.controlRow}>
+                <Text
+                  style={[styles.controlText, { color: isDark ? "#fff" : "#111" }]}
+                >
+                  Haptic Feedback
+                </Text>
+                <Switch
+                  value={!!deviceInfo.hapticFeedback}
+                  onValueChange={(haptic) =>
+                    runCommand(DEVICE_COMMANDS.SET_FEEDBACK, { haptic })
+                  }
+                  disabled={pendingCommand !== null}
+                  trackColor={{ true: "#13a4ec" }}
+                />
+              </View>
+
+              <View style={styles.commandRow}>
+                {[
+                  {
+                    command: DEVICE_COMMANDS.IDENTIFY,
+                    label: "Identify",
+                    icon: "lightbulb-outline",
+                    onPress: handleIdentify,
+                  },
+                  {
+                    command: DEVICE_COMMANDS.RECALIBRATE_EDA,
+                    label: "Recalibrate EDA",
+                    icon: "tune",
+                    onPress: handleRecalibrate,
+                  },
+                  {
+                    command: DEVICE_COMMANDS.REBOOT,
+                    label: "Reboot",
+                    icon: "restart-alt",
+                    onPress: handleReboot,
+                  },
+                ].map(({ command, label, icon, onPress }) => (
+                  <TouchableOpacity
+                    key={command}
+                    style={[
+                      styles.commandButton,
+                      { backgroundColor: isDark ? "#2c2c2c" : "#f6f7f8" },
+                    ]}
+                    onPress={onPress}
+                    disabled={pendingCommand !== null}
+                  >
+                    {pendingCommand === command ? (
+                      <ActivityIndicator size="small" color="#13a4ec" />
+                    ) : (
+                      <MaterialIcons name={icon} size={22} color="#13a4ec" />
+                    )}
+                    <Text
+                      style={[
+                        styles.commandButtonText,
+                        { color: isDark ? "#fff" : "#111" },
+                      ]}
+                    >
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          </>
+        )}
+
+        {/* Paired Wearables (WiFi) */}
+        {!isBLE && pairedWearables.length > 0 && (
+          <>
+            <Text
+              style={[styles.sectionTitle, { color: isDark ? "#fff" : "#111" }]}
+            >
+              Paired Wearables
+            </Text>
+            <View
+              style={[
+                styles.statusCard,
+                { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+              ]}
+            >
+              <Text
+                style={[
+                  styles.infoDesc,
+                  { color: isDark ? "#a0b3bd" : "#617c89" },
+                ]}
+              >
+                Only these wearables are trusted. Forget one to stop accepting
+                its data until it is paired again.
+              </Text>
+
+              {pairedWearables.map((wearable) => (
+                <View key={wearable.deviceId} style={styles.sessionRow}>
+                  <View style={styles.sessionInfo}>
+                    <Text
+                      style={[
+                        styles.controlText,
+                        { color: isDark ? "#fff" : "#111" },
+                      ]}
+                    >
+                      {wearable.name}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.infoDesc,
+                        { color: isDark ? "#a0b3bd" : "#617c89" },
+                      ]}
+                    >
+                      {wearable.deviceId} · paired{" "}
+                      {new Date(wearable.pairedAt).toLocaleDateString()}
+                    </Text>
+                  </View>
+                  <TouchableOpacity
+                    style={[
+                      styles.speedChip,
+                      { borderColor: isDark ? "#2c2c2c" : "#e2e2e2" },
+                    ]}
+                    onPress={() => handleForgetWearable(wearable)}
+                  >
+                    <Text style={[styles.rateChipText, { color: "#ef4444" }]}>
+                      Forget
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </View>
+          </>
+        )}
+
+        {/* Hardware Profiles (BLE) */}
+        {isBLE && (
+          <>
+            <Text
+              style={[styles.sectionTitle, { color: isDark ? "#fff" : "#111" }]}
+            >
+              Hardware Profiles
+            </Text>
+            <View
+              style={[
+                styles.statusCard,
+                { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+              ]}
+            >
+              <Text
+                style={[
+                  styles.infoDesc,
+                  { color: isDark ? "#a0b3bd" : "#617c89" },
+                ]}
+              >
+                BLE UUIDs and name filters for each firmware version. Scans
+                look for every profile; tap one to edit it.
+              </Text>
+
+              {Object.entries(profiles).map(([id, profile]) => {
+                const inUse = connectedProfile?.id === id;
+                return (
+                  <View key={id} style={styles.sessionRow}>
+                    <TouchableOpacity
+                      style={styles.sessionInfo}
+                      onPress={() => openProfileEditor(id)}
+                    >
+                      <Text
+                        style={[
+                          styles.controlText,
+                          { color: isDark ? "#fff" : "#111" },
+                        ]}
+                      >
+                        {profile.name}
+                        {inUse ? "  (this wearable)" : ""}
+                      </Text>
+                      <Text
+                        style={[
+                          styles.infoDesc,
+                          { color: isDark ? "#a0b3bd" : "#617c89" },
+                        ]}
+                      >
+                        {profile.ble?.serviceUUID}
+                        {"\n"}
+                        Names: {profile.ble?.nameFilters?.length
+                          ? profile.ble.nameFilters.join(", ")
+                          : "any"}
+                      </Text>
+                    </TouchableOpacity>
+                    {isConnected && !isMock && !isReplay && !inUse && (
+                      <TouchableOpacity
+                        style={[
+                          styles.speedChip,
+                          { borderColor: isDark ? "#2c2c2c" : "#e2e2e2" },
+                        ]}
+                        onPress={() => handleUseProfile(id)}
+                      >
+                        <Text style={[styles.rateChipText, { color: "#13a4ec" }]}>
+                          Use
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                );
+              })}
+
+              <TouchableOpacity
+                style={[styles.actionButton, styles.scanButton, { marginTop: 12 }]}
+                onPress={() => openProfileEditor()}
+              >
+                <Text style={styles.scanButtonText}>New Profile</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+
+        {/* Hardware Profile Editor Modal */}
+        <Modal
+          visible={editingProfile !== null}
+          transparent={true}
+          animationType="slide"
+          onRequestClose={() => setEditingProfile(null)}
+        >
+          <View style={styles.modalOverlay}>
+            <View
+              style={[
+                styles.modalContent,
+                { backgroundColor: isDark ? "#1c1c1c" : "#fff", maxHeight: "85%" },
+              ]}
+            >
+              <ScrollView>
+                <Text
+                  style={[
+                    styles.modalTitle,
+                    { color: isDark ? "#fff" : "#111" },
+                  ]}
+                >
+                  {editingProfile?.id ? "Edit Profile" : "New Profile"}
+                </Text>
+
+                {[
+                  { key: "name", label: "Name", placeholder: "Classroom rev B" },
+                  ...PROFILE_UUID_FIELDS.map((field) => ({
+                    ...field,
+                    placeholder: "xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx",
+                  })),
+                  {
+                    key: "nameFilters",
+                    label: "Name Filters (comma separated)",
+                    placeholder: "NeuroNest, ESP32",
+                  },
+                  ...PROFILE_HEART_RATE_FIELDS.map((field) => ({
+                    ...field,
+                    keyboardType: "number-pad",
+                  })),
+                ].map(({ key, label, placeholder, keyboardType = "default" }) => (
+                  <View key={key}>
+                    <Text
+                      style={[
+                        styles.modalLabel,
+                        { color: isDark ? "#a0b3bd" : "#617c89" },
+                      ]}
+                    >
+                      {label}
+                    </Text>
+                    <TextInput
+                      style={[
+                        styles.input,
+                        {
+                          backgroundColor: isDark ? "#2c2c2c" : "#f6f7f8",
+                          color: isDark ? "#fff" : "#111",
+                        },
+                      ]}
+                      placeholder={placeholder}
+                      placeholderTextColor={isDark ? "#666" : "#999"}
+                      value={editingProfile?.[key] ?? ""}
+                      onChangeText={(value) =>
+                        setEditingProfile((prev) => ({ ...prev, [key]: value }))
+                      }
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                      keyboardType={keyboardType}
+                    />
+                  </View>
+                ))}
+
+                <Text
+                  style={[
+                    styles.modalHint,
+                    { color: isDark ? "#a0b3bd" : "#617c89" },
+                  ]}
+                >
+                  Use the UUIDs from the firmware's BLE setup. UUID changes
+                  apply the next time a wearable connects; heart rate settings
+                  apply straight away. The display range only limits what is
+                  shown: predictions always use the measured heart rate.
+                </Text>
+
+                <View style={styles.modalButtons}>
+                  <TouchableOpacity
+                    style={[
+                      styles.modalButton,
+                      styles.cancelButton,
+                      { borderColor: isDark ? "#666" : "#ccc" },
+                    ]}
+                    onPress={() => setEditingProfile(null)}
+                  >
+                    <Text
+                      style={[
+                        styles.cancelButtonText,
+                        { color: isDark ? "#a0b3bd" : "#617c89" },
+                      ]}
+                    >
+                      Cancel
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.modalButton, styles.connectButtonModal]}
+                    onPress={handleSaveProfile}
+                  >
+                    <Text style={styles.connectButtonText}>Save</Text>
+                  </TouchableOpacity>
+                </View>
+
+                {editingProfile?.id && (
+                  <TouchableOpacity
+                    style={{ marginTop: 16, alignItems: "center" }}
+                    onPress={handleDeleteProfile}
+                  >
+                    <Text style={[styles.errorText, { marginLeft: 0 }]}>
+                      Delete Profile
+                    </Text>
+                  </TouchableOpacity>
+                )}
+              </ScrollView>
+            </View>
+          </View>
+        </Modal>
+
+        {/* Sensor Calibration Wizard Modal */}
+        <Modal
+          visible={calibrationWizard !== null}
+          transparent={true}
+          animationType="slide"
+          onRequestClose={() => setCalibrationWizard(null)}
+        >
+          <View style={styles.modalOverlay}>
+            <View
+              style={[
+                styles.modalContent,
+                { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+              ]}
+            >
+              <Text
+                style={[
+                  styles.modalTitle,
+                  { color: isDark ? "#fff" : "#111" },
+                ]}
+              >
+                {calibrationWizard?.step === "review"
+                  ? "Calibration Result"
+                  : CALIBRATION_STEP_TEXT[calibrationWizard?.step]?.title}
+              </Text>
+
+              {calibrationWizard?.step === "review" ? (
+                calibrationWizard.result.success ? (
+                  <Text
+                    style={[
+                      styles.modalHint,
+                      { color: isDark ? "#a0b3bd" : "#617c89" },
+                    ]}
+                  >
+                    Open circuit {calibrationWizard.result.calibration.eda.circuit.openCircuit}{" "}
+                    ADC, reference resistor{" "}
+                    {(calibrationWizard.result.calibration.eda.circuit.referenceResistor / 1000).toFixed(1)}{" "}
+                    kΩ, EDA offset {calibrationWizard.result.calibration.eda.offset} ADC, heart
+                    rate offset {calibrationWizard.result.calibration.heartRate.offset} BPM.
+                  </Text>
+                ) : (
+                  <Text style={[styles.errorText, styles.diagnosticsAlert]}>
+                    {calibrationWizard.result.error}
+                  </Text>
+                )
+              ) : (
+                <>
+                  <Text
+                    style={[
+                      styles.modalHint,
+                      { color: isDark ? "#a0b3bd" : "#617c89" },
+                    ]}
+                  >
+                    {CALIBRATION_STEP_TEXT[calibrationWizard?.step]?.instructions}
+                  </Text>
+
+                  {calibrationWizard?.step === CALIBRATION_STEPS.KNOWN_RESISTOR.id && (
+                    <>
+                      <Text
+                        style={[
+                          styles.modalLabel,
+                          { color: isDark ? "#a0b3bd" : "#617c89" },
+                        ]}
+                      >
+                        Resistor (kΩ)
+                      </Text>
+                      <TextInput
+                        style={[
+                          styles.input,
+                          {
+                            backgroundColor: isDark ? "#2c2c2c" : "#f6f7f8",
+                            color: isDark ? "#fff" : "#111",
+                          },
+                        ]}
+                        placeholder="200"
+                        placeholderTextColor={isDark ? "#666" : "#999"}
+                        value={calibrationWizard.resistanceKohm}
+                        onChangeText={(value) =>
+                          setCalibrationWizard((prev) => ({ ...prev, resistanceKohm: value }))
+                        }
+                        keyboardType="decimal-pad"
+                        editable={!calibrationWizard.capturing}
+                      />
+                    </>
+                  )}
+
+                  {calibrationWizard?.step === CALIBRATION_STEPS.RESTING.id && (
+                    <>
+                      <Text
+                        style={[
+                          styles.modalLabel,
+                          { color: isDark ? "#a0b3bd" : "#617c89" },
+                        ]}
+                      >
+                        Reference Heart Rate (BPM, optional)
+                      </Text>
+                      <TextInput
+                        style={[
+                          styles.input,
+                          {
+                            backgroundColor: isDark ? "#2c2c2c" : "#f6f7f8",
+                            color: isDark ? "#fff" : "#111",
+                          },
+                        ]}
+                        placeholder="e.g. 82"
+                        placeholderTextColor={isDark ? "#666" : "#999"}
+                        value={calibrationWizard.referenceHeartRate}
+                        onChangeText={(value) =>
+                          setCalibrationWizard((prev) => ({ ...prev, referenceHeartRate: value }))
+                        }
+                        keyboardType="number-pad"
+                        editable={!calibrationWizard.capturing}
+                      />
+                    </>
+                  )}
+
+                  {calibrationWizard?.capturing && (
+                    <Text
+                      style={[
+                        styles.modalHint,
+                        { color: "#13a4ec", fontWeight: "600" },
+                      ]}
+                    >
+                      Measuring... {Math.round((calibrationWizard.progress || 0) * 100)}%
+                    </Text>
+                  )}
+                </>
+              )}
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    styles.cancelButton,
+                    { borderColor: isDark ? "#666" : "#ccc" },
+                  ]}
+                  onPress={() => setCalibrationWizard(null)}
+                >
+                  <Text
+                    style={[
+                      styles.cancelButtonText,
+                      { color: isDark ? "#a0b3bd" : "#617c89" },
+                    ]}
+                  >
+                    Cancel
+                  </Text>
+                </TouchableOpacity>
+                {calibrationWizard?.step === "review" ? (
+                  <TouchableOpacity
+                    style={[styles.modalButton, styles.connectButtonModal]}
+                    onPress={
+                      calibrationWizard.result.success
+                        ? handleSaveCalibration
+                        : openCalibrationWizard
+                    }
+                  >
+                    <Text style={styles.connectButtonText}>
+                      {calibrationWizard.result.success ? "Save" : "Start Over"}
+                    </Text>
+                  </TouchableOpacity>
+                ) : (
+                  <TouchableOpacity
+                    style={[styles.modalButton, styles.connectButtonModal]}
+                    onPress={handleMeasureCalibrationStep}
+                    disabled={calibrationWizard?.capturing}
+                  >
+                    {calibrationWizard?.capturing ? (
+                      <ActivityIndicator size="small" color="#fff" />
+                    ) : (
+                      <Text style={styles.connectButtonText}>Measure</Text>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </View>
+
+              {calibrationWizard?.step === CALIBRATION_STEPS.KNOWN_RESISTOR.id &&
+                !calibrationWizard.capturing && (
+                  <TouchableOpacity
+                    style={{ marginTop: 16, alignItems: "center" }}
+                    onPress={handleSkipKnownResistor}
+                  >
+                    <Text style={[styles.scanButtonText, { color: "#13a4ec" }]}>
+                      Skip This Step
+                    </Text>
+                  </TouchableOpacity>
+                )}
+            </View>
+          </View>
+        </Modal>
+
+        {/* Recorded Sessions */}
+        <Text
+          style={[styles.sectionTitle, { color: isDark ? "#fff" : "#111" }]}
+        >
+          Recorded Sessions
+        </Text>
+        <View
+          style={[
+            styles.statusCard,
+            { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+          ]}
+        >
+          {replayState ? (
+            <View>
+              <Text
+                style={[styles.controlText, { color: isDark ? "#fff" : "#111" }]}
+              >
+                Replaying at {replayState.speed}× — {formatDuration(replayState.elapsedMs)} of{" "}
+                {formatDuration(replayState.durationMs)}
+              </Text>
+              <View
+                style={[
+                  styles.progressTrack,
+                  { backgroundColor: isDark ? "#2c2c2c" : "#e2e2e2" },
+                ]}
+              >
+                <View
+                  style={[
+                    styles.progressFill,
+                    {
+                      width: `${Math.round(
+                        (replayState.position / replayState.total) * 100
+                      )}%`,
+                    },
+                  ]}
+                />
+              </View>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.disconnectButton, { marginTop: 12 }]}
+                onPress={stopReplay}
+              >
+                <Text style={styles.disconnectButtonText}>Stop Replay</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={[
+                styles.actionButton,
+                recordingStatus ? styles.disconnectButton : styles.scanButton,
+                !isConnected && !recordingStatus ? { opacity: 0.5 } : null,
+              ]}
+              onPress={handleToggleRecording}
+              disabled={!isConnected && !recordingStatus}
+            >
+              <Text
+                style={
+                  recordingStatus
+                    ? styles.disconnectButtonText
+                    : styles.scanButtonText
+                }
+              >
+                {recordingStatus
+                  ? `Stop Recording (${recordingStatus.frameCount} frames)`
+                  : "Record Raw Session"}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {recordedSessions.length === 0 ? (
+            <Text
+              style={[
+                styles.infoDesc,
+                { color: isDark ? "#a0b3bd" : "#617c89", marginTop: 12 },
+              ]}
+            >
+              Record a session to replay it later through the predictor.
+            </Text>
+          ) : (
+            recordedSessions.map((session) => (
+              <View key={session.id} style={styles.sessionRow}>
+                <View style={styles.sessionInfo}>
+                  <Text
+                    style={[
+                      styles.controlText,
+                      { color: isDark ? "#fff" : "#111" },
+                    ]}
+                  >
+                    {new Date(session.startedAt).toLocaleString()}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.infoDesc,
+                      { color: isDark ? "#a0b3bd" : "#617c89" },
+                    ]}
+                  >
+                    {session.device?.name || "Wearable"} ·{" "}
+                    {formatDuration(session.durationMs)} · {session.frameCount} frames
+                  </Text>
+                </View>
+                {REPLAY_SPEEDS.map((speed) => (
+                  <TouchableOpacity
+                    key={speed}
+                    style={[
+                      styles.speedChip,
+                      { borderColor: isDark ? "#2c2c2c" : "#e2e2e2" },
+                    ]}
+                    onPress={() => handleReplay(session.id, speed)}
+                    disabled={!!replayState}
+                  >
+                    <Text style={[styles.rateChipText, { color: "#13a4ec" }]}>
+                      {speed}×
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+                <TouchableOpacity onPress={() => handleDeleteSession(session)}>
+                  <MaterialIcons name="delete-outline" size={22} color="#ef4444" />
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+        </View>
+
+        {/* Demo Mode Info */}
+        <View
+          style={[
+            styles.infoCard,
+            { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+          ]}
+        >
+          <MaterialIcons name="info-outline" size={24} color="#3b82f6" />
+          <View style={styles.infoContent}>
+            <Text
+              style={[styles.infoTitle, { color: isDark ? "#fff" : "#111" }]}
+            >
+              Demo Mode
+            </Text>
+            <Text
+              style={[
+                styles.infoDesc,
+                { color: isDark ? "#a0b3bd" : "#617c89" },
+              ]}
+            >
+              Test the app without hardware. Tap the play button above to start
+              simulated sensor data, or pick a scenario to replay.
+            </Text>
+            {mockScenario && (
+              <Text style={[styles.scenarioStatus, { color: "#13a4ec" }]}>
+                {mockScenario.time} · {mockScenario.phase}
+              </Text>
+            )}
+            {Object.values(MOCK_SCENARIOS).map((scenario) => {
+              const playing = mockScenario?.id === scenario.id;
+              return (
+                <TouchableOpacity
+                  key={scenario.id}
+                  style={[
+                    styles.scenarioRow,
+                    {
+                      borderColor: playing
+                        ? "#13a4ec"
+                        : isDark
+                        ? "#2c2c2c"
+                        : "#e2e2e2",
+                      backgroundColor: playing ? "#13a4ec20" : "transparent",
+                    },
+                  ]}
+                  onPress={() => handlePlayScenario(scenario.id)}
+                >
+                  <MaterialIcons
+                    name={playing ? "stop" : "play-arrow"}
+                    size={20}
+                    color="#13a4ec"
+                  />
+                  <View style={styles.infoContent}>
+                    <Text
+                      style={[
+                        styles.rateChipText,
+                        { color: isDark ? "#fff" : "#111" },
+                      ]}
+                    >
+                      {scenario.name}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.infoDesc,
+                        { color: isDark ? "#a0b3bd" : "#617c89" },
+                      ]}
+                    >
+                      {scenario.description}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+  },
+
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+  },
+
+  scrollContainer: {
+    padding: 20,
+  },
+
+  statusCard: {
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 20,
+  },
+
+  connectionHeader: {
     flexDirection: "row",
     alignItems: "center",
     marginBottom: 16,
@@ -721,6 +2589,55 @@ const styles = StyleSheet.create({
     fontWeight: "600",
   },
 
+  syncRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+
+  syncText: {
+    color: "#13a4ec",
+    fontSize: 13,
+    marginLeft: 8,
+    flex: 1,
+  },
+
+  manualIPLink: {
+    alignItems: "center",
+    paddingTop: 12,
+  },
+
+  manualIPText: {
+    color: "#13a4ec",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+
+  deviceListHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+
+  deviceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingVertical: 12,
+    borderTopWidth: 1,
+  },
+
+  deviceRowName: {
+    fontSize: 15,
+    fontWeight: "600",
+  },
+
+  deviceRowDetail: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+
   errorBanner: {
     flexDirection: "row",
     alignItems: "center",
@@ -769,6 +2686,11 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     textAlign: "center",
   },
+  sensorRaw: {
+    fontSize: 11,
+    marginTop: 2,
+    textAlign: "center",
+  },
 
   healthGrid: {
     flexDirection: "row",
@@ -796,6 +2718,122 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
   },
 
+  controlLabel: {
+    fontSize: 14,
+    fontWeight: "600",
+    marginBottom: 8,
+  },
+
+  rateRow: {
+    flexDirection: "row",
+    gap: 8,
+    marginBottom: 12,
+  },
+
+  rateChip: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    alignItems: "center",
+  },
+
+  rateChipText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+
+  sessionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 12,
+  },
+
+  sessionInfo: {
+    flex: 1,
+  },
+
+  speedChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+
+  scenarioStatus: {
+    fontSize: 13,
+    fontWeight: "600",
+    marginTop: 8,
+  },
+
+  scenarioRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    padding: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    marginTop: 8,
+  },
+
+  controlRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingVertical: 8,
+  },
+
+  controlText: {
+    fontSize: 15,
+  },
+
+  diagnosticsValue: {
+    fontSize: 14,
+    fontWeight: "500",
+  },
+
+  diagnosticsAlert: {
+    marginTop: 4,
+    marginBottom: 4,
+  },
+
+  firmwareProgress: {
+    marginTop: 8,
+  },
+
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    marginTop: 8,
+    overflow: "hidden",
+  },
+
+  progressFill: {
+    height: 6,
+    backgroundColor: "#13a4ec",
+  },
+
+  commandRow: {
+    flexDirection: "row",
+    gap: 8,
+    marginTop: 12,
+  },
+
+  commandButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 12,
+    alignItems: "center",
+  },
+
+  commandButtonText: {
+    fontSize: 12,
+    fontWeight: "600",
+    marginTop: 6,
+    textAlign: "center",
+  },
+
   infoCard: {
     flexDirection: "row",
     padding: 16,
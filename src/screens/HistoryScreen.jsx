@@ -163,6 +163,12 @@ export default function HistoryScreen({ navigation }) {
               {item.sensorData.temperature?.toFixed?.(1) ?? "–"}°C
             </Text>
           )}
+          {item.backfilled && (
+            <View style={styles.backfilledRow}>
+              <MaterialIcons name="cloud-download" size={12} color="#13a4ec" />
+              <Text style={styles.backfilledText}>Synced from wearable</Text>
+            </View>
+          )}
         </View>
         {item.confidence != null && (
           <View style={styles.confidenceBadge}>
@@ -330,6 +336,8 @@ const styles = StyleSheet.create({
   historyMood: { fontWeight: "bold", fontSize: 14 },
   historyTime: { fontSize: 12, marginTop: 2 },
   sensorHint: { fontSize: 11, marginTop: 2 },
+  backfilledRow: { flexDirection: "row", alignItems: "center", marginTop: 2 },
+  backfilledText: { fontSize: 11, color: "#13a4ec", marginLeft: 4 },
   confidenceBadge: {
     backgroundColor: "#13a4ec20",
     paddingHorizontal: 8,
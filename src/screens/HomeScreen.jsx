@@ -1,4 +1,4 @@
-import React, { useContext } from "react";
+import React, { useContext, useState } from "react";
 import {
   View,
   Text,
@@ -6,28 +6,187 @@ import {
   TouchableOpacity,
   StyleSheet,
   useColorScheme,
+  Modal,
+  TextInput,
+  Alert,
 } from "react-native";
 import { MaterialIcons } from "@expo/vector-icons";
 import { SafeAreaView } from "react-native-safe-area-context";
-import { WearableContext } from "../context/WearableContext";
+import { WearableContext, TRANSPORT_TYPES } from "../context/WearableContext";
+import { BASELINE_STATUS } from "../services/BaselineService";
+
+// "+1.2σ" for a z-score against the personal baseline
+const formatZScore = (z) => (z === null ? "--" : `${z > 0 ? "+" : ""}${z.toFixed(1)}σ`);
+
+/**
+ * One line describing a child's personal baseline
+ * @param {Object|null} baseline - BaselineService summary
+ */
+const describeBaseline = (baseline) => {
+  if (!baseline) {
+    return "Loading baseline...";
+  }
+  if (baseline.status === BASELINE_STATUS.LEARNING) {
+    return `Learning resting baseline: ${Math.round(baseline.progress * 100)}%`;
+  }
+  const parts = [`HR ${baseline.heartRate.mean.toFixed(0)} ± ${baseline.heartRate.std.toFixed(0)} bpm`];
+  parts.push(`EDA ${baseline.eda.mean.toFixed(2)} ± ${baseline.eda.std.toFixed(2)} µS`);
+  if (baseline.temperature) {
+    parts.push(`${baseline.temperature.mean.toFixed(1)} °C`);
+  }
+  return `Resting baseline: ${parts.join(", ")}`;
+};
 
 export default function HomeScreen({ navigation }) {
   const scheme = useColorScheme();
   const isDark = scheme === "dark";
 
   const {
+    transportType,
     isConnected,
+    isReconnecting,
+    connectedDevice,
+    availableDevices,
     sensorData,
     prediction,
+    monitoredDevices,
+    addMonitoredDevice,
+    removeMonitoredDevice,
+    reconnectMonitoredDevice,
     getStateInfo,
+    activeProfile,
+    baseline,
+    resetBaseline,
+    switchChild,
   } = useContext(WearableContext);
 
-  const stateInfo = getStateInfo(prediction.state);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [childName, setChildName] = useState("");
+  const [target, setTarget] = useState("");
+  const [targetPort, setTargetPort] = useState("80");
+  const [isAdding, setIsAdding] = useState(false);
+  const [showChildModal, setShowChildModal] = useState(false);
+  const [activeChildName, setActiveChildName] = useState("");
+
+  const isBLE = transportType === TRANSPORT_TYPES.BLE;
+
+  // Every child being watched: the main wearable plus the registry's
+  const children = [
+    ...(isConnected && connectedDevice
+      ? [
+          {
+            id: connectedDevice.id,
+            name: connectedDevice.name,
+            isPrimary: true,
+            isConnected,
+            isReconnecting,
+            state: prediction.state,
+            signalQuality: prediction.signalQuality,
+            heartRate: sensorData?.fingerDetected ? sensorData.heartRateDisplay ?? sensorData.heartRate : null,
+          },
+        ]
+      : []),
+    ...monitoredDevices.map((device) => ({
+      id: device.id,
+      name: device.name,
+      isPrimary: false,
+      isConnected: device.isConnected,
+      isReconnecting: device.isReconnecting,
+      state: device.state,
+      signalQuality: device.signalQuality,
+      baseline: device.baseline,
+      heartRate: device.sensorData?.fingerDetected
+        ? device.sensorData.heartRateDisplay ?? device.sensorData.heartRate
+        : null,
+      error: device.error,
+    })),
+  ];
+
+  const handleAddChild = async () => {
+    if (!target.trim()) {
+      Alert.alert("Error", isBLE ? "Choose a wearable" : "Please enter the wearable's IP address");
+      return;
+    }
+
+    setIsAdding(true);
+    const result = await addMonitoredDevice({
+      childName,
+      target: target.trim(),
+      port: isBLE ? null : parseInt(targetPort) || 80,
+    });
+    setIsAdding(false);
+
+    if (!result.success) {
+      Alert.alert("Could Not Add Wearable", result.error);
+      return;
+    }
+    setShowAddModal(false);
+    setChildName("");
+    setTarget("");
+    setTargetPort("80");
+  };
+
+  const handleChildPress = (child) => {
+    if (child.isPrimary) {
+      navigation.navigate("DeviceConnection");
+      return;
+    }
+    const message = [child.error, describeBaseline(child.baseline)].filter(Boolean).join("\n\n");
+    Alert.alert(child.name, message, [
+      { text: "Cancel", style: "cancel" },
+      ...(!child.isConnected && !child.isReconnecting
+        ? [{ text: "Reconnect", onPress: () => reconnectMonitoredDevice(child.id) }]
+        : []),
+      { text: "Reset Baseline", onPress: () => confirmResetBaseline(child.id, child.name) },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: () => removeMonitoredDevice(child.id),
+      },
+    ]);
+  };
+
+  const openChildModal = () => {
+    setActiveChildName(activeProfile?.name || "");
+    setShowChildModal(true);
+  };
+
+  const handleSwitchChild = async () => {
+    const result = await switchChild(activeChildName);
+    if (!result.success) {
+      Alert.alert("Error", result.error);
+      return;
+    }
+    setShowChildModal(false);
+  };
+
+  const confirmResetBaseline = (deviceId, name) => {
+    Alert.alert(
+      "Reset Baseline",
+      `Forget ${name ? `${name}'s` : "the"} resting baseline and learn it again from the next calm readings?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Reset",
+          style: "destructive",
+          onPress: async () => {
+            const result = await resetBaseline(deviceId);
+            if (!result.success) {
+              Alert.alert("Error", result.error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Suppressed predictions describe the signal problem instead of a state
+  const stateInfo = getStateInfo(prediction.state, prediction.signalQuality);
 
   const fingerDetected = sensorData?.fingerDetected === true;
 
   const heartRateDisplay = fingerDetected
-    ? `${Math.round(sensorData.heartRate)} bpm`
+    ? `${Math.round(sensorData.heartRateDisplay ?? sensorData.heartRate)} bpm`
     : "--";
 
   const heartRateStatus = fingerDetected
@@ -40,8 +199,35 @@ export default function HomeScreen({ navigation }) {
     ? "Place finger on sensor"
     : "No data";
 
+  const edaAnalysis = sensorData?.edaAnalysis;
+  const conductanceDisplay = edaAnalysis
+    ? `${edaAnalysis.tonic.toFixed(2)} µS`
+    : "--";
+  const scrDisplay = edaAnalysis
+    ? `${edaAnalysis.scrRate === null ? "--" : edaAnalysis.scrRate} responses/min`
+    : isConnected
+    ? "Sensor not on skin"
+    : "No data";
+  const lastScrDisplay = edaAnalysis?.lastScr
+    ? `Last response +${edaAnalysis.lastScr.amplitude.toFixed(2)} µS, rise ${(
+        edaAnalysis.lastScr.riseTime / 1000
+      ).toFixed(1)} s`
+    : null;
+
+  const zScores = prediction.zScores;
+  const zScoreDisplay =
+    baseline?.status === BASELINE_STATUS.READY && zScores
+      ? `Now: HR ${formatZScore(zScores.heartRate)}, EDA ${formatZScore(zScores.eda)}`
+      : baseline?.status === BASELINE_STATUS.LEARNING
+      ? "Learns from calm, still readings with a good signal"
+      : null;
+
   const calmScoreDisplay = prediction.calmScore || "--";
-  const connectionColor = isConnected ? "#22c55e" : "#ef4444";
+  const connectionColor = isConnected
+    ? "#22c55e"
+    : isReconnecting
+    ? "#f59e0b"
+    : "#ef4444";
 
   /* ---------------- MOTION LOGIC ---------------- */
 
@@ -91,7 +277,11 @@ export default function HomeScreen({ navigation }) {
               ]}
             />
             <Text style={{ color: connectionColor, fontSize: 12 }}>
-              {isConnected ? "Connected" : "Disconnected"}
+              {isConnected
+                ? "Connected"
+                : isReconnecting
+                ? "Reconnecting"
+                : "Disconnected"}
             </Text>
           </View>
         </View>
@@ -119,7 +309,7 @@ export default function HomeScreen({ navigation }) {
           </View>
 
           <Text style={[styles.stateTitle, { color: stateInfo.color }]}>
-            {prediction.state}
+            {stateInfo.title || prediction.state}
           </Text>
 
           <Text
@@ -130,8 +320,107 @@ export default function HomeScreen({ navigation }) {
           >
             {stateInfo.description}
           </Text>
+          {prediction.lowSignalQuality && (
+            <Text style={[styles.stateDesc, { color: stateInfo.color }]}>
+              {stateInfo.recommendation}
+            </Text>
+          )}
+          {!prediction.lowSignalQuality && prediction.stateReason && (
+            <Text style={[styles.stateDesc, { fontSize: 12, color: isDark ? "#a0b3bd" : "#617c89" }]}>
+              {prediction.stateReason}
+            </Text>
+          )}
         </TouchableOpacity>
 
+        {/* Children */}
+        <View style={styles.sectionHeader}>
+          <Text
+            style={[styles.sectionTitle, { color: isDark ? "#fff" : "#111" }]}
+          >
+            Children
+          </Text>
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={() => setShowAddModal(true)}
+          >
+            <MaterialIcons name="add" size={18} color="#13a4ec" />
+            <Text style={styles.addButtonText}>Add Wearable</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View
+          style={[
+            styles.childList,
+            { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+          ]}
+        >
+          {children.length === 0 ? (
+            <Text style={[styles.cardLabel, { padding: 16 }]}>
+              No wearables connected. Connect one on the Device screen or add
+              another child's wearable here.
+            </Text>
+          ) : (
+            children.map((child, index) => {
+              const childState = getStateInfo(child.state, child.signalQuality);
+              const dotColor = child.isConnected
+                ? "#22c55e"
+                : child.isReconnecting
+                ? "#f59e0b"
+                : "#ef4444";
+              return (
+                <TouchableOpacity
+                  key={child.id}
+                  style={[
+                    styles.childRow,
+                    index > 0 && {
+                      borderTopWidth: 1,
+                      borderTopColor: isDark ? "#2c2c2c" : "#eee",
+                    },
+                  ]}
+                  onPress={() => handleChildPress(child)}
+                >
+                  <View style={[styles.connectionDot, { backgroundColor: dotColor }]} />
+                  <View style={{ flex: 1, marginLeft: 8 }}>
+                    <Text
+                      style={[
+                        styles.childName,
+                        { color: isDark ? "#fff" : "#111" },
+                      ]}
+                    >
+                      {child.name}
+                    </Text>
+                    <Text style={styles.cardLabel}>
+                      {child.isPrimary ? "Main wearable  •  " : ""}
+                      {child.heartRate
+                        ? `${Math.round(child.heartRate)} bpm`
+                        : child.isConnected
+                        ? "No finger on sensor"
+                        : child.isReconnecting
+                        ? "Reconnecting..."
+                        : "Offline"}
+                    </Text>
+                  </View>
+                  <View
+                    style={[
+                      styles.statePill,
+                      { backgroundColor: `${childState.color}20` },
+                    ]}
+                  >
+                    <MaterialIcons
+                      name={childState.icon}
+                      size={16}
+                      color={childState.color}
+                    />
+                    <Text style={[styles.statePillText, { color: childState.color }]}>
+                      {childState.title || child.state}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              );
+            })
+          )}
+        </View>
+
         {/* Real-time Monitoring */}
         <Text
           style={[styles.sectionTitle, { color: isDark ? "#fff" : "#111" }]}
@@ -178,6 +467,28 @@ export default function HomeScreen({ navigation }) {
           </View>
         </View>
 
+        {/* Skin Conductance */}
+        <View style={{ marginTop: 16 }}>
+          <View
+            style={[
+              styles.card,
+              { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+            ]}
+          >
+            <View style={[styles.iconCircle, { backgroundColor: "#8b5cf620" }]}>
+              <MaterialIcons name="show-chart" size={24} color="#8b5cf6" />
+            </View>
+            <View>
+              <Text style={styles.cardLabel}>Skin Conductance</Text>
+              <Text style={styles.cardValue}>{conductanceDisplay}</Text>
+              <Text style={styles.cardLabel}>{scrDisplay}</Text>
+              {lastScrDisplay && (
+                <Text style={styles.cardLabel}>{lastScrDisplay}</Text>
+              )}
+            </View>
+          </View>
+        </View>
+
         {/* Motion */}
         <View style={{ marginTop: 16 }}>
           <View
@@ -252,7 +563,226 @@ export default function HomeScreen({ navigation }) {
           </View>
         </View>
 
+        {/* Personal Baseline */}
+        <View style={{ marginTop: 16 }}>
+          <View
+            style={[
+              styles.card,
+              { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+            ]}
+          >
+            <View style={[styles.iconCircle, { backgroundColor: "#13a4ec20" }]}>
+              <MaterialIcons name="person-search" size={24} color="#13a4ec" />
+            </View>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.cardLabel}>
+                Personal Baseline · {activeProfile?.name || "Main child"}
+              </Text>
+              <Text style={[styles.cardValue, { fontSize: 14 }]}>
+                {describeBaseline(baseline)}
+              </Text>
+              {zScoreDisplay && (
+                <Text style={styles.cardLabel}>{zScoreDisplay}</Text>
+              )}
+            </View>
+            <View style={{ alignItems: "flex-end", gap: 8 }}>
+              <TouchableOpacity onPress={openChildModal}>
+                <Text style={styles.addButtonText}>Child</Text>
+              </TouchableOpacity>
+              {baseline?.startedAt && (
+                <TouchableOpacity
+                  onPress={() => confirmResetBaseline(null, activeProfile?.name)}
+                >
+                  <Text style={styles.addButtonText}>Reset</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        </View>
+
       </ScrollView>
+
+      {/* Add Wearable Modal */}
+      <Modal
+        visible={showAddModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowAddModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+            ]}
+          >
+            <Text style={[styles.modalTitle, { color: isDark ? "#fff" : "#111" }]}>
+              Add a Child's Wearable
+            </Text>
+
+            <Text style={styles.modalLabel}>Child's Name</Text>
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  backgroundColor: isDark ? "#2c2c2c" : "#f6f7f8",
+                  color: isDark ? "#fff" : "#111",
+                },
+              ]}
+              placeholder="e.g. Sam"
+              placeholderTextColor={isDark ? "#666" : "#999"}
+              value={childName}
+              onChangeText={setChildName}
+            />
+
+            {availableDevices.length > 0 && (
+              <>
+                <Text style={styles.modalLabel}>Nearby Wearables</Text>
+                {availableDevices
+                  .filter((device) => device.id !== connectedDevice?.id)
+                  .map((device) => {
+                    const value = device.ip || device.id;
+                    return (
+                      <TouchableOpacity
+                        key={device.id}
+                        style={[
+                          styles.pickRow,
+                          target === value && { borderColor: "#13a4ec" },
+                        ]}
+                        onPress={() => {
+                          setTarget(value);
+                          if (device.port) setTargetPort(String(device.port));
+                        }}
+                      >
+                        <Text style={{ color: isDark ? "#fff" : "#111" }}>
+                          {device.name}
+                        </Text>
+                        <Text style={styles.cardLabel}>{value}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+              </>
+            )}
+
+            {isBLE ? (
+              availableDevices.length === 0 && (
+                <Text style={[styles.cardLabel, { marginTop: 12 }]}>
+                  Scan for devices on the Device screen first, then pick the
+                  wearable here.
+                </Text>
+              )
+            ) : (
+              <>
+                <Text style={styles.modalLabel}>IP Address</Text>
+                <TextInput
+                  style={[
+                    styles.input,
+                    {
+                      backgroundColor: isDark ? "#2c2c2c" : "#f6f7f8",
+                      color: isDark ? "#fff" : "#111",
+                    },
+                  ]}
+                  placeholder="192.168.1.101"
+                  placeholderTextColor={isDark ? "#666" : "#999"}
+                  value={target}
+                  onChangeText={setTarget}
+                  keyboardType="numeric"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                <Text style={styles.modalLabel}>Port (Optional)</Text>
+                <TextInput
+                  style={[
+                    styles.input,
+                    {
+                      backgroundColor: isDark ? "#2c2c2c" : "#f6f7f8",
+                      color: isDark ? "#fff" : "#111",
+                    },
+                  ]}
+                  placeholder="80"
+                  placeholderTextColor={isDark ? "#666" : "#999"}
+                  value={targetPort}
+                  onChangeText={setTargetPort}
+                  keyboardType="numeric"
+                />
+              </>
+            )}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setShowAddModal(false)}
+              >
+                <Text style={{ color: "#617c89", fontWeight: "600" }}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, { backgroundColor: "#13a4ec" }]}
+                onPress={handleAddChild}
+                disabled={isAdding}
+              >
+                <Text style={{ color: "#fff", fontWeight: "600" }}>
+                  {isAdding ? "Connecting..." : "Add"}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Main Wearable's Child Modal */}
+      <Modal
+        visible={showChildModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowChildModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: isDark ? "#1c1c1c" : "#fff" },
+            ]}
+          >
+            <Text style={[styles.modalTitle, { color: isDark ? "#fff" : "#111" }]}>
+              Who Is Wearing It?
+            </Text>
+
+            <Text style={styles.modalLabel}>Child's Name</Text>
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  backgroundColor: isDark ? "#2c2c2c" : "#f6f7f8",
+                  color: isDark ? "#fff" : "#111",
+                },
+              ]}
+              placeholder="e.g. Sam"
+              placeholderTextColor={isDark ? "#666" : "#999"}
+              value={activeChildName}
+              onChangeText={setActiveChildName}
+            />
+            <Text style={[styles.cardLabel, { marginTop: 12 }]}>
+              Each child has their own baseline. Entering another child's name
+              switches to theirs; a new name starts learning one.
+            </Text>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setShowChildModal(false)}
+              >
+                <Text style={{ color: "#617c89", fontWeight: "600" }}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, { backgroundColor: "#13a4ec" }]}
+                onPress={handleSwitchChild}
+              >
+                <Text style={{ color: "#fff", fontWeight: "600" }}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -276,6 +806,57 @@ const styles = StyleSheet.create({
     marginRight: 4,
   },
   sectionTitle: { fontSize: 16, fontWeight: "bold", marginVertical: 12 },
+  sectionHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  addButton: { flexDirection: "row", alignItems: "center" },
+  addButtonText: { color: "#13a4ec", fontSize: 14, fontWeight: "600", marginLeft: 2 },
+  childList: { borderRadius: 16, marginBottom: 8 },
+  childRow: { flexDirection: "row", alignItems: "center", padding: 16 },
+  childName: { fontSize: 16, fontWeight: "600" },
+  statePill: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+  },
+  statePillText: { fontSize: 12, fontWeight: "600", marginLeft: 4 },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  modalContent: { width: "100%", maxWidth: 400, borderRadius: 16, padding: 24 },
+  modalTitle: { fontSize: 20, fontWeight: "bold", marginBottom: 8 },
+  modalLabel: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#617c89",
+    marginBottom: 8,
+    marginTop: 12,
+  },
+  input: {
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: "#e2e2e2",
+  },
+  pickRow: {
+    padding: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#e2e2e2",
+    marginBottom: 6,
+  },
+  modalButtons: { flexDirection: "row", marginTop: 24, gap: 12 },
+  modalButton: { flex: 1, paddingVertical: 12, borderRadius: 8, alignItems: "center" },
+  cancelButton: { borderWidth: 1, borderColor: "#ccc" },
   card: { flexDirection: "row", padding: 16, borderRadius: 16, alignItems: "center" },
   iconCircle: { padding: 12, borderRadius: 50, marginRight: 12 },
   cardLabel: { fontSize: 12, color: "#617c89" },
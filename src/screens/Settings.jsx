@@ -5,20 +5,43 @@ import {
   ScrollView,
   TouchableOpacity,
   Image,
+  Switch,
+  Alert,
   StyleSheet,
 } from "react-native";
 import { MaterialIcons, MaterialCommunityIcons } from "@expo/vector-icons";
 import { AuthContext } from "../../AuthContext";
-import { WearableContext } from "../context/WearableContext";
+import { WearableContext, TRANSPORT_TYPES } from "../context/WearableContext";
 
 export default function Settings({ navigation }) {
   const { user, logout } = useContext(AuthContext);
-  const { isConnected, connectedDevice } = useContext(WearableContext);
+  const {
+    isConnected,
+    connectedDevice,
+    transportType,
+    selectTransport,
+    requirePairing,
+    setRequirePairing,
+    modelInfo,
+    modelError,
+  } = useContext(WearableContext);
 
   const userSupport = [
     { name: "Notifications", icon: "bell-outline" },
   ];
 
+  const handleRequirePairing = async (enabled) => {
+    const result = await setRequirePairing(enabled);
+    if (!result.success) {
+      Alert.alert("Error", result.error);
+    }
+  };
+
+  const transportOptions = [
+    { type: TRANSPORT_TYPES.WIFI, label: "WiFi", icon: "wifi" },
+    { type: TRANSPORT_TYPES.BLE, label: "Bluetooth", icon: "bluetooth" },
+  ];
+
   return (
     <View style={styles.container}>
       {/* Header */}
@@ -79,7 +102,7 @@ export default function Settings({ navigation }) {
                 ]}
               >
                 <MaterialIcons
-                  name="wifi"
+                  name={transportType === TRANSPORT_TYPES.BLE ? "bluetooth" : "wifi"}
                   size={24}
                   color={isConnected ? "#22c55e" : "#13a4ec"}
                 />
@@ -99,6 +122,97 @@ export default function Settings({ navigation }) {
               color="#888"
             />
           </TouchableOpacity>
+
+          <View style={[styles.card, styles.cardDivider]}>
+            <View style={styles.cardLeft}>
+              <View style={styles.iconContainer}>
+                <MaterialIcons name="swap-horiz" size={24} color="#13a4ec" />
+              </View>
+              <Text style={styles.cardText}>Connection Type</Text>
+            </View>
+            <View style={styles.segmented}>
+              {transportOptions.map((option) => {
+                const selected = transportType === option.type;
+                return (
+                  <TouchableOpacity
+                    key={option.type}
+                    style={[styles.segment, selected && styles.segmentSelected]}
+                    onPress={() => selectTransport(option.type)}
+                  >
+                    <MaterialIcons
+                      name={option.icon}
+                      size={16}
+                      color={selected ? "#fff" : "#13a4ec"}
+                    />
+                    <Text
+                      style={[
+                        styles.segmentText,
+                        selected && styles.segmentTextSelected,
+                      ]}
+                    >
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+
+          <View style={[styles.card, styles.cardDivider]}>
+            <View style={[styles.cardLeft, { flex: 1 }]}>
+              <View style={styles.iconContainer}>
+                <MaterialIcons name="lock-outline" size={24} color="#13a4ec" />
+              </View>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.cardText}>Require Secure Pairing</Text>
+                <Text style={{ fontSize: 12, color: requirePairing ? "#999" : "#f59e0b", marginTop: 2 }}>
+                  {requirePairing
+                    ? "WiFi wearables must be paired with this phone"
+                    : "Old firmware connects without encryption"}
+                </Text>
+              </View>
+            </View>
+            <Switch
+              value={requirePairing}
+              onValueChange={handleRequirePairing}
+              trackColor={{ true: "#13a4ec" }}
+            />
+          </View>
+        </View>
+
+        {/* Prediction Model */}
+        <Text style={[styles.sectionTitle, { marginTop: 24 }]}>
+          Prediction Model
+        </Text>
+        <View style={styles.cardContainer}>
+          <View style={styles.card}>
+            <View style={styles.cardLeft}>
+              <View style={styles.iconContainer}>
+                <MaterialCommunityIcons name="brain" size={24} color="#13a4ec" />
+              </View>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.cardText}>
+                  {!modelInfo
+                    ? "Loading..."
+                    : modelInfo.backend === "js"
+                    ? `Pure-JS model (${modelInfo.jsModelType})`
+                    : modelInfo.useTensorFlow
+                    ? "WESAD model (TensorFlow.js)"
+                    : "Rule-based"}
+                </Text>
+                {modelInfo?.backend === "tensorflow" && (
+                  <Text style={{ fontSize: 12, color: "#22c55e", marginTop: 2 }}>
+                    Running on {modelInfo.tfBackend}
+                  </Text>
+                )}
+                {modelError && (
+                  <Text style={{ fontSize: 12, color: "#f59e0b", marginTop: 2 }}>
+                    {modelError}
+                  </Text>
+                )}
+              </View>
+            </View>
+          </View>
         </View>
 
         {/* App Info */}
@@ -210,6 +324,30 @@ const styles = StyleSheet.create({
 
   cardText: { fontSize: 16, color: "#111" },
 
+  cardDivider: { borderTopWidth: 1, borderTopColor: "#f0f0f0" },
+
+  segmented: {
+    flexDirection: "row",
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#13a4ec",
+    overflow: "hidden",
+  },
+
+  segment: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+
+  segmentSelected: { backgroundColor: "#13a4ec" },
+
+  segmentText: { fontSize: 13, color: "#13a4ec", fontWeight: "600" },
+
+  segmentTextSelected: { color: "#fff" },
+
   logoutButton: {
     marginHorizontal: 16,
     marginBottom: 24,
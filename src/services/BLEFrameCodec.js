@@ -0,0 +1,173 @@
+/**
+ * BLE Frame Codec
+ * Compact, versioned binary sensor frame sent by newer firmware over BLE
+ *
+ * All fields are little-endian:
+ *
+ *   Offset  Size  Field
+ *   0       u8    magic (0xA5)
+ *   1       u8    version (1)
+ *   2       u8    flags: bit0 finger detected, bit1 IMU fields valid
+ *   3       u8    payload length N (bytes between header and CRC)
+ *   4       u16   sequence number (wraps at 65535)
+ *   6       u32   timestamp, ms since the wearable booted
+ *   10      N     payload
+ *   10+N    u16   CRC-16/CCITT-FALSE over bytes 0 .. 10+N-1
+ *
+ * Version 1 payload (28 bytes):
+ *   u32 IR value · u16 heart rate ×10 (BPM) · u16 EDA ×10 (GSR ADC units)
+ *   i16 temperature ×100 (°C) · i16 accel X/Y/Z (mg) · i16 gyro X/Y/Z ×10 (°/s)
+ * optionally followed by the beats detected since the previous frame:
+ *   u8 count n · n × u16 inter-beat interval (ms)
+ *
+ * Firmware may append fields to a version's payload; older apps read the
+ * fields they know and skip the rest using the payload length. A layout
+ * change that cannot be read that way must bump the version.
+ */
+
+const FRAME_MAGIC = 0xa5;
+const FRAME_HEADER_SIZE = 10;
+const FRAME_CRC_SIZE = 2;
+
+const FRAME_FLAGS = {
+  FINGER: 0x01,
+  IMU: 0x02,
+};
+
+// Payload decoders by version; each returns a raw frame in firmware JSON field names
+const PAYLOAD_DECODERS = {
+  1: {
+    minLength: 28,
+    decode: (bytes, offset, flags, payloadLength) => {
+      const frame = {
+        irValue: bytes.readUInt32LE(offset),
+        heartRate: bytes.readUInt16LE(offset + 4) / 10,
+        eda: bytes.readUInt16LE(offset + 6) / 10,
+        temperature: bytes.readInt16LE(offset + 8) / 100,
+        fingerDetected: (flags & FRAME_FLAGS.FINGER) !== 0,
+      };
+      if (flags & FRAME_FLAGS.IMU) {
+        frame.accelX = bytes.readInt16LE(offset + 10) / 1000;
+        frame.accelY = bytes.readInt16LE(offset + 12) / 1000;
+        frame.accelZ = bytes.readInt16LE(offset + 14) / 1000;
+        frame.gyroX = bytes.readInt16LE(offset + 16) / 10;
+        frame.gyroY = bytes.readInt16LE(offset + 18) / 10;
+        frame.gyroZ = bytes.readInt16LE(offset + 20) / 10;
+      }
+      if (payloadLength > 28) {
+        const count = bytes[offset + 28];
+        if (payloadLength >= 29 + count * 2) {
+          frame.ibi = [];
+          for (let i = 0; i < count; i++) {
+            frame.ibi.push(bytes.readUInt16LE(offset + 29 + i * 2));
+          }
+        }
+      }
+      return frame;
+    },
+  },
+};
+
+/**
+ * CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF), as computed by the firmware
+ * @param {Buffer} bytes
+ * @param {number} length - Number of leading bytes to include
+ */
+const crc16 = (bytes, length = bytes.length) => {
+  let crc = 0xffff;
+  for (let i = 0; i < length; i++) {
+    crc ^= bytes[i] << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+};
+
+/**
+ * Check whether a characteristic value is a binary frame (vs. JSON/CSV text)
+ * @param {Buffer} bytes
+ */
+const isBinaryFrame = (bytes) =>
+  bytes.length >= FRAME_HEADER_SIZE + FRAME_CRC_SIZE && bytes[0] === FRAME_MAGIC;
+
+/**
+ * Decode a binary frame
+ * @param {Buffer} bytes
+ * @returns {Object} { success, frame } or { success: false, error }
+ *   frame carries firmware field names plus seq, deviceTime and frameVersion
+ */
+const decodeFrame = (bytes) => {
+  if (!isBinaryFrame(bytes)) {
+    return { success: false, error: 'Not a binary frame' };
+  }
+
+  const version = bytes[1];
+  const flags = bytes[2];
+  const payloadLength = bytes[3];
+  const totalLength = FRAME_HEADER_SIZE + payloadLength + FRAME_CRC_SIZE;
+
+  if (bytes.length < totalLength) {
+    return { success: false, error: `Truncated frame (${bytes.length}/${totalLength} bytes)` };
+  }
+
+  const expectedCrc = bytes.readUInt16LE(FRAME_HEADER_SIZE + payloadLength);
+  if (crc16(bytes, FRAME_HEADER_SIZE + payloadLength) !== expectedCrc) {
+    return { success: false, error: 'CRC mismatch' };
+  }
+
+  const decoder = PAYLOAD_DECODERS[version];
+  if (!decoder) {
+    return { success: false, error: `Unsupported frame version ${version}` };
+  }
+  if (payloadLength < decoder.minLength) {
+    return { success: false, error: `Payload too short for version ${version}` };
+  }
+
+  return {
+    success: true,
+    frame: {
+      ...decoder.decode(bytes, FRAME_HEADER_SIZE, flags, payloadLength),
+      seq: bytes.readUInt16LE(4),
+      deviceTime: bytes.readUInt32LE(6),
+      frameVersion: version,
+    },
+  };
+};
+
+// How far behind the last frame a sequence number may be and still count as
+// a late or repeated notification; further back, the wearable restarted
+const MAX_SEQUENCE_REORDER = 32;
+
+/**
+ * Frames missing between two sequence numbers (handles 16-bit wrap-around)
+ * @returns {number} 0 when in order, > 0 frames lost, -1 for a repeated or
+ *   out-of-order frame (see isSequenceRestart for larger jumps back)
+ */
+const sequenceGap = (previousSeq, seq) => {
+  const delta = (seq - previousSeq) & 0xffff;
+  if (delta === 0 || delta >= 0x8000) {
+    return -1;
+  }
+  return delta - 1;
+};
+
+/**
+ * Whether a sequence number jumped back too far to be a late frame, i.e. the
+ * wearable rebooted and numbers its frames from zero again
+ */
+const isSequenceRestart = (previousSeq, seq) => {
+  const behind = (previousSeq - seq) & 0xffff;
+  return behind > MAX_SEQUENCE_REORDER && behind < 0x8000;
+};
+
+export {
+  FRAME_MAGIC,
+  FRAME_FLAGS,
+  MAX_SEQUENCE_REORDER,
+  crc16,
+  isBinaryFrame,
+  decodeFrame,
+  sequenceGap,
+  isSequenceRestart,
+};
@@ -0,0 +1,373 @@
+/**
+ * Baseline Service
+ * Each child's personal resting heart rate, skin conductance and temperature
+ *
+ * The thresholds in mlModel and predictWithRules are population-level, but
+ * children's resting values differ widely. For every child profile
+ * (ChildProfileService) the service learns the resting distribution (mean
+ * and standard deviation) from readings that are classified Calm, taken
+ * without motion (`mlModel.baseline.motion`) and of good signal quality.
+ * Once `mlModel.baseline.calibrationPeriod` ms of such readings have been
+ * seen the baseline is fixed until it is reset, and MLModelService reports every
+ * prediction's readings as z-scores against it; the rule-based predictor
+ * classifies by them instead of population thresholds.
+ *
+ * Readings are attributed by wearable: the main wearable's go to the active
+ * profile and a monitored wearable's to the profile of its registration
+ * (setProfile), so a child keeps their baseline across wearables.
+ *
+ * Skin conductance is learned in µS (EDAAnalyzer), so the baseline does not
+ * depend on the EDA units of the prediction backend. Temperature is only
+ * learned from wearables that measure it.
+ */
+
+import ConfigManager from '../utils/ConfigManager';
+import StorageService from './StorageService';
+import { DEFAULT_PROFILE_ID } from './ChildProfileService';
+import { SIGNAL_QUALITY } from './SignalQualityTracker';
+
+// Signals with a baseline
+const BASELINE_SIGNALS = ['heartRate', 'eda', 'temperature'];
+
+const BASELINE_STATUS = {
+  LEARNING: 'learning',
+  READY: 'ready',
+};
+
+// Heart rate and EDA samples needed, besides the period, before the
+// baseline is ready
+const MIN_SAMPLES = 30;
+// Qualifying readings between saves while learning
+const SAVE_EVERY = 30;
+
+const round = (value, digits) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * The values of a parsed reading a baseline is kept for
+ * @param {Object} reading - SensorDataParser output
+ * @returns {Object} { heartRate, eda (µS), temperature } - null when missing
+ */
+const baselineValues = (reading) => {
+  // The parser fills in 36.5 °C when the wearable sends no temperature
+  const measuredTemperature = parseFloat(reading.raw?.temperature ?? reading.raw?.temp);
+  return {
+    heartRate: reading.fingerDetected && reading.heartRate > 0 ? reading.heartRate : null,
+    eda: reading.edaAnalysis?.conductance > 0 ? reading.edaAnalysis.conductance : null,
+    temperature: measuredTemperature > 0 ? reading.temperature : null,
+  };
+};
+
+class PersonalBaseline {
+  /**
+   * @param {Object|null} stored - toJSON() output to continue from
+   */
+  constructor(stored = null) {
+    this.reset();
+    if (stored) {
+      Object.assign(this, stored);
+    }
+  }
+
+  /**
+   * Start learning again
+   */
+  reset() {
+    // Running mean and sum of squared deviations (Welford) per signal
+    this.stats = Object.fromEntries(
+      BASELINE_SIGNALS.map((signal) => [signal, { count: 0, mean: 0, m2: 0 }])
+    );
+    this.learnedMs = 0;     // time covered by qualifying readings
+    this.lastAt = null;     // time of the last qualifying reading
+    this.startedAt = null;
+    this.completedAt = null;
+  }
+
+  isReady() {
+    return this.completedAt !== null;
+  }
+
+  /**
+   * Learn from a qualifying reading (ignored once the baseline is ready)
+   * @param {Object} values - baselineValues() output
+   * @param {number} at - Reading time (ms)
+   * @returns {boolean} Whether the baseline changed
+   */
+  addValues(values, at) {
+    if (this.isReady()) {
+      return false;
+    }
+    const { calibrationPeriod, maxSampleGap } = ConfigManager.getBaselineConfig();
+
+    BASELINE_SIGNALS.forEach((signal) => {
+      const value = values[signal];
+      if (typeof value !== 'number') {
+        return;
+      }
+      const stat = this.stats[signal];
+      stat.count += 1;
+      const delta = value - stat.mean;
+      stat.mean += delta / stat.count;
+      stat.m2 += delta * (value - stat.mean);
+    });
+
+    if (this.startedAt === null) {
+      this.startedAt = new Date(at).toISOString();
+    }
+    if (this.lastAt !== null && at > this.lastAt) {
+      this.learnedMs += Math.min(at - this.lastAt, maxSampleGap);
+    }
+    this.lastAt = at;
+
+    if (
+      this.learnedMs >= calibrationPeriod &&
+      this.stats.heartRate.count >= MIN_SAMPLES &&
+      this.stats.eda.count >= MIN_SAMPLES
+    ) {
+      this.completedAt = new Date(at).toISOString();
+    }
+    return true;
+  }
+
+  /**
+   * Mean and standard deviation of a signal
+   * @returns {Object|null} { mean, std }, null with fewer than two samples
+   */
+  getDistribution(signal) {
+    const { count, mean, m2 } = this.stats[signal];
+    if (count < 2) {
+      return null;
+    }
+    const { minStd } = ConfigManager.getBaselineConfig();
+    return {
+      mean,
+      std: Math.max(Math.sqrt(m2 / (count - 1)), minStd[signal] || 0),
+    };
+  }
+
+  /**
+   * Reading expressed against the baseline
+   * @param {Object} values - baselineValues() output
+   * @returns {Object|null} { heartRate, eda, temperature } z-scores (null for
+   *   missing signals), or null until the baseline is ready
+   */
+  getZScores(values) {
+    if (!this.isReady()) {
+      return null;
+    }
+    return Object.fromEntries(
+      BASELINE_SIGNALS.map((signal) => {
+        const distribution = this.getDistribution(signal);
+        const value = values[signal];
+        return [
+          signal,
+          distribution && typeof value === 'number'
+            ? round((value - distribution.mean) / distribution.std, 2)
+            : null,
+        ];
+      })
+    );
+  }
+
+  /**
+   * Baseline for display
+   * @returns {Object} { status (BASELINE_STATUS), progress (0–1), startedAt,
+   *   completedAt, heartRate, eda, temperature ({ mean, std, samples } or null) }
+   */
+  getSummary() {
+    const { calibrationPeriod } = ConfigManager.getBaselineConfig();
+    const summary = {
+      status: this.isReady() ? BASELINE_STATUS.READY : BASELINE_STATUS.LEARNING,
+      progress: this.isReady() ? 1 : round(Math.min(0.99, this.learnedMs / calibrationPeriod), 2),
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+    };
+    BASELINE_SIGNALS.forEach((signal) => {
+      const distribution = this.getDistribution(signal);
+      summary[signal] = distribution
+        ? {
+            mean: round(distribution.mean, 2),
+            std: round(distribution.std, 2),
+            samples: this.stats[signal].count,
+          }
+        : null;
+    });
+    return summary;
+  }
+
+  toJSON() {
+    return {
+      stats: this.stats,
+      learnedMs: this.learnedMs,
+      lastAt: this.lastAt,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+    };
+  }
+}
+
+class BaselineService {
+  constructor() {
+    this.profiles = new Map();  // device ID (null = main wearable) -> child profile ID
+    this.baselines = new Map(); // profile ID -> PersonalBaseline
+    this.loading = new Map();   // profile ID -> pending load
+    this.unsaved = new Map();   // profile ID -> qualifying readings since the last save
+  }
+
+  /**
+   * Child profile whose baseline a wearable's readings belong to
+   * @param {string|null} deviceId - Monitored wearable, or null for the main one
+   */
+  getProfileId(deviceId = null) {
+    // A wearable not yet attributed keeps its readings to itself
+    return this.profiles.get(deviceId) ?? deviceId ?? DEFAULT_PROFILE_ID;
+  }
+
+  /**
+   * Attribute a wearable's readings to a child and load the child's baseline
+   * @param {string|null} deviceId
+   * @param {string} profileId - ChildProfileService profile
+   * @returns {PersonalBaseline}
+   */
+  async setProfile(deviceId, profileId) {
+    const previous = this.getProfileId(deviceId);
+    this.profiles.set(deviceId, profileId);
+    if (previous !== profileId) {
+      await this.save(previous);
+    }
+    return this.loadProfile(profileId);
+  }
+
+  /**
+   * Load a child's baseline from storage (once)
+   * @param {string} profileId
+   * @returns {PersonalBaseline}
+   */
+  async loadProfile(profileId) {
+    if (this.baselines.has(profileId)) {
+      return this.baselines.get(profileId);
+    }
+    if (!this.loading.has(profileId)) {
+      this.loading.set(
+        profileId,
+        StorageService.getPersonalBaseline(profileId).then((stored) => {
+          const baseline = new PersonalBaseline(stored);
+          this.baselines.set(profileId, baseline);
+          this.loading.delete(profileId);
+          return baseline;
+        })
+      );
+    }
+    return this.loading.get(profileId);
+  }
+
+  /**
+   * Load the baseline of a wearable's child
+   * @param {string|null} deviceId
+   * @returns {PersonalBaseline}
+   */
+  async load(deviceId = null) {
+    return this.loadProfile(this.getProfileId(deviceId));
+  }
+
+  /**
+   * Write a child's baseline if it has learned since the last save
+   */
+  async save(profileId) {
+    const baseline = this.baselines.get(profileId);
+    if (baseline && this.unsaved.get(profileId)) {
+      this.unsaved.set(profileId, 0);
+      await StorageService.savePersonalBaseline(profileId, baseline.toJSON());
+    }
+  }
+
+  /**
+   * Learn from a prediction if its reading was taken at rest
+   * @param {Object} prediction - Prediction with the parsed reading as
+   *   sensorData and its own classification as raw
+   * @param {string|null} deviceId
+   * @returns {Object} getSummary() of the child's baseline
+   */
+  async addPrediction(prediction, deviceId = null) {
+    const profileId = this.getProfileId(deviceId);
+    const baseline = await this.loadProfile(profileId);
+    const reading = prediction.sensorData;
+    const { motion } = ConfigManager.getBaselineConfig();
+    // The reading's own classification: prediction.state is the state
+    // machine's, which stays Calm for a while after readings turn stressed
+    const classified = (prediction.raw ?? prediction).state;
+
+    const atRest =
+      reading &&
+      classified === 'Calm' &&
+      reading.signalQuality?.level === SIGNAL_QUALITY.GOOD &&
+      motion.includes(reading.motion);
+    if (!atRest) {
+      return this.getSummary(deviceId);
+    }
+
+    const at = Date.parse(reading.timestamp ?? prediction.timestamp) || Date.now();
+    const wasReady = baseline.isReady();
+    if (baseline.addValues(baselineValues(reading), at)) {
+      const unsaved = (this.unsaved.get(profileId) || 0) + 1;
+      this.unsaved.set(profileId, unsaved);
+      if (unsaved >= SAVE_EVERY || baseline.isReady() !== wasReady) {
+        await this.save(profileId);
+      }
+    }
+    return this.getSummary(deviceId);
+  }
+
+  /**
+   * A reading as z-scores against the baseline of the wearable's child
+   * @param {Object} reading - SensorDataParser output
+   * @param {string|null} deviceId
+   * @returns {Object|null} { heartRate, eda, temperature }, null until the
+   *   baseline is loaded and ready
+   */
+  getZScores(reading, deviceId = null) {
+    const baseline = this.baselines.get(this.getProfileId(deviceId));
+    return baseline ? baseline.getZScores(baselineValues(reading)) : null;
+  }
+
+  /**
+   * The baseline of a wearable's child for display
+   * @returns {Object|null} PersonalBaseline.getSummary() with the profileId
+   *   it belongs to, null until loaded
+   */
+  getSummary(deviceId = null) {
+    const profileId = this.getProfileId(deviceId);
+    const baseline = this.baselines.get(profileId);
+    return baseline ? { ...baseline.getSummary(), profileId } : null;
+  }
+
+  /**
+   * Forget the baseline of a wearable's child and start learning again
+   * @returns {Object} { success, baseline, error }
+   */
+  async reset(deviceId = null) {
+    try {
+      const profileId = this.getProfileId(deviceId);
+      const baseline = await this.loadProfile(profileId);
+      baseline.reset();
+      this.unsaved.set(profileId, 0);
+      await StorageService.clearPersonalBaseline(profileId);
+      return { success: true, baseline: this.getSummary(deviceId) };
+    } catch (error) {
+      console.error('Error resetting personal baseline:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop attributing a wearable's readings (no longer monitored); the
+   * child's baseline stays stored under their profile
+   */
+  forget(deviceId) {
+    const profileId = this.getProfileId(deviceId);
+    this.profiles.delete(deviceId);
+    this.save(profileId).catch((error) => console.error('Error saving personal baseline:', error));
+  }
+}
+
+export default new BaselineService();
+export { PersonalBaseline, BASELINE_SIGNALS, BASELINE_STATUS, baselineValues };
@@ -0,0 +1,112 @@
+/**
+ * Child Profile Service
+ * The children whose wearables the app watches
+ *
+ * What the app learns about a child rather than a wearable — the personal
+ * baseline — is stored under the child's profile, so it stays with the
+ * child when the main wearable is handed to a sibling or a monitored
+ * wearable is registered again. The main wearable's child is the active
+ * profile (user settings `activeProfileId`); a monitored wearable's
+ * registration names its child's profile. Profiles are found again by the
+ * child's name.
+ */
+
+import StorageService from './StorageService';
+
+// The main wearable's child until another one is chosen
+const DEFAULT_PROFILE_ID = 'child_default';
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+class ChildProfileService {
+  constructor() {
+    this.profiles = null; // [{ id, name, createdAt }]
+    this.loading = null;
+  }
+
+  /**
+   * Load the profiles from storage (once)
+   * @returns {Array} Profiles
+   */
+  async load() {
+    if (this.profiles) {
+      return this.profiles;
+    }
+    if (!this.loading) {
+      this.loading = StorageService.getChildProfiles().then((stored) => {
+        this.profiles = stored.some((profile) => profile.id === DEFAULT_PROFILE_ID)
+          ? stored
+          : [{ id: DEFAULT_PROFILE_ID, name: '', createdAt: null }, ...stored];
+        this.loading = null;
+        return this.profiles;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * All profiles (after load())
+   */
+  list() {
+    return (this.profiles || []).map((profile) => ({ ...profile }));
+  }
+
+  /**
+   * A profile by ID (after load())
+   * @returns {Object|null}
+   */
+  get(profileId) {
+    return (this.profiles || []).find((profile) => profile.id === profileId) || null;
+  }
+
+  /**
+   * The profile of a named child (after load())
+   * @returns {Object|null}
+   */
+  findByName(name) {
+    if (!name || !name.trim()) {
+      return null;
+    }
+    return (this.profiles || []).find((profile) => profile.name && sameName(profile.name, name)) || null;
+  }
+
+  /**
+   * The profile of a named child, created if the child is new
+   * @param {string} name - Child's name; unnamed children always get a new profile
+   * @returns {Object} Profile
+   */
+  async findOrCreate(name = '') {
+    await this.load();
+    const existing = this.findByName(name);
+    if (existing) {
+      return existing;
+    }
+
+    const profile = {
+      id: `child_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: name.trim(),
+      createdAt: new Date().toISOString(),
+    };
+    this.profiles.push(profile);
+    await StorageService.saveChildProfiles(this.profiles);
+    return profile;
+  }
+
+  /**
+   * Name a child
+   * @returns {Object|null} Profile
+   */
+  async rename(profileId, name) {
+    await this.load();
+    const profile = this.get(profileId);
+    if (!profile) {
+      return null;
+    }
+    profile.name = name.trim();
+    await StorageService.saveChildProfiles(this.profiles);
+    return profile;
+  }
+}
+
+export default new ChildProfileService();
+export { DEFAULT_PROFILE_ID };
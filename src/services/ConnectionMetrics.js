@@ -0,0 +1,257 @@
+/**
+ * Connection Metrics
+ * Rolling connection-quality statistics for one transport connection
+ *
+ * Transport services record what happens on the link — request latency and
+ * outcome (WiFi), every delivered frame, frames lost according to sequence
+ * numbers and signal strength (BLE), disconnects — and getSnapshot()
+ * summarises the last `diagnostics.window` ms for the diagnostics panel.
+ *
+ * Metrics survive automatic reconnects and are only reset when a different
+ * wearable is connected, so the history behind "it stopped working" is
+ * still there when someone looks.
+ */
+
+import ConfigManager from '../utils/ConfigManager';
+
+// Frame times kept for the sample rate (bounds memory at high sampling rates)
+const MAX_FRAME_SAMPLES = 600;
+// Recent intervals used to judge what a normal gap between frames is
+const TYPICAL_INTERVAL_SAMPLES = 50;
+
+const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+const percentile = (values, fraction) => {
+  if (!values.length) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+};
+
+class ConnectionMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Start fresh for a (new) wearable
+   * @param {string|null} deviceId
+   */
+  reset(deviceId = null) {
+    this.deviceId = deviceId;
+    this.since = Date.now();
+    this.requests = []; // { at, latency, ok }
+    this.frames = [];   // delivery times
+    this.dropped = [];  // { at, count }
+    this.gaps = [];     // { at, duration }
+    this.rssi = [];     // { at, value }
+    this.totals = { frames: 0, dropped: 0, requests: 0, failures: 0, disconnects: 0 };
+    this.lastFrameAt = null;
+    this.lastDisconnectAt = null;
+  }
+
+  /**
+   * Record a request to the wearable
+   * @param {number} latency - Round trip in ms
+   * @param {boolean} ok - Whether it succeeded
+   */
+  recordRequest(latency, ok) {
+    this.requests.push({ at: Date.now(), latency, ok });
+    this.totals.requests++;
+    if (!ok) {
+      this.totals.failures++;
+    }
+    this.prune();
+  }
+
+  /**
+   * Record a delivered sensor frame; a long silence before it counts as a gap
+   */
+  recordFrame(at = Date.now()) {
+    if (this.lastFrameAt !== null) {
+      const interval = at - this.lastFrameAt;
+      if (interval > this.getGapThreshold()) {
+        this.gaps.push({ at: this.lastFrameAt, duration: interval });
+      }
+    }
+    this.frames.push(at);
+    if (this.frames.length > MAX_FRAME_SAMPLES) {
+      this.frames.shift();
+    }
+    this.lastFrameAt = at;
+    this.totals.frames++;
+    this.prune();
+  }
+
+  /**
+   * Record frames the wearable sent but that never arrived
+   */
+  recordDroppedFrames(count) {
+    this.dropped.push({ at: Date.now(), count });
+    this.totals.dropped += count;
+    this.prune();
+  }
+
+  /**
+   * Record received signal strength (dBm)
+   */
+  recordRssi(value) {
+    if (typeof value !== 'number') {
+      return;
+    }
+    this.rssi.push({ at: Date.now(), value });
+    this.prune();
+  }
+
+  /**
+   * Record the link dropping (before any reconnect attempt)
+   */
+  recordDisconnect() {
+    this.totals.disconnects++;
+    this.lastDisconnectAt = Date.now();
+  }
+
+  /**
+   * Silence longer than this counts as a gap: gapFactor × the typical frame
+   * interval, but never less than minGap
+   */
+  getGapThreshold() {
+    const { minGap, gapFactor } = ConfigManager.getDiagnosticsConfig();
+    const recent = this.frames.slice(-TYPICAL_INTERVAL_SAMPLES - 1);
+    const intervals = recent.slice(1).map((at, i) => at - recent[i]);
+    const typical = percentile(intervals, 0.5);
+    return Math.max(minGap, typical ? typical * gapFactor : 0);
+  }
+
+  /**
+   * Drop samples older than the rolling window
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - ConfigManager.getDiagnosticsConfig().window;
+    this.requests = this.requests.filter((r) => r.at >= cutoff);
+    this.frames = this.frames.filter((at) => at >= cutoff);
+    this.dropped = this.dropped.filter((d) => d.at >= cutoff);
+    this.gaps = this.gaps.filter((g) => g.at + g.duration >= cutoff);
+    this.rssi = this.rssi.filter((r) => r.at >= cutoff);
+  }
+
+  /**
+   * Summary of the rolling window
+   */
+  getSnapshot() {
+    const now = Date.now();
+    this.prune(now);
+    const { window } = ConfigManager.getDiagnosticsConfig();
+
+    const latencies = this.requests.filter((r) => r.ok).map((r) => r.latency);
+    const failed = this.requests.filter((r) => !r.ok).length;
+    const span = this.frames.length > 1 ? this.frames[this.frames.length - 1] - this.frames[0] : 0;
+    const silence = this.lastFrameAt !== null ? now - this.lastFrameAt : null;
+    const rssiValues = this.rssi.map((r) => r.value);
+    const droppedInWindow = this.dropped.reduce((sum, d) => sum + d.count, 0);
+    const expectedFrames = this.frames.length + droppedInWindow;
+
+    return {
+      deviceId: this.deviceId,
+      since: new Date(this.since).toISOString(),
+      windowMs: window,
+      requests: {
+        count: this.requests.length,
+        failed,
+        successRate: this.requests.length ? (this.requests.length - failed) / this.requests.length : null,
+        avgLatency: latencies.length ? Math.round(average(latencies)) : null,
+        p95Latency: percentile(latencies, 0.95),
+        lastLatency: latencies.length ? latencies[latencies.length - 1] : null,
+      },
+      sampleRate: span > 0 ? ((this.frames.length - 1) * 1000) / span : null,
+      frames: {
+        received: this.frames.length,
+        dropped: droppedInWindow,
+        dropRate: expectedFrames ? droppedInWindow / expectedFrames : null,
+        total: this.totals.frames,
+        totalDropped: this.totals.dropped,
+        lastFrameAt: this.lastFrameAt ? new Date(this.lastFrameAt).toISOString() : null,
+      },
+      gaps: {
+        count: this.gaps.length,
+        longestMs: this.gaps.length ? Math.max(...this.gaps.map((g) => g.duration)) : 0,
+        last: this.gaps.length ? this.gaps[this.gaps.length - 1] : null,
+        // Ongoing silence, when no frame has arrived for longer than the gap threshold
+        currentMs: silence !== null && silence > this.getGapThreshold() ? silence : 0,
+      },
+      rssi: rssiValues.length
+        ? { last: rssiValues[rssiValues.length - 1], avg: Math.round(average(rssiValues)) }
+        : null,
+      disconnects: this.totals.disconnects,
+      lastDisconnectAt: this.lastDisconnectAt ? new Date(this.lastDisconnectAt).toISOString() : null,
+    };
+  }
+}
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+const formatPercent = (fraction) => (fraction === null ? 'n/a' : `${(fraction * 100).toFixed(1)}%`);
+
+/**
+ * Plain-text diagnostics report for sharing with support
+ * @param {Object|null} snapshot - ConnectionMetrics.getSnapshot()
+ * @param {Object} details - { appVersion, transport, device, isConnected, isReconnecting,
+ *   reconnectState, deviceInfo, connectionError, lastSyncResult }
+ */
+const formatDiagnosticsReport = (snapshot, details = {}) => {
+  const lines = [
+    'NeuroNest connection report',
+    `Generated: ${new Date().toISOString()}`,
+    `App version: ${details.appVersion || 'unknown'}`,
+    '',
+    `Transport: ${details.transport || 'unknown'}`,
+    `Device: ${details.device ? `${details.device.name} (${details.device.id})` : 'none'}`,
+    `Firmware: ${details.deviceInfo?.firmwareVersion || details.deviceInfo?.firmware || 'unknown'}`,
+    `Status: ${details.isConnected ? 'connected' : details.isReconnecting ? 'reconnecting' : 'disconnected'}`,
+  ];
+  if (details.reconnectState) {
+    lines.push(`Reconnect attempt: ${details.reconnectState.attempt}/${details.reconnectState.maxAttempts}`);
+  }
+  if (details.connectionError) {
+    lines.push(`Last error: ${details.connectionError}`);
+  }
+  if (details.lastSyncResult) {
+    lines.push(`Last offline sync: ${details.lastSyncResult.added ?? 0} readings at ${details.lastSyncResult.timestamp}`);
+  }
+
+  lines.push('');
+  if (!snapshot) {
+    lines.push('No connection metrics for this transport.');
+    return lines.join('\n');
+  }
+
+  const { requests, frames, gaps, rssi } = snapshot;
+  lines.push(
+    `Window: last ${Math.round(snapshot.windowMs / 60000)} min (tracking since ${snapshot.since})`,
+    `Sample rate: ${snapshot.sampleRate === null ? 'n/a' : `${snapshot.sampleRate.toFixed(2)} Hz`}`,
+    `Frames: ${frames.received} received, ${frames.dropped} dropped (${formatPercent(frames.dropRate)})`,
+    `Frames since tracking began: ${frames.total} received, ${frames.totalDropped} dropped`,
+    `Last frame: ${frames.lastFrameAt || 'never'}`,
+    `Gaps: ${gaps.count}${gaps.count ? `, longest ${formatSeconds(gaps.longestMs)}` : ''}`,
+  );
+  if (gaps.currentMs) {
+    lines.push(`No data for: ${formatSeconds(gaps.currentMs)}`);
+  }
+  if (requests.count) {
+    lines.push(
+      `Requests: ${requests.count}, success ${formatPercent(requests.successRate)}`,
+      `Latency: avg ${requests.avgLatency ?? 'n/a'} ms, p95 ${requests.p95Latency ?? 'n/a'} ms`,
+    );
+  }
+  if (rssi) {
+    lines.push(`Signal: ${rssi.last} dBm (avg ${rssi.avg} dBm)`);
+  }
+  lines.push(
+    `Disconnects: ${snapshot.disconnects}${snapshot.lastDisconnectAt ? `, last at ${snapshot.lastDisconnectAt}` : ''}`
+  );
+  return lines.join('\n');
+};
+
+export default ConnectionMetrics;
+export { formatDiagnosticsReport };
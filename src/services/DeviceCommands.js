@@ -0,0 +1,96 @@
+/**
+ * Device Commands
+ * Command definitions shared by the WiFi and BLE transports
+ *
+ * Commands are sent as JSON:
+ *   { id, command, params }
+ * and the firmware acknowledges each one with:
+ *   { id, ok: true, result } or { id, ok: false, error }
+ *
+ * WiFi sends the command as POST /api/command and reads the ack from the
+ * response; BLE writes it to the command characteristic and waits for the
+ * ack notification with the same id.
+ */
+
+const DEVICE_COMMANDS = {
+  SET_SAMPLING_RATE: 'set_sampling_rate', // { hz }
+  SET_FEEDBACK: 'set_feedback',           // { led?: boolean, haptic?: boolean }
+  RECALIBRATE_EDA: 'recalibrate_eda',     // {}
+  REBOOT: 'reboot',                       // {}
+  IDENTIFY: 'identify',                   // { durationMs? }
+};
+
+// Sensor sampling rates the firmware accepts (Hz)
+const SAMPLING_RATE_LIMITS = { min: 1, max: 100 };
+
+/**
+ * Validate a command and its parameters before sending
+ * @param {string} command - One of DEVICE_COMMANDS
+ * @param {Object} params
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCommand = (command, params = {}) => {
+  switch (command) {
+    case DEVICE_COMMANDS.SET_SAMPLING_RATE: {
+      const hz = Number(params.hz);
+      if (!Number.isFinite(hz) || hz < SAMPLING_RATE_LIMITS.min || hz > SAMPLING_RATE_LIMITS.max) {
+        return `Sampling rate must be between ${SAMPLING_RATE_LIMITS.min} and ${SAMPLING_RATE_LIMITS.max} Hz`;
+      }
+      return null;
+    }
+    case DEVICE_COMMANDS.SET_FEEDBACK:
+      if (params.led === undefined && params.haptic === undefined) {
+        return 'Specify led and/or haptic';
+      }
+      if (
+        (params.led !== undefined && typeof params.led !== 'boolean') ||
+        (params.haptic !== undefined && typeof params.haptic !== 'boolean')
+      ) {
+        return 'led and haptic must be true or false';
+      }
+      return null;
+    case DEVICE_COMMANDS.IDENTIFY:
+      if (params.durationMs !== undefined && !(Number(params.durationMs) > 0)) {
+        return 'durationMs must be a positive number';
+      }
+      return null;
+    case DEVICE_COMMANDS.RECALIBRATE_EDA:
+    case DEVICE_COMMANDS.REBOOT:
+      return null;
+    default:
+      return `Unknown command: ${command}`;
+  }
+};
+
+/**
+ * Create a command id unique enough to match acks on one device
+ */
+const createCommandId = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Interpret a firmware acknowledgement
+ * @param {Object} ack - { id, ok, result, error }
+ * @param {string} expectedId - Id of the command that was sent
+ * @returns {Object} { success, result } or { success: false, error }
+ */
+const parseCommandAck = (ack, expectedId) => {
+  if (!ack || typeof ack !== 'object') {
+    return { success: false, error: 'Device sent no acknowledgement' };
+  }
+  if (ack.id !== undefined && ack.id !== expectedId) {
+    return { success: false, error: 'Acknowledgement does not match command' };
+  }
+  if (ack.ok !== true) {
+    return { success: false, error: ack.error || 'Device rejected the command' };
+  }
+  return { success: true, result: ack.result ?? null };
+};
+
+export {
+  DEVICE_COMMANDS,
+  SAMPLING_RATE_LIMITS,
+  validateCommand,
+  createCommandId,
+  parseCommandAck,
+};
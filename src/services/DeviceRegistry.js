@@ -0,0 +1,368 @@
+/**
+ * Device Registry
+ * Monitors additional wearables alongside the primary connection
+ *
+ * The primary wearable is still driven by WearableTransport and
+ * WearableContext. Every wearable added here gets its own session:
+ * - its own transport service instance (connection, parser smoothing buffers,
+ *   reconnect supervisor)
+ * - its own MLModelService state machine (keyed by device ID)
+ * - its own StorageService partition for readings and predictions
+ * - its child's profile (ChildProfileService), found by the child's name,
+ *   whose personal baseline (BaselineService) it learns
+ * - its own history sync (WearableSyncService) each time it connects, into
+ *   that partition
+ *
+ * Registrations are persisted so monitored wearables reconnect on launch.
+ * Listeners receive a snapshot array of session summaries on every change.
+ */
+
+import WearableTransport from './WearableTransport';
+import MLModelService, { MIND_STATES } from './MLModelService';
+import StorageService from './StorageService';
+import BaselineService from './BaselineService';
+import ChildProfileService from './ChildProfileService';
+import WearableSyncService from './WearableSyncService';
+import { getCalibrationId } from './SensorCalibration';
+
+class DeviceRegistry {
+  constructor() {
+    this.sessions = new Map(); // id -> session
+    this.listeners = new Set();
+    this.isLoaded = false;
+  }
+
+  /**
+   * Restore persisted registrations and reconnect them
+   */
+  async load() {
+    if (this.isLoaded) {
+      return this.getSnapshot();
+    }
+    this.isLoaded = true;
+
+    const registrations = await StorageService.getRegisteredDevices();
+    const unattributed = registrations.filter((registration) => !registration.profileId);
+    for (const registration of unattributed) {
+      registration.profileId = (await ChildProfileService.findOrCreate(registration.childName)).id;
+    }
+    await Promise.all(
+      registrations.map((registration) => this.startSession(registration))
+    );
+    if (unattributed.length > 0) {
+      await this.persist();
+    }
+    return this.getSnapshot();
+  }
+
+  /**
+   * Start monitoring another wearable
+   * @param {Object} registration - { childName, transport, target, port }
+   *   target is the IP address (WiFi) or BLE device ID
+   * @returns {Object} { success, device, error }
+   */
+  async addDevice({ childName, transport, target, port }) {
+    if (!target) {
+      return { success: false, error: 'Choose a wearable to monitor' };
+    }
+    if (this.sessions.has(target)) {
+      return { success: false, error: 'This wearable is already being monitored' };
+    }
+
+    const name = (childName || '').trim();
+    const profile = await ChildProfileService.findOrCreate(name);
+    const registration = {
+      id: target,
+      childName: name,
+      profileId: profile.id,
+      transport,
+      target,
+      port: port || null,
+    };
+
+    const result = await this.startSession(registration);
+    if (!result.success) {
+      await this.stopSession(registration.id);
+      return result;
+    }
+
+    await this.persist();
+    return result;
+  }
+
+  /**
+   * Stop monitoring a wearable
+   * @param {string} id - Device ID
+   * @param {Object} options - { clearData: true } to delete its stored partition
+   */
+  async removeDevice(id, options = {}) {
+    if (!this.sessions.has(id)) {
+      return { success: false, error: 'Unknown device' };
+    }
+
+    await this.stopSession(id);
+    await this.persist();
+
+    if (options.clearData) {
+      await StorageService.forDevice(id).clearPartition();
+    }
+    BaselineService.forget(id);
+    return { success: true };
+  }
+
+  /**
+   * Retry a monitored wearable that dropped off
+   */
+  async reconnectDevice(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return { success: false, error: 'Unknown device' };
+    }
+    return this.connectSession(session);
+  }
+
+  /**
+   * Create a session with its own service instance and connect it
+   */
+  async startSession(registration) {
+    let service;
+    try {
+      service = WearableTransport.createService(registration.transport);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const session = {
+      ...registration,
+      service,
+      deviceName: null,
+      isConnected: false,
+      isReconnecting: false,
+      sensorData: null,
+      prediction: null,
+      lastUpdate: null,
+      error: null,
+    };
+    this.sessions.set(registration.id, session);
+    BaselineService.setProfile(registration.id, registration.profileId).then(() => this.emit());
+
+    service.setDataCallback((data) => this.handleSensorData(session, data));
+    service.setConnectionCallback((connected, device) => {
+      const isNewConnection = connected && device && !session.isConnected;
+      session.isConnected = connected;
+      if (connected && device) {
+        session.deviceName = device.name;
+        session.error = null;
+      }
+      this.emit();
+      if (isNewConnection) {
+        this.syncSession(session, device);
+      }
+    });
+    service.setErrorCallback((error) => {
+      session.error = error?.message || 'Device error';
+      this.emit();
+    });
+    if (service.setReconnectCallback) {
+      service.setReconnectCallback((state) => {
+        session.isReconnecting = state.isReconnecting;
+        if (state.isReconnecting) {
+          // Data has stopped; the next "connected" is a new connection
+          session.isConnected = false;
+        }
+        this.emit();
+      });
+    }
+
+    const init = await service.initialize();
+    if (init && init.success === false) {
+      session.error = init.error;
+      this.emit();
+      return { success: false, error: init.error };
+    }
+
+    return this.connectSession(session);
+  }
+
+  /**
+   * Connect (or reconnect) a session's service
+   */
+  async connectSession(session) {
+    const result = await session.service.connect(session.target, session.port || undefined, {
+      remember: false,
+    });
+    if (!result.success) {
+      session.error = result.error;
+    }
+    this.emit();
+    return { ...result, device: this.summarize(session) };
+  }
+
+  /**
+   * Download what a monitored wearable buffered while it was out of range
+   * into its own storage partition
+   */
+  async syncSession(session, device) {
+    const result = await WearableSyncService.syncDevice(session.service, session.id, {
+      calibrationId: getCalibrationId(device),
+      connectedAt: Date.now(),
+      partition: session.id,
+    });
+    if (!result.success) {
+      console.warn(`[DeviceRegistry] Sync failed for ${session.id}:`, result.error);
+    }
+  }
+
+  /**
+   * Disconnect a session and forget its smoothing state
+   */
+  async stopSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return;
+    }
+    this.sessions.delete(id);
+
+    session.service.setDataCallback(null);
+    session.service.setConnectionCallback(null);
+    session.service.setErrorCallback(null);
+    if (session.service.setReconnectCallback) {
+      session.service.setReconnectCallback(null);
+    }
+    await session.service.disconnect();
+    MLModelService.clearHistory(id);
+    this.emit();
+  }
+
+  /**
+   * Run a reading from a monitored wearable through the prediction pipeline
+   * Mirrors WearableContext.handleSensorData, against the session's own
+   * state machine and storage partition.
+   */
+  async handleSensorData(session, data) {
+    const storage = StorageService.forDevice(session.id);
+    session.sensorData = data;
+    session.lastUpdate = new Date().toISOString();
+
+    try {
+      await storage.saveSensorReading(data);
+
+      if (!data.fingerDetected) {
+        session.prediction = null;
+        this.emit();
+        return;
+      }
+
+      if (MLModelService.isReady()) {
+        const result = await MLModelService.predict(data, { deviceId: session.id });
+        if (result.lowSignalQuality) {
+          session.prediction = { ...result, calmScore: null, sensorData: data };
+          this.emit();
+          return;
+        }
+        const fullPrediction = {
+          ...result,
+          calmScore: MLModelService.calculateCalmScore(result),
+          sensorData: data,
+        };
+        session.prediction = fullPrediction;
+        await storage.savePrediction(fullPrediction);
+        await BaselineService.addPrediction(fullPrediction, session.id);
+      }
+    } catch (error) {
+      console.error(`[DeviceRegistry] Error handling data for ${session.id}:`, error);
+    }
+    this.emit();
+  }
+
+  /**
+   * Start learning a monitored child's baseline again
+   */
+  async resetBaseline(id) {
+    const result = await BaselineService.reset(id);
+    this.emit();
+    return result;
+  }
+
+  /**
+   * Persist registrations (without runtime state)
+   */
+  async persist() {
+    const registrations = Array.from(this.sessions.values()).map(
+      ({ id, childName, profileId, transport, target, port }) => ({
+        id,
+        childName,
+        profileId,
+        transport,
+        target,
+        port,
+      })
+    );
+    await StorageService.saveRegisteredDevices(registrations);
+  }
+
+  /**
+   * Public view of a session for the UI
+   */
+  summarize(session) {
+    return {
+      id: session.id,
+      childName: session.childName,
+      profileId: session.profileId,
+      name: session.childName || session.deviceName || session.target,
+      deviceName: session.deviceName,
+      transport: session.transport,
+      isConnected: session.isConnected,
+      isReconnecting: session.isReconnecting,
+      sensorData: session.sensorData,
+      state: session.prediction?.state || MIND_STATES.UNKNOWN,
+      signalQuality: session.prediction?.signalQuality ?? null,
+      calmScore: session.prediction?.calmScore ?? null,
+      zScores: session.prediction?.zScores ?? null,
+      baseline: BaselineService.getSummary(session.id),
+      lastUpdate: session.lastUpdate,
+      error: session.error,
+    };
+  }
+
+  /**
+   * Summaries of every monitored wearable
+   */
+  getSnapshot() {
+    return Array.from(this.sessions.values()).map((session) => this.summarize(session));
+  }
+
+  /**
+   * Check whether a device is monitored by the registry
+   */
+  has(id) {
+    return this.sessions.has(id);
+  }
+
+  /**
+   * Subscribe to registry changes
+   * @param {Function} listener - (snapshot) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach((listener) => listener(snapshot));
+  }
+
+  /**
+   * Disconnect every monitored wearable (app teardown)
+   */
+  async destroy() {
+    await Promise.all(
+      Array.from(this.sessions.keys()).map((id) => this.stopSession(id))
+    );
+    this.isLoaded = false;
+  }
+}
+
+export default new DeviceRegistry();
@@ -0,0 +1,185 @@
+/**
+ * EDA Analyzer
+ * Skin conductance, its tonic/phasic split and skin conductance responses
+ *
+ * The wearable's GSR front end (a Grove-style bridge and amplifier) reports a
+ * 12-bit ADC count that falls as skin conductance rises. adcToMicrosiemens()
+ * converts it using the circuit calibration in `eda.circuit`:
+ *
+ *   R_skin = (fullScale + 2 × adc) × referenceResistor / (openCircuit − adc)
+ *
+ * where openCircuit is the reading with nothing touching the electrodes.
+ * The analyzer then splits the conductance into the slowly varying tonic
+ * level (a moving median over `eda.tonicWindow`) and the phasic part on top
+ * of it, and detects skin conductance responses (SCRs): rises of at least
+ * `eda.minAmplitude` µS reaching their peak within `eda.maxRiseTime` ms.
+ *
+ * Samples are timed by the wearable's own clock when the frame carries one,
+ * so history downloads and fast replays keep their real spacing. Like
+ * SensorDataParser, an analyzer is stateful and belongs to one stream of
+ * frames.
+ */
+
+import ConfigManager from '../utils/ConfigManager';
+
+// Samples in the spike-removing median applied before anything else
+const DESPIKE_SAMPLES = 3;
+// A response starts where conductance begins rising faster than this (µS/s)
+const ONSET_SLOPE = 0.01;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+const round = (value, digits) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * Convert a GSR ADC reading to skin conductance
+ * @param {number} adc - Raw 12-bit reading
+ * @param {Object} circuit - { fullScale, openCircuit, referenceResistor (Ω) }
+ * @returns {number} Conductance in µS (0 with no skin contact)
+ */
+const adcToMicrosiemens = (adc, circuit) => {
+  const { fullScale, openCircuit, referenceResistor } = circuit;
+  if (!(adc < openCircuit)) {
+    return 0;
+  }
+  const resistance = ((fullScale + 2 * adc) * referenceResistor) / (openCircuit - adc);
+  return resistance > 0 ? 1e6 / resistance : 0;
+};
+
+class EDAAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget the signal (sensor removed, new connection)
+   */
+  reset() {
+    this.recent = [];   // raw conductance for the despike median
+    this.samples = [];  // { at, value } despiked conductance
+    this.responses = []; // { at, amplitude, riseTime }
+    this.trough = null; // lowest sample since the last response peaked
+    this.peak = null;   // highest sample of the rise in progress
+    this.startedAt = null;
+  }
+
+  /**
+   * Add a conductance sample
+   * @param {number} conductance - µS
+   * @param {number} at - Sample time (ms)
+   * @returns {Object} Current metrics (see getMetrics)
+   */
+  addSample(conductance, at) {
+    const { tonicWindow, rateWindow, maxRiseTime } = ConfigManager.getEdaConfig();
+
+    // The wearable's clock went backwards: it rebooted
+    const last = this.samples[this.samples.length - 1];
+    if (last && at < last.at) {
+      this.reset();
+    }
+    if (this.startedAt === null) {
+      this.startedAt = at;
+    }
+
+    this.recent.push(conductance);
+    if (this.recent.length > DESPIKE_SAMPLES) {
+      this.recent.shift();
+    }
+    const sample = { at, value: median(this.recent) };
+    this.samples.push(sample);
+
+    const keep = Math.max(tonicWindow, maxRiseTime);
+    this.samples = this.samples.filter((s) => s.at > at - keep);
+    this.detectResponse(sample);
+    this.responses = this.responses.filter((r) => r.at > at - rateWindow);
+
+    return this.getMetrics(sample);
+  }
+
+  /**
+   * Follow the signal through troughs and peaks; when it has clearly turned
+   * down after a rise, decide whether that rise was a response
+   */
+  detectResponse(sample) {
+    const { minAmplitude, maxRiseTime } = ConfigManager.getEdaConfig();
+
+    if (this.trough === null || (this.peak === null && sample.value <= this.trough.value)) {
+      this.trough = sample;
+      return;
+    }
+    if (this.peak === null || sample.value > this.peak.value) {
+      this.peak = sample;
+      return;
+    }
+    // Small dips on the way up are noise
+    if (this.peak.value - sample.value < minAmplitude / 2) {
+      return;
+    }
+
+    // Onset: walk back from the peak while the signal was still climbing
+    // steeply, no further than the allowed rise time
+    const peak = this.peak;
+    const rise = this.samples.filter(
+      (s) => s.at >= Math.max(this.trough.at, peak.at - maxRiseTime) && s.at <= peak.at
+    );
+    let start = rise.length - 1;
+    while (
+      start > 0 &&
+      (rise[start].value - rise[start - 1].value) / ((rise[start].at - rise[start - 1].at) / 1000) >
+        ONSET_SLOPE
+    ) {
+      start--;
+    }
+    const onset = rise[start] || peak;
+    const amplitude = peak.value - onset.value;
+    if (amplitude >= minAmplitude && onset.at < peak.at) {
+      this.responses.push({ at: peak.at, amplitude, riseTime: peak.at - onset.at });
+    }
+
+    this.trough = sample;
+    this.peak = null;
+  }
+
+  /**
+   * Metrics at the latest sample
+   * @returns {Object} { conductance, tonic, phasic (µS), scrCount and
+   *   scrRate (per minute) over the rate window, lastScr { at (peak time),
+   *   amplitude (µS), riseTime (ms) } or null, windowMs }
+   */
+  getMetrics(sample = this.samples[this.samples.length - 1]) {
+    if (!sample) {
+      return null;
+    }
+    const { tonicWindow, rateWindow } = ConfigManager.getEdaConfig();
+
+    const tonic = median(
+      this.samples.filter((s) => s.at > sample.at - tonicWindow).map((s) => s.value)
+    );
+    // Until a full window has been seen, the rate covers the time observed so
+    // far, once that is at least half a window
+    const observed = Math.min(rateWindow, sample.at - this.startedAt);
+    const lastScr = this.responses[this.responses.length - 1] || null;
+
+    return {
+      conductance: round(sample.value, 3),
+      tonic: round(tonic, 3),
+      phasic: round(sample.value - tonic, 3),
+      scrCount: this.responses.length,
+      scrRate: observed >= rateWindow / 2 ? round((this.responses.length * 60000) / observed, 1) : null,
+      lastScr: lastScr
+        ? {
+            at: lastScr.at,
+            amplitude: round(lastScr.amplitude, 3),
+            riseTime: Math.round(lastScr.riseTime),
+          }
+        : null,
+      windowMs: Math.round(observed),
+    };
+  }
+}
+
+export default EDAAnalyzer;
+export { adcToMicrosiemens };
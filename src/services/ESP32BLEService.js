@@ -6,29 +6,77 @@
  * - Heart Rate (BPM)
  * - Temperature (Celsius)
  * - EDA/GSR (Electrodermal Activity - microsiemens)
+ *
+ * Sensor notifications are either a versioned binary frame (see
+ * BLEFrameCodec.js) or, from older firmware, UTF-8 JSON / CSV text. Binary
+ * frames carry a sequence number, so lost notifications are counted.
+ *
+ * Commands (see DeviceCommands.js) are written as JSON to the command
+ * characteristic; the firmware notifies the ack on the same characteristic.
+ *
+ * Unlike WiFi pairing (WearableAuth), nothing here is signed or encrypted:
+ * notifications and commands are only as trustworthy as the BLE link, and
+ * the frame CRC catches corruption, not tampering (see "Bluetooth Security"
+ * in CONFIGURATION.md).
+ *
+ * Which UUIDs to use depends on the firmware fork: scans match advertised
+ * wearables to a hardware profile and connect() uses the profile assigned
+ * to that device ID (see ConfigManager device profiles).
  */
 
 import { BleManager } from 'react-native-ble-plx';
 import { Buffer } from 'buffer';
-
-// UUIDs for the ESP32 BLE Service
-// You should update these to match your ESP32 firmware configuration
-const ESP32_SERVICE_UUID = '4fafc201-1fb5-459e-8fcc-c5c9c331914b';
-const SENSOR_DATA_CHARACTERISTIC_UUID = 'beb5483e-36e1-4688-b7f5-ea07361b26a8';
-const DEVICE_INFO_CHARACTERISTIC_UUID = 'beb5483e-36e1-4688-b7f5-ea07361b26a9';
+import ConfigManager from '../utils/ConfigManager';
+import { validateCommand, createCommandId, parseCommandAck } from './DeviceCommands';
+import { isBinaryFrame, decodeFrame, sequenceGap, isSequenceRestart } from './BLEFrameCodec';
+import SensorDataParser from './SensorDataParser';
+import ConnectionMetrics from './ConnectionMetrics';
+
+// Service/characteristic UUIDs and name filters come from the wearable's
+// hardware profile (esp32.profiles in appConfig, editable from Device Info)
+
+// Counters for binary frames on the current connection
+const createFrameStats = () => ({
+  received: 0,   // frames decoded
+  dropped: 0,    // frames missing according to sequence numbers
+  gaps: 0,       // number of separate gaps
+  rejected: 0,   // corrupt, truncated or unsupported frames
+  lastSeq: null,
+  lastError: null,
+});
+
+// react-native-ble-plx allows a single BleManager per app; every service
+// instance (one per monitored wearable) shares it
+let sharedManager = null;
+const getSharedManager = () => {
+  if (!sharedManager) {
+    sharedManager = new BleManager();
+  }
+  return sharedManager;
+};
 
 class ESP32BLEService {
   constructor() {
-    this.manager = new BleManager();
+    this.manager = getSharedManager();
     this.device = null;
+    this.profile = ConfigManager.getDeviceProfile(null);
+    this.scanMatches = new Map(); // device ID -> profile ID found while scanning
     this.isScanning = false;
     this.isConnected = false;
     this.onDataReceived = null;
     this.onConnectionChange = null;
     this.onError = null;
     this.subscription = null;
+    this.commandSubscription = null;
+    this.pendingCommands = new Map(); // id -> { resolve, timer }
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
+    // Smoothing and motion state for binary frames
+    this.parser = new SensorDataParser();
+    this.frameStats = createFrameStats();
+    // Sample rate, dropped frames, gaps and RSSI for diagnostics
+    this.metrics = new ConnectionMetrics();
+    this.rssiTimer = null;
   }
 
   /**
@@ -68,10 +116,14 @@ class ESP32BLEService {
     try {
       this.isScanning = true;
       const foundDevices = [];
+      const profiles = Object.keys(ConfigManager.getDeviceProfiles()).map((id) =>
+        ConfigManager.getDeviceProfile(id)
+      );
+      const serviceUUIDs = [...new Set(profiles.map(({ ble }) => ble.serviceUUID.toLowerCase()))];
 
       // Start scanning
       this.manager.startDeviceScan(
-        [ESP32_SERVICE_UUID], // Filter by service UUID
+        serviceUUIDs, // Filter by every profile's service UUID
         { allowDuplicates: false },
         (error, device) => {
           if (error) {
@@ -82,18 +134,16 @@ class ESP32BLEService {
           }
 
           if (device && device.name) {
-            // Check if it's a NeuroNest device
-            if (
-              device.name.includes('NeuroNest') ||
-              device.name.includes('ESP32') ||
-              device.name.includes('Wearable')
-            ) {
+            // Check it matches one of the hardware profiles
+            const profile = this.matchProfile(device, profiles);
+            if (profile) {
+              this.scanMatches.set(device.id, profile.id);
               const deviceInfo = {
-                id: device.id,
-                name: device.name,
-                rssi: device.rssi,
+                ...this.describeDevice(device),
+                profileId: profile.id,
+                profileName: profile.name,
               };
-              
+
               if (!foundDevices.find((d) => d.id === device.id)) {
                 foundDevices.push(deviceInfo);
                 if (onDeviceFound) onDeviceFound(deviceInfo);
@@ -116,6 +166,49 @@ class ESP32BLEService {
     }
   }
 
+  /**
+   * Find the hardware profile for an advertising wearable
+   * A profile assigned to the device ID wins; otherwise the first profile
+   * whose service UUID was advertised and whose name filters match.
+   * @param {Object} device - react-native-ble-plx Device
+   * @param {Array} profiles - Resolved profiles
+   * @returns {Object|null} Profile
+   */
+  matchProfile(device, profiles) {
+    const assigned = ConfigManager.getProfileForDevice(device.id);
+    if (assigned) {
+      return assigned;
+    }
+
+    const advertised = (device.serviceUUIDs || []).map((uuid) => uuid.toLowerCase());
+    return (
+      profiles.find(({ ble }) => {
+        const serviceMatches =
+          advertised.length === 0 || advertised.includes(ble.serviceUUID.toLowerCase());
+        const nameMatches =
+          ble.nameFilters.length === 0 ||
+          ble.nameFilters.some((filter) => device.name.includes(filter));
+        return serviceMatches && nameMatches;
+      }) || null
+    );
+  }
+
+  /**
+   * Scan for devices and resolve once the scan window has elapsed
+   * Matches the transport interface shared with ESP32WiFiService
+   * @param {Function} onDeviceFound - Callback when device is found
+   * @param {number} timeout - Scan timeout in ms (default 10000)
+   */
+  async scanForDevices(onDeviceFound, timeout = 10000) {
+    const devices = await this.startScan(onDeviceFound, timeout);
+    await new Promise((resolve) => setTimeout(resolve, timeout));
+    return {
+      success: true,
+      requiresManualIP: false,
+      devices: devices || [],
+    };
+  }
+
   /**
    * Stop scanning for devices
    */
@@ -135,7 +228,15 @@ class ESP32BLEService {
     try {
       this.stopScan();
 
-      console.log(`Connecting to device: ${deviceId}`);
+      // Profile remembered for this wearable, else the one matched while scanning
+      this.profile =
+        ConfigManager.getProfileForDevice(deviceId) ||
+        ConfigManager.getDeviceProfile(this.scanMatches.get(deviceId));
+
+      console.log(`Connecting to device: ${deviceId} (profile: ${this.profile.name})`);
+      if (this.metrics.deviceId !== deviceId) {
+        this.metrics.reset(deviceId);
+      }
       
       // Connect to device
       this.device = await this.manager.connectToDevice(deviceId, {
@@ -148,13 +249,21 @@ class ESP32BLEService {
 
       this.isConnected = true;
       this.reconnectAttempts = 0;
+      // Also on reconnects: the wearable may have rebooted in between and
+      // numbers its frames from zero again
+      this.parser.reset();
+      this.parser.setDeviceId(deviceId);
+      this.frameStats = createFrameStats();
 
       // Set up disconnect listener
       this.device.onDisconnected((error, device) => {
         console.log('Device disconnected:', error?.message || 'No error');
         this.isConnected = false;
+        this.stopRssiMonitor();
+        this.metrics.recordDisconnect();
+        this.rejectPendingCommands('Device disconnected');
         if (this.onConnectionChange) {
-          this.onConnectionChange(false, device);
+          this.onConnectionChange(false, this.describeDevice(device));
         }
         
         // Attempt to reconnect
@@ -162,13 +271,19 @@ class ESP32BLEService {
       });
 
       if (this.onConnectionChange) {
-        this.onConnectionChange(true, this.device);
+        this.onConnectionChange(true, this.describeDevice(this.device));
       }
 
-      // Start listening for sensor data
+      // Start listening for sensor data and command acks
       await this.startDataNotifications();
+      this.startCommandNotifications();
+      this.startRssiMonitor();
+
+      if (!ConfigManager.getProfileForDevice(deviceId)) {
+        await ConfigManager.assignDeviceProfile(deviceId, this.profile.id);
+      }
 
-      return { success: true, device: this.device };
+      return { success: true, device: this.describeDevice(this.device) };
     } catch (error) {
       console.error('Connection error:', error);
       this.isConnected = false;
@@ -213,8 +328,8 @@ class ESP32BLEService {
     try {
       // Subscribe to sensor data characteristic
       this.subscription = this.device.monitorCharacteristicForService(
-        ESP32_SERVICE_UUID,
-        SENSOR_DATA_CHARACTERISTIC_UUID,
+        this.profile.ble.serviceUUID,
+        this.profile.ble.sensorCharacteristicUUID,
         (error, characteristic) => {
           if (error) {
             console.error('Notification error:', error);
@@ -224,6 +339,9 @@ class ESP32BLEService {
 
           if (characteristic?.value) {
             const sensorData = this.parseSensorData(characteristic.value);
+            if (sensorData) {
+              this.metrics.recordFrame();
+            }
             if (sensorData && this.onDataReceived) {
               this.onDataReceived(sensorData);
             }
@@ -238,15 +356,146 @@ class ESP32BLEService {
     }
   }
 
+  /**
+   * Sample signal strength while connected
+   */
+  startRssiMonitor() {
+    this.stopRssiMonitor();
+    const { rssiInterval } = ConfigManager.getDiagnosticsConfig();
+    const sample = async () => {
+      if (!this.device || !this.isConnected) {
+        return;
+      }
+      try {
+        const device = await this.device.readRSSI();
+        this.metrics.recordRssi(device.rssi);
+      } catch (error) {
+        console.warn('RSSI read failed:', error.message);
+      }
+    };
+    sample();
+    this.rssiTimer = setInterval(sample, rssiInterval);
+  }
+
+  stopRssiMonitor() {
+    if (this.rssiTimer) {
+      clearInterval(this.rssiTimer);
+      this.rssiTimer = null;
+    }
+  }
+
+  /**
+   * Listen for command acknowledgements
+   * Firmware without a command characteristic simply never acks, so
+   * commands time out instead of failing the connection.
+   */
+  startCommandNotifications() {
+    if (this.commandSubscription) {
+      this.commandSubscription.remove();
+    }
+
+    this.commandSubscription = this.device.monitorCharacteristicForService(
+      this.profile.ble.serviceUUID,
+      this.profile.ble.commandCharacteristicUUID,
+      (error, characteristic) => {
+        if (error) {
+          console.warn('Command ack notification error:', error.message);
+          return;
+        }
+        if (!characteristic?.value) {
+          return;
+        }
+
+        let ack;
+        try {
+          ack = JSON.parse(Buffer.from(characteristic.value, 'base64').toString('utf-8'));
+        } catch {
+          console.warn('Unparseable command ack');
+          return;
+        }
+
+        const pending = this.pendingCommands.get(ack?.id);
+        if (pending) {
+          clearTimeout(pending.timer);
+          this.pendingCommands.delete(ack.id);
+          pending.resolve(parseCommandAck(ack, ack.id));
+        }
+      }
+    );
+  }
+
+  /**
+   * Send a command and wait for the device to acknowledge it
+   * @param {string} command - One of DEVICE_COMMANDS
+   * @param {Object} params - Command parameters
+   * @returns {Object} { success, result } or { success: false, error }
+   */
+  async sendCommand(command, params = {}) {
+    if (!this.device || !this.isConnected) {
+      return { success: false, error: 'Not connected to device' };
+    }
+
+    const invalid = validateCommand(command, params);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+
+    const id = createCommandId();
+    const timeout = ConfigManager.getAllConfig().esp32.commandTimeout;
+    const payload = Buffer.from(JSON.stringify({ id, command, params }), 'utf-8').toString('base64');
+
+    const ack = new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pendingCommands.delete(id);
+        resolve({ success: false, error: 'Device did not acknowledge the command in time' });
+      }, timeout);
+      this.pendingCommands.set(id, { resolve, timer });
+    });
+
+    try {
+      console.log(`Sending command ${command} (${id})`);
+      await this.device.writeCharacteristicWithResponseForService(
+        this.profile.ble.serviceUUID,
+        this.profile.ble.commandCharacteristicUUID,
+        payload
+      );
+    } catch (error) {
+      const pending = this.pendingCommands.get(id);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingCommands.delete(id);
+      }
+      return { success: false, error: error.message };
+    }
+
+    return ack;
+  }
+
+  /**
+   * Fail every command still waiting for an ack
+   */
+  rejectPendingCommands(reason) {
+    this.pendingCommands.forEach(({ resolve, timer }) => {
+      clearTimeout(timer);
+      resolve({ success: false, error: reason });
+    });
+    this.pendingCommands.clear();
+  }
+
   /**
    * Parse sensor data from BLE characteristic value
-   * Expected format from ESP32: JSON string or binary data
+   * Expected format from ESP32: binary frame, JSON string or CSV text
    * Format: { heartRate: number, temperature: number, eda: number }
    * @param {string} base64Value - Base64 encoded data
    */
   parseSensorData(base64Value) {
     try {
-      const decoded = Buffer.from(base64Value, 'base64').toString('utf-8');
+      const bytes = Buffer.from(base64Value, 'base64');
+      if (isBinaryFrame(bytes)) {
+        return this.parseBinaryFrame(bytes);
+      }
+
+      const decoded = bytes.toString('utf-8');
       
       // Default temperature to 36.5°C (body average) since ESP32 may not send it
       const DEFAULT_TEMPERATURE = 36.5;
@@ -309,6 +558,45 @@ class ESP32BLEService {
     }
   }
 
+  /**
+   * Decode a binary frame, track sequence gaps and run it through the parser
+   * @param {Buffer} bytes
+   */
+  parseBinaryFrame(bytes) {
+    const result = decodeFrame(bytes);
+    if (!result.success) {
+      this.frameStats.rejected++;
+      this.frameStats.lastError = result.error;
+      console.warn('Rejected BLE frame:', result.error);
+      return null;
+    }
+
+    const { frame } = result;
+    const stats = this.frameStats;
+    if (stats.lastSeq !== null && isSequenceRestart(stats.lastSeq, frame.seq)) {
+      // The wearable rebooted without the link dropping: a new stream
+      console.log(`BLE frame seq restarted at ${frame.seq} (was ${stats.lastSeq})`);
+      stats.lastSeq = null;
+    }
+    if (stats.lastSeq !== null) {
+      const gap = sequenceGap(stats.lastSeq, frame.seq);
+      if (gap < 0) {
+        // Repeated or stale notification
+        return null;
+      }
+      if (gap > 0) {
+        stats.dropped += gap;
+        stats.gaps++;
+        this.metrics.recordDroppedFrames(gap);
+        console.warn(`BLE frame gap: ${gap} frame(s) lost before seq ${frame.seq}`);
+      }
+    }
+    stats.lastSeq = frame.seq;
+    stats.received++;
+
+    return this.parser.parse(frame);
+  }
+
   /**
    * Read device info (battery level, etc.)
    */
@@ -319,8 +607,8 @@ class ESP32BLEService {
 
     try {
       const characteristic = await this.device.readCharacteristicForService(
-        ESP32_SERVICE_UUID,
-        DEVICE_INFO_CHARACTERISTIC_UUID
+        this.profile.ble.serviceUUID,
+        this.profile.ble.deviceInfoCharacteristicUUID
       );
 
       if (characteristic?.value) {
@@ -343,10 +631,16 @@ class ESP32BLEService {
    */
   async disconnect() {
     try {
+      this.stopRssiMonitor();
       if (this.subscription) {
         this.subscription.remove();
         this.subscription = null;
       }
+      if (this.commandSubscription) {
+        this.commandSubscription.remove();
+        this.commandSubscription = null;
+      }
+      this.rejectPendingCommands('Disconnected');
 
       if (this.device) {
         await this.device.cancelConnection();
@@ -354,6 +648,8 @@ class ESP32BLEService {
       }
 
       this.isConnected = false;
+      this.parser.reset();
+      this.frameStats = createFrameStats();
       console.log('Disconnected from device');
 
       if (this.onConnectionChange) {
@@ -391,6 +687,29 @@ class ESP32BLEService {
     this.onError = callback;
   }
 
+  /**
+   * Build the transport-neutral device descriptor used by WearableContext
+   * @param {Object} device - react-native-ble-plx Device
+   */
+  describeDevice(device) {
+    if (!device) {
+      return null;
+    }
+    return {
+      id: device.id,
+      name: device.name || `ESP32-${device.id}`,
+      transport: 'ble',
+      rssi: device.rssi ?? null,
+    };
+  }
+
+  /**
+   * Connection quality over the diagnostics window
+   */
+  getMetrics() {
+    return this.metrics.getSnapshot();
+  }
+
   /**
    * Check if currently connected
    */
@@ -398,12 +717,9 @@ class ESP32BLEService {
     return {
       isConnected: this.isConnected,
       isScanning: this.isScanning,
-      device: this.device
-        ? {
-            id: this.device.id,
-            name: this.device.name,
-          }
-        : null,
+      device: this.describeDevice(this.device),
+      profile: { id: this.profile.id, name: this.profile.name },
+      frames: { ...this.frameStats },
     };
   }
 
@@ -413,15 +729,12 @@ class ESP32BLEService {
   destroy() {
     this.stopScan();
     this.disconnect();
-    this.manager.destroy();
+    if (this.manager === sharedManager) {
+      this.manager.destroy();
+      sharedManager = null;
+    }
   }
 }
 
 export default new ESP32BLEService();
-
-// Export UUIDs for configuration
-export const BLE_CONFIG = {
-  SERVICE_UUID: ESP32_SERVICE_UUID,
-  SENSOR_DATA_UUID: SENSOR_DATA_CHARACTERISTIC_UUID,
-  DEVICE_INFO_UUID: DEVICE_INFO_CHARACTERISTIC_UUID,
-};
+export { ESP32BLEService };
@@ -0,0 +1,258 @@
+/**
+ * ESP32 Discovery Service
+ * Finds NeuroNest wearables on the local WiFi network without manual IP entry
+ *
+ * Discovery runs in two stages:
+ * 1. mDNS / DNS-SD browse for the NeuroNest service type
+ *    (firmware advertises `_neuronest._tcp.local.` via ESPmDNS)
+ * 2. Fallback subnet sweep: probe /api/health on every host of the
+ *    phone's /24 network with a bounded number of concurrent requests
+ *
+ * Each discovered device is reported as:
+ * { id, name, ip, port, latency, source, transport }
+ */
+
+import axios from 'axios';
+import ConfigManager from '../utils/ConfigManager';
+
+const DISCOVERY_SOURCES = {
+  MDNS: 'mdns',
+  SWEEP: 'sweep',
+};
+
+// Zeroconf and expo-network are native modules; load them lazily so a
+// missing module only disables that discovery stage instead of the app.
+const loadZeroconf = () => {
+  try {
+    return require('react-native-zeroconf').default;
+  } catch (error) {
+    console.warn('[Discovery] mDNS unavailable:', error.message);
+    return null;
+  }
+};
+
+const loadNetwork = () => {
+  try {
+    return require('expo-network');
+  } catch (error) {
+    console.warn('[Discovery] expo-network unavailable:', error.message);
+    return null;
+  }
+};
+
+const IPV4_REGEX = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+class ESP32DiscoveryService {
+  constructor() {
+    this.isDiscovering = false;
+    this.cancelled = false;
+    this.zeroconf = null;
+    this.found = new Map();
+  }
+
+  /**
+   * Discover wearables on the local network
+   * @param {Function} onDeviceFound - Callback for each new device
+   * @returns {Object} { success, devices, error }
+   */
+  async discover(onDeviceFound) {
+    if (this.isDiscovering) {
+      console.log('[Discovery] Already discovering...');
+      return { success: false, error: 'Discovery already in progress', devices: [] };
+    }
+
+    const options = ConfigManager.getDiscoveryConfig();
+    this.isDiscovering = true;
+    this.cancelled = false;
+    this.found = new Map();
+
+    const report = (device) => {
+      if (this.cancelled || this.found.has(device.ip)) {
+        return;
+      }
+      this.found.set(device.ip, device);
+      console.log(`[Discovery] Found ${device.name} at ${device.ip}:${device.port} (${device.source}, ${device.latency}ms)`);
+      if (onDeviceFound) onDeviceFound(device);
+    };
+
+    try {
+      await this.browseMDNS(options, report);
+
+      if (this.found.size === 0 && !this.cancelled) {
+        await this.sweepSubnet(options, report);
+      }
+
+      return { success: true, devices: Array.from(this.found.values()) };
+    } catch (error) {
+      console.error('[Discovery] Error:', error);
+      return {
+        success: false,
+        error: error.message,
+        devices: Array.from(this.found.values()),
+      };
+    } finally {
+      this.isDiscovering = false;
+      this.stopMDNS();
+    }
+  }
+
+  /**
+   * Browse mDNS for the NeuroNest service type
+   * Resolved services are probed once so latency is comparable with sweep results.
+   */
+  async browseMDNS(options, report) {
+    const Zeroconf = loadZeroconf();
+    if (!Zeroconf) {
+      return;
+    }
+
+    const probes = [];
+
+    await new Promise((resolve) => {
+      try {
+        this.zeroconf = new Zeroconf();
+      } catch (error) {
+        console.warn('[Discovery] mDNS init failed:', error.message);
+        resolve();
+        return;
+      }
+
+      this.zeroconf.on('resolved', (service) => {
+        const ip = (service.addresses || []).find((a) => IPV4_REGEX.test(a));
+        if (!ip) {
+          return;
+        }
+        const port = service.port || options.defaultPort;
+        probes.push(
+          this.probeHealth(ip, port, options.probeTimeout).then(({ latency }) => {
+            report({
+              id: ip,
+              name: service.txt?.name || service.name || `ESP32-${ip}`,
+              ip,
+              port,
+              latency,
+              source: DISCOVERY_SOURCES.MDNS,
+              transport: 'wifi',
+            });
+          }).catch(() => {
+            // Advertised but unreachable (stale record) — ignore
+          })
+        );
+      });
+
+      this.zeroconf.on('error', (error) => {
+        console.warn('[Discovery] mDNS error:', error?.message || error);
+      });
+
+      this.zeroconf.scan(options.serviceType, options.protocol, options.domain);
+      setTimeout(resolve, options.mdnsTimeout);
+    });
+
+    this.stopMDNS();
+    await Promise.all(probes);
+  }
+
+  /**
+   * Stop the mDNS browser if running
+   */
+  stopMDNS() {
+    if (this.zeroconf) {
+      try {
+        this.zeroconf.stop();
+        this.zeroconf.removeDeviceListeners();
+      } catch (error) {
+        console.warn('[Discovery] mDNS stop error:', error.message);
+      }
+      this.zeroconf = null;
+    }
+  }
+
+  /**
+   * Probe every host on the phone's /24 subnet for /api/health
+   */
+  async sweepSubnet(options, report) {
+    const phoneIP = await this.getPhoneIP();
+    const match = phoneIP && phoneIP.match(IPV4_REGEX);
+    if (!match) {
+      console.warn('[Discovery] Cannot determine phone IP — skipping subnet sweep');
+      return;
+    }
+
+    const prefix = `${match[1]}.${match[2]}.${match[3]}`;
+    const hosts = [];
+    for (let i = 1; i < 255; i++) {
+      const ip = `${prefix}.${i}`;
+      if (ip !== phoneIP) hosts.push(ip);
+    }
+
+    console.log(`[Discovery] Sweeping ${prefix}.0/24 (${options.sweepConcurrency} concurrent)`);
+
+    let next = 0;
+    const worker = async () => {
+      while (next < hosts.length && !this.cancelled) {
+        const ip = hosts[next++];
+        try {
+          const { latency, data } = await this.probeHealth(ip, options.defaultPort, options.probeTimeout);
+          report({
+            id: ip,
+            name: data?.name || data?.device || `ESP32-${ip}`,
+            ip,
+            port: options.defaultPort,
+            latency,
+            source: DISCOVERY_SOURCES.SWEEP,
+            transport: 'wifi',
+          });
+        } catch {
+          // No wearable on this host
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < options.sweepConcurrency; i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+  }
+
+  /**
+   * Request /api/health and measure round-trip latency
+   * Only 2xx responses count: routers and printers answer 404 on the same port.
+   */
+  async probeHealth(ip, port, timeout) {
+    const path = ConfigManager.getAllConfig().esp32.endpoints.health;
+    const start = Date.now();
+    const response = await axios.get(`http://${ip}:${port}${path}`, { timeout });
+    return {
+      latency: Date.now() - start,
+      data: typeof response.data === 'object' ? response.data : null,
+    };
+  }
+
+  /**
+   * Get the phone's IPv4 address on the current network
+   */
+  async getPhoneIP() {
+    const Network = loadNetwork();
+    if (!Network) {
+      return null;
+    }
+    try {
+      return await Network.getIpAddressAsync();
+    } catch (error) {
+      console.warn('[Discovery] getIpAddressAsync failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cancel a running discovery
+   */
+  stop() {
+    this.cancelled = true;
+    this.stopMDNS();
+  }
+}
+
+export default new ESP32DiscoveryService();
+export { DISCOVERY_SOURCES };
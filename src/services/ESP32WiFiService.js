@@ -11,36 +11,57 @@
  * 3. Endpoints:
  *    - GET /api/sensors - Returns current sensor readings
  *    - GET /api/device-info - Returns device info (battery, etc.)
+ *    - GET /api/health - Lightweight liveness probe (used by discovery)
+ *    - GET /api/history - Readings buffered while the app was out of range
+ *    - POST /api/command - Configure the device (see DeviceCommands.js)
+ *    - POST /api/ota - Receive a firmware image (raw body), flash and reboot
+ *    - POST /api/pair/start, /api/pair/confirm, /api/unpair - Pairing
+ * 4. Optional: advertise `_neuronest._tcp` over mDNS so the app can find it
+ *
+ * Security:
+ * Firmware that reports { auth: "hmac-sha256-v1", deviceId } in /api/health
+ * must be paired once with the key on its label (pair()). After that every
+ * request is signed and every response is encrypted and verified (see
+ * WearableAuth.js); a response that fails verification is treated like a
+ * failed request. Firmware without pairing is refused unless
+ * esp32.security.requirePairing is turned off.
+ *
+ * Data modes:
+ * - Streaming: when /api/device-info advertises a "stream" capability the
+ *   app opens a WebSocket and receives sensor frames as they are produced
+ * - Polling: otherwise (or when the stream drops) GET /api/sensors on a timer
  */
 
 import axios from 'axios';
 import ConfigManager from '../utils/ConfigManager';
+import ESP32DiscoveryService from './ESP32DiscoveryService';
+import SensorDataParser from './SensorDataParser';
+import { getCalibrationId } from './SensorCalibration';
+import ReconnectSupervisor from './ReconnectSupervisor';
+import ConnectionMetrics from './ConnectionMetrics';
+import WearableAuth, { AUTH_SCHEME, normalizePairingKey } from './WearableAuth';
+import { validateCommand, createCommandId, parseCommandAck } from './DeviceCommands';
 
 // Default ESP32 IP and port (user can configure)
 const DEFAULT_PORT = 80;
 const API_BASE_PATH = '/api';
 
-// Minimum IR value to consider a finger present (MAX30102/MAX30100 standard)
-const IR_THRESHOLD = 50000;
-// Smoothing window size for HR readings
-const HR_SMOOTHING_WINDOW = 6;
-// Valid resting HR range to display (clamp output to this)
-const HR_DISPLAY_MIN = 60;
-const HR_DISPLAY_MAX = 100;
-// Spike rejection: ignore raw readings that jump more than this from the running average
-const HR_MAX_JUMP = 25;
-
-// Motion detection thresholds
-// Acceleration magnitude threshold (values above this indicate movement)
-// At rest the accelerometer reads ~1 g (9.8 m/s²).  A reading that deviates
-// significantly from 1 g in magnitude, or any notable gyroscope activity,
-// signals motion.
-const ACCEL_MOTION_THRESHOLD = 1.15;   // g-units (magnitude)
-const ACCEL_REST_GRAVITY     = 1.0;    // expected magnitude at rest
-const ACCEL_LOW_MOTION_THRESHOLD = 1.08; // g-units (magnitude) for low motion
-const ACCEL_HIGH_MOTION_THRESHOLD = 1.25; // g-units (magnitude) for high motion
-const GYRO_LOW_MOTION_THRESHOLD = 20;     // degrees/s for low motion
-const GYRO_HIGH_MOTION_THRESHOLD = 60;    // degrees/s for high motion
+// expo-file-system streams the firmware upload from disk with progress;
+// loaded lazily so the rest of the service works without the native module
+const loadFileSystem = () => {
+  try {
+    return require('expo-file-system/legacy');
+  } catch (error) {
+    console.warn('expo-file-system unavailable:', error.message);
+    return null;
+  }
+};
+
+// Data delivery modes
+const DATA_MODES = {
+  STREAM: 'stream',
+  POLLING: 'polling',
+};
 
 class ESP32WiFiService {
   constructor() {
@@ -48,20 +69,39 @@ class ESP32WiFiService {
     this.devicePort = DEFAULT_PORT;
     this.isConnected = false;
     this.pollingInterval = null;
+    this.dataMode = null;
+    this.socket = null;
+    this.streamWatchdog = null;
     this.pollingRate = 2000; // Poll every 2 seconds
     this.onDataReceived = null;
     this.onConnectionChange = null;
+    this.onReconnectStateChange = null;
+    this.onDataModeChange = null;
     this.configManager = ConfigManager;
     this.onError = null;
     this.lastDataTimestamp = null;
     this.consecutiveFailures = 0;
     this.maxConsecutiveFailures = 5;
     this.deviceInfo = null;
-    // Smoothing buffers
-    this.hrBuffer = [];
-    this.edaBuffer = [];
-    // Motion detection state
-    this.prevAccelMag = null;
+    // Signs requests and opens responses when the device is paired
+    this.session = null;
+    this.hardwareId = null; // deviceId from /api/health
+    this.streamNonce = null;
+    // Set while a firmware image is uploading or the device is rebooting
+    this.isUpdatingFirmware = false;
+    // Smoothing and motion state for the live stream
+    this.parser = new SensorDataParser();
+    // Latency, success rate, sample rate and gaps for diagnostics
+    this.metrics = new ConnectionMetrics();
+    // Backoff retries after the device stops answering
+    this.reconnectSupervisor = new ReconnectSupervisor({
+      attempt: () => this.attemptReconnect(),
+      getConfig: () => this.configManager.getReconnectConfig(),
+      onStateChange: (state) => {
+        if (this.onReconnectStateChange) this.onReconnectStateChange(state);
+      },
+      onGiveUp: (lastError) => this.handleReconnectGiveUp(lastError),
+    });
   }
 
   /**
@@ -83,66 +123,81 @@ class ESP32WiFiService {
 
   /**
    * Scan local network for ESP32 devices
-   * Note: mDNS/Bonjour discovery not available in React Native by default
-   * User needs to manually enter IP or use network scanning library
+   * Uses mDNS first, then sweeps the phone's subnet for /api/health.
+   * Manual IP entry is only required when nothing answers.
    * 
    * @param {Function} onDeviceFound - Callback when device is found
    */
   async scanForDevices(onDeviceFound) {
-    // For manual IP entry mode, return empty array
-    // In production, you could integrate with a network discovery library
-    console.log('Manual IP entry required for WiFi mode');
-    
-    // Return instruction to user
+    const result = await ESP32DiscoveryService.discover(onDeviceFound);
+
+    if (result.devices.length === 0) {
+      return {
+        success: result.success,
+        requiresManualIP: true,
+        devices: [],
+        error: result.error,
+        message: 'No wearable found on this network. Enter the ESP32 IP address manually (check Arduino Serial Monitor)',
+      };
+    }
+
     return {
       success: true,
-      requiresManualIP: true,
-      message: 'Enter ESP32 IP address manually (check Arduino Serial Monitor)',
+      requiresManualIP: false,
+      devices: result.devices,
     };
   }
 
+  /**
+   * Stop a running network scan
+   */
+  stopScan() {
+    ESP32DiscoveryService.stop();
+  }
+
   /**
    * Connect to ESP32 device via IP address
    * @param {string} ipAddress - IP address of ESP32 (e.g., "192.168.1.100")
    * @param {number} port - Port number (default: 80)
+   * @param {Object} options - { remember: false } to leave the saved default IP alone
    */
-  async connect(ipAddress, port = DEFAULT_PORT) {
+  async connect(ipAddress, port = DEFAULT_PORT, options = {}) {
+    const { remember = true } = options;
     try {
       console.log(`Connecting to ESP32 at ${ipAddress}:${port}`);
 
       this.deviceIP = ipAddress;
       this.devicePort = port;
+      if (this.metrics.deviceId !== ipAddress) {
+        this.metrics.reset(ipAddress);
+      }
 
       // Save connection settings for future use
-      await this.configManager.updateESP32Config(ipAddress, port);
+      if (remember) {
+        await this.configManager.updateESP32Config(ipAddress, port);
+      }
 
       // Test connection by fetching device info
       const deviceInfo = await this.testConnection();
 
       if (deviceInfo) {
+        // A paired wearable must answer a signed request before it is trusted
+        const verifiedInfo = await this.establishSession();
+        this.parser.setDeviceId(getCalibrationId(this.getDeviceDescriptor()));
         this.isConnected = true;
         this.consecutiveFailures = 0;
-        this.deviceInfo = deviceInfo;
+        this.deviceInfo = verifiedInfo || deviceInfo;
+
+        // Stream if the firmware supports it, otherwise poll
+        await this.startDataFlow();
 
         if (this.onConnectionChange) {
-          this.onConnectionChange(true, {
-            id: ipAddress,
-            name: deviceInfo.name || `ESP32-${ipAddress}`,
-            ip: ipAddress,
-            port: port,
-          });
+          this.onConnectionChange(true, this.getDeviceDescriptor());
         }
 
-        // Start polling for sensor data
-        this.startPolling();
-
         return {
           success: true,
-          device: {
-            ip: ipAddress,
-            port: port,
-            name: deviceInfo.name || 'NeuroNest Wearable',
-          },
+          device: this.getDeviceDescriptor(),
         };
       } else {
         throw new Error('No response from device');
@@ -150,6 +205,7 @@ class ESP32WiFiService {
     } catch (error) {
       console.error('Connection error:', error.message || error);
       this.isConnected = false;
+      this.session = null;
 
       // Provide user-friendly error messages
       let errorMsg = error.message || 'Failed to connect to ESP32';
@@ -160,10 +216,181 @@ class ESP32WiFiService {
       return {
         success: false,
         error: errorMsg,
+        requiresPairing: !!error.requiresPairing,
       };
     }
   }
 
+  /**
+   * Decide how to talk to the current device
+   * A wearable that supports pairing must be paired with this phone and
+   * answer a signed request; firmware without pairing is only accepted when
+   * esp32.security.requirePairing is off and no paired wearable used this
+   * address before (so a spoofed /api/health cannot downgrade the link).
+   * @returns {Object|null} Verified device info, or null without pairing
+   */
+  async establishSession() {
+    this.session = null;
+    await WearableAuth.load();
+    const health = await this.fetchHealth();
+    this.hardwareId = health?.deviceId || null;
+
+    if (health?.auth !== AUTH_SCHEME) {
+      if (WearableAuth.listPairings().some(({ address }) => address === this.deviceIP)) {
+        throw new Error('A wearable paired with this phone used this address, but this device cannot authenticate. Connection refused.');
+      }
+      if (this.configManager.getSecurityConfig().requirePairing) {
+        throw new Error('This wearable\'s firmware does not support secure pairing. Update its firmware, or turn off Settings → Require Secure Pairing to connect without it.');
+      }
+      console.warn(`ESP32 at ${this.deviceIP} does not support pairing — the connection is not encrypted`);
+      return null;
+    }
+
+    const session = WearableAuth.createSession(health.deviceId);
+    if (!session) {
+      const error = new Error('This wearable is not paired with this phone yet. Enter the pairing key from its label.');
+      error.requiresPairing = true;
+      throw error;
+    }
+    this.session = session;
+    return this.request('GET', `${API_BASE_PATH}/device-info`);
+  }
+
+  /**
+   * Read the unauthenticated health endpoint (deviceId and auth scheme)
+   * @returns {Object|null} Health response, or null if the firmware has none
+   */
+  async fetchHealth() {
+    const path = this.configManager.getAllConfig().esp32.endpoints.health;
+    try {
+      const response = await axios.get(
+        `http://${this.deviceIP}:${this.devicePort}${path}`,
+        { timeout: this.configManager.getConnectionTimeout() }
+      );
+      return response.data && typeof response.data === 'object' ? response.data : null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Pair with a wearable in pairing mode (handshake in WearableAuth.js)
+   * Does not need an open connection; connect() afterwards.
+   * @param {string} ipAddress - IP address of the wearable
+   * @param {number} port - Port number
+   * @param {string} pairingKey - Key printed on the wearable's label
+   * @returns {Object} { success, deviceId } or { success: false, error }
+   */
+  async pair(ipAddress, port = DEFAULT_PORT, pairingKey) {
+    const key = normalizePairingKey(pairingKey);
+    if (!key) {
+      return { success: false, error: 'The pairing key is 16 letters and digits, like ABCD-EFGH-JKLM-NPQR' };
+    }
+
+    const { endpoints } = this.configManager.getAllConfig().esp32;
+    const baseURL = `http://${ipAddress}:${port}`;
+    const timeout = this.configManager.getConnectionTimeout();
+
+    try {
+      await WearableAuth.load();
+      const { appId, appNonce } = WearableAuth.beginPairing();
+      const { data: handshake } = await axios.post(
+        `${baseURL}${endpoints.pairStart}`,
+        { appId, appNonce },
+        { timeout }
+      );
+
+      const pairing = WearableAuth.verifyPairing(key, { ...handshake, appNonce });
+      if (!pairing) {
+        return { success: false, error: 'The pairing key does not match this wearable' };
+      }
+
+      await axios.post(
+        `${baseURL}${endpoints.pairConfirm}`,
+        { appId, proof: pairing.confirmation },
+        { timeout }
+      );
+      await WearableAuth.savePairing(handshake.deviceId, {
+        secret: pairing.secret,
+        name: handshake.name,
+        address: ipAddress,
+      });
+
+      console.log(`Paired with wearable ${handshake.deviceId}`);
+      return { success: true, deviceId: handshake.deviceId };
+    } catch (error) {
+      console.error('Pairing error:', error.message);
+      if (error.response?.status === 404) {
+        return { success: false, error: 'This wearable\'s firmware does not support pairing' };
+      }
+      if (error.response?.status === 403) {
+        return {
+          success: false,
+          error: 'The wearable is not in pairing mode. Hold its button until the LED blinks blue, then try again.',
+        };
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Forget a paired wearable
+   * If it is the connected device it is asked to forget this phone too,
+   * and the connection is closed.
+   * @param {string} deviceId - deviceId reported by the wearable
+   */
+  async unpair(deviceId) {
+    if (this.session && this.hardwareId === deviceId) {
+      try {
+        const path = this.configManager.getAllConfig().esp32.endpoints.unpair;
+        await this.request('POST', path, { data: { appId: this.session.appId } });
+      } catch (error) {
+        console.warn('Wearable did not confirm unpairing:', error.message);
+      }
+      await this.disconnect();
+    }
+    return WearableAuth.forget(deviceId);
+  }
+
+  /**
+   * Send a request to the current device, signed and sealed when paired
+   * @param {string} method - HTTP method
+   * @param {string} path - Path including any query string, exactly as sent
+   * @param {Object} options - { data: JSON body, timeout }
+   * @returns {*} Response payload (verified and decrypted when paired)
+   */
+  async request(method, path, { data, timeout = 3000 } = {}) {
+    const url = `http://${this.deviceIP}:${this.devicePort}${path}`;
+    if (!this.session) {
+      const response = await axios({ method, url, data, timeout });
+      return response.data;
+    }
+
+    const sealed = this.session.sealRequest(method, path, data);
+    try {
+      const response = await axios({
+        method,
+        url,
+        data: sealed.body,
+        headers: sealed.headers,
+        timeout,
+      });
+      return this.session.openResponse(sealed.nonce, response.data);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        throw new Error('The wearable no longer recognises this phone. Pair it again.');
+      }
+      // Error bodies (e.g. a rejected command) are sealed like any response
+      if (error.response?.data?.ct) {
+        error.response.data = this.session.openResponse(sealed.nonce, error.response.data);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Test connection to ESP32
    * Tries multiple endpoints to be flexible with different ESP32 firmware
@@ -209,6 +436,229 @@ class ESP32WiFiService {
     throw new Error(lastError?.message || 'Cannot reach ESP32 — verify the IP address and WiFi network');
   }
 
+  /**
+   * Choose the data mode for the current device and start receiving data
+   * Device info is re-read here because testConnection may have answered
+   * from /api/sensors, which carries no capabilities.
+   */
+  async startDataFlow() {
+    const info = await this.readDeviceInfo();
+    const streamConfig = this.getStreamConfig();
+
+    if (streamConfig.enabled && this.supportsStreaming(info)) {
+      const opened = await this.startStreaming(info);
+      if (opened) {
+        return this.dataMode;
+      }
+      console.log('Stream unavailable — falling back to polling');
+    }
+
+    this.startPolling();
+    return this.dataMode;
+  }
+
+  /**
+   * Check whether the firmware advertises push streaming
+   * Accepts { capabilities: ["stream"] }, { streaming: true } or { stream: {...} }
+   * @param {Object} info - /api/device-info response
+   */
+  supportsStreaming(info) {
+    if (!info || typeof info !== 'object') {
+      return false;
+    }
+    if (Array.isArray(info.capabilities) && info.capabilities.includes('stream')) {
+      return true;
+    }
+    return info.streaming === true || (typeof info.stream === 'object' && info.stream !== null);
+  }
+
+  /**
+   * Get streaming settings merged over defaults
+   */
+  getStreamConfig() {
+    return this.configManager.getStreamingConfig();
+  }
+
+  /**
+   * Build the WebSocket URL for the current device
+   * The firmware may override port and path in its device info. When
+   * paired, the URL carries a signed query and the stream nonce is kept
+   * for verifying frames.
+   */
+  getStreamURL(info) {
+    const streamConfig = this.getStreamConfig();
+    const port = info?.stream?.port || streamConfig.port || this.devicePort;
+    const path = info?.stream?.path || streamConfig.path;
+    const url = `ws://${this.deviceIP}:${port}${path}`;
+    if (!this.session) {
+      return url;
+    }
+    const { nonce, query } = this.session.signStream(path);
+    this.streamNonce = nonce;
+    return `${url}?${query}`;
+  }
+
+  /**
+   * Open the WebSocket stream
+   * Resolves true once the socket is open, false if it could not be opened.
+   * @param {Object} info - /api/device-info response
+   */
+  startStreaming(info) {
+    this.stopStreaming();
+    const streamConfig = this.getStreamConfig();
+    const url = this.getStreamURL(info);
+
+    console.log(`Opening sensor stream: ${url}`);
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const settle = (opened) => {
+        if (!settled) {
+          settled = true;
+          clearTimeout(openTimeout);
+          resolve(opened);
+        }
+      };
+
+      let socket;
+      try {
+        socket = new WebSocket(url);
+      } catch (error) {
+        console.error('Stream open error:', error.message);
+        resolve(false);
+        return;
+      }
+      this.socket = socket;
+
+      const openTimeout = setTimeout(() => {
+        console.log('Stream open timed out');
+        this.stopStreaming();
+        settle(false);
+      }, this.configManager.getConnectionTimeout());
+
+      socket.onopen = () => {
+        console.log('Sensor stream open');
+        this.dataMode = DATA_MODES.STREAM;
+        this.resetStreamWatchdog(streamConfig.idleTimeout);
+        settle(true);
+      };
+
+      socket.onmessage = (event) => {
+        this.resetStreamWatchdog(streamConfig.idleTimeout);
+        this.handleStreamMessage(event.data);
+      };
+
+      socket.onerror = (event) => {
+        console.error('Stream error:', event?.message || 'unknown');
+      };
+
+      socket.onclose = () => {
+        if (this.socket !== socket) {
+          return; // closed intentionally
+        }
+        console.log('Sensor stream closed');
+        this.socket = null;
+        if (!settled) {
+          settle(false);
+          return;
+        }
+        this.fallBackToPolling();
+      };
+    });
+  }
+
+  /**
+   * Handle a WebSocket message
+   * A message may carry one frame or an array of frames produced since the last send.
+   * @param {string} message - Raw message text
+   */
+  handleStreamMessage(message) {
+    let payload;
+    try {
+      payload = JSON.parse(message);
+    } catch {
+      console.warn('Unparseable stream frame:', message);
+      return;
+    }
+
+    if (this.session) {
+      try {
+        payload = this.session.openStreamMessage(this.streamNonce, payload);
+      } catch (error) {
+        console.warn(error.message);
+        return;
+      }
+    }
+
+    const frames = Array.isArray(payload) ? payload : [payload];
+    frames.forEach((frame) => {
+      // Ignore control messages (hello, ping, ...) sent on the same socket
+      if (frame?.type && frame.type !== 'sensors') {
+        return;
+      }
+
+      const sensorData = this.parseSensorData(frame);
+      if (sensorData) {
+        this.consecutiveFailures = 0;
+        this.lastDataTimestamp = new Date().toISOString();
+        this.metrics.recordFrame();
+        if (this.onDataReceived) {
+          this.onDataReceived(sensorData);
+        }
+      }
+    });
+  }
+
+  /**
+   * Treat a silent stream as dropped
+   */
+  resetStreamWatchdog(idleTimeout) {
+    if (this.streamWatchdog) {
+      clearTimeout(this.streamWatchdog);
+    }
+    this.streamWatchdog = setTimeout(() => {
+      console.log(`No stream frames for ${idleTimeout}ms`);
+      this.fallBackToPolling();
+    }, idleTimeout);
+  }
+
+  /**
+   * Switch from streaming to polling after the stream drops
+   */
+  fallBackToPolling() {
+    if (!this.isConnected || this.dataMode === DATA_MODES.POLLING) {
+      return;
+    }
+    console.log('Sensor stream lost — falling back to polling');
+    this.stopStreaming();
+    this.startPolling();
+
+    // Still the same connection: only the way data arrives changed
+    if (this.onDataModeChange) {
+      this.onDataModeChange(this.dataMode);
+    }
+  }
+
+  /**
+   * Close the WebSocket stream
+   */
+  stopStreaming() {
+    if (this.streamWatchdog) {
+      clearTimeout(this.streamWatchdog);
+      this.streamWatchdog = null;
+    }
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      try {
+        socket.close();
+      } catch (error) {
+        console.warn('Stream close error:', error.message);
+      }
+      console.log('Closed sensor stream');
+    }
+  }
+
   /**
    * Start polling for sensor data
    */
@@ -216,6 +666,7 @@ class ESP32WiFiService {
     if (this.pollingInterval) {
       clearInterval(this.pollingInterval);
     }
+    this.dataMode = DATA_MODES.POLLING;
 
     console.log(`Starting sensor data polling (every ${this.pollingRate}ms)`);
 
@@ -226,6 +677,7 @@ class ESP32WiFiService {
         if (sensorData) {
           this.consecutiveFailures = 0;
           this.lastDataTimestamp = new Date().toISOString();
+          this.metrics.recordFrame();
 
           if (this.onDataReceived) {
             this.onDataReceived(sensorData);
@@ -253,14 +705,14 @@ class ESP32WiFiService {
    * Fetch current sensor data from ESP32
    */
   async fetchSensorData() {
+    const started = Date.now();
     try {
-      const response = await axios.get(
-        `http://${this.deviceIP}:${this.devicePort}${API_BASE_PATH}/sensors`,
-        { timeout: 3000 }
-      );
+      const data = await this.request('GET', `${API_BASE_PATH}/sensors`);
 
-      return this.parseSensorData(response.data);
+      this.metrics.recordRequest(Date.now() - started, true);
+      return this.parseSensorData(data);
     } catch (error) {
+      this.metrics.recordRequest(Date.now() - started, false);
       throw error;
     }
   }
@@ -271,212 +723,316 @@ class ESP32WiFiService {
    * @param {Object} data - API response data
    */
   parseSensorData(data) {
-    try {
-      // Log raw ESP32 data for debugging
-      console.log('[ESP32 Raw Data]', JSON.stringify(data));
+    return this.parser.parse(data);
+  }
+  /**
+   * Handle polling errors
+   * After maxConsecutiveFailures the session is handed to the reconnect
+   * supervisor instead of being dropped; the device address is kept.
+   */
+  handlePollingError(error) {
+    if (this.isUpdatingFirmware) {
+      return; // the device is expected to be unreachable while it flashes
+    }
+    this.consecutiveFailures++;
 
-      // Default temperature to 36.5°C (body average) since ESP32 may not send it
-      const DEFAULT_TEMPERATURE = 36.5;
-      const rawTemp = parseFloat(data.temperature || data.temp || 0);
-      const temperature = (rawTemp > 0 && rawTemp !== null) ? rawTemp : DEFAULT_TEMPERATURE;
+    if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
+      console.error('Max consecutive failures reached. Reconnecting...');
+      this.metrics.recordDisconnect();
+      this.stopPolling();
+      this.stopStreaming();
+      this.isConnected = false;
 
-      const rawHR = parseFloat(data.heartRate || data.hr || 0);
-      const rawEDA = parseFloat(data.eda || data.gsr || 0);
+      const started = this.reconnectSupervisor.start(error?.message || 'polling failed');
+      if (!started) {
+        this.disconnect();
+        if (this.onError) {
+          this.onError(new Error('Lost connection to ESP32 device'));
+        }
+      }
+    }
+  }
 
-      // === Finger Detection ===
-      let fingerDetected = false;
+  /**
+   * Single reconnect attempt, driven by the supervisor
+   * @returns {boolean} true once the device answers again and data flows
+   */
+  async attemptReconnect() {
+    if (!this.deviceIP) {
+      return false;
+    }
 
-      // 1. Explicit flag from ESP32
-      if (data.fingerDetected !== undefined || data.finger !== undefined) {
-        fingerDetected = !!(data.fingerDetected ?? data.finger);
-      }
-      // 2. IR value check
-      else if (data.irValue !== undefined || data.rawIR !== undefined || data.ir !== undefined) {
-        const irValue = parseFloat(data.irValue || data.rawIR || data.ir || 0);
-        fingerDetected = irValue > IR_THRESHOLD;
-      }
-      // 3. Fallback: HR in physiological range = finger present
-      else {
-        fingerDetected = rawHR >= 40 && rawHR <= 200;
-      }
+    await this.testConnection();
+    await this.establishSession();
 
-      // === Heart Rate Smoothing ===
-      let smoothedHR = 0;
-      if (fingerDetected) {
-        // Spike rejection: discard readings that jump too far from running average
-        if (this.hrBuffer.length >= 2) {
-          const currentAvg = this.hrBuffer.reduce((a, b) => a + b, 0) / this.hrBuffer.length;
-          if (Math.abs(rawHR - currentAvg) > HR_MAX_JUMP) {
-            // Reject spike — use previous average instead
-            console.log(`[HR Smoothing] Spike rejected: raw=${rawHR.toFixed(1)}, avg=${currentAvg.toFixed(1)}`);
-          } else {
-            this.hrBuffer.push(rawHR);
-          }
-        } else {
-          this.hrBuffer.push(rawHR);
-        }
+    this.isConnected = true;
+    this.consecutiveFailures = 0;
+    await this.startDataFlow();
 
-        // Keep buffer at window size
-        if (this.hrBuffer.length > HR_SMOOTHING_WINDOW) {
-          this.hrBuffer.shift();
-        }
+    if (this.onConnectionChange) {
+      this.onConnectionChange(true, this.getDeviceDescriptor());
+    }
+    return true;
+  }
 
-        // Weighted moving average (recent readings weighted more)
-        if (this.hrBuffer.length > 0) {
-          let weightSum = 0;
-          let valueSum = 0;
-          this.hrBuffer.forEach((v, i) => {
-            const weight = i + 1; // newer = higher weight
-            valueSum += v * weight;
-            weightSum += weight;
-          });
-          smoothedHR = valueSum / weightSum;
-        }
+  /**
+   * Reconnect attempts exhausted — end the session
+   */
+  handleReconnectGiveUp(lastError) {
+    const attempts = this.configManager.getReconnectConfig().maxAttempts;
+    this.disconnect();
+    if (this.onError) {
+      this.onError(new Error(
+        `Lost connection to ESP32 device (no response after ${attempts} reconnect attempts${lastError ? `: ${lastError}` : ''})`
+      ));
+    }
+  }
 
-        // Clamp to normal resting range for a clean display
-        smoothedHR = Math.round(Math.max(HR_DISPLAY_MIN, Math.min(HR_DISPLAY_MAX, smoothedHR)));
-        console.log(`[HR Smoothing] raw=${rawHR.toFixed(1)}, smoothed=${smoothedHR}, buffer=[${this.hrBuffer.map(v => v.toFixed(0)).join(',')}]`);
-      } else {
-        // No finger — reset buffer
-        this.hrBuffer = [];
-      }
+  /**
+   * Read device info (battery level, etc.)
+   */
+  async readDeviceInfo() {
+    if (!this.isConnected) {
+      return null;
+    }
 
-      // === Motion Detection Classification ===
-      let motionLevel = "NONE";
+    try {
+      const data = await this.request('GET', `${API_BASE_PATH}/device-info`);
 
-      // 1. Explicit motion level from ESP32
-      if (typeof data.motion === "string") {
-        motionLevel = data.motion.toUpperCase();
-      } else if (data.motionLevel !== undefined) {
-        motionLevel = String(data.motionLevel).toUpperCase();
-      } else {
-        // 2. Derive from accelerometer/gyroscope data
-        const ax = parseFloat(data.accelX ?? data.ax ?? data.accX ?? 0);
-        const ay = parseFloat(data.accelY ?? data.ay ?? data.accY ?? 0);
-        const az = parseFloat(data.accelZ ?? data.az ?? data.accZ ?? 0);
-        const hasAccel = (data.accelX !== undefined || data.ax !== undefined || data.accX !== undefined);
-
-        const gx = parseFloat(data.gyroX ?? data.gx ?? 0);
-        const gy = parseFloat(data.gyroY ?? data.gy ?? 0);
-        const gz = parseFloat(data.gyroZ ?? data.gz ?? 0);
-        const hasGyro = (data.gyroX !== undefined || data.gx !== undefined);
-
-        let accelLevel = "NONE";
-        let gyroLevel = "NONE";
-
-        if (hasAccel) {
-          const accelMag = Math.sqrt(ax * ax + ay * ay + az * az);
-          const deviation = Math.abs(accelMag - ACCEL_REST_GRAVITY);
-          let jerk = 0;
-          if (this.prevAccelMag !== null) {
-            jerk = Math.abs(accelMag - this.prevAccelMag);
-          }
-          this.prevAccelMag = accelMag;
+      this.deviceInfo = data;
+      return data;
+    } catch (error) {
+      console.error('Read device info error:', error);
+      return null;
+    }
+  }
 
-          if (deviation > (ACCEL_HIGH_MOTION_THRESHOLD - ACCEL_REST_GRAVITY) || jerk > 0.25) {
-            accelLevel = "HIGH";
-          } else if (deviation > (ACCEL_LOW_MOTION_THRESHOLD - ACCEL_REST_GRAVITY) || jerk > 0.08) {
-            accelLevel = "LOW";
-          }
-          // else remains NONE
-          console.log(`[Motion] accelMag=${accelMag.toFixed(3)}, deviation=${deviation.toFixed(3)}, jerk=${jerk.toFixed(3)}, accelLevel=${accelLevel}`);
-        }
+  /**
+   * Fetch a page of readings the wearable buffered while the app was away
+   * GET /api/history?since=<epoch ms>&limit=<n>[&cursor=<c>]
+   * Expected response: { readings: [...], nextCursor: string|null }
+   * (a bare array is treated as a single, final page)
+   * @param {number} since - Epoch ms of the newest reading already stored
+   * @param {string|null} cursor - Cursor returned by the previous page
+   * @param {number} limit - Maximum readings per page
+   * @returns {Object|null} Page, or null if the firmware has no history endpoint
+   */
+  async fetchHistoryPage(since, cursor = null, limit = 100) {
+    if (!this.isConnected) {
+      throw new Error('Not connected to device');
+    }
 
-        if (hasGyro) {
-          const gyroMag = Math.sqrt(gx * gx + gy * gy + gz * gz);
-          if (gyroMag > GYRO_HIGH_MOTION_THRESHOLD) {
-            gyroLevel = "HIGH";
-          } else if (gyroMag > GYRO_LOW_MOTION_THRESHOLD) {
-            gyroLevel = "LOW";
-          }
-          // else remains NONE
-          console.log(`[Motion] gyroMag=${gyroMag.toFixed(2)}, gyroLevel=${gyroLevel}`);
-        }
+    const path = this.configManager.getAllConfig().esp32.endpoints.history;
+    const params = { since, limit };
+    if (cursor !== null && cursor !== undefined) {
+      params.cursor = cursor;
+    }
+    // Built by hand so the signed path matches the request byte for byte
+    const query = Object.entries(params)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+      .join('&');
 
-        // Combine accel/gyro levels (HIGH wins, else LOW, else NONE)
-        if (accelLevel === "HIGH" || gyroLevel === "HIGH") {
-          motionLevel = "HIGH";
-        } else if (accelLevel === "LOW" || gyroLevel === "LOW") {
-          motionLevel = "LOW";
-        } else {
-          motionLevel = "NONE";
-        }
-      }
+    try {
+      const data = await this.request('GET', `${path}?${query}`, {
+        timeout: this.configManager.getConnectionTimeout(),
+      });
 
-      // === EDA Smoothing ===
-      let smoothedEDA = rawEDA;
-      if (rawEDA > 0) {
-        this.edaBuffer.push(rawEDA);
-        if (this.edaBuffer.length > HR_SMOOTHING_WINDOW) {
-          this.edaBuffer.shift();
-        }
-        smoothedEDA = this.edaBuffer.reduce((a, b) => a + b, 0) / this.edaBuffer.length;
-        smoothedEDA = parseFloat(smoothedEDA.toFixed(2));
+      if (Array.isArray(data)) {
+        return { readings: data, nextCursor: null };
       }
-
       return {
-        heartRate: smoothedHR,
-        fingerDetected,
-        temperature,
-        eda: smoothedEDA,
-        motion: motionLevel, // "NONE", "LOW", "HIGH"
-        timestamp: new Date().toISOString(),
-        raw: data,
+        readings: Array.isArray(data?.readings) ? data.readings : [],
+        nextCursor: data?.nextCursor ?? null,
       };
     } catch (error) {
-      console.error('Parse error:', error);
-      return null;
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
     }
   }
 
   /**
-   * Handle polling errors
+   * Send a command and wait for the device to acknowledge it
+   * POST /api/command { id, command, params } → { id, ok, result | error }
+   * @param {string} command - One of DEVICE_COMMANDS
+   * @param {Object} params - Command parameters
+   * @returns {Object} { success, result } or { success: false, error }
    */
-  handlePollingError(error) {
-    this.consecutiveFailures++;
+  async sendCommand(command, params = {}) {
+    if (!this.isConnected) {
+      return { success: false, error: 'Not connected to device' };
+    }
 
-    if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
-      console.error('Max consecutive failures reached. Disconnecting...');
-      this.disconnect();
+    const invalid = validateCommand(command, params);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
 
-      if (this.onError) {
-        this.onError(new Error('Lost connection to ESP32 device'));
+    const esp32Config = this.configManager.getAllConfig().esp32;
+    const id = createCommandId();
+
+    try {
+      console.log(`Sending command ${command} (${id})`);
+      const ack = await this.request('POST', esp32Config.endpoints.command, {
+        data: { id, command, params },
+        timeout: esp32Config.commandTimeout,
+      });
+      return parseCommandAck(ack, id);
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        return { success: false, error: 'Device did not acknowledge the command in time' };
+      }
+      if (error.response?.status === 404) {
+        return { success: false, error: 'Firmware does not support commands' };
       }
+      if (error.response?.data) {
+        return parseCommandAck(error.response.data, id);
+      }
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Read device info (battery level, etc.)
+   * Upload a firmware image to the device's OTA endpoint
+   * Sensor data is paused for the duration; on success the device flashes
+   * the image and reboots, so call waitForReboot() next.
+   * POST /api/ota (application/octet-stream)
+   *   headers: X-Firmware-MD5, X-Firmware-Size (plus auth headers when
+   *   paired, signed with the image MD5 in place of the body hash)
+   *   → 2xx once the image is written and verified, then the device reboots
+   * @param {string} fileUri - Local file URI of the image
+   * @param {Object} options - { md5, size, onProgress: (fraction) => void }
    */
-  async readDeviceInfo() {
+  async uploadFirmware(fileUri, { md5, size, onProgress } = {}) {
     if (!this.isConnected) {
-      return null;
+      throw new Error('Not connected to device');
+    }
+
+    const FileSystem = loadFileSystem();
+    if (!FileSystem) {
+      throw new Error('Firmware upload is not available in this build');
     }
 
+    const esp32Config = this.configManager.getAllConfig().esp32;
+    const otaConfig = this.configManager.getOtaConfig();
+    const url = `http://${this.deviceIP}:${this.devicePort}${esp32Config.endpoints.ota}`;
+
+    this.isUpdatingFirmware = true;
+    this.stopPolling();
+    this.stopStreaming();
+
+    const task = FileSystem.createUploadTask(
+      url,
+      fileUri,
+      {
+        httpMethod: 'POST',
+        uploadType: FileSystem.FileSystemUploadType.BINARY_CONTENT,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Firmware-MD5': md5,
+          'X-Firmware-Size': String(size),
+          ...(this.session ? this.session.sign('POST', esp32Config.endpoints.ota, md5).headers : {}),
+        },
+      },
+      ({ totalBytesSent, totalBytesExpectedToSend }) => {
+        const total = totalBytesExpectedToSend > 0 ? totalBytesExpectedToSend : size;
+        if (onProgress && total) onProgress(Math.min(1, totalBytesSent / total));
+      }
+    );
+
+    let uploadTimer = null;
     try {
-      const response = await axios.get(
-        `http://${this.deviceIP}:${this.devicePort}${API_BASE_PATH}/device-info`,
-        { timeout: 3000 }
-      );
+      console.log(`Uploading firmware (${size} bytes) to ${url}`);
+      const timeout = new Promise((_, reject) => {
+        uploadTimer = setTimeout(() => {
+          task.cancelAsync();
+          reject(new Error('Firmware upload timed out'));
+        }, otaConfig.uploadTimeout);
+      });
+      const response = await Promise.race([task.uploadAsync(), timeout]);
+
+      if (!response || response.status < 200 || response.status >= 300) {
+        let message = `Device rejected the firmware (HTTP ${response?.status})`;
+        try {
+          const body = JSON.parse(response.body);
+          if (body?.error) message = `Device rejected the firmware: ${body.error}`;
+        } catch {
+          // Plain-text or empty body
+        }
+        throw new Error(message);
+      }
 
-      this.deviceInfo = response.data;
-      return response.data;
+      if (onProgress) onProgress(1);
+      return { success: true };
     } catch (error) {
-      console.error('Read device info error:', error);
-      return null;
+      // Nothing was flashed — resume the session as it was
+      this.isUpdatingFirmware = false;
+      await this.startDataFlow();
+      throw error;
+    } finally {
+      clearTimeout(uploadTimer);
     }
   }
 
+  /**
+   * Wait for the device to come back after flashing and resume data flow
+   * @returns {Object|null} Fresh device info, or null if it never came back
+   */
+  async waitForReboot() {
+    const otaConfig = this.configManager.getOtaConfig();
+    const deadline = Date.now() + otaConfig.rebootTimeout;
+
+    console.log('Waiting for device to reboot...');
+    while (Date.now() < deadline && this.isUpdatingFirmware) {
+      await new Promise((resolve) => setTimeout(resolve, otaConfig.rebootPollInterval));
+      try {
+        const info = await this.request('GET', `${API_BASE_PATH}/device-info`);
+        this.deviceInfo = info;
+        this.isUpdatingFirmware = false;
+        this.consecutiveFailures = 0;
+        this.parser.reset();
+        await this.startDataFlow();
+        if (this.onConnectionChange) {
+          this.onConnectionChange(true, this.getDeviceDescriptor());
+        }
+        return info;
+      } catch {
+        // Still rebooting
+      }
+    }
+
+    if (!this.isUpdatingFirmware) {
+      return null; // disconnected while waiting
+    }
+
+    // Hand the session to the reconnect supervisor like any other outage
+    this.isUpdatingFirmware = false;
+    this.isConnected = false;
+    if (!this.reconnectSupervisor.start('no response after firmware update')) {
+      this.disconnect();
+    }
+    return null;
+  }
+
   /**
    * Disconnect from ESP32
    */
   async disconnect() {
     try {
+      this.reconnectSupervisor.stop();
+      this.isUpdatingFirmware = false;
       this.stopPolling();
+      this.stopStreaming();
       this.isConnected = false;
+      this.dataMode = null;
       this.deviceIP = null;
       this.consecutiveFailures = 0;
       this.deviceInfo = null;
+      this.session = null;
+      this.hardwareId = null;
+      this.streamNonce = null;
+      this.parser.reset();
 
       console.log('Disconnected from ESP32');
 
@@ -507,6 +1063,22 @@ class ESP32WiFiService {
     this.onConnectionChange = callback;
   }
 
+  /**
+   * Set callback for reconnect supervisor state changes
+   * @param {Function} callback - ({ isReconnecting, attempt, maxAttempts, nextRetryAt, lastError }) => void
+   */
+  setReconnectCallback(callback) {
+    this.onReconnectStateChange = callback;
+  }
+
+  /**
+   * Set callback for switches between streaming and polling
+   * @param {Function} callback - (dataMode) => void
+   */
+  setDataModeCallback(callback) {
+    this.onDataModeChange = callback;
+  }
+
   /**
    * Set callback for errors
    * @param {Function} callback - (error) => void
@@ -521,13 +1093,36 @@ class ESP32WiFiService {
    */
   setPollingRate(rateMs) {
     this.pollingRate = rateMs;
-    if (this.isConnected && this.pollingInterval) {
+    if (this.isConnected && this.dataMode === DATA_MODES.POLLING) {
       // Restart polling with new rate
       this.stopPolling();
       this.startPolling();
     }
   }
 
+  /**
+   * Build the transport-neutral device descriptor used by WearableContext
+   */
+  getDeviceDescriptor() {
+    return {
+      id: this.deviceIP,
+      name: this.deviceInfo?.name || `ESP32-${this.deviceIP}`,
+      transport: 'wifi',
+      ip: this.deviceIP,
+      port: this.devicePort,
+      dataMode: this.dataMode,
+      secure: !!this.session,
+      hardwareId: this.hardwareId,
+    };
+  }
+
+  /**
+   * Connection quality over the diagnostics window
+   */
+  getMetrics() {
+    return this.metrics.getSnapshot();
+  }
+
   /**
    * Get connection status
    */
@@ -536,16 +1131,13 @@ class ESP32WiFiService {
       isConnected: this.isConnected,
       deviceIP: this.deviceIP,
       devicePort: this.devicePort,
+      dataMode: this.dataMode,
+      secure: !!this.session,
+      hardwareId: this.hardwareId,
       lastDataTimestamp: this.lastDataTimestamp,
       consecutiveFailures: this.consecutiveFailures,
-      device: this.isConnected
-        ? {
-            id: this.deviceIP,
-            name: this.deviceInfo?.name || `ESP32-${this.deviceIP}`,
-            ip: this.deviceIP,
-            port: this.devicePort,
-          }
-        : null,
+      reconnect: this.reconnectSupervisor.getState(),
+      device: this.isConnected ? this.getDeviceDescriptor() : null,
     };
   }
 
@@ -583,11 +1175,13 @@ class ESP32WiFiService {
    */
   destroy() {
     this.stopPolling();
+    this.stopStreaming();
     this.disconnect();
   }
 }
 
 export default new ESP32WiFiService();
+export { ESP32WiFiService };
 
 // Export configuration
 export const WIFI_CONFIG = {
@@ -595,3 +1189,5 @@ export const WIFI_CONFIG = {
   API_BASE_PATH,
   DEFAULT_POLLING_RATE: 2000, // 2 seconds
 };
+
+export { DATA_MODES };
@@ -0,0 +1,153 @@
+/**
+ * Feature Extractor
+ * Windowed features over the sensor stream for the prediction models
+ *
+ * WESAD-style models are trained on features of a window of signal rather
+ * than on single readings. The extractor keeps the readings of the longest
+ * window in `features.windows` and, for each window, computes:
+ *
+ *   heartRate, temperature, eda (µS) - mean, slope (per minute), variance,
+ *                                      min and max
+ *   edaPeaks    - skin conductance responses (EDAAnalyzer) peaking in the window
+ *   motionRatio - share of frames with LOW or HIGH motion
+ *
+ * A window is only reported once readings span `features.minCoverage` of
+ * it, so a model never sees features of a few seconds labelled as a minute.
+ * The result is versioned (FEATURE_VERSION): models name the features they
+ * were trained on by path, e.g. `features.windows.60s.eda.slope`, and the
+ * vector is stored with each prediction. Change FEATURE_VERSION whenever a
+ * feature's meaning changes.
+ *
+ * Like SensorDataParser, an extractor is stateful and belongs to one stream
+ * of frames.
+ */
+
+import ConfigManager from '../utils/ConfigManager';
+
+const FEATURE_VERSION = 1;
+
+// Signals summarized in every window
+const FEATURE_SIGNALS = ['heartRate', 'temperature', 'eda'];
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const round = (value, digits) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * Mean, least-squares slope (per minute), variance, min and max of a signal
+ * @param {Array} points - [{ at (ms), value }]
+ * @returns {Object|null} null with fewer than two points
+ */
+const summarize = (points) => {
+  if (points.length < 2) {
+    return null;
+  }
+  const values = points.map((p) => p.value);
+  const valueMean = mean(values);
+  const atMean = mean(points.map((p) => p.at));
+
+  let covariance = 0;
+  let atVariance = 0;
+  points.forEach(({ at, value }) => {
+    covariance += (at - atMean) * (value - valueMean);
+    atVariance += (at - atMean) ** 2;
+  });
+
+  return {
+    mean: round(valueMean, 3),
+    slope: round(atVariance ? (covariance / atVariance) * 60000 : 0, 4),
+    variance: round(mean(values.map((value) => (value - valueMean) ** 2)), 4),
+    min: round(Math.min(...values), 3),
+    max: round(Math.max(...values), 3),
+  };
+};
+
+class FeatureExtractor {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget the signal (new connection)
+   */
+  reset() {
+    this.samples = []; // { at, heartRate, temperature, eda, motion }
+    this.peaks = [];   // peak times of skin conductance responses
+  }
+
+  /**
+   * Add a reading and compute the features
+   * @param {Object} reading - { heartRate (null without a finger),
+   *   temperature (null when not measured), eda (µS, null off the skin),
+   *   motion ("NONE", "LOW", "HIGH"), scrAt (peak time of the latest skin
+   *   conductance response, if any) }
+   * @param {number} at - Reading time (ms)
+   * @returns {Object} Current features (see getFeatures)
+   */
+  addSample(reading, at) {
+    const { windows } = ConfigManager.getFeatureConfig();
+    const keep = Math.max(...Object.values(windows));
+
+    // The wearable's clock went backwards: it rebooted
+    const last = this.samples[this.samples.length - 1];
+    if (last && at < last.at) {
+      this.reset();
+    }
+
+    const { scrAt, ...sample } = reading;
+    this.samples.push({ ...sample, at });
+    this.samples = this.samples.filter((s) => s.at > at - keep);
+    if (typeof scrAt === 'number' && !this.peaks.includes(scrAt)) {
+      this.peaks.push(scrAt);
+    }
+    this.peaks = this.peaks.filter((peakAt) => peakAt > at - keep);
+
+    return this.getFeatures();
+  }
+
+  /**
+   * Features of every configured window at the latest reading
+   * @returns {Object|null} { version, windows: { [name]: { heartRate,
+   *   temperature, eda (summaries or null), edaPeaks, motionRatio, samples }
+   *   or null while the window is not covered yet }, null before the first
+   *   reading
+   */
+  getFeatures() {
+    const latest = this.samples[this.samples.length - 1];
+    if (!latest) {
+      return null;
+    }
+    const { windows, minCoverage } = ConfigManager.getFeatureConfig();
+    const span = latest.at - this.samples[0].at;
+
+    const result = {};
+    Object.entries(windows).forEach(([name, duration]) => {
+      if (span < duration * minCoverage) {
+        result[name] = null;
+        return;
+      }
+      const start = latest.at - duration;
+      const inWindow = this.samples.filter((s) => s.at > start);
+
+      const window = {};
+      FEATURE_SIGNALS.forEach((signal) => {
+        window[signal] = summarize(
+          inWindow
+            .filter((s) => typeof s[signal] === 'number')
+            .map((s) => ({ at: s.at, value: s[signal] }))
+        );
+      });
+      window.edaPeaks = this.peaks.filter((peakAt) => peakAt > start).length;
+      window.motionRatio = round(
+        inWindow.filter((s) => s.motion === 'LOW' || s.motion === 'HIGH').length / inWindow.length,
+        3
+      );
+      window.samples = inWindow.length;
+      result[name] = window;
+    });
+
+    return { version: FEATURE_VERSION, windows: result };
+  }
+}
+
+export default FeatureExtractor;
+export { FEATURE_VERSION, FEATURE_SIGNALS };
@@ -0,0 +1,217 @@
+/**
+ * Firmware Update Service
+ * Pushes the firmware bundled in assets/firmware to a wearable over WiFi
+ *
+ * Update flow:
+ * 1. Compare the device's reported version with the bundled one
+ * 2. Resolve the bundled image to a local file and verify its SHA-256
+ *    against the generated bundle manifest (catches a corrupted install)
+ * 3. Upload it to the device's OTA endpoint with progress; the MD5 is sent
+ *    along so the firmware can verify the image before flashing
+ * 4. Wait for the device to reboot and read its version again:
+ *    - new version  → updated
+ *    - old version  → the bootloader rolled back (new image failed to boot)
+ *
+ * The bundle is generated by scripts/bundle-firmware.js.
+ */
+
+import { Buffer } from 'buffer';
+import BundledFirmware from '../../assets/firmware';
+
+// Native modules are loaded lazily so the app still runs without them
+const loadModule = (name) => {
+  try {
+    return require(name);
+  } catch (error) {
+    console.warn(`[Firmware] ${name} unavailable:`, error.message);
+    return null;
+  }
+};
+
+// Update progress stages reported to the UI
+const UPDATE_STATUS = {
+  PREPARING: 'preparing',
+  UPLOADING: 'uploading',
+  REBOOTING: 'rebooting',
+  UPDATED: 'updated',
+  ROLLED_BACK: 'rolled_back',
+  FAILED: 'failed',
+};
+
+/**
+ * Read the firmware version from /api/device-info
+ * Older firmware reports it as `firmware` or `version`.
+ */
+const getFirmwareVersion = (info) => {
+  const version = info?.firmwareVersion ?? info?.firmware ?? info?.version;
+  return version !== undefined && version !== null ? String(version) : null;
+};
+
+/**
+ * Compare dotted version strings ("1.2.10" > "1.2.9")
+ * A leading "v" and build suffixes ("-beta", "+abc") are ignored.
+ * @returns {number} negative if a < b, 0 if equal, positive if a > b
+ */
+const compareVersions = (a, b) => {
+  const parts = (v) =>
+    String(v).replace(/^v/i, '').split(/[-+]/)[0].split('.').map((n) => parseInt(n, 10) || 0);
+  const pa = parts(a);
+  const pb = parts(b);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+class FirmwareUpdateService {
+  constructor() {
+    this.isUpdating = false;
+  }
+
+  /**
+   * Describe the firmware bundled with this app build
+   */
+  getBundledFirmware() {
+    return {
+      version: BundledFirmware.version,
+      size: BundledFirmware.size,
+      available: !!(BundledFirmware.asset && BundledFirmware.version),
+    };
+  }
+
+  /**
+   * Compare a device's firmware with the bundled firmware
+   * @param {Object} deviceInfo - /api/device-info response
+   * @returns {Object} { deviceVersion, bundledVersion, updateAvailable }
+   */
+  checkForUpdate(deviceInfo) {
+    const bundled = this.getBundledFirmware();
+    const deviceVersion = getFirmwareVersion(deviceInfo);
+    return {
+      deviceVersion,
+      bundledVersion: bundled.version,
+      updateAvailable:
+        bundled.available &&
+        (deviceVersion === null || compareVersions(bundled.version, deviceVersion) > 0),
+    };
+  }
+
+  /**
+   * Resolve the bundled image to a local file and verify it
+   * @returns {Object} { uri, size, md5 }
+   */
+  async prepareImage() {
+    const ExpoAsset = loadModule('expo-asset');
+    const FileSystem = loadModule('expo-file-system/legacy');
+    const Crypto = loadModule('expo-crypto');
+    if (!ExpoAsset || !FileSystem || !Crypto) {
+      throw new Error('Firmware updates are not available in this build');
+    }
+
+    const asset = ExpoAsset.Asset.fromModule(BundledFirmware.asset);
+    await asset.downloadAsync();
+    const uri = asset.localUri || asset.uri;
+
+    const base64 = await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    const bytes = Uint8Array.from(Buffer.from(base64, 'base64'));
+
+    if (bytes.length !== BundledFirmware.size) {
+      throw new Error(`Bundled firmware is ${bytes.length} bytes, expected ${BundledFirmware.size}`);
+    }
+
+    const toHex = (digest) => Buffer.from(digest).toString('hex');
+    const sha256 = toHex(await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, bytes));
+    if (sha256 !== BundledFirmware.sha256) {
+      throw new Error('Bundled firmware failed checksum verification');
+    }
+    const md5 = toHex(await Crypto.digest(Crypto.CryptoDigestAlgorithm.MD5, bytes));
+
+    return { uri, size: bytes.length, md5 };
+  }
+
+  /**
+   * Update a connected wearable to the bundled firmware
+   * @param {Object} transport - Connected transport service (must support OTA)
+   * @param {Object} deviceInfo - Current /api/device-info response
+   * @param {Object} options - { onProgress: ({ status, progress }) => void }
+   * @returns {Object} { success, status, fromVersion, toVersion, error }
+   */
+  async updateDevice(transport, deviceInfo, options = {}) {
+    const report = (status, progress = null) => {
+      if (options.onProgress) options.onProgress({ status, progress });
+    };
+
+    const fromVersion = getFirmwareVersion(deviceInfo);
+    const toVersion = BundledFirmware.version;
+    const fail = (error) => ({
+      success: false,
+      status: UPDATE_STATUS.FAILED,
+      fromVersion,
+      toVersion,
+      error,
+    });
+
+    if (typeof transport?.uploadFirmware !== 'function') {
+      return fail('Firmware updates need a WiFi connection to the wearable');
+    }
+    if (!this.getBundledFirmware().available) {
+      return fail('No firmware is bundled with this app');
+    }
+    if (this.isUpdating) {
+      return fail('A firmware update is already in progress');
+    }
+
+    this.isUpdating = true;
+    try {
+      report(UPDATE_STATUS.PREPARING);
+      const image = await this.prepareImage();
+
+      report(UPDATE_STATUS.UPLOADING, 0);
+      await transport.uploadFirmware(image.uri, {
+        md5: image.md5,
+        size: image.size,
+        onProgress: (fraction) => report(UPDATE_STATUS.UPLOADING, fraction),
+      });
+
+      report(UPDATE_STATUS.REBOOTING);
+      const info = await transport.waitForReboot();
+      if (!info) {
+        return fail('The wearable did not come back after the update');
+      }
+
+      const newVersion = getFirmwareVersion(info);
+      if (newVersion !== null && compareVersions(newVersion, toVersion) === 0) {
+        console.log(`[Firmware] Updated ${fromVersion} → ${newVersion}`);
+        report(UPDATE_STATUS.UPDATED, 1);
+        return { success: true, status: UPDATE_STATUS.UPDATED, fromVersion, toVersion };
+      }
+
+      if (newVersion !== null && fromVersion !== null && compareVersions(newVersion, fromVersion) === 0) {
+        console.warn(`[Firmware] Device rolled back to ${newVersion}`);
+        report(UPDATE_STATUS.ROLLED_BACK);
+        return {
+          success: false,
+          status: UPDATE_STATUS.ROLLED_BACK,
+          fromVersion,
+          toVersion,
+          error: `The new firmware did not start, so the wearable rolled back to ${newVersion}`,
+        };
+      }
+
+      report(UPDATE_STATUS.FAILED);
+      return fail(`The wearable reports version ${newVersion || 'unknown'} after the update`);
+    } catch (error) {
+      console.error('[Firmware] Update error:', error);
+      report(UPDATE_STATUS.FAILED);
+      return fail(error.message);
+    } finally {
+      this.isUpdating = false;
+    }
+  }
+}
+
+export default new FirmwareUpdateService();
+export { UPDATE_STATUS, getFirmwareVersion, compareVersions };
@@ -0,0 +1,366 @@
+/**
+ * HRV Analyzer
+ * Heart rate variability from inter-beat intervals
+ *
+ * Firmware that reports individual beats sends the intervals measured since
+ * the previous frame (`ibi`, in ms) or, failing that, the raw PPG waveform
+ * (`ppg` samples at `ppgRate` Hz), from which beats are detected here. Beats
+ * are cleaned of ectopic beats and motion artifacts and kept in a sliding
+ * window; getMetrics() reports:
+ *
+ *   - RMSSD, SDNN and pNN50 over the last `hrv.window` ms of beats
+ *   - LF (0.04–0.15 Hz) and HF (0.15–0.4 Hz) power and the LF/HF ratio over
+ *     the last `hrv.spectralWindow` ms of uninterrupted beats
+ *
+ * Like SensorDataParser, an analyzer is stateful and belongs to one stream
+ * of frames.
+ */
+
+import ConfigManager from '../utils/ConfigManager';
+
+// Physiological inter-beat interval range (200 down to 30 BPM)
+const MIN_IBI = 300;
+const MAX_IBI = 2000;
+// Accepted beats the artifact filter compares a new beat against
+const REFERENCE_BEATS = 5;
+// After this many rejections in a row the rhythm has really changed; start over
+const MAX_CONSECUTIVE_REJECTIONS = 5;
+
+// Frequency bands (Hz) and tachogram resampling rate for the spectrum
+const LF_BAND = [0.04, 0.15];
+const HF_BAND = [0.15, 0.4];
+const RESAMPLE_RATE = 4;
+
+// PPG beat detection: baseline window and shortest plausible beat (s)
+const PPG_BASELINE_WINDOW = 0.75;
+const PPG_REFRACTORY = 0.3;
+// A peak must reach this fraction of the largest pulse in the buffer
+const PPG_PEAK_FRACTION = 0.4;
+// PPG kept between frames so a pulse split across two frames is still found (s)
+const PPG_BUFFER_SECONDS = 3;
+
+const HRV_SOURCES = {
+  IBI: 'ibi',
+  PPG: 'ppg',
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => sum(values) / values.length;
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+const round = (value, digits) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * RMSSD, SDNN and pNN50 (ms, ms, %)
+ * @param {Array} beats - [{ ibi, continuous }]; successive differences are
+ *   only taken where a beat directly follows the previous one
+ */
+const timeDomainMetrics = (beats) => {
+  const intervals = beats.map((beat) => beat.ibi);
+  const meanNN = mean(intervals);
+  const sdnn = Math.sqrt(
+    sum(intervals.map((ibi) => (ibi - meanNN) ** 2)) / Math.max(1, intervals.length - 1)
+  );
+
+  const differences = [];
+  for (let i = 1; i < beats.length; i++) {
+    if (beats[i].continuous) {
+      differences.push(beats[i].ibi - beats[i - 1].ibi);
+    }
+  }
+  if (differences.length === 0) {
+    return { meanNN, sdnn, rmssd: null, pnn50: null };
+  }
+
+  return {
+    meanNN,
+    sdnn,
+    rmssd: Math.sqrt(mean(differences.map((d) => d * d))),
+    pnn50: (differences.filter((d) => Math.abs(d) > 50).length / differences.length) * 100,
+  };
+};
+
+/**
+ * LF and HF power (ms²) of an uninterrupted run of intervals
+ * The tachogram is resampled evenly at 4 Hz, detrended, Hann windowed and
+ * its periodogram integrated over each band.
+ * @param {Array} intervals - Inter-beat intervals (ms)
+ */
+const frequencyDomainMetrics = (intervals) => {
+  // Beat times (s) with the interval that ended at each beat
+  const times = [];
+  let elapsed = 0;
+  intervals.forEach((ibi) => {
+    elapsed += ibi / 1000;
+    times.push(elapsed);
+  });
+
+  const series = [];
+  let j = 0;
+  for (let t = times[0]; t <= times[times.length - 1]; t += 1 / RESAMPLE_RATE) {
+    while (times[j + 1] < t) {
+      j++;
+    }
+    const span = times[j + 1] - times[j];
+    const fraction = span > 0 ? (t - times[j]) / span : 0;
+    series.push(intervals[j] + (intervals[j + 1] - intervals[j]) * fraction);
+  }
+
+  // Remove the linear trend (slow HR drift would swamp LF)
+  const n = series.length;
+  const xMean = (n - 1) / 2;
+  const yMean = mean(series);
+  let covariance = 0;
+  let variance = 0;
+  series.forEach((y, x) => {
+    covariance += (x - xMean) * (y - yMean);
+    variance += (x - xMean) ** 2;
+  });
+  const slope = variance ? covariance / variance : 0;
+
+  const window = series.map((_, x) => 0.5 - 0.5 * Math.cos((2 * Math.PI * x) / (n - 1)));
+  const windowPower = sum(window.map((w) => w * w));
+  const samples = series.map((y, x) => (y - yMean - slope * (x - xMean)) * window[x]);
+
+  // One-sided periodogram, only at the bins the bands need
+  const binWidth = RESAMPLE_RATE / n;
+  const bandPower = ([low, high]) => {
+    let power = 0;
+    for (let k = Math.ceil(low / binWidth); k * binWidth < high; k++) {
+      let re = 0;
+      let im = 0;
+      samples.forEach((value, x) => {
+        const angle = (2 * Math.PI * k * x) / n;
+        re += value * Math.cos(angle);
+        im -= value * Math.sin(angle);
+      });
+      power += ((2 * (re * re + im * im)) / (RESAMPLE_RATE * windowPower)) * binWidth;
+    }
+    return power;
+  };
+
+  const lf = bandPower(LF_BAND);
+  const hf = bandPower(HF_BAND);
+  return { lf, hf, lfHf: hf > 0 ? lf / hf : null };
+};
+
+class HRVAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget every beat (sensor removed, new connection)
+   */
+  reset() {
+    this.beats = []; // { ibi, continuous, afterGap }
+    this.rejected = 0;
+    this.consecutiveRejected = 0;
+    this.source = null;
+    this.breakPending = false; // next beat does not directly follow the last one
+    this.gapPending = false;   // beats are missing before the next beat
+    this.ppg = null; // { rate, samples, offset, lastPeak }
+  }
+
+  /**
+   * Beats were missed (dropped frames); successive differences and the
+   * spectrum must not span the hole
+   */
+  markGap() {
+    this.breakPending = true;
+    this.gapPending = true;
+    this.ppg = null;
+  }
+
+  /**
+   * Add intervals measured by the firmware
+   * @param {Array<number>} intervals - Inter-beat intervals (ms), oldest first
+   * @param {string} source - One of HRV_SOURCES
+   */
+  addIntervals(intervals, source = HRV_SOURCES.IBI) {
+    const { maxDeviation } = ConfigManager.getHrvConfig();
+    this.source = source;
+
+    intervals.forEach((ibi) => {
+      if (!(ibi >= MIN_IBI && ibi <= MAX_IBI)) {
+        this.reject();
+        return;
+      }
+
+      const reference = this.beats.slice(-REFERENCE_BEATS).map((beat) => beat.ibi);
+      const expected = reference.length >= 3 ? median(reference) : null;
+      if (
+        expected !== null &&
+        Math.abs(ibi - expected) > expected * maxDeviation &&
+        this.consecutiveRejected < MAX_CONSECUTIVE_REJECTIONS
+      ) {
+        this.reject();
+        return;
+      }
+
+      const first = this.beats.length === 0;
+      this.beats.push({
+        ibi,
+        continuous: !first && !this.breakPending,
+        afterGap: first || this.gapPending,
+      });
+      this.breakPending = false;
+      this.gapPending = false;
+      this.consecutiveRejected = 0;
+    });
+
+    this.trim();
+  }
+
+  /**
+   * A rejected beat is left out of the successive differences; the spectrum
+   * carries on across it since the beats around it still arrived
+   */
+  reject() {
+    this.rejected++;
+    this.consecutiveRejected++;
+    this.breakPending = true;
+  }
+
+  /**
+   * Detect beats in raw PPG samples and add their intervals
+   * Peaks are found on the signal minus its moving-average baseline and
+   * refined to sub-sample position, since 50 Hz sampling alone would blur
+   * RMSSD by ±20 ms.
+   * @param {Array<number>} samples - PPG values, oldest first
+   * @param {number} rate - Sample rate (Hz)
+   */
+  addPpgSamples(samples, rate) {
+    if (!this.ppg || this.ppg.rate !== rate) {
+      this.ppg = { rate, samples: [], offset: 0, lastPeak: null };
+    }
+    const ppg = this.ppg;
+    ppg.samples.push(...samples);
+
+    const halfBaseline = Math.max(1, Math.round((rate * PPG_BASELINE_WINDOW) / 2));
+    const refractory = Math.max(1, Math.round(rate * PPG_REFRACTORY));
+    const values = ppg.samples;
+    if (values.length < 2 * (halfBaseline + refractory)) {
+      return;
+    }
+
+    const detrended = values.map((value, i) => {
+      const from = Math.max(0, i - halfBaseline);
+      const window = values.slice(from, i + halfBaseline + 1);
+      return value - mean(window);
+    });
+    const threshold = Math.max(...detrended) * PPG_PEAK_FRACTION;
+
+    const intervals = [];
+    // Leave a refractory period at the end: the pulse there may still be rising
+    for (let i = halfBaseline; i < values.length - Math.max(halfBaseline, refractory); i++) {
+      const value = detrended[i];
+      if (value <= threshold) {
+        continue;
+      }
+      const neighbours = detrended.slice(Math.max(0, i - refractory), i + refractory + 1);
+      if (value < Math.max(...neighbours)) {
+        continue;
+      }
+
+      const [before, after] = [detrended[i - 1], detrended[i + 1]];
+      const curvature = before - 2 * value + after;
+      const peak = ppg.offset + i + (curvature ? (0.5 * (before - after)) / curvature : 0);
+
+      if (ppg.lastPeak !== null && peak - ppg.lastPeak < refractory) {
+        continue;
+      }
+      if (ppg.lastPeak !== null) {
+        intervals.push(((peak - ppg.lastPeak) * 1000) / rate);
+      }
+      ppg.lastPeak = peak;
+    }
+
+    if (intervals.length) {
+      this.addIntervals(intervals, HRV_SOURCES.PPG);
+    }
+
+    const keep = Math.round(rate * PPG_BUFFER_SECONDS);
+    if (values.length > keep) {
+      ppg.offset += values.length - keep;
+      ppg.samples = values.slice(-keep);
+    }
+  }
+
+  /**
+   * Drop beats older than the longest window
+   */
+  trim() {
+    const { window, spectralWindow } = ConfigManager.getHrvConfig();
+    const longest = Math.max(window, spectralWindow);
+    let span = sum(this.beats.map((beat) => beat.ibi));
+    while (this.beats.length > 1 && span - this.beats[0].ibi >= longest) {
+      span -= this.beats.shift().ibi;
+    }
+    if (this.beats.length) {
+      this.beats[0].continuous = false;
+      this.beats[0].afterGap = true;
+    }
+  }
+
+  /**
+   * Trailing beats covering `duration` ms
+   */
+  latestBeats(duration, beats = this.beats) {
+    let span = 0;
+    let start = beats.length;
+    while (start > 0 && span < duration) {
+      start--;
+      span += beats[start].ibi;
+    }
+    return beats.slice(start);
+  }
+
+  /**
+   * Current HRV metrics
+   * @returns {Object|null} { rmssd, sdnn, pnn50, meanNN, lf, hf, lfHf, beats,
+   *   windowMs, spectralWindowMs, rejected, source } or null until enough
+   *   clean beats have arrived; lf/hf/lfHf stay null until the spectral
+   *   window has minSpectralDuration ms of uninterrupted beats
+   */
+  getMetrics() {
+    const { window, spectralWindow, minSpectralDuration, minBeats } = ConfigManager.getHrvConfig();
+
+    const recent = this.latestBeats(window);
+    if (recent.length < minBeats) {
+      return null;
+    }
+    const timeDomain = timeDomainMetrics(recent);
+
+    // The spectrum needs an unbroken beat series: use the run since the last gap
+    const spectral = this.latestBeats(spectralWindow);
+    const runStart = spectral.map((beat) => beat.afterGap).lastIndexOf(true);
+    const run = spectral.slice(Math.max(0, runStart)).map((beat) => beat.ibi);
+    const runDuration = sum(run);
+    const frequencyDomain =
+      run.length >= minBeats && runDuration >= minSpectralDuration
+        ? frequencyDomainMetrics(run)
+        : { lf: null, hf: null, lfHf: null };
+
+    return {
+      rmssd: round(timeDomain.rmssd, 1),
+      sdnn: round(timeDomain.sdnn, 1),
+      pnn50: round(timeDomain.pnn50, 1),
+      meanNN: round(timeDomain.meanNN, 0),
+      lf: round(frequencyDomain.lf, 0),
+      hf: round(frequencyDomain.hf, 0),
+      lfHf: round(frequencyDomain.lfHf, 2),
+      beats: recent.length,
+      windowMs: Math.round(sum(recent.map((beat) => beat.ibi))),
+      spectralWindowMs: frequencyDomain.lf === null ? null : Math.round(runDuration),
+      rejected: this.rejected,
+      source: this.source,
+    };
+  }
+}
+
+export default HRVAnalyzer;
+export { HRV_SOURCES, timeDomainMetrics, frequencyDomainMetrics };
@@ -0,0 +1,290 @@
+/**
+ * JS Model Runner
+ * Dependency-free inference for small models exported from Python
+ *
+ * Runs dense networks, logistic regression and gradient-boosted trees from
+ * a plain JSON file, without TensorFlow.js or any native module. A model
+ * file looks like:
+ *
+ *   {
+ *     "format": "neuronest-js-model",
+ *     "version": 1,
+ *     "type": "dense" | "logistic" | "trees",
+ *     "classes": ["Baseline", "Stress"],          // WESAD class names, in output order
+ *     "features": ["heartRate", "temperature", "eda", "hrv.rmssd"],
+ *     "normalization": { "heartRate": { "mean": 75, "std": 15 }, ... },  // optional z-scores
+ *     "edaUnit": "uS",                            // or "adc"; default "uS"
+ *     "featureVersion": 1,                        // FeatureExtractor version, if windowed features are used
+ *     ...type-specific fields (below)
+ *   }
+ *
+ * Features are read from the reading MLModelService.predict() builds, with
+ * dotted paths reaching into hrv, edaAnalysis and the windowed features
+ * (`features.windows.60s.heartRate.slope`). Features without a
+ * normalization entry are used as they are.
+ *
+ *   dense     "layers": [{ "weights": [[...]] (inputs × units), "bias": [...],
+ *             "activation": "relu" | "sigmoid" | "tanh" | "softmax" | "linear" }]
+ *   logistic  "coefficients": [[...]] (one row per class, or a single row
+ *             for a binary model), "intercept": [...]
+ *   trees     "trees": [{ "class": 0, "nodes": [{ "feature": 0, "threshold": 1.5,
+ *             "left": 1, "right": 2 } | { "value": 0.12 }] }], "baseScore": [...],
+ *             "split": "<=" (default, scikit-learn) or "<" (XGBoost, LightGBM).
+ *             Leaf values already include the learning rate; each class's
+ *             score is its base score plus its trees' leaves, and a single
+ *             score is a binary model.
+ *
+ * Models whose last step gives raw scores (logistic, trees, dense with a
+ * linear last layer) get a sigmoid for one output and a softmax otherwise.
+ */
+
+const JS_MODEL_FORMAT = 'neuronest-js-model';
+const JS_MODEL_VERSION = 1;
+
+const JS_MODEL_TYPES = {
+  DENSE: 'dense',
+  LOGISTIC: 'logistic',
+  TREES: 'trees',
+};
+
+const ACTIVATIONS = {
+  linear: (values) => values,
+  relu: (values) => values.map((v) => Math.max(0, v)),
+  sigmoid: (values) => values.map((v) => 1 / (1 + Math.exp(-v))),
+  tanh: (values) => values.map(Math.tanh),
+  softmax: (values) => {
+    const max = Math.max(...values);
+    const exps = values.map((v) => Math.exp(v - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    return exps.map((v) => v / sum);
+  },
+};
+
+const isObject = (value) => value !== null && typeof value === 'object';
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isNumberArray = (values, length) =>
+  Array.isArray(values) && values.length === length && values.every(isNumber);
+
+/**
+ * Scores → class probabilities
+ * One score is a binary model: [P(first class), P(second class)]
+ */
+const toProbabilities = (scores) => {
+  if (scores.length === 1) {
+    const p = ACTIVATIONS.sigmoid(scores)[0];
+    return [1 - p, p];
+  }
+  return ACTIVATIONS.softmax(scores);
+};
+
+/**
+ * Check a dense network's layers chain from the features to the classes
+ * @returns {string|null} What is wrong, or null
+ */
+const validateDense = (json, inputs, outputs) => {
+  if (!Array.isArray(json.layers) || json.layers.length === 0) {
+    return 'a dense model needs "layers"';
+  }
+  let width = inputs;
+  for (const [index, layer] of json.layers.entries()) {
+    const units = layer?.bias?.length;
+    if (
+      !isObject(layer) ||
+      !Array.isArray(layer.weights) ||
+      layer.weights.length !== width ||
+      !layer.weights.every((row) => isNumberArray(row, units)) ||
+      !isNumberArray(layer.bias, units)
+    ) {
+      return `layer ${index} needs ${width} rows of weights matching its bias`;
+    }
+    if (!ACTIVATIONS[layer.activation ?? 'linear']) {
+      return `layer ${index} has unknown activation "${layer.activation}"`;
+    }
+    width = units;
+  }
+  return width === outputs || (width === 1 && outputs === 2)
+    ? null
+    : `the last layer has ${width} units for ${outputs} classes`;
+};
+
+const validateLogistic = (json, inputs, outputs) => {
+  const rows = outputs === 2 && json.coefficients?.length === 1 ? 1 : outputs;
+  if (
+    !Array.isArray(json.coefficients) ||
+    json.coefficients.length !== rows ||
+    !json.coefficients.every((row) => isNumberArray(row, inputs)) ||
+    !isNumberArray(json.intercept, rows)
+  ) {
+    return `a logistic model needs ${rows} rows of ${inputs} coefficients and ${rows} intercepts`;
+  }
+  return null;
+};
+
+const validateTrees = (json, inputs, outputs) => {
+  const scores = outputs === 2 && json.baseScore?.length === 1 ? 1 : outputs;
+  if (!Array.isArray(json.trees) || json.trees.length === 0) {
+    return 'a trees model needs "trees"';
+  }
+  if (!isNumberArray(json.baseScore, scores)) {
+    return `a trees model needs ${scores} base scores`;
+  }
+  if (![undefined, '<=', '<'].includes(json.split)) {
+    return `unknown split "${json.split}"`;
+  }
+  for (const [index, tree] of json.trees.entries()) {
+    if (!isObject(tree)) {
+      return `tree ${index} is not an object`;
+    }
+    const nodes = tree.nodes;
+    if (!(Number.isInteger(tree.class) && tree.class >= 0 && tree.class < scores)) {
+      return `tree ${index} has no class below ${scores}`;
+    }
+    if (!Array.isArray(nodes) || nodes.length === 0) {
+      return `tree ${index} has no nodes`;
+    }
+    // Children always come after their parent, so every walk ends at a leaf
+    const isValidNode = (node, n) => {
+      if (!isObject(node)) {
+        return false;
+      }
+      if ('value' in node) {
+        return isNumber(node.value);
+      }
+      return (
+        Number.isInteger(node.feature) &&
+        node.feature >= 0 &&
+        node.feature < inputs &&
+        isNumber(node.threshold) &&
+        [node.left, node.right].every((child) => Number.isInteger(child) && child > n && child < nodes.length)
+      );
+    };
+    const bad = nodes.findIndex((node, n) => !isValidNode(node, n));
+    if (bad !== -1) {
+      return `tree ${index} node ${bad} is neither a leaf nor a split on a known feature`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check a parsed model file
+ * @param {Object} json - Parsed model file
+ * @param {Array} classNames - Class names the app can map to mind states
+ * @returns {string|null} What is wrong, or null when it can be run
+ */
+const validateJsModel = (json, classNames) => {
+  if (!json || json.format !== JS_MODEL_FORMAT) {
+    return `not a ${JS_MODEL_FORMAT} file`;
+  }
+  if (json.version !== JS_MODEL_VERSION) {
+    return `unsupported version ${json.version}`;
+  }
+  if (!Array.isArray(json.features) || json.features.length === 0 || !json.features.every((f) => typeof f === 'string')) {
+    return '"features" must list the feature names';
+  }
+  if (
+    !Array.isArray(json.classes) ||
+    json.classes.length < 2 ||
+    !json.classes.every((name) => classNames.includes(name))
+  ) {
+    return `"classes" must be two or more of ${classNames.join(', ')}`;
+  }
+  const badNormalization = Object.entries(json.normalization || {}).find(
+    ([, params]) => !isNumber(params?.mean) || !(params?.std > 0)
+  );
+  if (badNormalization) {
+    return `normalization for ${badNormalization[0]} needs a mean and a positive std`;
+  }
+
+  const inputs = json.features.length;
+  const outputs = json.classes.length;
+  switch (json.type) {
+    case JS_MODEL_TYPES.DENSE:
+      return validateDense(json, inputs, outputs);
+    case JS_MODEL_TYPES.LOGISTIC:
+      return validateLogistic(json, inputs, outputs);
+    case JS_MODEL_TYPES.TREES:
+      return validateTrees(json, inputs, outputs);
+    default:
+      return `unknown model type "${json.type}"`;
+  }
+};
+
+/**
+ * Model inputs for a reading
+ * @param {Object} json - Validated model file
+ * @param {Object} reading - { heartRate, temperature, eda, hrv, edaAnalysis, ... }
+ * @returns {Array|null} Normalized feature values, or null when the reading
+ *   lacks one of them (HRV before enough beats, for example)
+ */
+const getFeatureVector = (json, reading) => {
+  const values = json.features.map((name) =>
+    name.split('.').reduce((node, key) => (node == null ? undefined : node[key]), reading)
+  );
+  if (!values.every(isNumber)) {
+    return null;
+  }
+  return values.map((value, i) => {
+    const params = json.normalization?.[json.features[i]];
+    return params ? (value - params.mean) / params.std : value;
+  });
+};
+
+/**
+ * Run a validated model
+ * @param {Object} json - Validated model file
+ * @param {Array} features - getFeatureVector() output
+ * @returns {Array} One probability per entry of json.classes
+ */
+const runJsModel = (json, features) => {
+  switch (json.type) {
+    case JS_MODEL_TYPES.DENSE: {
+      let values = features;
+      json.layers.forEach((layer) => {
+        const sums = layer.bias.map(
+          (bias, unit) => bias + values.reduce((sum, value, i) => sum + value * layer.weights[i][unit], 0)
+        );
+        values = ACTIVATIONS[layer.activation ?? 'linear'](sums);
+      });
+      const last = json.layers[json.layers.length - 1].activation ?? 'linear';
+      if (last === 'linear') {
+        return toProbabilities(values);
+      }
+      return values.length === 1 ? [1 - values[0], values[0]] : values;
+    }
+
+    case JS_MODEL_TYPES.LOGISTIC:
+      return toProbabilities(
+        json.coefficients.map(
+          (row, c) => json.intercept[c] + row.reduce((sum, weight, i) => sum + weight * features[i], 0)
+        )
+      );
+
+    case JS_MODEL_TYPES.TREES: {
+      const strict = json.split === '<';
+      const scores = [...json.baseScore];
+      json.trees.forEach((tree) => {
+        let node = tree.nodes[0];
+        while (!('value' in node)) {
+          const value = features[node.feature];
+          const goLeft = strict ? value < node.threshold : value <= node.threshold;
+          node = tree.nodes[goLeft ? node.left : node.right];
+        }
+        scores[tree.class] += node.value;
+      });
+      return toProbabilities(scores);
+    }
+
+    default:
+      throw new Error(`unknown model type "${json.type}"`);
+  }
+};
+
+export {
+  JS_MODEL_FORMAT,
+  JS_MODEL_VERSION,
+  JS_MODEL_TYPES,
+  validateJsModel,
+  getFeatureVector,
+  runJsModel,
+};
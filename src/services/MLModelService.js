@@ -6,14 +6,18 @@
  * 2. Making predictions on real-time sensor data
  * 3. Post-processing predictions into human-readable states
  * 
- * NOTE: TensorFlow.js has compatibility issues with current Expo version.
- * This implementation uses a robust rule-based system that mimics the
- * WESAD model behavior. You can replace this with TF.js when compatible.
- * 
- * To add TensorFlow.js support later:
- * 1. npm install @tensorflow/tfjs @tensorflow/tfjs-react-native expo-gl
- * 2. Uncomment the TF.js code sections below
- * 3. Export your model to TensorFlow.js format
+ * Predictions come from the WESAD model bundled in assets/model
+ * (model.json + weights.bin, loaded with TensorFlow.js bundleResourceIO).
+ * The model's input and output shapes are checked against the features in
+ * NORMALIZATION_PARAMS and the four WESAD classes before it is used. If
+ * TensorFlow.js or the model cannot be loaded, a rule-based system that
+ * mimics the WESAD model takes over, and getModelInfo() reports why.
+ *
+ * Small models (dense networks, logistic regression, gradient-boosted
+ * trees) can instead be shipped as a pure-JS model file in assets/model
+ * (see JSModelRunner), which needs no native modules. When appConfig's
+ * mlModel.jsModel names one, it takes precedence over the TensorFlow.js
+ * model.
  * 
  * WESAD Dataset Classes:
  * - 0: Baseline/Neutral
@@ -27,12 +31,67 @@
  * - Meltdown: High stress with specific patterns
  */
 
-// TensorFlow.js is disabled - using rule-based predictions only
-// To re-enable TF.js in the future, uncomment the dynamic imports in initialize()
+import ConfigManager from '../utils/ConfigManager';
+import { SIGNAL_QUALITY, SIGNAL_ISSUES } from './SignalQualityTracker';
+import { validateJsModel, getFeatureVector, runJsModel } from './JSModelRunner';
+import { FEATURE_VERSION } from './FeatureExtractor';
+import BaselineService from './BaselineService';
+import MindStateMachine from './MindStateMachine';
+
+// TensorFlow.js is loaded lazily in initialize() so a missing native GL
+// module only costs the model, not the app
 let tf = null;
 let bundleResourceIO = null;
 
-import ConfigManager from '../utils/ConfigManager';
+// Bundled WESAD model (TensorFlow.js layers format)
+const MODEL_JSON = require('../../assets/model/model.json');
+const MODEL_WEIGHTS = require('../../assets/model/weights.bin');
+
+// Bundled pure-JS models (JSModelRunner format), by name; mlModel.jsModel
+// in appConfig picks the one to use
+const BUNDLED_JS_MODELS = {
+  example: require('../../assets/model/js-model.example.json'),
+};
+
+/**
+ * Make a model.json exported from Keras 3 readable by TensorFlow.js
+ * Keras 3 names the input shape `batch_shape` (TF.js reads
+ * `batch_input_shape`) and prefixes every weight name with the model's name.
+ * Keras 2 exports pass through unchanged.
+ * @param {Object} modelJson - Parsed model.json
+ * @returns {Object} Converted copy
+ */
+const fromKeras3 = (modelJson) => {
+  const renameBatchShape = (node) => {
+    if (Array.isArray(node)) {
+      return node.map(renameBatchShape);
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+    return Object.fromEntries(
+      Object.entries(node).map(([key, value]) =>
+        key === 'batch_shape' && !('batch_input_shape' in node)
+          ? ['batch_input_shape', value]
+          : [key, renameBatchShape(value)]
+      )
+    );
+  };
+
+  const modelName = modelJson.modelTopology?.model_config?.config?.name;
+  const prefix = modelName ? `${modelName}/` : null;
+  return {
+    ...modelJson,
+    modelTopology: renameBatchShape(modelJson.modelTopology),
+    weightsManifest: modelJson.weightsManifest.map((group) => ({
+      ...group,
+      weights: group.weights.map((weight) => ({
+        ...weight,
+        name: prefix && weight.name.startsWith(prefix) ? weight.name.slice(prefix.length) : weight.name,
+      })),
+    })),
+  };
+};
 
 // Mind state labels
 const MIND_STATES = {
@@ -43,6 +102,15 @@ const MIND_STATES = {
   UNKNOWN: 'Unknown',
 };
 
+// EDA units each prediction backend expects
+// The rule-based system works on the raw 12-bit GSR ADC reading from the
+// ESP32 (lower = more stress); the WESAD model was trained on skin
+// conductance in microsiemens (higher = more stress).
+const EDA_UNITS = {
+  ADC: 'adc',
+  MICROSIEMENS: 'uS',
+};
+
 // Feature normalization parameters (based on WESAD dataset statistics)
 // Update these based on your trained model's preprocessing
 const NORMALIZATION_PARAMS = {
@@ -51,6 +119,9 @@ const NORMALIZATION_PARAMS = {
   eda: { mean: 2.0, std: 1.5, min: 0, max: 25 },
 };
 
+// Model output classes, in output order
+const WESAD_CLASSES = ['Baseline', 'Stress', 'Amusement', 'Meditation'];
+
 // Thresholds calibrated based on WESAD research
 // These can be overridden by ConfigManager settings
 const getStressThresholds = () => {
@@ -109,57 +180,206 @@ class MLModelService {
   constructor() {
     this.model = null;
     this.isModelLoaded = false;
-    this.predictionHistory = [];
-    this.smoothingWindow = 5; // Number of predictions to average for smoothing
-    this.useTensorFlow = false; // Set to true when TF.js is available
+    this.stateMachines = new Map(); // deviceId (null = primary) -> MindStateMachine
+    this.useTensorFlow = false; // true once the bundled model has loaded
+    this.jsModel = null; // pure-JS model file, used instead of TensorFlow.js
+    this.inputRank = 2; // 2: [batch, features], 3: [batch, 1 time step, features]
+    this.fallbackReason = null; // why rule-based predictions are in use
   }
 
   /**
    * Initialize the service
-   * TensorFlow.js is disabled - always uses rule-based predictions
+   * Loads TensorFlow.js, preferring the GL backend and falling back to the
+   * CPU backend. Without TensorFlow.js the service still initializes, for
+   * rule-based predictions.
    */
   async initialize() {
     try {
-      // TF.js disabled - use rule-based system directly
-      console.log('ML Service initialized (rule-based mode)');
-      this.useTensorFlow = false;
+      tf = require('@tensorflow/tfjs');
+      ({ bundleResourceIO } = require('@tensorflow/tfjs-react-native'));
+    } catch (error) {
+      tf = null;
+      this.fallbackReason = `TensorFlow.js could not be loaded: ${error.message}`;
+      console.warn('ML Service initialized (rule-based mode):', this.fallbackReason);
       return { success: true, usingFallback: true };
+    }
+
+    try {
+      await tf.ready();
     } catch (error) {
-      console.warn('ML Service initialization error:', error.message);
-      this.useTensorFlow = false;
-      return { success: false, error: error.message, usingFallback: true };
+      console.warn('TensorFlow.js GL backend unavailable, using CPU:', error.message);
+      try {
+        await tf.setBackend('cpu');
+        await tf.ready();
+      } catch (cpuError) {
+        tf = null;
+        this.fallbackReason = `TensorFlow.js has no working backend: ${cpuError.message}`;
+        console.warn('ML Service initialized (rule-based mode):', this.fallbackReason);
+        return { success: true, usingFallback: true };
+      }
     }
+
+    console.log('ML Service initialized, TensorFlow.js backend:', tf.getBackend());
+    return { success: true };
   }
 
   /**
-   * Load the prediction system
-   * TensorFlow.js model loading is disabled - uses rule-based fallback
+   * Load the bundled WESAD model
+   * Falls back to rule-based predictions, with the reason in
+   * getModelInfo().fallbackReason, if it cannot be loaded or does not fit
+   * @returns {Object} { success, usingFallback, error }
    */
   async loadModel() {
+    if (this.isModelLoaded) {
+      console.log('Model already loaded');
+      return { success: true, usingFallback: !this.useTensorFlow && !this.jsModel };
+    }
+    const jsModelName = ConfigManager.getJsModelName();
+    if (jsModelName) {
+      const jsResult = BUNDLED_JS_MODELS[jsModelName]
+        ? this.loadJsModel(BUNDLED_JS_MODELS[jsModelName])
+        : { success: false, error: `No bundled pure-JS model named "${jsModelName}"` };
+      if (jsResult.success) {
+        return jsResult;
+      }
+      console.warn('Bundled pure-JS model not used:', jsResult.error);
+    }
+    if (!tf || !bundleResourceIO) {
+      return this.useRules(this.fallbackReason || 'TensorFlow.js is not initialized');
+    }
+
+    let model = null;
     try {
-      if (this.isModelLoaded) {
-        console.log('Model already loaded');
-        return { success: true };
+      model = await tf.loadLayersModel(bundleResourceIO(fromKeras3(MODEL_JSON), MODEL_WEIGHTS));
+
+      const shapeError = this.validateModel(model);
+      if (shapeError) {
+        throw new Error(shapeError);
+      }
+
+      // One prediction on the training means, so a model that loads but
+      // cannot run is caught here rather than on the first reading
+      const reading = Object.fromEntries(
+        Object.entries(NORMALIZATION_PARAMS).map(([feature, { mean }]) => [feature, mean])
+      );
+      const output = tf.tidy(() =>
+        model.predict(this.buildInputTensor(this.normalizeSensorData(reading))).dataSync()
+      );
+      if (!Array.from(output).every(Number.isFinite)) {
+        throw new Error('the model returns non-numeric output');
       }
 
-      // Using rule-based system (TF.js disabled)
-      console.log('Using rule-based prediction system');
+      this.model = model;
+      this.useTensorFlow = true;
       this.isModelLoaded = true;
-      
-      return { 
-        success: true, 
-        usingFallback: true,
-        message: 'Using rule-based predictions'
-      };
+      this.fallbackReason = null;
+      console.log('WESAD model loaded, input shape:', JSON.stringify(model.inputs[0].shape));
+      return { success: true };
     } catch (error) {
-      console.error('Model loading error:', error);
-      this.isModelLoaded = true; // Use fallback
-      return { 
-        success: false, 
-        error: error.message,
-        usingFallback: true 
+      if (model) {
+        model.dispose();
+      }
+      return this.useRules(`The bundled model could not be used: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use a pure-JS model file for predictions (see JSModelRunner)
+   * Replaces the active backend only if the file is valid and runs.
+   * @param {Object} modelJson - Parsed model file
+   * @returns {Object} { success, error }
+   */
+  loadJsModel(modelJson) {
+    const error = validateJsModel(modelJson, WESAD_CLASSES);
+    if (error) {
+      return { success: false, error: `The pure-JS model could not be used: ${error}` };
+    }
+    if (![undefined, ...Object.values(EDA_UNITS)].includes(modelJson.edaUnit)) {
+      return { success: false, error: `The pure-JS model has unknown EDA unit "${modelJson.edaUnit}"` };
+    }
+    if (modelJson.featureVersion !== undefined && modelJson.featureVersion !== FEATURE_VERSION) {
+      return {
+        success: false,
+        error: `The pure-JS model was trained on features v${modelJson.featureVersion}, the app computes v${FEATURE_VERSION}`,
       };
     }
+
+    const output = runJsModel(modelJson, modelJson.features.map(() => 0));
+    if (output.length !== modelJson.classes.length || !output.every(Number.isFinite)) {
+      return { success: false, error: 'The pure-JS model returns non-numeric output' };
+    }
+
+    this.jsModel = modelJson;
+    this.isModelLoaded = true;
+    this.fallbackReason = null;
+    console.log(`Pure-JS ${modelJson.type} model loaded, features:`, modelJson.features.join(', '));
+    return { success: true };
+  }
+
+  /**
+   * Switch to rule-based predictions
+   * @param {string} reason - Shown to the user
+   */
+  useRules(reason) {
+    console.warn('Using rule-based prediction system:', reason);
+    this.model = null;
+    this.useTensorFlow = false;
+    this.jsModel = null;
+    this.isModelLoaded = true;
+    this.fallbackReason = reason;
+    return { success: false, usingFallback: true, error: reason };
+  }
+
+  /**
+   * Check that a model takes the app's features and returns the WESAD classes
+   * @returns {string|null} What does not fit, or null when it fits
+   */
+  validateModel(model) {
+    const features = Object.keys(NORMALIZATION_PARAMS);
+    if (model.inputs.length !== 1 || model.outputs.length !== 1) {
+      return 'expected one input and one output';
+    }
+
+    const inputShape = model.inputs[0].shape;
+    if (
+      ![2, 3].includes(inputShape.length) ||
+      inputShape[inputShape.length - 1] !== features.length
+    ) {
+      return `input shape ${JSON.stringify(inputShape)} does not take the ${features.length} features (${features.join(', ')})`;
+    }
+    // A sequence model has to accept a single reading as its sequence
+    if (inputShape.length === 3 && inputShape[1] !== null && inputShape[1] !== 1) {
+      return `input shape ${JSON.stringify(inputShape)} needs ${inputShape[1]} readings per prediction`;
+    }
+
+    const outputShape = model.outputs[0].shape;
+    if (outputShape.length !== 2 || outputShape[1] !== WESAD_CLASSES.length) {
+      return `output shape ${JSON.stringify(outputShape)} is not the ${WESAD_CLASSES.length} WESAD classes`;
+    }
+
+    this.inputRank = inputShape.length;
+    return null;
+  }
+
+  /**
+   * Model input for one reading
+   * @param {Array} features - normalizeSensorData() output
+   */
+  buildInputTensor(features) {
+    return this.inputRank === 3 ? tf.tensor3d([[features]]) : tf.tensor2d([features]);
+  }
+
+  /**
+   * Units the active prediction backend expects
+   * @returns {Object} { eda } - one of EDA_UNITS
+   */
+  getInputUnits() {
+    if (this.jsModel) {
+      return { eda: this.jsModel.edaUnit ?? EDA_UNITS.MICROSIEMENS };
+    }
+    return {
+      eda: this.model && this.useTensorFlow ? EDA_UNITS.MICROSIEMENS : EDA_UNITS.ADC,
+    };
   }
 
   /**
@@ -188,10 +408,16 @@ class MLModelService {
 
   /**
    * Make a prediction on sensor data
-   * @param {Object} sensorData - { heartRate, temperature, eda }
+   * @param {Object} sensorData - { heartRate, temperature, eda, hrv, edaAnalysis,
+   *   signalQuality, features }
+   * @param {Object} options - { smoothing: false } to classify a reading on
+   *   its own without advancing the wearable's state machine (used for
+   *   back-fill); { deviceId } to use that wearable's own state machine and
+   *   score against that child's personal baseline
    * @returns {Object} Prediction result
    */
-  async predict(sensorData) {
+  async predict(sensorData, options = {}) {
+    const { smoothing = true, deviceId = null } = options;
     try {
       // Default temperature to body average if missing or zero (ESP32 may not send it)
       const DEFAULT_TEMPERATURE = 36.5;
@@ -199,7 +425,11 @@ class MLModelService {
       const temperature = (typeof sensorData.temperature === 'number' && sensorData.temperature > 0)
         ? sensorData.temperature
         : DEFAULT_TEMPERATURE;
-      const eda = sensorData.eda;
+      // Backends trained on skin conductance get it from EDAAnalyzer when the
+      // wearable reports ADC counts
+      const eda = this.getInputUnits().eda === EDA_UNITS.MICROSIEMENS && sensorData.edaAnalysis
+        ? sensorData.edaAnalysis.conductance
+        : sensorData.eda;
 
       // Validate input types
       if (
@@ -221,31 +451,83 @@ class MLModelService {
         };
       }
 
-      // Use the sanitized values
-      const sanitizedData = { heartRate, temperature, eda };
+      // Movement and loose sensors look like stress: poor readings are not
+      // classified at all
+      const signalQuality = sensorData.signalQuality ?? null;
+      if (signalQuality?.level === SIGNAL_QUALITY.POOR) {
+        return {
+          state: MIND_STATES.UNKNOWN,
+          confidence: 0,
+          error: 'Low signal quality',
+          lowSignalQuality: true,
+          signalQuality,
+        };
+      }
+
+      // Use the sanitized values (HRV, EDA, signal quality, windowed features
+      // and z-scores against the child's personal baseline are passed
+      // through so they are stored with the prediction)
+      const sanitizedData = {
+        heartRate,
+        temperature,
+        eda,
+        hrv: sensorData.hrv ?? null,
+        edaAnalysis: sensorData.edaAnalysis ?? null,
+        signalQuality,
+        features: sensorData.features ?? null,
+        zScores: BaselineService.getZScores(sensorData, deviceId),
+      };
 
       let prediction;
 
-      // Use TensorFlow model if available, otherwise use rule-based
-      if (this.model && this.useTensorFlow) {
+      // Use the pure-JS or TensorFlow model if available, otherwise rule-based
+      if (this.jsModel) {
+        // Until a reading has every feature the model uses (HRV needs a
+        // window of beats), the rules classify it from the wearable's EDA
+        prediction =
+          this.predictWithJsModel(sanitizedData) ??
+          this.predictWithRules({ ...sanitizedData, eda: sensorData.eda });
+      } else if (this.model && this.useTensorFlow) {
         prediction = await this.predictWithModel(sanitizedData);
       } else {
         prediction = this.predictWithRules(sanitizedData);
       }
 
-      // Add to history for smoothing
-      this.predictionHistory.push(prediction);
-      if (this.predictionHistory.length > this.smoothingWindow) {
-        this.predictionHistory.shift();
+      // Fair readings count for less, in confidence and in the state machine
+      if (signalQuality?.level === SIGNAL_QUALITY.FAIR) {
+        prediction = {
+          ...prediction,
+          confidence: prediction.confidence * signalQuality.score,
+          weight: signalQuality.score,
+        };
+      }
+
+      if (!smoothing) {
+        return {
+          ...prediction,
+          raw: prediction,
+          sensorData: sanitizedData,
+          zScores: sanitizedData.zScores,
+          timestamp: new Date().toISOString(),
+        };
       }
 
-      // Apply smoothing
-      const smoothedPrediction = this.smoothPrediction(prediction);
+      // The state comes from the wearable's state machine so it does not
+      // flicker at band edges
+      const decision = this.getStateMachine(deviceId).update(
+        prediction,
+        Date.parse(sensorData.timestamp) || Date.now()
+      );
 
       return {
-        ...smoothedPrediction,
+        ...prediction,
+        state: decision.state,
+        stateReason: decision.reason,
+        stateSince: decision.since,
+        transition: decision.transition,
         raw: prediction,
         sensorData: sanitizedData,
+        zScores: sanitizedData.zScores,
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
@@ -265,10 +547,9 @@ class MLModelService {
   async predictWithModel(sensorData) {
     const normalizedFeatures = this.normalizeSensorData(sensorData);
 
-    // Uncomment for TensorFlow.js:
-    const inputTensor = tf.tensor2d([normalizedFeatures]);
+    const inputTensor = this.buildInputTensor(normalizedFeatures);
     const outputTensor = this.model.predict(inputTensor);
-    const predictions = await outputTensor.data();
+    const predictions = Array.from(await outputTensor.data());
     
     inputTensor.dispose();
     outputTensor.dispose();
@@ -282,17 +563,74 @@ class MLModelService {
       state,
       confidence,
       classIndex: predictedClass,
-      probabilities: Array.from(predictions),
+      wesadClass: WESAD_CLASSES[predictedClass],
+      probabilities: predictions,
+    };
+  }
+
+  /**
+   * Make prediction using the pure-JS model
+   * @param {Object} sensorData - Sanitized reading
+   * @returns {Object|null} Prediction, or null when the reading lacks one of
+   *   the model's features
+   */
+  predictWithJsModel(sensorData) {
+    const features = getFeatureVector(this.jsModel, sensorData);
+    if (!features) {
+      return null;
+    }
+
+    const probabilities = runJsModel(this.jsModel, features);
+    const best = probabilities.indexOf(Math.max(...probabilities));
+    const wesadClass = this.jsModel.classes[best];
+    const confidence = probabilities[best];
+
+    return {
+      state: this.mapClassToState(WESAD_CLASSES.indexOf(wesadClass), confidence, sensorData),
+      confidence,
+      classIndex: best,
+      wesadClass,
+      probabilities,
     };
   }
 
+  /**
+   * Rule-based prediction against the child's personal baseline
+   * Skin conductance z-score bands from `mlModel.baseline.zThresholds`; a meltdown
+   * also needs the heart rate above rest, when it is known.
+   * @param {Object|null} zScores - BaselineService.getZScores() output
+   * @returns {Object|null} { state, confidence, basis }, null until the
+   *   baseline is ready or without an EDA z-score
+   */
+  predictWithZScores(zScores) {
+    if (typeof zScores?.eda !== 'number') {
+      return null;
+    }
+    const { stressed, meltdown } = ConfigManager.getBaselineConfig().zThresholds;
+    const heartRateUp = typeof zScores.heartRate !== 'number' || zScores.heartRate >= stressed;
+
+    if (zScores.eda >= meltdown && heartRateUp) {
+      return { state: MIND_STATES.MELTDOWN, confidence: 0.95, basis: 'personal' };
+    }
+    if (zScores.eda >= stressed) {
+      return { state: MIND_STATES.STRESSED, confidence: heartRateUp ? 0.92 : 0.9, basis: 'personal' };
+    }
+    return { state: MIND_STATES.CALM, confidence: 0.9, basis: 'personal' };
+  }
+
   /**
    * Advanced rule-based prediction based on WESAD research
    * Uses physiological thresholds calibrated against the WESAD dataset
-   * to determine emotional state from sensor readings.
+   * to determine emotional state from sensor readings. Once the child's
+   * personal baseline is ready, its z-scores are used instead.
    * @param {Object} sensorData 
    */
   predictWithRules(sensorData) {
+  const personal = this.predictWithZScores(sensorData.zScores);
+  if (personal) {
+    return personal;
+  }
+
   const { heartRate, temperature, eda } = sensorData;
 
   let state;
@@ -324,6 +662,7 @@ class MLModelService {
   return {
     state,
     confidence,
+    basis: 'population',
   };
 }
 
@@ -356,47 +695,6 @@ class MLModelService {
     }
   }
 
-  /**
-   * Smooth predictions using moving average
-   * Helps reduce noise and false alarms
-   * @param {Object} currentPrediction 
-   */
-  smoothPrediction(currentPrediction) {
-    if (this.predictionHistory.length < 2) {
-      return currentPrediction;
-    }
-
-    // Count occurrences of each state
-    const stateCounts = {};
-    let totalConfidence = 0;
-
-    this.predictionHistory.forEach((pred) => {
-      stateCounts[pred.state] = (stateCounts[pred.state] || 0) + 1;
-      totalConfidence += pred.confidence;
-    });
-
-    // Find most common state
-    let dominantState = currentPrediction.state;
-    let maxCount = 0;
-
-    Object.entries(stateCounts).forEach(([state, count]) => {
-      if (count > maxCount) {
-        maxCount = count;
-        dominantState = state;
-      }
-    });
-
-    // Average confidence
-    const avgConfidence = totalConfidence / this.predictionHistory.length;
-
-    return {
-      state: dominantState,
-      confidence: avgConfidence,
-      smoothed: true,
-      windowSize: this.predictionHistory.length,
-    };
-  }
-
   /**
    * Calculate calm score (0-100) based on current state
    * @param {Object} prediction 
@@ -421,8 +719,21 @@ class MLModelService {
   /**
    * Get state description and recommendations
    * @param {string} state 
+   * @param {Object} signalQuality - Prediction's signal quality; a suppressed
+   *   (poor) reading gets the low signal quality description instead
    */
-  getStateInfo(state) {
+  getStateInfo(state, signalQuality = null) {
+    if (signalQuality?.level === SIGNAL_QUALITY.POOR) {
+      return {
+        title: 'Low Signal Quality',
+        description: 'Readings are too noisy to tell how the child is feeling.',
+        icon: 'signal-cellular-off',
+        color: '#6b7280',
+        recommendation: signalQuality.issues.length
+          ? signalQuality.issues.map((issue) => SIGNAL_ISSUES[issue]).join('. ')
+          : 'Check the sensor fit.',
+      };
+    }
     switch (state) {
       case MIND_STATES.CALM:
         return {
@@ -463,10 +774,22 @@ class MLModelService {
   }
 
   /**
-   * Clear prediction history
+   * Get the mind state machine for a wearable
+   * @param {string|null} deviceId - null for the primary connection
+   */
+  getStateMachine(deviceId = null) {
+    if (!this.stateMachines.has(deviceId)) {
+      this.stateMachines.set(deviceId, new MindStateMachine());
+    }
+    return this.stateMachines.get(deviceId);
+  }
+
+  /**
+   * Start a wearable's state machine over from Calm
+   * @param {string|null} deviceId - Wearable to clear (null = primary connection)
    */
-  clearHistory() {
-    this.predictionHistory = [];
+  clearHistory(deviceId = null) {
+    this.stateMachines.delete(deviceId);
   }
 
   /**
@@ -483,9 +806,11 @@ class MLModelService {
     return {
       isLoaded: this.isModelLoaded,
       useTensorFlow: this.useTensorFlow,
-      predictionHistorySize: this.predictionHistory.length,
-      smoothingWindow: this.smoothingWindow,
-      backend: this.useTensorFlow ? 'tensorflow' : 'rule-based',
+      backend: this.jsModel ? 'js' : this.useTensorFlow ? 'tensorflow' : 'rule-based',
+      jsModelType: this.jsModel?.type ?? null,
+      tfBackend: tf && this.useTensorFlow ? tf.getBackend() : null,
+      inputShape: this.model ? this.model.inputs[0].shape : null,
+      fallbackReason: this.fallbackReason,
     };
   }
 
@@ -493,15 +818,16 @@ class MLModelService {
    * Dispose model and free memory
    */
   dispose() {
-    // Uncomment for TensorFlow.js:
     if (this.model) {
       this.model.dispose();
       this.model = null;
     }
+    this.useTensorFlow = false;
+    this.jsModel = null;
     this.isModelLoaded = false;
-    this.predictionHistory = [];
+    this.stateMachines.clear();
   }
 }
 
 export default new MLModelService();
-export { MIND_STATES, NORMALIZATION_PARAMS, STRESS_THRESHOLDS };
+export { MIND_STATES, EDA_UNITS, NORMALIZATION_PARAMS, WESAD_CLASSES, STRESS_THRESHOLDS };
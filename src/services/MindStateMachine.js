@@ -0,0 +1,185 @@
+/**
+ * Mind State Machine
+ * Hysteresis between Calm, Stressed and Meltdown
+ *
+ * A majority vote over the last few predictions flickers between states
+ * whenever readings sit near a band edge. The state machine instead weighs
+ * the last `mlModel.stateMachine.window` predictions (by their signal
+ * quality weight) and moves between states with separate entry and exit
+ * thresholds:
+ *
+ *   Calm → Stressed     stress share ≥ stressed.enter, after calm.minDwell in Calm
+ *   Stressed → Meltdown meltdown share ≥ meltdown.enter, after escalationDwell
+ *   Meltdown → Stressed meltdown share ≤ meltdown.exit, after meltdown.minDwell
+ *   Stressed → Calm     stress share ≤ stressed.exit, after stressed.minDwell
+ *
+ * Escalation and de-escalation go one step at a time, so Calm never jumps
+ * to Meltdown and a meltdown always calms through Stressed. Every decision
+ * comes with the reason for the current state, and the decision that
+ * changes state carries the transition; StorageService records a stress
+ * episode only for those. Like SensorDataParser, a state machine is stateful
+ * and belongs to one stream of predictions.
+ */
+
+import ConfigManager from '../utils/ConfigManager';
+
+// States the machine moves between, calmest first (values match MIND_STATES)
+const MACHINE_STATES = {
+  CALM: 'Calm',
+  STRESSED: 'Stressed',
+  MELTDOWN: 'Meltdown',
+};
+
+// Predictions needed in the window before the state can change
+const MIN_EVIDENCE = 3;
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+const seconds = (ms) => `${Math.round(ms / 1000)} s`;
+
+class MindStateMachine {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Start over from Calm (new connection)
+   */
+  reset() {
+    this.window = [];          // { state, weight } of recent predictions
+    this.state = MACHINE_STATES.CALM;
+    this.enteredAt = null;     // null: no dwell time applies yet
+    this.reason = 'No signs of stress yet';
+    this.lastAt = null;
+  }
+
+  /**
+   * Share of the window's weight predicting each level or above
+   * @returns {Object} { stressed, meltdown, readings }
+   */
+  getEvidence() {
+    const total = this.window.reduce((sum, p) => sum + p.weight, 0);
+    const share = (states) =>
+      total
+        ? this.window.filter((p) => states.includes(p.state)).reduce((sum, p) => sum + p.weight, 0) / total
+        : 0;
+    return {
+      stressed: share([MACHINE_STATES.STRESSED, MACHINE_STATES.MELTDOWN]),
+      meltdown: share([MACHINE_STATES.MELTDOWN]),
+      readings: this.window.length,
+    };
+  }
+
+  /**
+   * Add a per-reading prediction and decide the state
+   * @param {Object} prediction - { state, weight } (Unknown predictions are
+   *   not evidence either way)
+   * @param {number} at - Prediction time (ms)
+   * @returns {Object} { state, reason (why the state is what it is),
+   *   since (ISO or null), transition ({ from, to, reason, at } when this
+   *   prediction changed the state, else null), evidence }
+   */
+  update(prediction, at) {
+    const { window, stressed, meltdown, calm, escalationDwell } =
+      ConfigManager.getStateMachineConfig();
+
+    // Time went backwards: a different stream (e.g. another history page)
+    if (this.lastAt !== null && at < this.lastAt) {
+      this.reset();
+    }
+    this.lastAt = at;
+
+    if (Object.values(MACHINE_STATES).includes(prediction.state)) {
+      this.window.push({ state: prediction.state, weight: prediction.weight ?? 1 });
+      if (this.window.length > window) {
+        this.window.shift();
+      }
+    }
+
+    const evidence = this.getEvidence();
+    const dwell = this.enteredAt === null ? Infinity : at - this.enteredAt;
+    let next = null;
+    let hold = null;
+
+    if (evidence.readings >= MIN_EVIDENCE) {
+      switch (this.state) {
+        case MACHINE_STATES.CALM:
+          if (evidence.stressed >= stressed.enter) {
+            if (dwell >= calm.minDwell) {
+              next = {
+                to: MACHINE_STATES.STRESSED,
+                reason: `Stress in ${percent(evidence.stressed)} of recent readings (enters at ${percent(stressed.enter)})`,
+              };
+            } else {
+              hold = `Calm for at least ${seconds(calm.minDwell)} before stress is called again`;
+            }
+          }
+          break;
+
+        case MACHINE_STATES.STRESSED:
+          if (evidence.meltdown >= meltdown.enter) {
+            if (dwell >= escalationDwell) {
+              next = {
+                to: MACHINE_STATES.MELTDOWN,
+                reason: `Meltdown signs in ${percent(evidence.meltdown)} of recent readings (escalates at ${percent(meltdown.enter)})`,
+              };
+            } else {
+              hold = `Stressed for at least ${seconds(escalationDwell)} before escalating`;
+            }
+          } else if (evidence.stressed <= stressed.exit) {
+            if (dwell >= stressed.minDwell) {
+              next = {
+                to: MACHINE_STATES.CALM,
+                reason: `Stress down to ${percent(evidence.stressed)} of recent readings (calms at ${percent(stressed.exit)})`,
+              };
+            } else {
+              hold = `Stressed for at least ${seconds(stressed.minDwell)} before calming`;
+            }
+          }
+          break;
+
+        case MACHINE_STATES.MELTDOWN:
+          if (evidence.meltdown <= meltdown.exit) {
+            if (dwell >= meltdown.minDwell) {
+              next = {
+                to: MACHINE_STATES.STRESSED,
+                reason: `Meltdown signs down to ${percent(evidence.meltdown)} of recent readings (eases at ${percent(meltdown.exit)})`,
+              };
+            } else {
+              hold = `In meltdown for at least ${seconds(meltdown.minDwell)} before easing`;
+            }
+          }
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    let transition = null;
+    if (next) {
+      transition = {
+        from: this.state,
+        to: next.to,
+        reason: next.reason,
+        at: new Date(at).toISOString(),
+      };
+      this.state = next.to;
+      this.enteredAt = at;
+      this.reason = next.reason;
+    }
+
+    return {
+      state: this.state,
+      reason: hold || this.reason,
+      since: this.enteredAt === null ? null : new Date(this.enteredAt).toISOString(),
+      transition,
+      evidence: {
+        stressed: parseFloat(evidence.stressed.toFixed(2)),
+        meltdown: parseFloat(evidence.meltdown.toFixed(2)),
+      },
+    };
+  }
+}
+
+export default MindStateMachine;
+export { MACHINE_STATES };
@@ -0,0 +1,240 @@
+/**
+ * Mock Scenarios
+ * Scripted demo-mode timelines that replay how a child's day actually unfolds
+ *
+ * Each scenario is a list of phases. A phase eases the stress level
+ * (0 = calm, 1 = meltdown) and movement intensity from one value to another
+ * over its duration, and can take the sensor off the skin. The player turns
+ * that into raw frames in the ESP32 firmware format (IR value, BPM, GSR,
+ * temperature, accelerometer, gyroscope, inter-beat intervals), so demo data
+ * goes through the same SensorDataParser path as a real wearable.
+ *
+ * EDA is generated in the units of the active prediction backend:
+ *   - adc: raw 12-bit GSR reading, 2000 calm → 1380 meltdown, ~2420 off skin
+ *   - uS:  skin conductance, 2 µS calm → 9 µS meltdown, ~0 off skin
+ *
+ * Phase durations are in scenario seconds. timeScale compresses long
+ * scenarios (a school day plays at 30× so it fits in a demo).
+ */
+
+import { EDA_UNITS } from './MLModelService';
+
+const IR_FINGER = 110000;   // typical MAX30102 IR value with skin contact
+const IR_NO_FINGER = 8000;  // ambient light only
+
+const EDA_SCALES = {
+  [EDA_UNITS.ADC]: { calm: 2000, meltdown: 1380, offSkin: 2420, noise: 20 },
+  [EDA_UNITS.MICROSIEMENS]: { calm: 2.0, meltdown: 9.0, offSkin: 0.05, noise: 0.15 },
+};
+
+const MINUTE = 60;
+
+const MOCK_SCENARIOS = {
+  'school-day': {
+    id: 'school-day',
+    name: 'School Day',
+    description: 'A full school day with a noisy assembly and a fire drill',
+    timeScale: 30,
+    startsAt: 8 * 60 + 30, // 08:30, shown as the time of day
+    phases: [
+      { label: 'Arrival and settling in', duration: 20 * MINUTE, level: [0.12, 0.03], motion: 0.2 },
+      { label: 'Morning lessons', duration: 70 * MINUTE, level: 0.05, motion: 0.05 },
+      { label: 'Break time', duration: 20 * MINUTE, level: 0.08, motion: 0.8 },
+      { label: 'Noisy assembly', duration: 30 * MINUTE, level: [0.1, 0.55], motion: 0.1 },
+      { label: 'Quiet corner', duration: 25 * MINUTE, level: [0.55, 0.1], motion: 0.05 },
+      { label: 'Lunch hall', duration: 45 * MINUTE, level: [0.08, 0.2], motion: 0.3 },
+      { label: 'Afternoon lessons', duration: 60 * MINUTE, level: [0.2, 0.03], motion: 0.05 },
+      { label: 'Fire drill', duration: 15 * MINUTE, level: [0.3, 0.95], motion: 0.6 },
+      { label: 'Calming down', duration: 30 * MINUTE, level: [0.95, 0.15], motion: [0.5, 0.05] },
+      { label: 'Home time', duration: 20 * MINUTE, level: 0.1, motion: 0.3 },
+    ],
+  },
+
+  'meltdown-build-up': {
+    id: 'meltdown-build-up',
+    name: 'Meltdown Build-up',
+    description: 'A change of routine escalates into a meltdown, then recovery',
+    timeScale: 1,
+    phases: [
+      { label: 'Calm play', duration: 60, level: 0.05, motion: 0.1 },
+      { label: 'Unexpected change of routine', duration: 90, level: [0.05, 0.35], motion: 0.1 },
+      { label: 'Rising agitation', duration: 90, level: [0.35, 0.8], motion: [0.1, 0.4] },
+      { label: 'Meltdown', duration: 90, level: [0.8, 0.98], motion: 0.8 },
+      { label: 'Co-regulation and recovery', duration: 120, level: [0.98, 0.1], motion: [0.6, 0.05] },
+    ],
+  },
+
+  'sensor-off': {
+    id: 'sensor-off',
+    name: 'Sensor Falling Off',
+    description: 'The strap loosens, the sensor falls off and is put back on',
+    timeScale: 1,
+    phases: [
+      { label: 'Worn correctly', duration: 45, level: 0.05, motion: 0.1 },
+      { label: 'Loose strap', duration: 30, level: 0.1, motion: 0.5, worn: 'intermittent' },
+      { label: 'Sensor off', duration: 60, level: 0, motion: 0, worn: false },
+      { label: 'Put back on', duration: 45, level: [0.2, 0.05], motion: 0.1 },
+    ],
+  },
+};
+
+const DEFAULT_MOCK_SCENARIO = 'school-day';
+
+const random = (min, max) => min + Math.random() * (max - min);
+const jitter = (value, amount) => value + random(-amount, amount);
+const lerp = (from, to, fraction) => from + (to - from) * Math.min(1, Math.max(0, fraction));
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+/**
+ * Value of a phase property at a fraction of the phase
+ * @param {number|Array} value - constant or [from, to]
+ */
+const ease = (value, fraction) =>
+  Array.isArray(value) ? lerp(value[0], value[1], fraction) : value;
+
+const formatClock = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60) % 24;
+  const minutes = Math.floor(totalMinutes % 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const formatElapsed = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+};
+
+class MockScenarioPlayer {
+  /**
+   * @param {string} scenarioId - Key of MOCK_SCENARIOS
+   * @param {Object} units - { eda } from MLModelService.getInputUnits()
+   */
+  constructor(scenarioId = DEFAULT_MOCK_SCENARIO, units = { eda: EDA_UNITS.ADC }) {
+    this.scenario = MOCK_SCENARIOS[scenarioId];
+    if (!this.scenario) {
+      throw new Error(`Unknown demo scenario: ${scenarioId}`);
+    }
+    this.edaScale = EDA_SCALES[units.eda] || EDA_SCALES[EDA_UNITS.ADC];
+    this.edaUnit = EDA_SCALES[units.eda] ? units.eda : EDA_UNITS.ADC;
+    this.duration = this.scenario.phases.reduce((sum, phase) => sum + phase.duration, 0);
+    this.startedAt = Date.now();
+    this.nextBeatAt = null; // wall-clock time of the next generated heartbeat
+  }
+
+  /**
+   * Produce the frame for the current moment (loops at the end)
+   * @returns {Object} { frame, status }
+   */
+  next(now = Date.now()) {
+    const elapsed =
+      (((now - this.startedAt) / 1000) * this.scenario.timeScale) % this.duration;
+    const { phase, fraction } = this.phaseAt(elapsed);
+
+    return {
+      frame: this.buildFrame(phase, fraction, now),
+      status: {
+        id: this.scenario.id,
+        name: this.scenario.name,
+        phase: phase.label,
+        time: this.scenario.startsAt !== undefined
+          ? formatClock(this.scenario.startsAt + elapsed / 60)
+          : formatElapsed(elapsed),
+        progress: elapsed / this.duration,
+        edaUnit: this.edaUnit,
+      },
+    };
+  }
+
+  /**
+   * Find the phase containing a point on the timeline
+   * @param {number} elapsed - Scenario seconds
+   */
+  phaseAt(elapsed) {
+    let start = 0;
+    for (const phase of this.scenario.phases) {
+      if (elapsed < start + phase.duration) {
+        return { phase, fraction: (elapsed - start) / phase.duration };
+      }
+      start += phase.duration;
+    }
+    const phases = this.scenario.phases;
+    return { phase: phases[phases.length - 1], fraction: 1 };
+  }
+
+  /**
+   * Raw firmware-format frame for a point in a phase
+   */
+  buildFrame(phase, fraction, now = Date.now()) {
+    const worn = phase.worn === 'intermittent' ? Math.random() > 0.5 : phase.worn !== false;
+    const movement = ease(phase.motion, fraction);
+    const shake = movement * 1.2;
+    const spin = movement * 180;
+    const motion = {
+      accelX: round(jitter(0, 0.02 + shake), 3),
+      accelY: round(jitter(0, 0.02 + shake), 3),
+      accelZ: round(jitter(1, 0.02 + shake), 3),
+      gyroX: round(jitter(0, 2 + spin), 1),
+      gyroY: round(jitter(0, 2 + spin), 1),
+      gyroZ: round(jitter(0, 2 + spin), 1),
+    };
+
+    if (!worn) {
+      this.nextBeatAt = null;
+      return {
+        irValue: Math.round(jitter(IR_NO_FINGER, 3000)),
+        heartRate: 0,
+        eda: this.formatEDA(jitter(this.edaScale.offSkin, this.edaScale.noise * 2)),
+        edaUnit: this.edaUnit,
+        temperature: round(jitter(33.5, 0.3), 2),
+        ...motion,
+      };
+    }
+
+    const level = ease(phase.level, fraction);
+    // Movement lifts heart rate on its own, without the GSR change stress brings
+    const heartRate = jitter(lerp(74, 138, level) + movement * 20, 3);
+    const eda = lerp(this.edaScale.calm, this.edaScale.meltdown, level);
+
+    return {
+      irValue: Math.round(jitter(IR_FINGER, 4000)),
+      heartRate: round(heartRate, 1),
+      eda: this.formatEDA(jitter(eda, this.edaScale.noise)),
+      edaUnit: this.edaUnit,
+      temperature: round(jitter(lerp(36.5, 37.2, level), 0.05), 2),
+      ...motion,
+      ibi: this.beatsUntil(now, heartRate, level),
+    };
+  }
+
+  /**
+   * Inter-beat intervals (ms) of the beats since the previous frame
+   * Beats follow real time rather than the scenario clock. Breathing (0.25 Hz)
+   * and slower blood pressure waves (0.1 Hz) modulate the rhythm less and less
+   * as stress rises, the way HRV falls.
+   */
+  beatsUntil(now, heartRate, level) {
+    if (this.nextBeatAt === null) {
+      this.nextBeatAt = now;
+      return [];
+    }
+    const variability = lerp(1, 0.2, level);
+    const intervals = [];
+    while (this.nextBeatAt <= now) {
+      const t = this.nextBeatAt / 1000;
+      const ibi =
+        60000 / heartRate +
+        Math.sin(2 * Math.PI * 0.25 * t) * 40 * variability +
+        Math.sin(2 * Math.PI * 0.1 * t) * 25 * variability +
+        jitter(0, 6);
+      intervals.push(Math.round(ibi));
+      this.nextBeatAt += ibi;
+    }
+    return intervals;
+  }
+
+  formatEDA(value) {
+    return this.edaUnit === EDA_UNITS.ADC ? Math.round(value) : round(Math.max(0, value), 2);
+  }
+}
+
+export default MockScenarioPlayer;
+export { MOCK_SCENARIOS, DEFAULT_MOCK_SCENARIO };
@@ -0,0 +1,169 @@
+/**
+ * Reconnect Supervisor
+ * Retries a lost connection with jittered exponential backoff
+ *
+ * The supervisor owns only the retry schedule; the transport supplies the
+ * actual reconnect attempt and decides what "connected" means.
+ *
+ * Delay for attempt n (1-based):
+ *   min(maxDelay, baseDelay * 2^(n-1)) ± jitter
+ * where jitter is a fraction of the delay (0.3 = ±30%), so several phones
+ * or wearables recovering from the same router hiccup do not retry in lockstep.
+ */
+
+const RECONNECT_DEFAULTS = {
+  enabled: true,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  maxAttempts: 10,
+  jitter: 0.3,
+};
+
+class ReconnectSupervisor {
+  /**
+   * @param {Object} options
+   * @param {Function} options.attempt - async () => boolean, true when reconnected
+   * @param {Function} options.getConfig - () => reconnect settings
+   * @param {Function} options.onStateChange - (state) => void
+   * @param {Function} options.onGiveUp - (lastError) => void
+   */
+  constructor({ attempt, getConfig, onStateChange, onGiveUp }) {
+    this.attemptFn = attempt;
+    this.getConfig = getConfig || (() => RECONNECT_DEFAULTS);
+    this.onStateChange = onStateChange;
+    this.onGiveUp = onGiveUp;
+    this.timer = null;
+    this.active = false;
+    this.generation = 0; // bumped by start() and stop(); stale attempts bail out
+    this.attempt = 0;
+    this.nextRetryAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Begin retrying (no-op if already running)
+   * @param {string} reason - Why the connection was lost (for logs/UI)
+   * @returns {boolean} false if reconnecting is disabled
+   */
+  start(reason) {
+    const config = { ...RECONNECT_DEFAULTS, ...this.getConfig() };
+    if (!config.enabled) {
+      return false;
+    }
+    if (this.active) {
+      return true;
+    }
+
+    console.log(`[Reconnect] Connection lost (${reason}) — starting backoff`);
+    this.generation++;
+    this.active = true;
+    this.attempt = 0;
+    this.lastError = reason || null;
+    this.scheduleNext(config);
+    return true;
+  }
+
+  /**
+   * Compute the delay before an attempt
+   * @param {number} attempt - 1-based attempt number
+   * @param {Object} config - Reconnect settings
+   */
+  computeDelay(attempt, config) {
+    const exponential = Math.min(config.maxDelay, config.baseDelay * 2 ** (attempt - 1));
+    const spread = exponential * config.jitter;
+    const delay = exponential - spread + Math.random() * spread * 2;
+    return Math.round(Math.max(0, Math.min(config.maxDelay, delay)));
+  }
+
+  /**
+   * Schedule the next attempt or give up
+   */
+  scheduleNext(config) {
+    if (this.attempt >= config.maxAttempts) {
+      console.log(`[Reconnect] Giving up after ${this.attempt} attempts`);
+      const lastError = this.lastError;
+      this.reset();
+      this.emit();
+      if (this.onGiveUp) this.onGiveUp(lastError);
+      return;
+    }
+
+    this.attempt++;
+    const delay = this.computeDelay(this.attempt, config);
+    this.nextRetryAt = Date.now() + delay;
+    console.log(`[Reconnect] Attempt ${this.attempt}/${config.maxAttempts} in ${delay}ms`);
+    this.emit();
+
+    const generation = this.generation;
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      let reconnected = false;
+      let attemptError = null;
+      try {
+        reconnected = await this.attemptFn();
+      } catch (error) {
+        attemptError = error.message;
+      }
+
+      if (generation !== this.generation) {
+        return; // stopped, or stopped and restarted, while the attempt was in flight
+      }
+      if (attemptError) {
+        this.lastError = attemptError;
+      }
+
+      if (reconnected) {
+        console.log(`[Reconnect] Reconnected on attempt ${this.attempt}`);
+        this.reset();
+        this.emit();
+        return;
+      }
+
+      this.scheduleNext({ ...RECONNECT_DEFAULTS, ...this.getConfig() });
+    }, delay);
+  }
+
+  /**
+   * Stop retrying (e.g. user disconnected manually)
+   */
+  stop() {
+    this.generation++;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const wasActive = this.active;
+    this.reset();
+    if (wasActive) this.emit();
+  }
+
+  reset() {
+    this.active = false;
+    this.attempt = 0;
+    this.nextRetryAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Current supervisor state
+   */
+  getState() {
+    const config = { ...RECONNECT_DEFAULTS, ...this.getConfig() };
+    return {
+      isReconnecting: this.active,
+      attempt: this.attempt,
+      maxAttempts: config.maxAttempts,
+      nextRetryAt: this.nextRetryAt,
+      lastError: this.lastError,
+    };
+  }
+
+  emit() {
+    if (this.onStateChange) {
+      this.onStateChange(this.getState());
+    }
+  }
+}
+
+export default ReconnectSupervisor;
+export { RECONNECT_DEFAULTS };
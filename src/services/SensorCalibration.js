@@ -0,0 +1,182 @@
+/**
+ * Sensor Calibration
+ * Per-wearable correction of the GSR (EDA) front end and heart rate sensor
+ *
+ * predictWithRules() compares raw GSR ADC counts against bands that were
+ * measured on the prototype board, whose circuit is `eda.circuit`. Other
+ * boards differ in their bridge resistors and amplifier offset, so the
+ * calibration wizard on Device Info measures each wearable three times:
+ *
+ *   1. open circuit   - electrodes touching nothing → the board's openCircuit
+ *   2. known resistor - a resistor of known value across the electrodes →
+ *                       the board's effective referenceResistor
+ *   3. resting        - worn by the child sitting quietly → the offset that
+ *                       puts their resting reading in the calm band, and
+ *                       (when a reference pulse is entered) a heart rate offset
+ *
+ * The result is stored by device ID in ConfigManager. SensorDataParser
+ * applies it before smoothing: readings are converted to skin conductance
+ * with the board's own circuit, mapped back to the ADC count the prototype
+ * board would have read, and shifted by the resting offset.
+ */
+
+import { adcToMicrosiemens } from './EDAAnalyzer';
+
+// Centre of predictWithRules' calm band (1900–2100 ADC)
+const RESTING_EDA_ADC = 2000;
+
+// Wizard steps and how long each one collects frames (ms)
+const CALIBRATION_STEPS = {
+  OPEN_CIRCUIT: { id: 'openCircuit', duration: 5000 },
+  KNOWN_RESISTOR: { id: 'knownResistor', duration: 5000 },
+  RESTING: { id: 'resting', duration: 60000 },
+};
+
+// Resistor suggested for step 2 (Ω); about the resistance of calm skin
+const DEFAULT_KNOWN_RESISTANCE = 200000;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Key a wearable's calibration is stored under: the hardware ID the
+ * firmware reports when there is one (WiFi addresses change), else its ID
+ * @param {Object} device - Transport descriptor { id, hardwareId }
+ */
+const getCalibrationId = (device) => device?.hardwareId || device?.id || null;
+
+/**
+ * ADC count a circuit reads for a skin conductance (inverse of adcToMicrosiemens)
+ * @param {number} conductance - µS
+ * @param {Object} circuit - { fullScale, openCircuit, referenceResistor }
+ */
+const microsiemensToAdc = (conductance, circuit) => {
+  const { fullScale, openCircuit, referenceResistor } = circuit;
+  if (!(conductance > 0)) {
+    return openCircuit;
+  }
+  const resistance = 1e6 / conductance;
+  return (resistance * openCircuit - fullScale * referenceResistor) / (resistance + 2 * referenceResistor);
+};
+
+/**
+ * Median raw values of frames captured during a wizard step
+ * Uses the untouched firmware frame, so an existing calibration does not
+ * skew a new one.
+ * @param {Array} readings - Parsed readings (with `raw`)
+ * @returns {Object} { eda, heartRate, frames, fingerFrames } - medians or null
+ */
+const summarizeReadings = (readings) => {
+  const eda = readings
+    .map((r) => parseFloat(r.raw?.eda ?? r.raw?.gsr))
+    .filter((value) => value > 0);
+  const heartRate = readings
+    .filter((r) => r.fingerDetected)
+    .map((r) => parseFloat(r.raw?.heartRate ?? r.raw?.hr))
+    .filter((value) => value >= 40 && value <= 200);
+  return {
+    eda: eda.length ? median(eda) : null,
+    heartRate: heartRate.length ? median(heartRate) : null,
+    frames: readings.length,
+    fingerFrames: heartRate.length,
+  };
+};
+
+/**
+ * Work out a wearable's calibration from the wizard's measurements
+ * @param {Object} measurements - { openCircuit: adc, knownResistor: { resistance (Ω), adc }
+ *   or null to keep the configured resistor, resting: { eda, heartRate, referenceHeartRate } }
+ * @param {Object} referenceCircuit - Circuit the ADC bands were measured on (eda.circuit)
+ * @returns {Object} { success, calibration } or { success: false, error }
+ */
+const computeCalibration = (measurements, referenceCircuit) => {
+  const { openCircuit, knownResistor, resting } = measurements;
+
+  if (!(openCircuit > 0 && openCircuit < referenceCircuit.fullScale)) {
+    return { success: false, error: 'No usable open-circuit reading. Is the wearable sending EDA?' };
+  }
+
+  let referenceResistor = referenceCircuit.referenceResistor;
+  if (knownResistor) {
+    const { resistance, adc } = knownResistor;
+    if (!(resistance > 0)) {
+      return { success: false, error: 'Enter the resistor value' };
+    }
+    if (!(adc < openCircuit - 10)) {
+      return {
+        success: false,
+        error: 'The resistor reading matches open circuit. Make sure it touches both electrodes.',
+      };
+    }
+    referenceResistor = (resistance * (openCircuit - adc)) / (referenceCircuit.fullScale + 2 * adc);
+  }
+  const circuit = { fullScale: referenceCircuit.fullScale, openCircuit, referenceResistor };
+
+  if (!(resting?.eda > 0 && resting.eda < openCircuit)) {
+    return { success: false, error: 'No skin contact during the resting measurement' };
+  }
+  const restingAdc = microsiemensToAdc(adcToMicrosiemens(resting.eda, circuit), referenceCircuit);
+
+  let heartRateOffset = 0;
+  if (resting.referenceHeartRate) {
+    if (!resting.heartRate) {
+      return { success: false, error: 'No heart rate during the resting measurement' };
+    }
+    heartRateOffset = resting.referenceHeartRate - resting.heartRate;
+  }
+
+  return {
+    success: true,
+    calibration: {
+      eda: {
+        circuit: {
+          fullScale: circuit.fullScale,
+          openCircuit: Math.round(openCircuit),
+          referenceResistor: Math.round(referenceResistor),
+        },
+        offset: Math.round(RESTING_EDA_ADC - restingAdc),
+      },
+      heartRate: { offset: parseFloat(heartRateOffset.toFixed(1)) },
+      measurements,
+      calibratedAt: new Date().toISOString(),
+    },
+  };
+};
+
+/**
+ * Raw GSR reading → the ADC count the reference board would read, plus the
+ * resting offset
+ * @param {number} adc - Raw reading from the calibrated wearable
+ * @param {Object} calibration - Stored calibration
+ * @param {Object} referenceCircuit - eda.circuit
+ */
+const calibrateEda = (adc, calibration, referenceCircuit) => {
+  const circuit = { ...referenceCircuit, ...calibration.eda.circuit };
+  const conductance = adcToMicrosiemens(adc, circuit);
+  if (conductance === 0) {
+    // Off the skin stays off the skin
+    return referenceCircuit.openCircuit;
+  }
+  return microsiemensToAdc(conductance, referenceCircuit) + (calibration.eda.offset || 0);
+};
+
+/**
+ * Raw heart rate corrected against the reference pulse
+ */
+const calibrateHeartRate = (bpm, calibration) =>
+  bpm > 0 ? bpm + (calibration.heartRate?.offset || 0) : bpm;
+
+export {
+  CALIBRATION_STEPS,
+  DEFAULT_KNOWN_RESISTANCE,
+  RESTING_EDA_ADC,
+  getCalibrationId,
+  microsiemensToAdc,
+  summarizeReadings,
+  computeCalibration,
+  calibrateEda,
+  calibrateHeartRate,
+};
@@ -0,0 +1,424 @@
+/**
+ * Sensor Data Parser
+ * Turns raw ESP32 sensor frames into the app's sensor reading shape
+ *
+ * Handles per-wearable sensor calibration (SensorCalibration), finger
+ * detection, heart rate spike rejection and smoothing (set per hardware
+ * profile),
+ * EDA smoothing, skin conductance analysis (EDAAnalyzer), motion
+ * classification, the signal quality index (SignalQualityTracker), windowed
+ * features for the models (FeatureExtractor) and, for firmware that sends
+ * inter-beat intervals or raw PPG, heart rate variability (HRVAnalyzer).
+ * The parser is stateful (it keeps smoothing buffers), so every independent
+ * stream of frames — a live connection, a history download — should use its
+ * own instance.
+ */
+
+import HRVAnalyzer from './HRVAnalyzer';
+import EDAAnalyzer, { adcToMicrosiemens } from './EDAAnalyzer';
+import { EDA_UNITS } from './MLModelService';
+import { calibrateEda, calibrateHeartRate } from './SensorCalibration';
+import SignalQualityTracker from './SignalQualityTracker';
+import FeatureExtractor from './FeatureExtractor';
+import { sequenceGap, isSequenceRestart } from './BLEFrameCodec';
+import ConfigManager from '../utils/ConfigManager';
+
+// Minimum IR value to consider a finger present (MAX30102/MAX30100 standard)
+const IR_THRESHOLD = 50000;
+// Smoothing window size for EDA readings (heart rate smoothing, spike
+// rejection and display range come from the wearable's hardware profile)
+const EDA_SMOOTHING_WINDOW = 6;
+// After this many heart rate spikes in a row the heart rate has really
+// changed; restart the average from the new readings
+const MAX_CONSECUTIVE_SPIKES = 3;
+
+// Motion detection thresholds
+// Acceleration magnitude threshold (values above this indicate movement)
+// At rest the accelerometer reads ~1 g (9.8 m/s²).  A reading that deviates
+// significantly from 1 g in magnitude, or any notable gyroscope activity,
+// signals motion.
+const ACCEL_MOTION_THRESHOLD = 1.15;   // g-units (magnitude)
+const ACCEL_REST_GRAVITY     = 1.0;    // expected magnitude at rest
+const ACCEL_LOW_MOTION_THRESHOLD = 1.08; // g-units (magnitude) for low motion
+const ACCEL_HIGH_MOTION_THRESHOLD = 1.25; // g-units (magnitude) for high motion
+const GYRO_LOW_MOTION_THRESHOLD = 20;     // degrees/s for low motion
+const GYRO_HIGH_MOTION_THRESHOLD = 60;    // degrees/s for high motion
+
+// Where a frame falls relative to the previous one, by sequence number
+const FRAME_SEQUENCE = {
+  NEXT: 'next',
+  GAP: 'gap',       // frames were lost in between
+  REPEAT: 'repeat', // already seen (polled twice) or out of order
+};
+
+/**
+ * A time sent by the wearable in milliseconds
+ * @param {number|string} value - Epoch or uptime ms (number or digits), or
+ *   an ISO date string
+ * @returns {number|null} null when missing or unreadable
+ */
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)
+    ? Number(value)
+    : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * When a frame was sampled, on one clock for every time-based analyzer:
+ * the wearable's uptime (binary frames), else its wall-clock `ts` or
+ * `timestamp`, else the time it arrived
+ * @returns {number} ms
+ */
+const getSampleTime = (data) =>
+  parseTime(data.deviceTime) ?? parseTime(data.ts) ?? parseTime(data.timestamp) ?? Date.now();
+
+class SensorDataParser {
+  /**
+   * @param {string|null} deviceId - Calibration ID of the wearable the frames
+   *   come from (see setDeviceId)
+   */
+  constructor(deviceId = null) {
+    this.deviceId = deviceId;
+    // Smoothing buffers
+    this.hrBuffer = [];
+    this.edaBuffer = [];
+    this.consecutiveSpikes = 0;
+    // Motion detection state
+    this.prevAccelMag = null;
+    // Heart rate variability and skin conductance state
+    this.hrv = new HRVAnalyzer();
+    this.eda = new EDAAnalyzer();
+    this.quality = new SignalQualityTracker(IR_THRESHOLD);
+    this.features = new FeatureExtractor();
+    this.lastSeq = null;
+  }
+
+  /**
+   * Parse a raw sensor frame
+   * Expected format: { heartRate: number, temperature: number, eda: number }
+   * Optional: ibi (inter-beat intervals in ms since the last frame, also
+   * accepted as ibis/rr/rrIntervals) or ppg (raw samples) with ppgRate (Hz);
+   * edaUnit ("uS" when eda is already skin conductance rather than ADC counts)
+   * @param {Object} data - Raw frame from the wearable
+   */
+  parse(data) {
+    try {
+      // Log raw ESP32 data for debugging
+      console.log('[ESP32 Raw Data]', JSON.stringify(data));
+
+      // Default temperature to 36.5°C (body average) since ESP32 may not send it
+      const DEFAULT_TEMPERATURE = 36.5;
+      const rawTemp = parseFloat(data.temperature || data.temp || 0);
+      const temperature = (rawTemp > 0 && rawTemp !== null) ? rawTemp : DEFAULT_TEMPERATURE;
+
+      // Per-wearable calibration from the Device Info wizard, when one was done
+      const calibration = this.deviceId ? ConfigManager.getDeviceCalibration(this.deviceId) : null;
+      const { circuit } = ConfigManager.getEdaConfig();
+      const isMicrosiemens = data.edaUnit === EDA_UNITS.MICROSIEMENS;
+
+      const measuredHR = parseFloat(data.heartRate || data.hr || 0);
+      const measuredEDA = parseFloat(data.eda || data.gsr || 0);
+      const rawHR = calibration ? calibrateHeartRate(measuredHR, calibration) : measuredHR;
+      // EDA in the prototype board's ADC counts, which the prediction rules expect
+      const rawEDA = calibration && !isMicrosiemens && measuredEDA > 0
+        ? Math.round(calibrateEda(measuredEDA, calibration, circuit))
+        : measuredEDA;
+
+      // === Finger Detection ===
+      let fingerDetected = false;
+      const hasIR = data.irValue !== undefined || data.rawIR !== undefined || data.ir !== undefined;
+      const irValue = hasIR ? parseFloat(data.irValue || data.rawIR || data.ir || 0) : null;
+
+      // 1. Explicit flag from ESP32
+      if (data.fingerDetected !== undefined || data.finger !== undefined) {
+        fingerDetected = !!(data.fingerDetected ?? data.finger);
+      }
+      // 2. IR value check
+      else if (hasIR) {
+        fingerDetected = irValue > IR_THRESHOLD;
+      }
+      // 3. Fallback: HR in physiological range = finger present
+      else {
+        fingerDetected = rawHR >= 40 && rawHR <= 200;
+      }
+
+      // === Heart Rate Smoothing ===
+      const { smoothingWindow, maxJump, displayMin, displayMax } =
+        ConfigManager.getHeartRateConfig(this.deviceId);
+      let smoothedHR = 0;
+      let displayHR = 0;
+      let spikeRejected = false;
+      if (fingerDetected) {
+        // Spike rejection: discard readings that jump too far from running average
+        if (this.hrBuffer.length >= 2) {
+          const currentAvg = this.hrBuffer.reduce((a, b) => a + b, 0) / this.hrBuffer.length;
+          if (Math.abs(rawHR - currentAvg) > maxJump && this.consecutiveSpikes < MAX_CONSECUTIVE_SPIKES) {
+            // Reject spike — use previous average instead
+            spikeRejected = true;
+            this.consecutiveSpikes++;
+            console.log(`[HR Smoothing] Spike rejected: raw=${rawHR.toFixed(1)}, avg=${currentAvg.toFixed(1)}`);
+          } else {
+            if (this.consecutiveSpikes >= MAX_CONSECUTIVE_SPIKES) {
+              this.hrBuffer = [];
+            }
+            this.hrBuffer.push(rawHR);
+            this.consecutiveSpikes = 0;
+          }
+        } else {
+          this.hrBuffer.push(rawHR);
+        }
+
+        // Keep buffer at window size
+        while (this.hrBuffer.length > smoothingWindow) {
+          this.hrBuffer.shift();
+        }
+
+        // Weighted moving average (recent readings weighted more)
+        if (this.hrBuffer.length > 0) {
+          let weightSum = 0;
+          let valueSum = 0;
+          this.hrBuffer.forEach((v, i) => {
+            const weight = i + 1; // newer = higher weight
+            valueSum += v * weight;
+            weightSum += weight;
+          });
+          smoothedHR = valueSum / weightSum;
+        }
+
+        // Only the displayed value is kept within the profile's range;
+        // predictions get the real one, however fast the heart is beating
+        smoothedHR = parseFloat(smoothedHR.toFixed(1));
+        displayHR = Math.round(Math.max(displayMin, Math.min(displayMax, smoothedHR)));
+        console.log(`[HR Smoothing] raw=${rawHR.toFixed(1)}, smoothed=${smoothedHR}, display=${displayHR}, buffer=[${this.hrBuffer.map(v => v.toFixed(0)).join(',')}]`);
+      } else {
+        // No finger — reset buffer
+        this.hrBuffer = [];
+        this.consecutiveSpikes = 0;
+      }
+
+      // A frame read twice by polling (same seq) must not be counted twice
+      const sequence = this.trackSequence(data);
+      const sampledAt = getSampleTime(data);
+
+      // === Heart Rate Variability ===
+      let hrv = null;
+      if (fingerDetected) {
+        hrv = this.updateHRV(data, sequence);
+      } else {
+        this.hrv.reset();
+      }
+
+      // === Skin Conductance ===
+      const conductance = isMicrosiemens
+        ? measuredEDA
+        : adcToMicrosiemens(measuredEDA, calibration ? { ...circuit, ...calibration.eda.circuit } : circuit);
+      let edaAnalysis = null;
+      if (conductance > 0) {
+        edaAnalysis = sequence === FRAME_SEQUENCE.REPEAT
+          ? this.eda.getMetrics()
+          : this.eda.addSample(conductance, sampledAt);
+      } else {
+        // Electrodes off the skin
+        this.eda.reset();
+      }
+
+      // === Motion Detection Classification ===
+      let motionLevel = "NONE";
+
+      // 1. Explicit motion level from ESP32
+      if (typeof data.motion === "string") {
+        motionLevel = data.motion.toUpperCase();
+      } else if (data.motionLevel !== undefined) {
+        motionLevel = String(data.motionLevel).toUpperCase();
+      } else {
+        // 2. Derive from accelerometer/gyroscope data
+        const ax = parseFloat(data.accelX ?? data.ax ?? data.accX ?? 0);
+        const ay = parseFloat(data.accelY ?? data.ay ?? data.accY ?? 0);
+        const az = parseFloat(data.accelZ ?? data.az ?? data.accZ ?? 0);
+        const hasAccel = (data.accelX !== undefined || data.ax !== undefined || data.accX !== undefined);
+
+        const gx = parseFloat(data.gyroX ?? data.gx ?? 0);
+        const gy = parseFloat(data.gyroY ?? data.gy ?? 0);
+        const gz = parseFloat(data.gyroZ ?? data.gz ?? 0);
+        const hasGyro = (data.gyroX !== undefined || data.gx !== undefined);
+
+        let accelLevel = "NONE";
+        let gyroLevel = "NONE";
+
+        if (hasAccel) {
+          const accelMag = Math.sqrt(ax * ax + ay * ay + az * az);
+          const deviation = Math.abs(accelMag - ACCEL_REST_GRAVITY);
+          let jerk = 0;
+          if (this.prevAccelMag !== null) {
+            jerk = Math.abs(accelMag - this.prevAccelMag);
+          }
+          this.prevAccelMag = accelMag;
+
+          if (deviation > (ACCEL_HIGH_MOTION_THRESHOLD - ACCEL_REST_GRAVITY) || jerk > 0.25) {
+            accelLevel = "HIGH";
+          } else if (deviation > (ACCEL_LOW_MOTION_THRESHOLD - ACCEL_REST_GRAVITY) || jerk > 0.08) {
+            accelLevel = "LOW";
+          }
+          // else remains NONE
+          console.log(`[Motion] accelMag=${accelMag.toFixed(3)}, deviation=${deviation.toFixed(3)}, jerk=${jerk.toFixed(3)}, accelLevel=${accelLevel}`);
+        }
+
+        if (hasGyro) {
+          const gyroMag = Math.sqrt(gx * gx + gy * gy + gz * gz);
+          if (gyroMag > GYRO_HIGH_MOTION_THRESHOLD) {
+            gyroLevel = "HIGH";
+          } else if (gyroMag > GYRO_LOW_MOTION_THRESHOLD) {
+            gyroLevel = "LOW";
+          }
+          // else remains NONE
+          console.log(`[Motion] gyroMag=${gyroMag.toFixed(2)}, gyroLevel=${gyroLevel}`);
+        }
+
+        // Combine accel/gyro levels (HIGH wins, else LOW, else NONE)
+        if (accelLevel === "HIGH" || gyroLevel === "HIGH") {
+          motionLevel = "HIGH";
+        } else if (accelLevel === "LOW" || gyroLevel === "LOW") {
+          motionLevel = "LOW";
+        } else {
+          motionLevel = "NONE";
+        }
+      }
+
+      // === EDA Smoothing ===
+      let smoothedEDA = rawEDA;
+      if (rawEDA > 0) {
+        this.edaBuffer.push(rawEDA);
+        if (this.edaBuffer.length > EDA_SMOOTHING_WINDOW) {
+          this.edaBuffer.shift();
+        }
+        smoothedEDA = this.edaBuffer.reduce((a, b) => a + b, 0) / this.edaBuffer.length;
+        smoothedEDA = parseFloat(smoothedEDA.toFixed(2));
+      }
+
+      // === Signal Quality ===
+      // Frames without a finger stay in the window (as no contact), so a
+      // sensor that keeps slipping off scores poorly once it is back on
+      const signalQuality = sequence === FRAME_SEQUENCE.REPEAT
+        ? this.quality.getQuality()
+        : this.quality.addFrame(
+          {
+            ir: hasIR ? irValue : fingerDetected ? null : 0,
+            motion: motionLevel,
+            spike: spikeRejected,
+            eda: conductance > 0 ? conductance : null,
+          },
+          sampledAt
+        );
+
+      // === Windowed Features ===
+      const features = sequence === FRAME_SEQUENCE.REPEAT
+        ? this.features.getFeatures()
+        : this.features.addSample(
+          {
+            heartRate: fingerDetected && smoothedHR > 0 ? smoothedHR : null,
+            temperature: rawTemp > 0 ? temperature : null, // not the 36.5 °C default
+            eda: conductance > 0 ? conductance : null,
+            motion: motionLevel,
+            scrAt: edaAnalysis?.lastScr?.at,
+          },
+          sampledAt
+        );
+
+      return {
+        heartRate: smoothedHR, // smoothed BPM, what predictions use
+        heartRateRaw: fingerDetected ? parseFloat(rawHR.toFixed(1)) : 0, // this frame, calibrated
+        heartRateDisplay: displayHR, // smoothed, rounded and kept within the display range
+        fingerDetected,
+        temperature,
+        eda: smoothedEDA,
+        motion: motionLevel, // "NONE", "LOW", "HIGH"
+        hrv, // null until enough beats have arrived
+        edaAnalysis, // µS: conductance, tonic, phasic, SCRs; null off the skin
+        signalQuality, // score, level, components, issues
+        features, // versioned windowed features (FeatureExtractor)
+        wearableId: this.deviceId, // calibration ID of the wearable, if known
+        timestamp: new Date().toISOString(),
+        raw: data,
+      };
+    } catch (error) {
+      console.error('Parse error:', error);
+      return null;
+    }
+  }
+
+
+  /**
+   * Set the wearable whose calibration applies to the frames
+   * @param {string|null} deviceId - getCalibrationId() of the wearable
+   */
+  setDeviceId(deviceId) {
+    this.deviceId = deviceId;
+  }
+
+  /**
+   * Place a frame in its stream using its sequence number, if it has one
+   * @returns {string} One of FRAME_SEQUENCE
+   */
+  trackSequence(data) {
+    if (typeof data.seq !== 'number') {
+      return FRAME_SEQUENCE.NEXT;
+    }
+    if (this.lastSeq !== null && isSequenceRestart(this.lastSeq, data.seq)) {
+      // The wearable rebooted: nothing before it belongs to this stream
+      this.reset();
+    }
+    const gap = this.lastSeq === null ? 0 : sequenceGap(this.lastSeq, data.seq);
+    if (gap < 0) {
+      return FRAME_SEQUENCE.REPEAT;
+    }
+    this.lastSeq = data.seq;
+    return gap > 0 ? FRAME_SEQUENCE.GAP : FRAME_SEQUENCE.NEXT;
+  }
+
+  /**
+   * Feed a frame's inter-beat intervals (or raw PPG) to the HRV analyzer
+   * Missing sequence numbers break the beat series so no interval
+   * difference spans the lost beats.
+   * @param {string} sequence - trackSequence() result for the frame
+   * @returns {Object|null} Current HRV metrics
+   */
+  updateHRV(data, sequence) {
+    if (sequence === FRAME_SEQUENCE.REPEAT) {
+      return this.hrv.getMetrics();
+    }
+    if (sequence === FRAME_SEQUENCE.GAP) {
+      this.hrv.markGap();
+    }
+
+    const intervals = data.ibi ?? data.ibis ?? data.rr ?? data.rrIntervals;
+    if (Array.isArray(intervals)) {
+      this.hrv.addIntervals(intervals.map(Number));
+    } else if (Array.isArray(data.ppg)) {
+      const rate = Number(data.ppgRate) || ConfigManager.getHrvConfig().ppgRate;
+      this.hrv.addPpgSamples(data.ppg.map(Number), rate);
+    }
+    return this.hrv.getMetrics();
+  }
+
+  /**
+   * Clear smoothing buffers (e.g. after a disconnect)
+   */
+  reset() {
+    this.hrBuffer = [];
+    this.edaBuffer = [];
+    this.consecutiveSpikes = 0;
+    this.prevAccelMag = null;
+    this.hrv.reset();
+    this.eda.reset();
+    this.quality.reset();
+    this.features.reset();
+    this.lastSeq = null;
+  }
+}
+
+export default SensorDataParser;
+export { IR_THRESHOLD, parseTime, getSampleTime };
@@ -0,0 +1,260 @@
+/**
+ * Session Recorder
+ * Captures the raw frames of a live session to a file for later replay
+ *
+ * Every reading the primary wearable delivers keeps the untouched firmware
+ * frame in its `raw` field. While recording, those frames are appended to a
+ * JSON Lines file in the app's document directory:
+ *
+ *   {"type":"session","version":1,"id":...,"startedAt":...,"device":{...}}
+ *   {"t":0,"raw":{"irValue":...,"heartRate":...,"eda":...}}
+ *   {"t":2013,"raw":{...}}
+ *
+ * `t` is milliseconds since the recording started, so SessionReplayService
+ * can reproduce the original timing. The list of recordings (with duration
+ * and frame count) is kept in StorageService.
+ */
+
+import StorageService from './StorageService';
+
+const SESSION_FORMAT_VERSION = 1;
+const SESSIONS_DIRECTORY = 'sessions';
+// Frames are buffered and appended in batches to keep file writes cheap
+const FLUSH_EVERY = 20;
+
+// The expo-file-system File API appends through a file handle; loaded lazily
+// so the app still runs (without recording) when the native module is missing
+const loadFileSystem = () => {
+  try {
+    return require('expo-file-system');
+  } catch (error) {
+    console.warn('expo-file-system unavailable:', error.message);
+    return null;
+  }
+};
+
+const getSessionsDirectory = (FileSystem) => {
+  const directory = new FileSystem.Directory(FileSystem.Paths.document, SESSIONS_DIRECTORY);
+  if (!directory.exists) {
+    directory.create({ intermediates: true });
+  }
+  return directory;
+};
+
+class SessionRecorder {
+  constructor() {
+    this.session = null; // { id, fileName, startedAt, device, frameCount }
+    this.file = null;
+    this.buffer = [];
+    this.startTime = null;
+  }
+
+  /**
+   * Start recording raw frames
+   * @param {Object} device - { id, name, transport, hardwareId } of the connected wearable
+   * @param {Object} deviceInfo - Last device info (firmware version, settings)
+   * @returns {Object} { success, session, error }
+   */
+  async start(device, deviceInfo = null) {
+    if (this.session) {
+      return { success: false, error: 'A session is already being recorded' };
+    }
+    const FileSystem = loadFileSystem();
+    if (!FileSystem) {
+      return { success: false, error: 'File storage is not available in this build' };
+    }
+
+    try {
+      const startedAt = new Date().toISOString();
+      const id = `session-${startedAt.replace(/[:.]/g, '-')}`;
+      const fileName = `${id}.jsonl`;
+
+      this.file = new FileSystem.File(getSessionsDirectory(FileSystem), fileName);
+      this.file.create();
+      this.startTime = Date.now();
+      this.buffer = [];
+      this.session = {
+        id,
+        fileName,
+        startedAt,
+        device: device
+          ? { id: device.id, name: device.name, transport: device.transport, hardwareId: device.hardwareId }
+          : null,
+        frameCount: 0,
+      };
+
+      this.append({
+        type: 'session',
+        version: SESSION_FORMAT_VERSION,
+        ...this.session,
+        deviceInfo,
+      });
+      this.flush();
+
+      console.log(`[Recorder] Recording ${fileName}`);
+      return { success: true, session: this.getStatus() };
+    } catch (error) {
+      console.error('[Recorder] Start error:', error);
+      this.session = null;
+      this.file = null;
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Record the raw frame behind a parsed reading
+   * @param {Object} sensorData - Output of SensorDataParser (keeps `raw`)
+   */
+  record(sensorData) {
+    if (!this.session || !sensorData?.raw) {
+      return;
+    }
+    this.append({ t: Date.now() - this.startTime, raw: sensorData.raw });
+    this.session.frameCount++;
+
+    if (this.buffer.length >= FLUSH_EVERY) {
+      this.flush();
+    }
+  }
+
+  append(entry) {
+    this.buffer.push(JSON.stringify(entry));
+  }
+
+  /**
+   * Append buffered lines to the session file
+   */
+  flush() {
+    if (!this.file || this.buffer.length === 0) {
+      return;
+    }
+    const text = `${this.buffer.join('\n')}\n`;
+    this.buffer = [];
+    try {
+      const handle = this.file.open();
+      try {
+        handle.offset = handle.size;
+        handle.writeBytes(new TextEncoder().encode(text));
+      } finally {
+        handle.close();
+      }
+    } catch (error) {
+      console.error('[Recorder] Write error:', error);
+    }
+  }
+
+  /**
+   * Stop recording and add the session to the saved list
+   * @returns {Object} { success, session }
+   */
+  async stop() {
+    if (!this.session) {
+      return { success: false, error: 'Not recording' };
+    }
+
+    this.flush();
+    const session = {
+      ...this.session,
+      endedAt: new Date().toISOString(),
+      durationMs: Date.now() - this.startTime,
+    };
+    this.session = null;
+    this.file = null;
+
+    const sessions = await StorageService.getRecordedSessions();
+    await StorageService.saveRecordedSessions([session, ...sessions]);
+
+    console.log(`[Recorder] Saved ${session.fileName} (${session.frameCount} frames)`);
+    return { success: true, session };
+  }
+
+  /**
+   * Current recording, or null
+   */
+  getStatus() {
+    if (!this.session) {
+      return null;
+    }
+    return {
+      id: this.session.id,
+      startedAt: this.session.startedAt,
+      frameCount: this.session.frameCount,
+    };
+  }
+
+  isRecording() {
+    return this.session !== null;
+  }
+
+  /**
+   * Saved recordings, newest first
+   */
+  async listSessions() {
+    return StorageService.getRecordedSessions();
+  }
+
+  /**
+   * Read a recording back
+   * @param {string} id - Session ID
+   * @returns {Object} { header, frames: [{ t, raw }] } or null
+   */
+  async loadSession(id) {
+    const FileSystem = loadFileSystem();
+    const sessions = await StorageService.getRecordedSessions();
+    const entry = sessions.find((session) => session.id === id);
+    if (!FileSystem || !entry) {
+      return null;
+    }
+
+    const file = new FileSystem.File(getSessionsDirectory(FileSystem), entry.fileName);
+    if (!file.exists) {
+      return null;
+    }
+
+    const lines = (await file.text()).split('\n').filter(Boolean);
+    let header = entry;
+    const frames = [];
+    lines.forEach((line) => {
+      try {
+        const parsed = JSON.parse(line);
+        if (parsed.type === 'session') {
+          header = { ...entry, ...parsed };
+        } else if (parsed.raw) {
+          frames.push(parsed);
+        }
+      } catch {
+        console.warn('[Recorder] Skipping unreadable line in', entry.fileName);
+      }
+    });
+    return { header, frames };
+  }
+
+  /**
+   * Delete a recording and its file
+   */
+  async deleteSession(id) {
+    const sessions = await StorageService.getRecordedSessions();
+    const entry = sessions.find((session) => session.id === id);
+    if (!entry) {
+      return { success: false, error: 'Unknown session' };
+    }
+
+    const FileSystem = loadFileSystem();
+    if (FileSystem) {
+      try {
+        const file = new FileSystem.File(getSessionsDirectory(FileSystem), entry.fileName);
+        if (file.exists) {
+          file.delete();
+        }
+      } catch (error) {
+        console.warn('[Recorder] Could not delete session file:', error.message);
+      }
+    }
+
+    await StorageService.saveRecordedSessions(sessions.filter((session) => session.id !== id));
+    return { success: true };
+  }
+}
+
+export default new SessionRecorder();
+export { SESSION_FORMAT_VERSION };
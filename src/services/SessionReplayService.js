@@ -0,0 +1,225 @@
+/**
+ * Session Replay Service
+ * A transport that plays a recorded session back as if the wearable were live
+ *
+ * Frames recorded by SessionRecorder are fed through a fresh
+ * SensorDataParser with their original spacing (divided by the replay
+ * speed) and delivered through the same data callback as WiFi and BLE, so
+ * they reach MLModelService exactly like live readings. Use it to reproduce
+ * a difficult afternoon while debugging or tuning thresholds.
+ *
+ * Implements the WearableTransport surface; scanForDevices lists recordings
+ * and connect(sessionId, port, { speed, onProgress }) starts playback.
+ */
+
+import SensorDataParser from './SensorDataParser';
+import SessionRecorder from './SessionRecorder';
+import { getCalibrationId } from './SensorCalibration';
+
+// Playback speeds offered in the UI (1 = real time)
+const REPLAY_SPEEDS = [1, 10, 60];
+
+class SessionReplayService {
+  constructor() {
+    this.isConnected = false;
+    this.session = null; // recording header
+    this.frames = [];
+    this.position = 0;
+    this.speed = 1;
+    this.timer = null;
+    this.onDataReceived = null;
+    this.onConnectionChange = null;
+    this.onError = null;
+    this.onProgress = null;
+    this.lastDataTimestamp = null;
+    this.parser = new SensorDataParser();
+  }
+
+  async initialize() {
+    return { success: true };
+  }
+
+  /**
+   * List recordings as connectable "devices"
+   * @param {Function} onDeviceFound - Callback per recording
+   */
+  async scanForDevices(onDeviceFound) {
+    const sessions = await SessionRecorder.listSessions();
+    const devices = sessions.map((session) => ({
+      id: session.id,
+      name: `Recording ${new Date(session.startedAt).toLocaleString()}`,
+      transport: 'replay',
+      frameCount: session.frameCount,
+      durationMs: session.durationMs,
+    }));
+    if (onDeviceFound) {
+      devices.forEach(onDeviceFound);
+    }
+    return { success: true, requiresManualIP: false, devices };
+  }
+
+  stopScan() {}
+
+  /**
+   * Start replaying a recording
+   * @param {string} sessionId - Recording ID from SessionRecorder
+   * @param {number} _port - Unused (transport signature)
+   * @param {Object} options - { speed: playback multiplier, onProgress }
+   */
+  async connect(sessionId, _port, options = {}) {
+    const { speed = 1, onProgress = null } = options;
+
+    if (this.isConnected) {
+      await this.disconnect();
+    }
+
+    const recording = await SessionRecorder.loadSession(sessionId);
+    if (!recording) {
+      return { success: false, error: 'Recording not found' };
+    }
+    if (recording.frames.length === 0) {
+      return { success: false, error: 'This recording has no frames' };
+    }
+
+    this.session = recording.header;
+    this.frames = recording.frames;
+    this.position = 0;
+    this.speed = speed > 0 ? speed : 1;
+    this.onProgress = onProgress;
+    this.parser.reset();
+    // Replayed frames get the recorded wearable's current calibration
+    this.parser.setDeviceId(getCalibrationId(this.session.device));
+    this.isConnected = true;
+
+    console.log(`[Replay] Playing ${this.session.id} (${this.frames.length} frames) at ${this.speed}×`);
+    if (this.onConnectionChange) {
+      this.onConnectionChange(true, this.getDeviceDescriptor());
+    }
+
+    this.playNext();
+    return { success: true, device: this.getDeviceDescriptor() };
+  }
+
+  /**
+   * Deliver the current frame and schedule the next one
+   */
+  playNext() {
+    if (!this.isConnected) {
+      return;
+    }
+
+    const frame = this.frames[this.position];
+    const sensorData = this.parseSensorData(frame.raw);
+    this.position++;
+
+    if (sensorData) {
+      this.lastDataTimestamp = new Date().toISOString();
+      if (this.onDataReceived) {
+        this.onDataReceived(sensorData);
+      }
+    }
+
+    const finished = this.position >= this.frames.length;
+    this.reportProgress(finished);
+
+    if (finished) {
+      console.log('[Replay] Finished');
+      this.disconnect();
+      return;
+    }
+
+    const delay = Math.max(0, (this.frames[this.position].t - frame.t) / this.speed);
+    this.timer = setTimeout(() => this.playNext(), delay);
+  }
+
+  reportProgress(finished = false) {
+    if (this.onProgress) {
+      this.onProgress({
+        sessionId: this.session.id,
+        position: this.position,
+        total: this.frames.length,
+        elapsedMs: this.frames[this.position - 1]?.t ?? 0,
+        durationMs: this.frames[this.frames.length - 1].t,
+        speed: this.speed,
+        finished,
+      });
+    }
+  }
+
+  /**
+   * Parse a recorded raw frame with the replay's own smoothing buffers
+   */
+  parseSensorData(data) {
+    return this.parser.parse(data);
+  }
+
+  /**
+   * Device info captured when the session was recorded
+   */
+  async readDeviceInfo() {
+    return this.isConnected ? this.session?.deviceInfo || null : null;
+  }
+
+  /**
+   * Stop playback
+   */
+  async disconnect() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const wasConnected = this.isConnected;
+    this.isConnected = false;
+    this.frames = [];
+    this.position = 0;
+    this.onProgress = null;
+    this.parser.reset();
+
+    if (wasConnected && this.onConnectionChange) {
+      this.onConnectionChange(false, null);
+    }
+    return { success: true };
+  }
+
+  setDataCallback(callback) {
+    this.onDataReceived = callback;
+  }
+
+  setConnectionCallback(callback) {
+    this.onConnectionChange = callback;
+  }
+
+  setErrorCallback(callback) {
+    this.onError = callback;
+  }
+
+  getDeviceDescriptor() {
+    const recordedDevice = this.session?.device;
+    return {
+      id: `replay:${this.session?.id}`,
+      name: `Replay of ${recordedDevice?.name || 'recording'}`,
+      transport: 'replay',
+      sessionId: this.session?.id,
+      speed: this.speed,
+    };
+  }
+
+  getConnectionStatus() {
+    return {
+      isConnected: this.isConnected,
+      sessionId: this.session?.id || null,
+      position: this.position,
+      total: this.frames.length,
+      speed: this.speed,
+      lastDataTimestamp: this.lastDataTimestamp,
+      device: this.isConnected ? this.getDeviceDescriptor() : null,
+    };
+  }
+
+  destroy() {
+    this.disconnect();
+  }
+}
+
+export default new SessionReplayService();
+export { SessionReplayService, REPLAY_SPEEDS };
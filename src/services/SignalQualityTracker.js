@@ -0,0 +1,152 @@
+/**
+ * Signal Quality Tracker
+ * Per-reading signal quality index for the prediction pipeline
+ *
+ * A child running around or a sensor slipping off the finger produces
+ * readings that look like stress: heart rate jumps and the GSR reading swings
+ * as the electrodes lose contact. The tracker scores each reading from 0
+ * (unusable) to 1 (clean) over the last `signalQuality.window` ms from four
+ * components:
+ *
+ *   ir     - PPG contact: IR level between the finger threshold and irGood
+ *            (frames without a finger score 0)
+ *   motion - share of still frames (LOW motion counts as half still)
+ *   spikes - share of heart rate readings not rejected as spikes
+ *   eda    - frame-to-frame GSR variation relative to maxEdaVariation
+ *
+ * Components a frame carries no data for are left out of the weighted mean.
+ * MLModelService suppresses predictions below `poor` and down-weights them
+ * below `good`. Like SensorDataParser, a tracker is stateful and belongs to
+ * one stream of frames.
+ */
+
+import ConfigManager from '../utils/ConfigManager';
+
+// Quality levels, best first
+const SIGNAL_QUALITY = {
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor',
+};
+
+// What is wrong, by component, for the UI
+const SIGNAL_ISSUES = {
+  ir: 'Sensor not pressed firmly on the skin',
+  motion: 'Too much movement',
+  spikes: 'Unstable heart rate readings',
+  eda: 'Loose EDA electrodes',
+};
+
+// A component below this is reported as an issue
+const ISSUE_THRESHOLD = 0.5;
+
+// How still each motion level counts as
+const MOTION_STILLNESS = {
+  NONE: 1,
+  LOW: 0.5,
+  HIGH: 0,
+};
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const round = (value) => (value === null ? null : parseFloat(value.toFixed(2)));
+
+class SignalQualityTracker {
+  /**
+   * @param {number} irThreshold - IR level below which there is no finger on
+   *   the sensor (scores 0)
+   */
+  constructor(irThreshold) {
+    this.irThreshold = irThreshold;
+    this.reset();
+  }
+
+  /**
+   * Forget the signal (new connection)
+   */
+  reset() {
+    this.frames = []; // { at, ir, motion, spike, eda }
+  }
+
+  /**
+   * Add a frame and score the window
+   * @param {Object} frame - { ir (raw IR level, 0 without a finger, null
+   *   when unknown), motion ("NONE", "LOW", "HIGH"), spike (heart rate
+   *   reading rejected), eda (µS or null) }
+   * @param {number} at - Frame time (ms)
+   * @returns {Object} Current quality (see getQuality)
+   */
+  addFrame(frame, at) {
+    const { window } = ConfigManager.getSignalQualityConfig();
+
+    // The wearable's clock went backwards: it rebooted
+    const last = this.frames[this.frames.length - 1];
+    if (last && at < last.at) {
+      this.reset();
+    }
+
+    this.frames.push({ ...frame, at });
+    this.frames = this.frames.filter((f) => f.at > at - window);
+    return this.getQuality();
+  }
+
+  /**
+   * Component scores over the window (null when no frame had the data)
+   */
+  getComponents() {
+    const { irGood, maxEdaVariation } = ConfigManager.getSignalQualityConfig();
+    const { irThreshold } = this;
+
+    const irLevels = this.frames.filter((f) => f.ir !== null).map((f) => f.ir);
+    const ir = irLevels.length
+      ? average(irLevels.map((level) => clamp01((level - irThreshold) / (irGood - irThreshold))))
+      : null;
+
+    const motion = average(this.frames.map((f) => MOTION_STILLNESS[f.motion] ?? 1));
+    const spikes = 1 - this.frames.filter((f) => f.spike).length / this.frames.length;
+
+    // Successive differences only: a real skin conductance response rises
+    // over seconds, a loose electrode jumps between frames
+    const eda = this.frames.filter((f) => f.eda > 0).map((f) => f.eda);
+    let edaScore = null;
+    if (eda.length >= 2) {
+      const jumps = eda.slice(1).map((value, i) => Math.abs(value - eda[i]));
+      edaScore = clamp01(1 - average(jumps) / average(eda) / maxEdaVariation);
+    }
+
+    return { ir, motion, spikes, eda: edaScore };
+  }
+
+  /**
+   * Quality of the window
+   * @returns {Object|null} { score (0–1), level (SIGNAL_QUALITY), components,
+   *   issues (keys of SIGNAL_ISSUES) }, null before the first frame
+   */
+  getQuality() {
+    if (!this.frames.length) {
+      return null;
+    }
+    const { weights, poor, good } = ConfigManager.getSignalQualityConfig();
+    const components = this.getComponents();
+
+    const available = Object.keys(components).filter(
+      (key) => components[key] !== null && weights[key] > 0
+    );
+    const totalWeight = available.reduce((sum, key) => sum + weights[key], 0);
+    const score = totalWeight
+      ? available.reduce((sum, key) => sum + components[key] * weights[key], 0) / totalWeight
+      : 1;
+
+    return {
+      score: round(score),
+      level: score < poor ? SIGNAL_QUALITY.POOR : score < good ? SIGNAL_QUALITY.FAIR : SIGNAL_QUALITY.GOOD,
+      components: Object.fromEntries(
+        Object.entries(components).map(([key, value]) => [key, round(value)])
+      ),
+      issues: available.filter((key) => components[key] < ISSUE_THRESHOLD),
+    };
+  }
+}
+
+export default SignalQualityTracker;
+export { SIGNAL_QUALITY, SIGNAL_ISSUES };
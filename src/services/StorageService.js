@@ -1,6 +1,12 @@
 /**
  * Local Storage Service using AsyncStorage
  * Handles all persistent data storage for the NeuroNest app
+ *
+ * The default instance stores data for the primary wearable. Additional
+ * wearables monitored at the same time get their own partition via
+ * StorageService.forDevice(deviceId): readings, predictions, stress episodes
+ * and device info are kept under per-device keys, while user settings, sync
+ * bookkeeping, child profiles and their personal baselines stay shared.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -11,9 +17,95 @@ const STORAGE_KEYS = {
   STRESS_EPISODES: 'neuronest_stress_episodes',
   DEVICE_INFO: 'neuronest_device_info',
   USER_SETTINGS: 'neuronest_user_settings',
+  SYNC_STATE: 'neuronest_sync_state',
+  DEVICE_REGISTRY: 'neuronest_device_registry',
+  RECORDED_SESSIONS: 'neuronest_recorded_sessions',
+  WEARABLE_PAIRINGS: 'neuronest_wearable_pairings',
+  PERSONAL_BASELINE: 'neuronest_personal_baseline',
+  CHILD_PROFILES: 'neuronest_child_profiles',
 };
 
+// Keys that are stored separately for each device partition
+const PARTITIONED_KEYS = [
+  STORAGE_KEYS.SENSOR_READINGS,
+  STORAGE_KEYS.PREDICTIONS_HISTORY,
+  STORAGE_KEYS.STRESS_EPISODES,
+  STORAGE_KEYS.DEVICE_INFO,
+];
+
+// Sort helper so trimming always drops the oldest records
+const byTimestamp = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+// Identity of a wearable frame: the wearable, the frame's time on the
+// wearable's own clock and its sequence number. Sequence numbers alone
+// repeat across wearables and after every reboot.
+const frameKey = (reading) => {
+  const seq = reading.raw?.seq;
+  const deviceTime = reading.raw?.deviceTime ?? reading.raw?.ts ?? reading.raw?.timestamp;
+  return seq === undefined || deviceTime === undefined
+    ? null
+    : `${reading.wearableId ?? ''}|${deviceTime}|${seq}`;
+};
+
+// The wearable and second a reading was taken in, for frames without a
+// sequence number and device time
+const secondKey = (reading) =>
+  `${reading.wearableId ?? ''}|${Math.floor(new Date(reading.timestamp).getTime() / 1000)}`;
+
+// Key a reading is de-duplicated by
+const readingKey = (reading) => frameKey(reading) ?? secondKey(reading);
+
+// A stress episode starts where the state machine escalates (Calm →
+// Stressed, Stressed → Meltdown); easing out of a meltdown does not
+const STRESS_RANK = { Calm: 0, Stressed: 1, Meltdown: 2 };
+const startsStressEpisode = (prediction) =>
+  Boolean(prediction.transition) &&
+  STRESS_RANK[prediction.transition.to] > STRESS_RANK[prediction.transition.from];
+
 class StorageService {
+  /**
+   * @param {string|null} partition - Device ID, or null for the primary wearable
+   */
+  constructor(partition = null) {
+    this.partition = partition;
+    this.partitions = new Map();
+  }
+
+  /**
+   * Resolve a storage key for this partition
+   */
+  key(name) {
+    return this.partition && PARTITIONED_KEYS.includes(name)
+      ? `${name}__${this.partition}`
+      : name;
+  }
+
+  /**
+   * Get the storage partition for an additional wearable
+   * @param {string} deviceId
+   */
+  forDevice(deviceId) {
+    if (!this.partitions.has(deviceId)) {
+      this.partitions.set(deviceId, new StorageService(deviceId));
+    }
+    return this.partitions.get(deviceId);
+  }
+
+  /**
+   * Delete everything stored in this device partition
+   */
+  async clearPartition() {
+    if (!this.partition) {
+      throw new Error('clearPartition is only available on device partitions');
+    }
+    try {
+      await AsyncStorage.multiRemove(PARTITIONED_KEYS.map((name) => this.key(name)));
+    } catch (error) {
+      console.error('Error clearing device partition:', error);
+      throw error;
+    }
+  }
+
   // ==================== SENSOR READINGS ====================
   
   /**
@@ -34,7 +126,7 @@ class StorageService {
       // Keep only last 1000 readings to manage storage
       const trimmedReadings = readings.slice(-1000);
       await AsyncStorage.setItem(
-        STORAGE_KEYS.SENSOR_READINGS,
+        this.key(STORAGE_KEYS.SENSOR_READINGS),
         JSON.stringify(trimmedReadings)
       );
       
@@ -45,13 +137,55 @@ class StorageService {
     }
   }
 
+  /**
+   * Save a batch of back-filled sensor readings, skipping duplicates
+   * A reading is a duplicate when a reading of the same wearable with the
+   * same sequence number and device time is already stored. Frames without
+   * them are duplicates of a reading of the same wearable from the same
+   * second.
+   * @param {Array} batch - Readings with timestamps from the device clock
+   * @returns {Array} The readings that were actually added
+   */
+  async saveSensorReadings(batch) {
+    try {
+      const readings = await this.getSensorReadings();
+      const seen = new Set(readings.map(readingKey));
+
+      const added = [];
+      batch.forEach((reading, index) => {
+        const key = readingKey(reading);
+        if (seen.has(key)) {
+          return;
+        }
+        seen.add(key);
+        added.push({
+          ...reading,
+          id: `${Date.now()}_${index}`,
+        });
+      });
+
+      if (added.length > 0) {
+        const merged = [...readings, ...added].sort(byTimestamp).slice(-1000);
+        await AsyncStorage.setItem(
+          this.key(STORAGE_KEYS.SENSOR_READINGS),
+          JSON.stringify(merged)
+        );
+      }
+
+      return added;
+    } catch (error) {
+      console.error('Error saving sensor readings:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all stored sensor readings
    * @returns {Array} Array of sensor readings
    */
   async getSensorReadings() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.SENSOR_READINGS);
+      const data = await AsyncStorage.getItem(this.key(STORAGE_KEYS.SENSOR_READINGS));
       return data ? JSON.parse(data) : [];
     } catch (error) {
       console.error('Error getting sensor readings:', error);
@@ -108,12 +242,12 @@ class StorageService {
       // Keep only last 500 predictions
       const trimmedPredictions = predictions.slice(-500);
       await AsyncStorage.setItem(
-        STORAGE_KEYS.PREDICTIONS_HISTORY,
+        this.key(STORAGE_KEYS.PREDICTIONS_HISTORY),
         JSON.stringify(trimmedPredictions)
       );
       
-      // If it's a stress/meltdown, also save as stress episode
-      if (prediction.state === 'Stressed' || prediction.state === 'Meltdown') {
+      // If it escalated to stress/meltdown, also save as stress episode
+      if (startsStressEpisode(prediction)) {
         await this.saveStressEpisode(newPrediction);
       }
       
@@ -124,12 +258,53 @@ class StorageService {
     }
   }
 
+  /**
+   * Save a batch of back-filled predictions
+   * Predictions that escalated to stress or meltdown are also recorded as
+   * stress episodes.
+   * @param {Array} batch - Predictions with their original timestamps
+   */
+  async savePredictions(batch) {
+    try {
+      if (batch.length === 0) {
+        return [];
+      }
+
+      const predictions = await this.getPredictions();
+      const added = batch.map((prediction, index) => ({
+        ...prediction,
+        id: `${Date.now()}_${index}`,
+      }));
+
+      const merged = [...predictions, ...added].sort(byTimestamp).slice(-500);
+      await AsyncStorage.setItem(
+        this.key(STORAGE_KEYS.PREDICTIONS_HISTORY),
+        JSON.stringify(merged)
+      );
+
+      const stressful = added.filter(startsStressEpisode);
+      if (stressful.length > 0) {
+        const episodes = await this.getStressEpisodes();
+        const mergedEpisodes = [...episodes, ...stressful].sort(byTimestamp).slice(-200);
+        await AsyncStorage.setItem(
+          this.key(STORAGE_KEYS.STRESS_EPISODES),
+          JSON.stringify(mergedEpisodes)
+        );
+      }
+
+      return added;
+    } catch (error) {
+      console.error('Error saving predictions:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all stored predictions
    */
   async getPredictions() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.PREDICTIONS_HISTORY);
+      const data = await AsyncStorage.getItem(this.key(STORAGE_KEYS.PREDICTIONS_HISTORY));
       return data ? JSON.parse(data) : [];
     } catch (error) {
       console.error('Error getting predictions:', error);
@@ -197,7 +372,7 @@ class StorageService {
       // Keep only last 200 episodes
       const trimmedEpisodes = episodes.slice(-200);
       await AsyncStorage.setItem(
-        STORAGE_KEYS.STRESS_EPISODES,
+        this.key(STORAGE_KEYS.STRESS_EPISODES),
         JSON.stringify(trimmedEpisodes)
       );
       
@@ -213,7 +388,7 @@ class StorageService {
    */
   async getStressEpisodes() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.STRESS_EPISODES);
+      const data = await AsyncStorage.getItem(this.key(STORAGE_KEYS.STRESS_EPISODES));
       return data ? JSON.parse(data) : [];
     } catch (error) {
       console.error('Error getting stress episodes:', error);
@@ -267,7 +442,7 @@ class StorageService {
   async saveDeviceInfo(deviceInfo) {
     try {
       await AsyncStorage.setItem(
-        STORAGE_KEYS.DEVICE_INFO,
+        this.key(STORAGE_KEYS.DEVICE_INFO),
         JSON.stringify({
           ...deviceInfo,
           lastUpdated: new Date().toISOString(),
@@ -284,7 +459,7 @@ class StorageService {
    */
   async getDeviceInfo() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.DEVICE_INFO);
+      const data = await AsyncStorage.getItem(this.key(STORAGE_KEYS.DEVICE_INFO));
       return data ? JSON.parse(data) : null;
     } catch (error) {
       console.error('Error getting device info:', error);
@@ -292,6 +467,230 @@ class StorageService {
     }
   }
 
+  // ==================== PERSONAL BASELINE ====================
+
+  /**
+   * Save a child's learned resting baseline (BaselineService)
+   * @param {string} profileId - Child profile (ChildProfileService)
+   * @param {Object} baseline - PersonalBaseline.toJSON()
+   */
+  async savePersonalBaseline(profileId, baseline) {
+    try {
+      await AsyncStorage.setItem(
+        `${STORAGE_KEYS.PERSONAL_BASELINE}__${profileId}`,
+        JSON.stringify(baseline)
+      );
+    } catch (error) {
+      console.error('Error saving personal baseline:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a child's learned resting baseline
+   * @param {string} profileId
+   */
+  async getPersonalBaseline(profileId) {
+    try {
+      const data = await AsyncStorage.getItem(`${STORAGE_KEYS.PERSONAL_BASELINE}__${profileId}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Error getting personal baseline:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Forget a child's baseline so it is learned again
+   * @param {string} profileId
+   */
+  async clearPersonalBaseline(profileId) {
+    try {
+      await AsyncStorage.removeItem(`${STORAGE_KEYS.PERSONAL_BASELINE}__${profileId}`);
+    } catch (error) {
+      console.error('Error clearing personal baseline:', error);
+      throw error;
+    }
+  }
+
+  // ==================== SYNC STATE ====================
+
+  /**
+   * Get the time up to which a device's readings are already stored
+   * The newer of the sync cursor and the newest reading stored from the
+   * wearable, so readings the app saw live are not downloaded again.
+   * Readings stored before they were tagged with their wearable only count
+   * until the device has a cursor.
+   * @param {string} deviceId
+   * @param {Object} options - { wearableId: getCalibrationId() of the wearable
+   *   (defaults to deviceId), before: ignore readings stored at or after this
+   *   time (ms), i.e. live ones from the current connection }
+   * @returns {string|null} ISO timestamp
+   */
+  async getLastSyncedTimestamp(deviceId, options = {}) {
+    const { wearableId = deviceId, before = Infinity } = options;
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.SYNC_STATE);
+      const state = data ? JSON.parse(data) : {};
+      const cursor = state[deviceId] || null;
+
+      const readings = await this.getSensorReadings();
+      const newest = readings.reduce((latest, r) => {
+        const time = new Date(r.timestamp).getTime();
+        const fromWearable = r.wearableId ? r.wearableId === wearableId : !cursor;
+        return fromWearable && time < before && time > latest ? time : latest;
+      }, cursor ? new Date(cursor).getTime() : 0);
+
+      return newest ? new Date(newest).toISOString() : null;
+    } catch (error) {
+      console.error('Error getting sync state:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record the newest reading synced from a device
+   * @param {string} deviceId
+   * @param {string} timestamp - ISO timestamp
+   */
+  async setLastSyncedTimestamp(deviceId, timestamp) {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.SYNC_STATE);
+      const state = data ? JSON.parse(data) : {};
+      state[deviceId] = timestamp;
+      await AsyncStorage.setItem(STORAGE_KEYS.SYNC_STATE, JSON.stringify(state));
+    } catch (error) {
+      console.error('Error saving sync state:', error);
+      throw error;
+    }
+  }
+
+  // ==================== DEVICE REGISTRY ====================
+
+  /**
+   * Save the wearables monitored alongside the primary one
+   * @param {Array} devices - [{ id, childName, profileId, transport, target, port }]
+   */
+  async saveRegisteredDevices(devices) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.DEVICE_REGISTRY, JSON.stringify(devices));
+    } catch (error) {
+      console.error('Error saving device registry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the wearables monitored alongside the primary one
+   * @returns {Array} [{ id, childName, profileId, transport, target, port }]
+   */
+  async getRegisteredDevices() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.DEVICE_REGISTRY);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Error getting device registry:', error);
+      return [];
+    }
+  }
+
+  // ==================== CHILD PROFILES ====================
+
+  /**
+   * Save the children the app knows (ChildProfileService)
+   * @param {Array} profiles - [{ id, name, createdAt }]
+   */
+  async saveChildProfiles(profiles) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.CHILD_PROFILES, JSON.stringify(profiles));
+    } catch (error) {
+      console.error('Error saving child profiles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the children the app knows
+   */
+  async getChildProfiles() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.CHILD_PROFILES);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Error getting child profiles:', error);
+      return [];
+    }
+  }
+
+  // ==================== RECORDED SESSIONS ====================
+
+  /**
+   * Save the index of recorded raw sensor sessions (frames live in files)
+   * @param {Array} sessions - [{ id, fileName, startedAt, endedAt, durationMs, frameCount, device }]
+   */
+  async saveRecordedSessions(sessions) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.RECORDED_SESSIONS, JSON.stringify(sessions));
+    } catch (error) {
+      console.error('Error saving recorded sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the index of recorded raw sensor sessions
+   */
+  async getRecordedSessions() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.RECORDED_SESSIONS);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Error getting recorded sessions:', error);
+      return [];
+    }
+  }
+
+  // ==================== WEARABLE PAIRINGS ====================
+
+  /**
+   * Save this phone's pairing identity and paired wearables (WearableAuth
+   * keeps their secrets in the secure store, not here)
+   * @param {Object} pairings - { appId, devices: { [deviceId]: { name, address, pairedAt } } }
+   */
+  async saveWearablePairings(pairings) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.WEARABLE_PAIRINGS, JSON.stringify(pairings));
+    } catch (error) {
+      console.error('Error saving wearable pairings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get this phone's pairing identity and paired wearables
+   */
+  async getWearablePairings() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.WEARABLE_PAIRINGS);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Error getting wearable pairings:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Forget this phone's pairing identity and paired wearables
+   */
+  async clearWearablePairings() {
+    try {
+      await AsyncStorage.removeItem(STORAGE_KEYS.WEARABLE_PAIRINGS);
+    } catch (error) {
+      console.error('Error clearing wearable pairings:', error);
+      throw error;
+    }
+  }
+
   // ==================== USER SETTINGS ====================
 
   /**
@@ -394,7 +793,7 @@ class StorageService {
 
       // Persist
       await AsyncStorage.setItem(
-        STORAGE_KEYS.PREDICTIONS_HISTORY,
+        this.key(STORAGE_KEYS.PREDICTIONS_HISTORY),
         JSON.stringify(records)
       );
 
@@ -409,11 +808,17 @@ class StorageService {
   // ==================== UTILITY METHODS ====================
 
   /**
-   * Clear all stored data
+   * Clear all stored data, including wearable pairings. The pairing
+   * secrets are in the secure store: clear them first with WearableAuth.clear().
    */
   async clearAllData() {
     try {
-      await AsyncStorage.multiRemove(Object.values(STORAGE_KEYS));
+      // Includes every device partition
+      const keys = await AsyncStorage.getAllKeys();
+      const baseKeys = Object.values(STORAGE_KEYS);
+      await AsyncStorage.multiRemove(
+        keys.filter((key) => baseKeys.some((base) => key === base || key.startsWith(`${base}__`)))
+      );
     } catch (error) {
       console.error('Error clearing all data:', error);
       throw error;
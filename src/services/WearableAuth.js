@@ -0,0 +1,565 @@
+/**
+ * Wearable Authentication
+ * Pairing and authenticated, encrypted messages between the app and a
+ * WiFi wearable (scheme "hmac-sha256-v1")
+ *
+ * Pairing (once per phone and wearable, while the wearable is in pairing mode):
+ * 1. POST /api/pair/start { appId, appNonce }
+ *      → { deviceId, deviceNonce, proof }
+ *    proof = HMAC(pairingKey, "device|appId|appNonce|deviceNonce") shows the
+ *    wearable knows the pairing key printed on its label.
+ * 2. Both sides derive the shared secret
+ *      secret = HMAC(pairingKey, "secret|deviceId|appId|appNonce|deviceNonce")
+ * 3. POST /api/pair/confirm { appId, proof }
+ *    proof = HMAC(pairingKey, "app|appId|deviceNonce|appNonce"); the wearable
+ *    then accepts signed requests from appId.
+ * The pairing key itself never travels over the network.
+ *
+ * Requests carry X-NeuroNest-App / -Timestamp / -Nonce / -Signature headers:
+ *   signature = HMAC(macKey, "METHOD\npath?query\ntimestamp\nnonce\nsha256(body)")
+ * Request and response bodies are sealed envelopes { v, nonce, ct, mac }:
+ * ct is the JSON payload XORed with an HMAC(encKey, nonce|counter) key
+ * stream, and a response's mac binds it to the request nonce, so old or
+ * forged responses are rejected. encKey and macKey are HMACs of the secret.
+ *
+ * SHA-256 is implemented here because expo-crypto has no HMAC and sensor
+ * frames need to be verified synchronously at the sampling rate.
+ *
+ * Shared secrets are kept in expo-secure-store (iOS Keychain, Android
+ * Keystore), one item per wearable, and never leave this device. Only the
+ * app ID and non-secret pairing details (name, address, date) are stored
+ * in AsyncStorage. Without secure storage wearables cannot be paired.
+ */
+
+import { Buffer } from 'buffer';
+import StorageService from './StorageService';
+
+const AUTH_SCHEME = 'hmac-sha256-v1';
+const ENVELOPE_VERSION = 1;
+const NONCE_BYTES = 16;
+
+const AUTH_HEADERS = {
+  APP: 'X-NeuroNest-App',
+  TIMESTAMP: 'X-NeuroNest-Timestamp',
+  NONCE: 'X-NeuroNest-Nonce',
+  SIGNATURE: 'X-NeuroNest-Signature',
+};
+
+// Pairing keys are 16 base32 characters, printed as XXXX-XXXX-XXXX-XXXX
+const PAIRING_KEY_PATTERN = /^[A-Z2-7]{16}$/;
+
+// expo-crypto supplies secure random bytes; loaded lazily like other native modules
+const loadCrypto = () => {
+  try {
+    return require('expo-crypto');
+  } catch (error) {
+    console.warn('expo-crypto unavailable:', error.message);
+    return null;
+  }
+};
+
+// expo-secure-store holds the pairing secrets; loaded lazily like other native modules
+const loadSecureStore = () => {
+  try {
+    return require('expo-secure-store');
+  } catch (error) {
+    console.warn('expo-secure-store unavailable:', error.message);
+    return null;
+  }
+};
+
+// Secure store item of a wearable's secret; keys may only contain
+// [A-Za-z0-9._-], so the device ID is hex encoded
+const secretKey = (deviceId) => `neuronest_pairing_secret_${Buffer.from(deviceId).toString('hex')}`;
+
+// Secrets are readable once the phone has been unlocked after a restart (so
+// background reconnects work) and are not included in backups
+const saveSecret = (SecureStore, deviceId, secret) =>
+  SecureStore.setItemAsync(secretKey(deviceId), secret, {
+    keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+  });
+
+// ==================== SHA-256 / HMAC ====================
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+const toBytes = (value) =>
+  typeof value === 'string' ? Buffer.from(value, 'utf-8') : Buffer.from(value);
+
+/**
+ * SHA-256 digest
+ * @param {string|Uint8Array} message - Strings are hashed as UTF-8
+ * @returns {Buffer} 32 bytes
+ */
+const sha256 = (message) => {
+  const bytes = toBytes(message);
+  const bitLength = bytes.length * 8;
+  const padded = Buffer.alloc(Math.ceil((bytes.length + 9) / 64) * 64);
+  bytes.copy(padded);
+  padded[bytes.length] = 0x80;
+  padded.writeUInt32BE(Math.floor(bitLength / 0x100000000), padded.length - 8);
+  padded.writeUInt32BE(bitLength >>> 0, padded.length - 4);
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const w = new Uint32Array(64);
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = padded.readUInt32BE(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + ch + K[i] + w[i]) >>> 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) >>> 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+    hash[4] += e;
+    hash[5] += f;
+    hash[6] += g;
+    hash[7] += h;
+  }
+
+  const digest = Buffer.alloc(32);
+  hash.forEach((word, i) => digest.writeUInt32BE(word, i * 4));
+  return digest;
+};
+
+/**
+ * HMAC-SHA256
+ * @param {string|Uint8Array} key
+ * @param {string|Uint8Array} message
+ * @returns {Buffer} 32 bytes
+ */
+const hmacSha256 = (key, message) => {
+  let keyBytes = toBytes(key);
+  if (keyBytes.length > 64) {
+    keyBytes = sha256(keyBytes);
+  }
+  const block = Buffer.alloc(64);
+  keyBytes.copy(block);
+
+  const inner = Buffer.alloc(64);
+  const outer = Buffer.alloc(64);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  return sha256(Buffer.concat([outer, sha256(Buffer.concat([inner, toBytes(message)]))]));
+};
+
+const hmacHex = (key, message) => hmacSha256(key, message).toString('hex');
+
+const EMPTY_BODY_HASH = sha256('').toString('hex');
+
+/**
+ * Compare two hex strings without leaking where they differ
+ */
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+/**
+ * XOR data with the HMAC(key, nonce|counter) key stream (encrypts and decrypts)
+ */
+const applyKeyStream = (key, nonceHex, data) => {
+  const nonce = Buffer.from(nonceHex, 'hex');
+  const output = Buffer.alloc(data.length);
+  const counter = Buffer.alloc(4);
+  for (let offset = 0, block = 0; offset < data.length; offset += 32, block++) {
+    counter.writeUInt32BE(block, 0);
+    const stream = hmacSha256(key, Buffer.concat([nonce, counter]));
+    for (let i = 0; i < 32 && offset + i < data.length; i++) {
+      output[offset + i] = data[offset + i] ^ stream[i];
+    }
+  }
+  return output;
+};
+
+const randomHex = (byteCount = NONCE_BYTES) => {
+  const Crypto = loadCrypto();
+  if (!Crypto) {
+    throw new Error('Secure random numbers are not available in this build');
+  }
+  return Buffer.from(Crypto.getRandomBytes(byteCount)).toString('hex');
+};
+
+/**
+ * Normalise a pairing key as typed by the user
+ * @returns {string|null} 16 upper-case base32 characters, or null if invalid
+ */
+const normalizePairingKey = (input) => {
+  const key = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+  return PAIRING_KEY_PATTERN.test(key) ? key : null;
+};
+
+// ==================== SESSION ====================
+
+/**
+ * Signs requests to and opens responses from one paired wearable
+ */
+class WearableSession {
+  /**
+   * @param {string} appId - This phone's pairing identity
+   * @param {string} deviceId - Wearable's hardware ID
+   * @param {string} secret - Shared secret from pairing (hex)
+   */
+  constructor(appId, deviceId, secret) {
+    this.appId = appId;
+    this.deviceId = deviceId;
+    this.encKey = hmacSha256(Buffer.from(secret, 'hex'), 'enc');
+    this.macKey = hmacSha256(Buffer.from(secret, 'hex'), 'mac');
+    this.streamSeq = null;
+  }
+
+  /**
+   * Authentication headers for a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path including the query string, exactly as sent
+   * @param {string} bodyHash - sha256 hex of the body (default: empty body)
+   * @param {string} nonce - Request nonce (default: a fresh one)
+   * @returns {Object} { nonce, timestamp, signature, headers }
+   */
+  sign(method, path, bodyHash = EMPTY_BODY_HASH, nonce = randomHex()) {
+    const timestamp = String(Date.now());
+    const signature = hmacHex(
+      this.macKey,
+      [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n')
+    );
+    return {
+      nonce,
+      timestamp,
+      signature,
+      headers: {
+        [AUTH_HEADERS.APP]: this.appId,
+        [AUTH_HEADERS.TIMESTAMP]: timestamp,
+        [AUTH_HEADERS.NONCE]: nonce,
+        [AUTH_HEADERS.SIGNATURE]: signature,
+      },
+    };
+  }
+
+  /**
+   * Sign a request and seal its JSON body with the request nonce
+   * @param {string} method
+   * @param {string} path - Path including the query string
+   * @param {Object} data - JSON body, or undefined for none
+   * @returns {Object} { nonce, headers, body }
+   */
+  sealRequest(method, path, data) {
+    if (data === undefined) {
+      const { nonce, headers } = this.sign(method, path);
+      return { nonce, headers, body: undefined };
+    }
+
+    // The body is sealed under the nonce the headers will carry
+    const nonce = randomHex();
+    const ct = applyKeyStream(this.encKey, nonce, Buffer.from(JSON.stringify(data), 'utf-8'))
+      .toString('base64');
+    const body = JSON.stringify({ v: ENVELOPE_VERSION, ct });
+    const { headers } = this.sign(method, path, sha256(body).toString('hex'), nonce);
+    return {
+      nonce,
+      body,
+      headers: { 'Content-Type': 'application/json', ...headers },
+    };
+  }
+
+  /**
+   * Verify and decrypt a response envelope
+   * @param {string} requestNonce - Nonce of the request it answers
+   * @param {Object|string} envelope - { v, nonce, ct, mac }
+   * @returns {*} Decrypted JSON payload
+   * @throws {Error} when the envelope is missing, forged or replayed
+   */
+  openResponse(requestNonce, envelope) {
+    const parsed = typeof envelope === 'string' ? safeParse(envelope) : envelope;
+    if (!parsed || parsed.v !== ENVELOPE_VERSION || !parsed.nonce || typeof parsed.ct !== 'string') {
+      throw new Error('Unsigned response from wearable rejected');
+    }
+    const expected = hmacHex(
+      this.macKey,
+      ['response', requestNonce, parsed.nonce, parsed.ct].join('\n')
+    );
+    if (!safeEqual(expected, parsed.mac)) {
+      throw new Error('Wearable response failed authentication');
+    }
+    return this.decrypt(parsed.nonce, parsed.ct);
+  }
+
+  /**
+   * Query parameters that authenticate a WebSocket stream
+   * @param {string} path - Stream path (without query)
+   * @returns {Object} { nonce, query }
+   */
+  signStream(path) {
+    const { nonce, timestamp, signature } = this.sign('GET', path);
+    this.streamSeq = null;
+    return {
+      nonce,
+      query: `app=${encodeURIComponent(this.appId)}&ts=${timestamp}&nonce=${nonce}&sig=${signature}`,
+    };
+  }
+
+  /**
+   * Verify and decrypt a stream message; sequence numbers must increase
+   * @param {string} streamNonce - Nonce the stream was opened with
+   * @param {Object} envelope - { v, seq, nonce, ct, mac }
+   */
+  openStreamMessage(streamNonce, envelope) {
+    if (!envelope || envelope.v !== ENVELOPE_VERSION || typeof envelope.seq !== 'number') {
+      throw new Error('Unsigned stream message rejected');
+    }
+    const expected = hmacHex(
+      this.macKey,
+      ['stream', streamNonce, String(envelope.seq), envelope.nonce, envelope.ct].join('\n')
+    );
+    if (!safeEqual(expected, envelope.mac)) {
+      throw new Error('Stream message failed authentication');
+    }
+    if (this.streamSeq !== null && envelope.seq <= this.streamSeq) {
+      throw new Error('Replayed stream message rejected');
+    }
+    this.streamSeq = envelope.seq;
+    return this.decrypt(envelope.nonce, envelope.ct);
+  }
+
+  decrypt(nonce, ct) {
+    const plain = applyKeyStream(this.encKey, nonce, Buffer.from(ct, 'base64')).toString('utf-8');
+    const payload = safeParse(plain);
+    if (payload === undefined) {
+      throw new Error('Wearable sent an unreadable payload');
+    }
+    return payload;
+  }
+}
+
+const safeParse = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+// ==================== PAIRINGS ====================
+
+class WearableAuth {
+  constructor() {
+    this.appId = null;
+    this.devices = {}; // deviceId -> { secret, name, address, pairedAt }; secret only in memory
+    this.loading = null;
+  }
+
+  /**
+   * Load this phone's identity and pairings (creates the identity once)
+   * Pairings whose secret is missing from the secure store are dropped.
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const stored = await StorageService.getWearablePairings();
+        const SecureStore = loadSecureStore();
+        const devices = {};
+        let migrated = false;
+
+        for (const [deviceId, pairing] of Object.entries(stored?.devices || {})) {
+          const { secret: legacySecret, ...details } = pairing;
+          let secret = SecureStore ? await SecureStore.getItemAsync(secretKey(deviceId)) : null;
+          // Pairings saved before secrets moved to the secure store
+          if (legacySecret) {
+            migrated = true;
+            if (!secret && SecureStore) {
+              await saveSecret(SecureStore, deviceId, legacySecret);
+              secret = legacySecret;
+            }
+          }
+          if (secret) {
+            devices[deviceId] = { ...details, secret };
+          }
+        }
+
+        this.devices = devices;
+        this.appId = stored?.appId || `app-${randomHex(8)}`;
+        if (!stored?.appId || migrated) {
+          await this.persist();
+        }
+      })().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Save the identity and pairing details; secrets stay in the secure store
+   */
+  async persist() {
+    const devices = Object.fromEntries(
+      Object.entries(this.devices).map(([deviceId, { secret, ...details }]) => [deviceId, details])
+    );
+    await StorageService.saveWearablePairings({ appId: this.appId, devices });
+  }
+
+  isPaired(deviceId) {
+    return !!this.devices[deviceId];
+  }
+
+  /**
+   * Paired wearables, without their secrets
+   * @returns {Array} [{ deviceId, name, address, pairedAt }]
+   */
+  listPairings() {
+    return Object.entries(this.devices).map(([deviceId, { name, address, pairedAt }]) => ({
+      deviceId,
+      name,
+      address,
+      pairedAt,
+    }));
+  }
+
+  /**
+   * Session for a paired wearable, or null if it is not paired
+   */
+  createSession(deviceId) {
+    const pairing = this.devices[deviceId];
+    return pairing ? new WearableSession(this.appId, deviceId, pairing.secret) : null;
+  }
+
+  /**
+   * Start a pairing handshake
+   * @returns {Object} { appId, appNonce } for POST /api/pair/start
+   */
+  beginPairing() {
+    return { appId: this.appId, appNonce: randomHex() };
+  }
+
+  /**
+   * Check the wearable's pairing proof and derive the shared secret
+   * @param {string} pairingKey - Normalised pairing key
+   * @param {Object} handshake - { appNonce, deviceId, deviceNonce, proof }
+   * @returns {Object|null} { secret, confirmation } or null if the proof is wrong
+   */
+  verifyPairing(pairingKey, { appNonce, deviceId, deviceNonce, proof }) {
+    const expected = hmacHex(pairingKey, ['device', this.appId, appNonce, deviceNonce].join('|'));
+    if (!deviceId || !deviceNonce || !safeEqual(expected, proof)) {
+      return null;
+    }
+    return {
+      secret: hmacHex(pairingKey, ['secret', deviceId, this.appId, appNonce, deviceNonce].join('|')),
+      confirmation: hmacHex(pairingKey, ['app', this.appId, deviceNonce, appNonce].join('|')),
+    };
+  }
+
+  /**
+   * Remember a paired wearable
+   * @param {string} deviceId
+   * @param {Object} pairing - { secret, name, address }
+   */
+  async savePairing(deviceId, { secret, name, address }) {
+    const SecureStore = loadSecureStore();
+    if (!SecureStore) {
+      throw new Error('Secure storage is not available on this device, so the wearable cannot be paired');
+    }
+    await saveSecret(SecureStore, deviceId, secret);
+    this.devices = {
+      ...this.devices,
+      [deviceId]: { secret, name: name || deviceId, address, pairedAt: new Date().toISOString() },
+    };
+    await this.persist();
+  }
+
+  /**
+   * Forget a wearable; it has to be paired again before it is trusted
+   */
+  async forget(deviceId) {
+    const { [deviceId]: removed, ...rest } = this.devices;
+    if (!removed) {
+      return { success: false, error: 'This wearable is not paired' };
+    }
+    try {
+      this.devices = rest;
+      await this.persist();
+      await loadSecureStore()?.deleteItemAsync(secretKey(deviceId));
+      return { success: true };
+    } catch (error) {
+      console.error('Error forgetting wearable:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Forget every wearable and this phone's identity (clearing the app's
+   * data); the next load() starts with a new identity
+   * @returns {Object} { success, error }
+   */
+  async clear() {
+    try {
+      await this.load();
+      const SecureStore = loadSecureStore();
+      for (const deviceId of Object.keys(this.devices)) {
+        await SecureStore?.deleteItemAsync(secretKey(deviceId));
+      }
+      await StorageService.clearWearablePairings();
+      this.devices = {};
+      this.appId = null;
+      this.loading = null;
+      return { success: true };
+    } catch (error) {
+      console.error('Error clearing wearable pairings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new WearableAuth();
+export {
+  AUTH_SCHEME,
+  AUTH_HEADERS,
+  WearableSession,
+  normalizePairingKey,
+  sha256,
+  hmacSha256,
+};
@@ -0,0 +1,182 @@
+/**
+ * Wearable Sync Service
+ * Downloads readings the ESP32 buffered while the phone was out of range
+ *
+ * After a (re)connect the app asks the wearable for every reading newer than
+ * the last one it has stored from it (live or synced), page by page, then:
+ * 1. Parses each frame with a dedicated SensorDataParser (so the live
+ *    smoothing buffers are not disturbed)
+ * 2. De-duplicates against StorageService
+ * 3. Back-fills predictions with MLModelService (without live smoothing),
+ *    passing them through a MindStateMachine of their own
+ * 4. Stores predictions flagged `backfilled: true` for the history screens
+ *
+ * Firmware contract (GET /api/history):
+ *   ?since=<epoch ms>&limit=<n>[&cursor=<c>]
+ *   → { readings: [{ timestamp | ts, seq, heartRate, eda, ... }], nextCursor }
+ * Readings must carry wall-clock timestamps (firmware syncs time via NTP).
+ */
+
+import ConfigManager from '../utils/ConfigManager';
+import MLModelService from './MLModelService';
+import BaselineService from './BaselineService';
+import SensorDataParser, { parseTime } from './SensorDataParser';
+import MindStateMachine from './MindStateMachine';
+import StorageService from './StorageService';
+
+/**
+ * Resolve a device reading's wall-clock time
+ * Accepts ISO strings or epoch milliseconds in `timestamp` or `ts`.
+ * @returns {string|null} ISO timestamp
+ */
+const getReadingTimestamp = (frame) => {
+  const date = new Date(parseTime(frame.timestamp ?? frame.ts) ?? NaN);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+class WearableSyncService {
+  constructor() {
+    this.syncing = new Set(); // device IDs with a sync in progress
+  }
+
+  /**
+   * Sync buffered readings from a connected device
+   * @param {Object} transport - Connected transport service
+   * @param {string} deviceId - Device identifier used for sync bookkeeping
+   * @param {Object} options - { onProgress: (fetchedCount) => void,
+   *   calibrationId: wearable whose sensor calibration applies (defaults to deviceId),
+   *   connectedAt: time of the (re)connect in ms (defaults to now); readings
+   *   stored since then came live and do not move the start of the sync,
+   *   partition: DeviceRegistry ID of a monitored wearable, whose storage
+   *   partition and personal baseline the readings belong to (null, the
+   *   default, for the main wearable) }
+   * @returns {Object} { success, supported, fetched, added, predictions, error }
+   */
+  async syncDevice(transport, deviceId, options = {}) {
+    const syncConfig = ConfigManager.getSyncConfig();
+
+    if (!syncConfig.enabled) {
+      return { success: true, supported: false, fetched: 0, added: 0, predictions: 0 };
+    }
+    if (typeof transport?.fetchHistoryPage !== 'function') {
+      return { success: true, supported: false, fetched: 0, added: 0, predictions: 0 };
+    }
+    if (this.syncing.has(deviceId)) {
+      return { success: false, supported: false, error: 'Sync already in progress' };
+    }
+
+    this.syncing.add(deviceId);
+    const parser = new SensorDataParser(options.calibrationId || deviceId);
+    const partition = options.partition ?? null;
+    const storage = partition ? StorageService.forDevice(partition) : StorageService;
+
+    try {
+      const lastSynced = await storage.getLastSyncedTimestamp(deviceId, {
+        wearableId: options.calibrationId || deviceId,
+        before: options.connectedAt ?? Date.now(),
+      });
+      const since = lastSynced ? new Date(lastSynced).getTime() : 0;
+      // Newest reading the wearable sent, stored or not (never in the future)
+      let newest = since;
+      console.log(`[Sync] Requesting readings for ${deviceId} since ${lastSynced || 'the beginning'}`);
+
+      const readings = [];
+      let cursor = null;
+      let pages = 0;
+
+      do {
+        const page = await transport.fetchHistoryPage(since, cursor, syncConfig.pageSize);
+        if (page === null) {
+          console.log('[Sync] Firmware has no history endpoint');
+          return { success: true, supported: false, fetched: 0, added: 0, predictions: 0 };
+        }
+
+        page.readings.forEach((frame) => {
+          const timestamp = getReadingTimestamp(frame);
+          const time = timestamp ? new Date(timestamp).getTime() : NaN;
+          if (!(time > since)) {
+            return;
+          }
+          newest = Math.max(newest, Math.min(time, Date.now()));
+          const parsed = parser.parse(frame);
+          if (parsed) {
+            readings.push({ ...parsed, timestamp, backfilled: true });
+          }
+        });
+
+        cursor = page.nextCursor;
+        pages++;
+        if (options.onProgress) options.onProgress(readings.length);
+      } while (cursor !== null && cursor !== undefined && pages < syncConfig.maxPages);
+
+      readings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      const added = await storage.saveSensorReadings(readings);
+
+      const predictions = await this.backfillPredictions(added, partition);
+      await storage.savePredictions(predictions);
+
+      // Move the cursor past everything the wearable sent, even when none of
+      // it was new, so the next sync does not ask for it again
+      if (newest > since) {
+        await storage.setLastSyncedTimestamp(deviceId, new Date(newest).toISOString());
+      }
+
+      console.log(`[Sync] Fetched ${readings.length}, added ${added.length}, predicted ${predictions.length}`);
+      return {
+        success: true,
+        supported: true,
+        fetched: readings.length,
+        added: added.length,
+        predictions: predictions.length,
+      };
+    } catch (error) {
+      console.error('[Sync] Error:', error);
+      return { success: false, supported: true, error: error.message };
+    } finally {
+      this.syncing.delete(deviceId);
+    }
+  }
+
+  /**
+   * Predict mind state for back-filled readings
+   * Readings without a finger on the sensor, or with poor signal quality,
+   * are stored but not predicted, matching the live pipeline in WearableContext.
+   * States go through the same hysteresis as live ones, timed by the
+   * readings' own timestamps, and are scored against the child's own
+   * baseline.
+   * @param {Array} readings - Stored back-filled readings, oldest first
+   * @param {string|null} deviceId - Monitored wearable, or null for the main one
+   */
+  async backfillPredictions(readings, deviceId = null) {
+    const predictions = [];
+    const stateMachine = new MindStateMachine();
+    // z-scores need the baseline in memory, even if the sync runs first
+    await BaselineService.load(deviceId);
+
+    for (const reading of readings) {
+      if (!reading.fingerDetected) {
+        continue;
+      }
+      const result = await MLModelService.predict(reading, { smoothing: false, deviceId });
+      if (result.error) {
+        continue;
+      }
+      const decision = stateMachine.update(result, Date.parse(reading.timestamp));
+      predictions.push({
+        ...result,
+        state: decision.state,
+        stateReason: decision.reason,
+        stateSince: decision.since,
+        transition: decision.transition,
+        calmScore: MLModelService.calculateCalmScore(result),
+        sensorData: reading,
+        timestamp: reading.timestamp,
+        backfilled: true,
+      });
+    }
+
+    return predictions;
+  }
+}
+
+export default new WearableSyncService();
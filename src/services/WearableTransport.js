@@ -0,0 +1,183 @@
+/**
+ * Wearable Transport Selector
+ * Common entry point for the ESP32 connection services
+ *
+ * WearableContext talks to the wearable through whichever transport is
+ * selected here, so connection state, device identity and stored device
+ * info behave the same whether readings arrive over WiFi or BLE.
+ *
+ * Every transport service implements the same surface:
+ * - initialize() / destroy()
+ * - scanForDevices(onDeviceFound)
+ * - connect(target, port) / disconnect()
+ * - setDataCallback / setConnectionCallback / setErrorCallback
+ * - setReconnectCallback (optional, transports with a reconnect supervisor)
+ * - setDataModeCallback (optional, transports that switch between streaming
+ *   and polling without reconnecting)
+ * - readDeviceInfo()
+ * - sendCommand(command, params) (optional, see DeviceCommands.js)
+ * - getConnectionStatus()
+ * - getMetrics() (optional, ConnectionMetrics snapshot for diagnostics)
+ *
+ * Connection callbacks always receive a device descriptor shaped as
+ * { id, name, transport, ... } so consumers never see transport internals.
+ */
+
+import ConfigManager from '../utils/ConfigManager';
+
+// Supported transport identifiers (persisted in config as esp32.transport)
+// REPLAY plays back a recorded session; it is only ever selected temporarily
+// and never persisted.
+const TRANSPORT_TYPES = {
+  WIFI: 'wifi',
+  BLE: 'ble',
+  REPLAY: 'replay',
+};
+
+const TRANSPORT_LABELS = {
+  [TRANSPORT_TYPES.WIFI]: 'WiFi',
+  [TRANSPORT_TYPES.BLE]: 'Bluetooth',
+  [TRANSPORT_TYPES.REPLAY]: 'Recorded Session',
+};
+
+// Services are required lazily: the BLE service creates a native BleManager
+// as soon as it is imported, which fails on builds without the BLE module.
+const TRANSPORT_LOADERS = {
+  [TRANSPORT_TYPES.WIFI]: () => require('./ESP32WiFiService').default,
+  [TRANSPORT_TYPES.BLE]: () => require('./ESP32BLEService').default,
+  [TRANSPORT_TYPES.REPLAY]: () => require('./SessionReplayService').default,
+};
+
+// Service classes, for wearables monitored alongside the primary one
+const TRANSPORT_CLASSES = {
+  [TRANSPORT_TYPES.WIFI]: () => require('./ESP32WiFiService').ESP32WiFiService,
+  [TRANSPORT_TYPES.BLE]: () => require('./ESP32BLEService').ESP32BLEService,
+};
+
+class WearableTransport {
+  constructor() {
+    this.type = TRANSPORT_TYPES.WIFI;
+    this.service = null;
+  }
+
+  /**
+   * Resolve the service for a transport type
+   * @param {string} type - One of TRANSPORT_TYPES
+   */
+  getService(type = this.type) {
+    const loader = TRANSPORT_LOADERS[type];
+    if (!loader) {
+      throw new Error(`Unknown transport: ${type}`);
+    }
+    return loader();
+  }
+
+  /**
+   * Create an independent service instance with its own connection,
+   * smoothing buffers and callbacks (used by DeviceRegistry)
+   * @param {string} type - One of TRANSPORT_TYPES
+   */
+  createService(type) {
+    const loader = TRANSPORT_CLASSES[type];
+    if (!loader) {
+      throw new Error(`Unknown transport: ${type}`);
+    }
+    const ServiceClass = loader();
+    return new ServiceClass();
+  }
+
+  /**
+   * Switch to a transport and initialize it
+   * The previously selected transport is disconnected and its callbacks
+   * are detached so it can no longer push data into the app.
+   * @param {string} type - One of TRANSPORT_TYPES
+   * @param {Object} callbacks - { onData, onConnectionChange, onError, onReconnect,
+   *   onDataModeChange }
+   */
+  async select(type, callbacks = {}) {
+    try {
+      const next = this.getService(type);
+
+      if (this.service && this.service !== next) {
+        this.detach(this.service);
+        await this.service.disconnect();
+      }
+
+      this.type = type;
+      this.service = next;
+
+      next.setDataCallback(callbacks.onData || null);
+      next.setConnectionCallback(callbacks.onConnectionChange || null);
+      next.setErrorCallback(callbacks.onError || null);
+      if (next.setReconnectCallback) {
+        next.setReconnectCallback(callbacks.onReconnect || null);
+      }
+      if (next.setDataModeCallback) {
+        next.setDataModeCallback(callbacks.onDataModeChange || null);
+      }
+
+      const result = await next.initialize();
+      return { ...result, type };
+    } catch (error) {
+      console.error('[WearableTransport] Select error:', error);
+      return { success: false, error: error.message, type };
+    }
+  }
+
+  /**
+   * Persist the chosen transport and switch to it
+   * @param {string} type - One of TRANSPORT_TYPES
+   * @param {Object} callbacks - { onData, onConnectionChange, onError, onReconnect,
+   *   onDataModeChange }
+   */
+  async setTransport(type, callbacks = {}) {
+    await ConfigManager.setTransportType(type);
+    return this.select(type, callbacks);
+  }
+
+  /**
+   * Remove app callbacks from a service
+   */
+  detach(service) {
+    service.setDataCallback(null);
+    service.setConnectionCallback(null);
+    service.setErrorCallback(null);
+    if (service.setReconnectCallback) {
+      service.setReconnectCallback(null);
+    }
+    if (service.setDataModeCallback) {
+      service.setDataModeCallback(null);
+    }
+  }
+
+  /**
+   * Get the active transport service
+   */
+  getCurrent() {
+    if (!this.service) {
+      this.service = this.getService(this.type);
+    }
+    return this.service;
+  }
+
+  /**
+   * Get the active transport type
+   */
+  getType() {
+    return this.type;
+  }
+
+  /**
+   * Destroy the active transport (cleanup)
+   */
+  destroy() {
+    if (this.service) {
+      this.detach(this.service);
+      this.service.destroy();
+      this.service = null;
+    }
+  }
+}
+
+export default new WearableTransport();
+export { TRANSPORT_TYPES, TRANSPORT_LABELS };
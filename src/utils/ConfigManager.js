@@ -6,6 +6,18 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import AppConfig from '../config/appConfig';
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PROFILE_UUID_FIELDS = {
+  serviceUUID: 'Service UUID',
+  sensorCharacteristicUUID: 'Sensor characteristic UUID',
+  deviceInfoCharacteristicUUID: 'Device info characteristic UUID',
+  commandCharacteristicUUID: 'Command characteristic UUID',
+};
+
+// Heart rate settings of the built-in profile; profiles saved before these
+// settings existed fall back to them
+const DEFAULT_HEART_RATE = AppConfig.esp32.profiles[AppConfig.esp32.defaultProfile].heartRate;
+
 class ConfigManager {
   constructor() {
     this.config = { ...AppConfig };
@@ -26,6 +38,25 @@ class ConfigManager {
           esp32: {
             ...AppConfig.esp32,
             ...parsed.esp32,
+            // Keep endpoints added after the config was saved
+            endpoints: {
+              ...AppConfig.esp32.endpoints,
+              ...parsed.esp32?.endpoints,
+            },
+            // Built-in profiles stay available alongside user-defined ones
+            profiles: {
+              ...AppConfig.esp32.profiles,
+              ...parsed.esp32?.profiles,
+            },
+          },
+          mlModel: {
+            ...AppConfig.mlModel,
+            ...parsed.mlModel,
+            // Keep threshold signals added after the config was saved
+            thresholds: {
+              ...AppConfig.mlModel.thresholds,
+              ...parsed.mlModel?.thresholds,
+            },
           },
         };
         return this.config;
@@ -74,6 +105,25 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Get the selected wearable transport ("wifi" or "ble")
+   */
+  getTransportType() {
+    return this.config.esp32.transport || AppConfig.esp32.transport;
+  }
+
+  /**
+   * Persist the selected wearable transport
+   */
+  async setTransportType(type) {
+    return this.saveConfig({
+      esp32: {
+        ...this.config.esp32,
+        transport: type,
+      },
+    });
+  }
+
   /**
    * Get ESP32 connection URL
    */
@@ -120,6 +170,362 @@ class ConfigManager {
     return this.config.esp32.connectionTimeout;
   }
 
+  /**
+   * Get reconnect backoff settings
+   */
+  getReconnectConfig() {
+    return {
+      ...AppConfig.esp32.reconnect,
+      ...this.config.esp32.reconnect,
+    };
+  }
+
+  /**
+   * Get WebSocket streaming settings
+   */
+  getStreamingConfig() {
+    return {
+      ...AppConfig.esp32.streaming,
+      ...this.config.esp32.streaming,
+    };
+  }
+
+  /**
+   * Get offline buffer sync settings
+   */
+  getSyncConfig() {
+    return {
+      ...AppConfig.esp32.sync,
+      ...this.config.esp32.sync,
+    };
+  }
+
+  /**
+   * Get over-the-air firmware update settings
+   */
+  getOtaConfig() {
+    return {
+      ...AppConfig.esp32.ota,
+      ...this.config.esp32.ota,
+    };
+  }
+
+  /**
+   * Get WiFi pairing and message authentication settings
+   */
+  getSecurityConfig() {
+    return {
+      ...AppConfig.esp32.security,
+      ...this.config.esp32.security,
+    };
+  }
+
+  /**
+   * Persist whether WiFi wearables without pairing support are refused
+   */
+  async setRequirePairing(requirePairing) {
+    return this.saveConfig({
+      esp32: {
+        ...this.config.esp32,
+        security: {
+          ...this.config.esp32.security,
+          requirePairing,
+        },
+      },
+    });
+  }
+
+  /**
+   * Get connection diagnostics settings
+   */
+  getDiagnosticsConfig() {
+    return {
+      ...AppConfig.esp32.diagnostics,
+      ...this.config.esp32.diagnostics,
+    };
+  }
+
+  /**
+   * Get heart rate variability settings
+   */
+  getHrvConfig() {
+    return {
+      ...AppConfig.esp32.hrv,
+      ...this.config.esp32.hrv,
+    };
+  }
+
+  /**
+   * Get skin conductance processing settings
+   */
+  getEdaConfig() {
+    const saved = this.config.esp32.eda || {};
+    return {
+      ...AppConfig.esp32.eda,
+      ...saved,
+      circuit: { ...AppConfig.esp32.eda.circuit, ...saved.circuit },
+    };
+  }
+
+  /**
+   * Get signal quality settings
+   */
+  getSignalQualityConfig() {
+    const saved = this.config.esp32.signalQuality || {};
+    return {
+      ...AppConfig.esp32.signalQuality,
+      ...saved,
+      weights: { ...AppConfig.esp32.signalQuality.weights, ...saved.weights },
+    };
+  }
+
+  /**
+   * Get windowed feature settings
+   */
+  getFeatureConfig() {
+    const saved = this.config.esp32.features || {};
+    return {
+      ...AppConfig.esp32.features,
+      ...saved,
+      windows: { ...AppConfig.esp32.features.windows, ...saved.windows },
+    };
+  }
+
+  /**
+   * Get personal baseline settings
+   */
+  getBaselineConfig() {
+    const defaults = AppConfig.mlModel.baseline;
+    const saved = this.config.mlModel.baseline || {};
+    return {
+      ...defaults,
+      ...saved,
+      minStd: { ...defaults.minStd, ...saved.minStd },
+      zThresholds: { ...defaults.zThresholds, ...saved.zThresholds },
+    };
+  }
+
+  /**
+   * Get mind state hysteresis settings
+   */
+  getStateMachineConfig() {
+    const defaults = AppConfig.mlModel.stateMachine;
+    const saved = this.config.mlModel.stateMachine || {};
+    return {
+      ...defaults,
+      ...saved,
+      stressed: { ...defaults.stressed, ...saved.stressed },
+      meltdown: { ...defaults.meltdown, ...saved.meltdown },
+      calm: { ...defaults.calm, ...saved.calm },
+    };
+  }
+
+  /**
+   * Get network discovery settings
+   * Merged over defaults so configs saved by older versions still get new keys
+   */
+  getDiscoveryConfig() {
+    return {
+      ...AppConfig.esp32.discovery,
+      ...this.config.esp32.discovery,
+      defaultPort: this.config.esp32.defaultPort,
+    };
+  }
+
+  // ==================== DEVICE PROFILES ====================
+
+  /**
+   * Get every hardware profile
+   * @returns {Object} profileId -> { name, ble }
+   */
+  getDeviceProfiles() {
+    return {
+      ...AppConfig.esp32.profiles,
+      ...this.config.esp32.profiles,
+    };
+  }
+
+  /**
+   * Get one profile, with missing fields filled in from the default profile
+   * @param {string} profileId
+   * @returns {Object} { id, name, ble, heartRate }
+   */
+  getDeviceProfile(profileId) {
+    const profiles = this.getDeviceProfiles();
+    const defaultId = this.getDefaultProfileId();
+    const id = profiles[profileId] ? profileId : defaultId;
+    const base = profiles[defaultId] || AppConfig.esp32.profiles[AppConfig.esp32.defaultProfile];
+    const profile = profiles[id] || base;
+    return {
+      ...base,
+      ...profile,
+      id,
+      ble: { ...base.ble, ...profile.ble },
+      heartRate: { ...DEFAULT_HEART_RATE, ...base.heartRate, ...profile.heartRate },
+    };
+  }
+
+  getDefaultProfileId() {
+    return this.config.esp32.defaultProfile || AppConfig.esp32.defaultProfile;
+  }
+
+  /**
+   * Get the profile assigned to a wearable
+   * @param {string} deviceId
+   * @returns {Object|null} Profile, or null when none is assigned yet
+   */
+  getProfileForDevice(deviceId) {
+    const profileId = (this.config.esp32.deviceProfiles || {})[deviceId];
+    return profileId && this.getDeviceProfiles()[profileId]
+      ? this.getDeviceProfile(profileId)
+      : null;
+  }
+
+  /**
+   * Get the heart rate settings for a wearable: its assigned profile's, else
+   * the default profile's
+   * @param {string|null} deviceId
+   * @returns {Object} { smoothingWindow, maxJump, displayMin, displayMax }
+   */
+  getHeartRateConfig(deviceId = null) {
+    const profile = (deviceId && this.getProfileForDevice(deviceId)) ||
+      this.getDeviceProfile(this.getDefaultProfileId());
+    return profile.heartRate;
+  }
+
+  /**
+   * Remember which profile a wearable uses
+   */
+  async assignDeviceProfile(deviceId, profileId) {
+    if (!this.getDeviceProfiles()[profileId]) {
+      return { success: false, error: 'Unknown profile' };
+    }
+    return this.saveConfig({
+      esp32: {
+        ...this.config.esp32,
+        deviceProfiles: {
+          ...this.config.esp32.deviceProfiles,
+          [deviceId]: profileId,
+        },
+      },
+    });
+  }
+
+  /**
+   * Check a profile before saving it
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateDeviceProfile(profile) {
+    if (!profile?.name || !profile.name.trim()) {
+      return 'Give the profile a name';
+    }
+    for (const [field, label] of Object.entries(PROFILE_UUID_FIELDS)) {
+      if (!UUID_PATTERN.test(profile.ble?.[field] || '')) {
+        return `${label} must be a 128-bit UUID (xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx)`;
+      }
+    }
+    if (!Array.isArray(profile.ble.nameFilters)) {
+      return 'Name filters must be a list';
+    }
+    if (profile.heartRate) {
+      const { smoothingWindow, maxJump, displayMin, displayMax } = profile.heartRate;
+      if (!(Number.isInteger(smoothingWindow) && smoothingWindow >= 1)) {
+        return 'Heart rate smoothing window must be a whole number of readings';
+      }
+      if (!(maxJump > 0)) {
+        return 'Heart rate spike threshold must be above 0 BPM';
+      }
+      if (!(displayMin >= 0 && displayMax > displayMin)) {
+        return 'Heart rate display range must run from a lower to a higher BPM';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create or update a hardware profile
+   * @param {string} profileId
+   * @param {Object} profile - { name, ble: { serviceUUID, ..., nameFilters },
+   *   heartRate: { smoothingWindow, maxJump, displayMin, displayMax } }
+   */
+  async saveDeviceProfile(profileId, profile) {
+    const error = this.validateDeviceProfile(profile);
+    if (error) {
+      return { success: false, error };
+    }
+    return this.saveConfig({
+      esp32: {
+        ...this.config.esp32,
+        profiles: {
+          ...this.config.esp32.profiles,
+          [profileId]: {
+            name: profile.name.trim(),
+            ble: {
+              ...profile.ble,
+              nameFilters: profile.ble.nameFilters.map((f) => f.trim()).filter(Boolean),
+            },
+            ...(profile.heartRate && { heartRate: profile.heartRate }),
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Delete a user-defined profile; wearables using it fall back to the default
+   * Built-in profiles can be edited but not deleted.
+   */
+  async deleteDeviceProfile(profileId) {
+    if (AppConfig.esp32.profiles[profileId]) {
+      return { success: false, error: 'Built-in profiles cannot be deleted' };
+    }
+    const profiles = { ...this.config.esp32.profiles };
+    delete profiles[profileId];
+    const deviceProfiles = Object.fromEntries(
+      Object.entries(this.config.esp32.deviceProfiles || {}).filter(([, id]) => id !== profileId)
+    );
+    return this.saveConfig({
+      esp32: { ...this.config.esp32, profiles, deviceProfiles },
+    });
+  }
+
+  // ==================== SENSOR CALIBRATION ====================
+
+  /**
+   * Get the sensor calibration of a wearable (see SensorCalibration)
+   * @param {string} deviceId - getCalibrationId() of the wearable
+   * @returns {Object|null} { eda: { circuit, offset }, heartRate: { offset }, ... }
+   */
+  getDeviceCalibration(deviceId) {
+    return (this.config.esp32.calibrations || {})[deviceId] || null;
+  }
+
+  /**
+   * Store a wearable's sensor calibration
+   */
+  async saveDeviceCalibration(deviceId, calibration) {
+    return this.saveConfig({
+      esp32: {
+        ...this.config.esp32,
+        calibrations: {
+          ...this.config.esp32.calibrations,
+          [deviceId]: calibration,
+        },
+      },
+    });
+  }
+
+  /**
+   * Forget a wearable's sensor calibration (back to the configured circuit)
+   */
+  async clearDeviceCalibration(deviceId) {
+    const calibrations = { ...this.config.esp32.calibrations };
+    delete calibrations[deviceId];
+    return this.saveConfig({
+      esp32: { ...this.config.esp32, calibrations },
+    });
+  }
+
   /**
    * Get ML thresholds
    */
@@ -127,6 +533,13 @@ class ConfigManager {
     return this.config.mlModel.thresholds;
   }
 
+  /**
+   * Get the name of the bundled pure-JS model to use (null for TensorFlow.js)
+   */
+  getJsModelName() {
+    return this.config.mlModel.jsModel ?? null;
+  }
+
   /**
    * Get storage settings
    */
@@ -0,0 +1,123 @@
+/**
+ * Simulator scenarios
+ *
+ * Each scenario produces raw frames in the same format as the NeuroNest
+ * ESP32 firmware (MAX30102 IR value, BPM, GSR as a raw 12-bit ADC reading,
+ * MPU6050 accelerometer in g and gyroscope in °/s) and may also degrade the
+ * network to exercise the app's failure handling.
+ *
+ * GSR ADC scale used by the app's rule-based predictor (lower = more stress):
+ *   1900–2100 calm · 1700–1900 mild stress · 1500–1700 high stress
+ *   1300–1500 meltdown · 2300–2500 open circuit (no finger)
+ */
+
+const IR_FINGER = 110000;   // typical IR value with a finger on the MAX30102
+const IR_NO_FINGER = 8000;  // ambient light only
+
+const random = (min, max) => min + Math.random() * (max - min);
+const jitter = (value, amount) => value + random(-amount, amount);
+const lerp = (from, to, fraction) => from + (to - from) * Math.min(1, Math.max(0, fraction));
+
+/**
+ * Physiology for a stress level between 0 (calm) and 1 (meltdown)
+ */
+const physiology = (level) => ({
+  heartRate: jitter(lerp(74, 138, level), 3),
+  eda: Math.round(jitter(lerp(2000, 1380, level), 25)),
+  temperature: parseFloat(jitter(lerp(36.5, 37.2, level), 0.05).toFixed(2)),
+});
+
+/**
+ * Accelerometer/gyroscope readings
+ * @param {number} intensity - 0 = still, 1 = vigorous movement
+ */
+const motion = (intensity) => {
+  const shake = intensity * 1.2;
+  const spin = intensity * 180;
+  return {
+    accelX: parseFloat(jitter(0, 0.02 + shake).toFixed(3)),
+    accelY: parseFloat(jitter(0, 0.02 + shake).toFixed(3)),
+    accelZ: parseFloat(jitter(1, 0.02 + shake).toFixed(3)),
+    gyroX: parseFloat(jitter(0, 2 + spin).toFixed(1)),
+    gyroY: parseFloat(jitter(0, 2 + spin).toFixed(1)),
+    gyroZ: parseFloat(jitter(0, 2 + spin).toFixed(1)),
+  };
+};
+
+/**
+ * Build a full frame for a stress level and motion intensity
+ */
+const frame = (level, motionIntensity = 0) => ({
+  irValue: Math.round(jitter(IR_FINGER, 4000)),
+  ...physiology(level),
+  ...motion(motionIntensity),
+});
+
+const CLEAN_NETWORK = { dropRate: 0, minDelay: 5, maxDelay: 40 };
+
+/**
+ * Scenario definitions
+ * frame(t) receives seconds since the scenario started.
+ */
+const SCENARIOS = {
+  calm: {
+    description: 'Resting child, steady heart rate and calm GSR',
+    network: CLEAN_NETWORK,
+    frame: () => frame(jitter(0.05, 0.05)),
+  },
+
+  'rising-stress': {
+    description: 'Calm for 30 s, then stress builds over 2 minutes and plateaus',
+    network: CLEAN_NETWORK,
+    frame: (t) => frame(lerp(0, 0.75, (t - 30) / 120), t > 90 ? 0.1 : 0),
+  },
+
+  meltdown: {
+    description: 'Rapid escalation into a meltdown with agitated movement',
+    network: CLEAN_NETWORK,
+    frame: (t) => frame(lerp(0.6, 0.98, t / 20), t > 10 ? jitter(0.6, 0.3) : 0.2),
+  },
+
+  'finger-off': {
+    description: 'Sensor worn for 20 s, then falls off (low IR, open-circuit GSR)',
+    network: CLEAN_NETWORK,
+    frame: (t) => {
+      if (t < 20) {
+        return frame(0.05);
+      }
+      return {
+        irValue: Math.round(jitter(IR_NO_FINGER, 3000)),
+        heartRate: 0,
+        eda: Math.round(jitter(2420, 40)),
+        temperature: parseFloat(jitter(33.5, 0.3).toFixed(2)),
+        ...motion(0),
+      };
+    },
+  },
+
+  'motion-bursts': {
+    description: 'Calm physiology with 5 s bursts of running/flapping every 20 s',
+    network: CLEAN_NETWORK,
+    frame: (t) => {
+      const moving = t % 20 >= 15;
+      // Movement raises heart rate a little without changing GSR much
+      const reading = frame(0.08, moving ? random(0.6, 1) : 0);
+      if (moving) reading.heartRate = jitter(96, 6);
+      return reading;
+    },
+  },
+
+  'dropped-packets': {
+    description: 'Calm readings, but 30% of requests are dropped mid-connection',
+    network: { dropRate: 0.3, minDelay: 5, maxDelay: 60 },
+    frame: () => frame(0.05),
+  },
+
+  'slow-responses': {
+    description: 'Calm readings over a congested network (1–6 s responses)',
+    network: { dropRate: 0, minDelay: 1000, maxDelay: 6000 },
+    frame: () => frame(0.05),
+  },
+};
+
+module.exports = { SCENARIOS, random };
@@ -0,0 +1,560 @@
+#!/usr/bin/env node
+/**
+ * NeuroNest ESP32 Simulator
+ * Serves the wearable's HTTP API from a laptop so the app's real WiFi path
+ * (polling, parsing, finger detection, smoothing, failure handling) can be
+ * exercised without hardware.
+ *
+ * Usage:
+ *   npm run simulator -- [--port 8080] [--scenario calm] [--name NeuroNest-Sim]
+ *   npm run simulator -- --script calm:60,rising-stress:150,meltdown:60,finger-off:30
+ *   npm run simulator -- --insecure   # behave like firmware without pairing
+ *
+ * Then in the app: Device → Enter IP Address → <laptop IP> and the port, and
+ * the pairing key printed at startup.
+ *
+ * Wearable API:
+ *   GET  /api/sensors      Latest sensor frame
+ *   GET  /api/device-info  Name, firmware, battery, settings
+ *   GET  /api/health       Liveness probe (used by discovery), deviceId and auth scheme
+ *   GET  /api/ping         Reachability check
+ *   GET  /api/history      Buffered frames (?since=&limit=&cursor=)
+ *   POST /api/command      Device commands, acknowledged like the firmware
+ *   POST /api/pair/start, /api/pair/confirm, /api/unpair
+ *                          Pairing (src/services/WearableAuth.js); the simulator
+ *                          is always in pairing mode
+ *
+ * Unless --insecure is given, every other /api request must be signed by a
+ * paired app and responses are sealed, exactly like paired firmware.
+ *
+ * Simulator control (never degraded by the network scenario):
+ *   GET  /sim              Current scenario and the list of scenarios
+ *   POST /sim/scenario     { "name": "meltdown" } switches scenario
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { SCENARIOS, random } = require('./scenarios');
+
+const HISTORY_SIZE = 3600; // one hour at 1 Hz
+const REBOOT_MS = 5000;
+const IR_THRESHOLD = 50000; // finger on the sensor, as in the app's SensorDataParser
+
+const AUTH_SCHEME = 'hmac-sha256-v1';
+const CLOCK_SKEW_MS = 60000; // accepted difference between phone and laptop clocks
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ==================== ARGUMENTS ====================
+
+const parseArgs = (argv) => {
+  const args = { port: 8080, scenario: 'calm', name: 'NeuroNest-Sim', script: null, insecure: false };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (['port', 'scenario', 'name', 'script'].includes(key) && value !== undefined) {
+      args[key] = key === 'port' ? parseInt(value, 10) : value;
+      i++;
+    } else if (key === 'insecure') {
+      args.insecure = true;
+    } else if (key === 'help' || key === 'h') {
+      args.help = true;
+    }
+  }
+  return args;
+};
+
+/**
+ * Parse "calm:60,meltdown:30" into [{ name, duration }] (seconds)
+ */
+const parseScript = (script) =>
+  script.split(',').map((step) => {
+    const [name, seconds] = step.trim().split(':');
+    if (!SCENARIOS[name]) {
+      throw new Error(`Unknown scenario in script: ${name}`);
+    }
+    return { name, duration: (parseFloat(seconds) || 60) * 1000 };
+  });
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help) {
+  console.log('Usage: npm run simulator -- [--port 8080] [--scenario name] [--name device] [--script a:60,b:30] [--insecure]\n');
+  console.log('Scenarios:');
+  Object.entries(SCENARIOS).forEach(([name, s]) => console.log(`  ${name.padEnd(16)} ${s.description}`));
+  process.exit(0);
+}
+if (!SCENARIOS[args.scenario]) {
+  console.error(`Unknown scenario "${args.scenario}". Run with --help for the list.`);
+  process.exit(1);
+}
+
+// ==================== DEVICE STATE ====================
+
+const device = {
+  name: args.name,
+  firmwareVersion: '1.0.0-sim',
+  startedAt: Date.now(),
+  batteryLevel: 100,
+  samplingRate: 1,
+  ledFeedback: true,
+  hapticFeedback: false,
+  rebootingUntil: 0,
+};
+
+const state = {
+  scenario: args.scenario,
+  scenarioStartedAt: Date.now(),
+  script: args.script ? parseScript(args.script) : null,
+  scriptIndex: 0,
+  seq: 0,
+  nextBeatAt: null,
+  latest: null,
+  history: [],
+};
+
+const setScenario = (name) => {
+  state.scenario = name;
+  state.scenarioStartedAt = Date.now();
+  console.log(`[sim] Scenario → ${name}: ${SCENARIOS[name].description}`);
+};
+
+if (state.script) {
+  setScenario(state.script[0].name);
+}
+
+/**
+ * Advance a --script sequence (loops when it reaches the end)
+ */
+const advanceScript = () => {
+  if (!state.script) return;
+  const step = state.script[state.scriptIndex];
+  if (Date.now() - state.scenarioStartedAt >= step.duration) {
+    state.scriptIndex = (state.scriptIndex + 1) % state.script.length;
+    setScenario(state.script[state.scriptIndex].name);
+  }
+};
+
+// ==================== PAIRING ====================
+
+const hmac = (key, message) => crypto.createHmac('sha256', key).update(message).digest();
+const hmacHex = (key, message) => hmac(key, message).toString('hex');
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const safeEqual = (a, b) =>
+  typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Stable per simulator name, like the ID and key burned into real hardware
+const seed = crypto.createHash('sha256').update(`neuronest-sim|${args.name}`).digest();
+const deviceId = `sim-${seed.subarray(0, 6).toString('hex')}`;
+const pairingKey = Array.from({ length: 16 }, (_, i) => BASE32[seed[6 + i] % 32]).join('');
+
+// Paired apps survive restarts, like the firmware's flash storage
+const pairingsFile = path.join(os.tmpdir(), `neuronest-sim-${deviceId}.json`);
+const loadPairings = () => {
+  try {
+    return JSON.parse(fs.readFileSync(pairingsFile, 'utf-8'));
+  } catch {
+    return {};
+  }
+};
+const pairings = loadPairings(); // appId -> secret (hex)
+const savePairings = () => fs.writeFileSync(pairingsFile, JSON.stringify(pairings, null, 2));
+
+const pendingPairings = new Map(); // appId -> { appNonce, deviceNonce }
+const seenNonces = new Map(); // nonce -> expiry
+
+const keysFor = (secret) => ({
+  enc: hmac(Buffer.from(secret, 'hex'), 'enc'),
+  mac: hmac(Buffer.from(secret, 'hex'), 'mac'),
+});
+
+const keyStream = (key, nonceHex, data) => {
+  const nonce = Buffer.from(nonceHex, 'hex');
+  const output = Buffer.alloc(data.length);
+  for (let offset = 0, block = 0; offset < data.length; offset += 32, block++) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(block, 0);
+    const stream = hmac(key, Buffer.concat([nonce, counter]));
+    for (let i = 0; i < 32 && offset + i < data.length; i++) {
+      output[offset + i] = data[offset + i] ^ stream[i];
+    }
+  }
+  return output;
+};
+
+const pairStart = ({ appId, appNonce }) => {
+  if (!appId || !/^[0-9a-f]{32}$/.test(appNonce || '')) {
+    return { status: 400, body: { error: 'appId and a 16-byte hex appNonce are required' } };
+  }
+  const deviceNonce = crypto.randomBytes(16).toString('hex');
+  pendingPairings.set(appId, { appNonce, deviceNonce });
+  return {
+    status: 200,
+    body: {
+      deviceId,
+      name: device.name,
+      deviceNonce,
+      proof: hmacHex(pairingKey, ['device', appId, appNonce, deviceNonce].join('|')),
+    },
+  };
+};
+
+const pairConfirm = ({ appId, proof }) => {
+  const pending = pendingPairings.get(appId);
+  if (!pending) {
+    return { status: 400, body: { error: 'No pairing in progress for this app' } };
+  }
+  pendingPairings.delete(appId);
+  const { appNonce, deviceNonce } = pending;
+  if (!safeEqual(proof, hmacHex(pairingKey, ['app', appId, deviceNonce, appNonce].join('|')))) {
+    return { status: 400, body: { error: 'Pairing proof does not match' } };
+  }
+  pairings[appId] = hmacHex(pairingKey, ['secret', deviceId, appId, appNonce, deviceNonce].join('|'));
+  savePairings();
+  console.log(`[sim] Paired with app ${appId}`);
+  return { status: 200, body: { paired: true, deviceId } };
+};
+
+/**
+ * Check a signed request
+ * @returns {Object} { appId, nonce, keys } or { error }
+ */
+const authenticate = (req, rawBody) => {
+  const appId = req.headers['x-neuronest-app'];
+  const timestamp = req.headers['x-neuronest-timestamp'];
+  const nonce = req.headers['x-neuronest-nonce'];
+  const signature = req.headers['x-neuronest-signature'];
+  if (!appId || !pairings[appId]) {
+    return { error: 'unpaired' };
+  }
+  if (Math.abs(Date.now() - Number(timestamp)) > CLOCK_SKEW_MS) {
+    return { error: 'stale request' };
+  }
+  const now = Date.now();
+  seenNonces.forEach((expiry, seen) => expiry < now && seenNonces.delete(seen));
+  if (!nonce || seenNonces.has(nonce)) {
+    return { error: 'replayed request' };
+  }
+
+  const keys = keysFor(pairings[appId]);
+  const bodyHash = req.headers['x-firmware-md5'] || sha256Hex(rawBody);
+  const expected = hmacHex(keys.mac, [req.method, req.url, timestamp, nonce, bodyHash].join('\n'));
+  if (!safeEqual(signature, expected)) {
+    return { error: 'bad signature' };
+  }
+  seenNonces.set(nonce, now + CLOCK_SKEW_MS * 2);
+  return { appId, nonce, keys };
+};
+
+const sealResponse = (auth, body) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const ct = keyStream(auth.keys.enc, nonce, Buffer.from(JSON.stringify(body))).toString('base64');
+  const mac = hmacHex(auth.keys.mac, ['response', auth.nonce, nonce, ct].join('\n'));
+  return { v: 1, nonce, ct, mac };
+};
+
+const openRequestBody = (auth, rawBody) => {
+  if (!rawBody) return {};
+  try {
+    const { ct } = JSON.parse(rawBody);
+    return JSON.parse(keyStream(auth.keys.enc, auth.nonce, Buffer.from(ct, 'base64')).toString('utf-8'));
+  } catch {
+    return null;
+  }
+};
+
+// ==================== SAMPLING ====================
+
+let sampler = null;
+
+/**
+ * Inter-beat intervals (ms) for the beats since the previous frame, like
+ * firmware that reports individual beats. Breathing and blood pressure waves
+ * modulate the rhythm less as heart rate (stress) rises, so HRV falls.
+ */
+const beatsUntil = (now, reading) => {
+  if (!(reading.heartRate > 0 && reading.irValue > IR_THRESHOLD)) {
+    state.nextBeatAt = null;
+    return undefined;
+  }
+  if (state.nextBeatAt === null) {
+    state.nextBeatAt = now;
+    return [];
+  }
+  const variability = 1 - 0.8 * Math.min(1, Math.max(0, (reading.heartRate - 74) / 64));
+  const intervals = [];
+  while (state.nextBeatAt <= now) {
+    const t = state.nextBeatAt / 1000;
+    const ibi =
+      60000 / reading.heartRate +
+      Math.sin(2 * Math.PI * 0.25 * t) * 40 * variability +
+      Math.sin(2 * Math.PI * 0.1 * t) * 25 * variability +
+      random(-6, 6);
+    intervals.push(Math.round(ibi));
+    state.nextBeatAt += ibi;
+  }
+  return intervals;
+};
+
+const sample = () => {
+  advanceScript();
+  const elapsed = (Date.now() - state.scenarioStartedAt) / 1000;
+  const reading = SCENARIOS[state.scenario].frame(elapsed);
+
+  const now = Date.now();
+  state.seq++;
+  state.latest = {
+    ...reading,
+    heartRate: parseFloat(reading.heartRate.toFixed(1)),
+    ibi: beatsUntil(now, reading),
+    seq: state.seq,
+    ts: now,
+  };
+  state.history.push(state.latest);
+  if (state.history.length > HISTORY_SIZE) {
+    state.history.shift();
+  }
+
+  // Slow battery drain so the device screen has something to show
+  device.batteryLevel = Math.max(5, 100 - Math.floor((Date.now() - device.startedAt) / 60000));
+};
+
+const startSampling = () => {
+  if (sampler) clearInterval(sampler);
+  sampler = setInterval(sample, Math.round(1000 / device.samplingRate));
+};
+
+// ==================== COMMANDS ====================
+
+const runCommand = ({ command, params = {} }) => {
+  switch (command) {
+    case 'set_sampling_rate': {
+      const hz = Number(params.hz);
+      if (!(hz >= 1 && hz <= 100)) return { ok: false, error: 'Sampling rate must be 1–100 Hz' };
+      device.samplingRate = hz;
+      startSampling();
+      return { ok: true, result: { samplingRate: hz } };
+    }
+    case 'set_feedback':
+      if (typeof params.led === 'boolean') device.ledFeedback = params.led;
+      if (typeof params.haptic === 'boolean') device.hapticFeedback = params.haptic;
+      return { ok: true, result: { ledFeedback: device.ledFeedback, hapticFeedback: device.hapticFeedback } };
+    case 'recalibrate_eda':
+      return { ok: true, result: { baseline: Math.round(random(1950, 2050)) } };
+    case 'identify':
+      console.log(`[sim] *** ${device.name} is blinking its LED ***`);
+      return { ok: true, result: null };
+    case 'reboot':
+      // Ack first, then go dark like the real firmware
+      setTimeout(() => {
+        device.rebootingUntil = Date.now() + REBOOT_MS;
+        console.log(`[sim] Rebooting for ${REBOOT_MS / 1000}s`);
+      }, 100);
+      return { ok: true, result: null };
+    default:
+      return { ok: false, error: `Unknown command: ${command}` };
+  }
+};
+
+// ==================== HTTP ====================
+
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readRaw = (req) =>
+  new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+  });
+
+const parseBody = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return null;
+  }
+};
+
+const readBody = async (req) => parseBody(await readRaw(req));
+
+const deviceInfo = () => ({
+  name: device.name,
+  firmwareVersion: device.firmwareVersion,
+  batteryLevel: `${device.batteryLevel}%`,
+  signalStrength: `${Math.round(random(-62, -48))} dBm`,
+  uptime: Math.floor((Date.now() - device.startedAt) / 1000),
+  samplingRate: device.samplingRate,
+  ledFeedback: device.ledFeedback,
+  hapticFeedback: device.hapticFeedback,
+  capabilities: ['history', 'command'],
+  simulator: true,
+  secure: !args.insecure,
+});
+
+const historyPage = (query) => {
+  const since = Number(query.get('since')) || 0;
+  const limit = Math.min(500, Number(query.get('limit')) || 100);
+  const cursor = query.get('cursor') !== null ? Number(query.get('cursor')) : null;
+
+  const pending = state.history.filter((r) =>
+    cursor !== null ? r.seq > cursor : r.ts > since
+  );
+  const readings = pending.slice(0, limit);
+  return {
+    readings,
+    nextCursor: pending.length > limit ? String(readings[readings.length - 1].seq) : null,
+  };
+};
+
+const handleAPI = async (req, res, url) => {
+  const route = `${req.method} ${url.pathname}`;
+  const raw = await readRaw(req);
+
+  if (route === 'GET /api/health') {
+    return sendJSON(res, 200, {
+      status: 'ok',
+      name: device.name,
+      deviceId,
+      ...(args.insecure ? {} : { auth: AUTH_SCHEME }),
+    });
+  }
+  if (route === 'GET /api/ping') {
+    return sendJSON(res, 200, { pong: true });
+  }
+  if (args.insecure && url.pathname.startsWith('/api/pair')) {
+    return sendJSON(res, 404, { error: 'Not found' });
+  }
+  if (route === 'POST /api/pair/start' || route === 'POST /api/pair/confirm') {
+    const body = parseBody(raw) || {};
+    const { status, body: reply } = route === 'POST /api/pair/start' ? pairStart(body) : pairConfirm(body);
+    return sendJSON(res, status, reply);
+  }
+
+  // Everything else needs a paired, correctly signed request
+  let auth = null;
+  if (!args.insecure) {
+    auth = authenticate(req, raw);
+    if (auth.error) {
+      console.log(`[sim] Rejected ${route}: ${auth.error}`);
+      return sendJSON(res, 401, { error: auth.error });
+    }
+  }
+  const reply = (status, body) => sendJSON(res, status, auth ? sealResponse(auth, body) : body);
+  const body = auth ? openRequestBody(auth, raw) : parseBody(raw);
+
+  switch (route) {
+    case 'GET /api/sensors':
+      return reply(200, state.latest);
+    case 'GET /api/device-info':
+      return reply(200, deviceInfo());
+    case 'GET /api/history':
+      return reply(200, historyPage(url.searchParams));
+    case 'POST /api/command': {
+      if (!body || !body.command) {
+        return reply(400, { ok: false, error: 'Invalid command body' });
+      }
+      const ack = { id: body.id, ...runCommand(body) };
+      console.log(`[sim] Command ${body.command} → ${ack.ok ? 'ok' : ack.error}`);
+      return reply(ack.ok ? 200 : 400, ack);
+    }
+    case 'POST /api/unpair':
+      if (auth) {
+        delete pairings[auth.appId];
+        savePairings();
+        console.log(`[sim] Unpaired app ${auth.appId}`);
+      }
+      return reply(200, { paired: false });
+    default:
+      return sendJSON(res, 404, { error: 'Not found' });
+  }
+};
+
+const handleControl = async (req, res, url) => {
+  if (req.method === 'GET' && url.pathname === '/sim') {
+    return sendJSON(res, 200, {
+      scenario: state.scenario,
+      elapsed: Math.round((Date.now() - state.scenarioStartedAt) / 1000),
+      script: state.script,
+      scenarios: Object.fromEntries(
+        Object.entries(SCENARIOS).map(([name, s]) => [name, s.description])
+      ),
+    });
+  }
+  if (req.method === 'POST' && url.pathname === '/sim/scenario') {
+    const body = await readBody(req);
+    if (!body || !SCENARIOS[body.name]) {
+      return sendJSON(res, 400, { error: 'Unknown scenario', scenarios: Object.keys(SCENARIOS) });
+    }
+    state.script = null; // manual choice stops a running script
+    setScenario(body.name);
+    return sendJSON(res, 200, { scenario: body.name });
+  }
+  return sendJSON(res, 404, { error: 'Not found' });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/sim' || url.pathname.startsWith('/sim/')) {
+    return handleControl(req, res, url);
+  }
+
+  // Rebooting: nothing answers
+  if (Date.now() < device.rebootingUntil) {
+    req.socket.destroy();
+    return;
+  }
+
+  const { network } = SCENARIOS[state.scenario];
+  if (Math.random() < network.dropRate) {
+    console.log(`[sim] Dropped ${req.method} ${url.pathname}`);
+    req.socket.destroy();
+    return;
+  }
+
+  const delay = random(network.minDelay, network.maxDelay);
+  setTimeout(() => {
+    handleAPI(req, res, url).catch((error) => {
+      console.error('[sim] Handler error:', error);
+      sendJSON(res, 500, { error: error.message });
+    });
+  }, delay);
+});
+
+const localAddresses = () =>
+  Object.values(os.networkInterfaces())
+    .flat()
+    .filter((iface) => iface && iface.family === 'IPv4' && !iface.internal)
+    .map((iface) => iface.address);
+
+sample();
+startSampling();
+
+server.listen(args.port, () => {
+  console.log(`[sim] ${device.name} listening on port ${args.port}`);
+  localAddresses().forEach((ip) => console.log(`[sim]   Enter in the app: ${ip} port ${args.port}`));
+  console.log(`[sim] Scenario: ${state.scenario}${state.script ? ' (scripted)' : ''}`);
+  if (args.insecure) {
+    console.log('[sim] Pairing disabled (--insecure): requests are not authenticated');
+  } else {
+    console.log(`[sim] Device ID ${deviceId}, pairing key ${pairingKey.match(/.{4}/g).join('-')}`);
+  }
+});
+
+const shutdown = () => {
+  clearInterval(sampler);
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 1000).unref();
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);